@@ -0,0 +1,80 @@
+/**
+ * Action Executor
+ * Maps an approved action proposal onto the copilot action functions
+ * and records what each one changed in the action journal
+ *
+ * scheduleAction stores a job for the action scheduler instead; each of its
+ * runs comes back through here (see services/scheduledActions).
+ */
+
+const actions = require('./actions');
+const actionJournal = require('../services/actionJournal');
+
+/**
+ * Execute a copilot action
+ * @param {string} actionName - One of the actions in middleware/validation validateActionName
+ * @param {object} parameters - Action parameters as proposed
+ * @param {object} context - { actor, proposalId } for the journal entry
+ * @returns {Promise<object>} Action result { success, message, data, journalId }
+ */
+async function executeAction(actionName, parameters = {}, context = {}) {
+  // Undo writes its own revert entry to the journal
+  if (actionName === 'undoLastAction') {
+    return actions.undoLastAction(context.actor);
+  }
+  // Scheduling changes no prices; the runs are journaled
+  if (actionName === 'scheduleAction') {
+    return scheduleAction(parameters, context);
+  }
+  return actionJournal.record(actionName, parameters, () => runAction(actionName, parameters), context);
+}
+
+async function scheduleAction(parameters, context) {
+  const scheduledActions = require('../services/scheduledActions');
+  const outcome = await scheduledActions.schedule(parameters, context);
+  if (!outcome.success) {
+    return { success: false, message: outcome.error };
+  }
+
+  const { job } = outcome;
+  return {
+    success: true,
+    message: `Scheduled: ${job.description}, ${scheduledActions.describeSchedule(job)}.\nNext run: ${scheduledActions.formatRunTime(job.nextRunAt, job.timezone)} (${job.timezone})`,
+    data: job
+  };
+}
+
+async function runAction(actionName, parameters) {
+  switch (actionName) {
+    case 'applyPriceOverride':
+      return actions.applyPriceOverride(parameters.roomId, parameters.date, parameters.newPrice, parameters.channel);
+    case 'adjustRateClamp':
+      return actions.adjustRateClamp(parameters.roomType, parameters.clampType, parameters.newValue, parameters.startDate, parameters.endDate, parameters.channel);
+    case 'setMinLengthOfStay':
+      return actions.setMinLengthOfStay(parameters.roomType, parameters.nights, parameters.startDate, parameters.endDate);
+    case 'setMaxLengthOfStay':
+      return actions.setMaxLengthOfStay(parameters.roomType, parameters.nights, parameters.startDate, parameters.endDate);
+    case 'setClosedToArrival':
+      return actions.setClosedToArrival(parameters.roomType, parameters.startDate, parameters.endDate, parameters.closed);
+    case 'setClosedToDeparture':
+      return actions.setClosedToDeparture(parameters.roomType, parameters.startDate, parameters.endDate, parameters.closed);
+    case 'updateCompetitorWeight':
+      return actions.updateCompetitorWeight(parameters.competitorName, parameters.newWeight);
+    case 'updateCompetitorDifferential':
+      return actions.updateCompetitorDifferential(parameters.competitorName, parameters.newDifferential);
+    case 'applyPriceIncrease':
+      return actions.applyPriceIncrease(parameters.roomTypes, parameters.percentage, parameters.scope);
+    case 'applyWeekendRateIncrease':
+      return actions.applyWeekendRateIncrease(parameters.roomTypes, parameters.percentage, parameters.scope);
+    case 'applyTemporaryPricing':
+      return actions.applyTemporaryPricing(parameters.roomPricing, parameters.startDate, parameters.endDate, parameters.reason, parameters.channel);
+    case 'applyMultiplePromotions':
+      return actions.applyMultiplePromotions(parameters.promotions);
+    default:
+      throw new Error(`Unknown action: ${actionName}`);
+  }
+}
+
+module.exports = {
+  executeAction
+};
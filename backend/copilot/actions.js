@@ -1,75 +1,60 @@
 const dataLoader = require('../services/dataLoader');
-const fs = require('fs').promises;
-const path = require('path');
+const actionStore = require('../services/actionStore');
+const actionJournal = require('../services/actionJournal');
 const { mapToHotelRoomType, normalizeForComparison } = require('./roomMapping');
+const { resolveStayRestrictions, listNights, MAX_NIGHTS, RESTRICTION_TYPES } = require('../pricing/rateResolver');
+const { normalizeChannel, channelName } = require('../pricing/channels');
+const { stageBaseRateChange } = require('../pricing/ratePlans');
+const { hasTimeOfDay, windowSpan } = require('../pricing/rateWindows');
+const { getHotelTimeZone, getToday, addDays } = require('../utils/dateUtils');
+const { parseZonedDateTime } = require('../utils/timeZones');
 
-// Storage path for action configuration
-const ACTIONS_CONFIG_PATH = path.resolve(__dirname, '../data/actions-config.json');
+/**
+ * Validate an optional channel scope for a pricing action
+ * @returns {object} { channel } (null when unscoped) or { error }
+ */
+function parseChannelScope(channel) {
+  if (channel === undefined || channel === null || channel === '') return { channel: null };
+  const id = normalizeChannel(channel);
+  return id ? { channel: id } : { error: `Unknown channel "${channel}"` };
+}
+
+/**
+ * " on Expedia" for channel-scoped messages
+ */
+function channelSuffix(channel) {
+  return channel ? ` on ${channelName(channel)}` : '';
+}
 
 /**
  * Save action to persistent storage
- * @param {string} actionType - Type of action (overrides, clamps, weights, differentials, temporaryOffers, scheduledReverts)
+ * @param {string} actionType - Type of action (overrides, rateWindows, clamps, restrictions, weights, differentials, temporaryOffers, scheduledReverts)
  * @param {object} parameters - Action parameters
+ * @param {object} tx - Optional open actionStore transaction to stage the write in
  */
-async function saveActionToConfig(actionType, parameters) {
-  try {
-    let config = {};
-    try {
-      const data = await fs.readFile(ACTIONS_CONFIG_PATH, 'utf8');
-      config = JSON.parse(data);
-    } catch (err) {
-      // Initialize empty config if file doesn't exist
-      config = {
-        overrides: [],
-        clamps: [],
-        weights: [],
-        differentials: [],
-        adjustments: [],
-        temporaryOffers: [],
-        scheduledReverts: []
-      };
-    }
-    
-    // Add timestamp to parameters
-    const entry = {
-      ...parameters,
-      timestamp: new Date().toISOString()
-    };
-    
-    // Store based on action type
-    if (actionType === 'overrides') {
-      config.overrides.push(entry);
-    } else if (actionType === 'clamps') {
-      config.clamps.push(entry);
-    } else if (actionType === 'weights') {
-      // Update or add weight
-      const existingIndex = config.weights.findIndex(w => 
-        w.competitorName === parameters.competitorName
-      );
-      if (existingIndex >= 0) {
-        config.weights[existingIndex] = entry;
-      } else {
-        config.weights.push(entry);
-      }
-    } else if (actionType === 'differentials') {
-      // Update or add differential
-      const existingIndex = config.differentials.findIndex(d => 
-        d.competitorName === parameters.competitorName
-      );
-      if (existingIndex >= 0) {
-        config.differentials[existingIndex] = entry;
-      } else {
-        config.differentials.push(entry);
-      }
-    } else if (actionType === 'adjustments') {
-      config.adjustments.push(entry);
-    } else if (actionType === 'temporaryOffers') {
-      config.temporaryOffers.push(entry);
-    } else if (actionType === 'scheduledReverts') {
-      config.scheduledReverts.push(entry);
+async function saveActionToConfig(actionType, parameters, tx = null) {
+  // Add timestamp to parameters
+  const entry = {
+    ...parameters,
+    timestamp: new Date().toISOString()
+  };
+
+  // Weights and differentials keep one entry per competitor
+  const stage = (t) => {
+    if (actionType === 'weights' || actionType === 'differentials') {
+      return t.upsert(actionType, 'competitorName', entry);
     }
+    return t.insert(actionType, entry);
+  };
 
-    await fs.writeFile(ACTIONS_CONFIG_PATH, JSON.stringify(config, null, 2));
+  if (tx) {
+    stage(tx);
+    console.log(`✓ Action staged for storage: ${actionType}`, entry);
+    return true;
+  }
+
+  try {
+    await actionStore.transaction(stage);
     console.log(`✓ Action saved to storage: ${actionType}`, entry);
     return true;
   } catch (err) {
@@ -82,20 +67,7 @@ async function saveActionToConfig(actionType, parameters) {
  * Get current action configuration
  */
 async function getActionConfig() {
-  try {
-    const data = await fs.readFile(ACTIONS_CONFIG_PATH, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    return {
-      overrides: [],
-      clamps: [],
-      weights: [],
-      differentials: [],
-      adjustments: [],
-      temporaryOffers: [],
-      scheduledReverts: []
-    };
-  }
+  return actionStore.getConfig();
 }
 
 /**
@@ -116,8 +88,6 @@ async function applyPriceIncrease(roomTypes = ['Executive Suite', 'Premium Suite
     }
 
     const updates = [];
-    const fsSync = require('fs');
-    const roomsCsvPath = path.resolve(__dirname, '../data/csv/rooms.csv');
 
     roomTypes.forEach((roomType) => {
       const room = dataLoader.rooms.find(r => (r.room_type || r['Room Type']) === roomType);
@@ -126,9 +96,6 @@ async function applyPriceIncrease(roomTypes = ['Executive Suite', 'Premium Suite
       const currentPrice = parseFloat(room.base_price || room['Base Price']);
       const newPrice = Math.round(currentPrice * (1 + percentage / 100));
 
-      // Update in-memory data
-      dataLoader.updateRoomPrice(roomType, newPrice);
-
       updates.push({
         roomType,
         scope,
@@ -142,25 +109,19 @@ async function applyPriceIncrease(roomTypes = ['Executive Suite', 'Premium Suite
       return { success: false, message: 'No matching room types found to update' };
     }
 
-    // Update CSV file to persist changes
-    let csvLines = fsSync.readFileSync(roomsCsvPath, 'utf8').split('\n');
-    csvLines = csvLines.map((line, idx) => {
-      if (idx === 0 || !line.trim()) return line; // Keep header and empty lines
-      const parts = line.split(',');
-      // Format: room_type,total_rooms,base_price
-      const roomTypeInCsv = parts[0];
-      const update = updates.find(u => u.roomType === roomTypeInCsv);
-      if (update) {
-        parts[2] = String(update.newPrice);
-        return parts.join(',');
+    // New base rates from today, plus the adjustment for transparency
+    await actionStore.transaction(async (tx) => {
+      for (const update of updates) {
+        stageBaseRateChange(tx, {
+          roomType: update.roomType,
+          price: update.newPrice,
+          previousPrice: update.oldPrice,
+          sourceAction: 'applyPriceIncrease',
+          note: `${percentage > 0 ? '+' : ''}${percentage}% (${scope})`
+        });
       }
-      return line;
+      await saveActionToConfig('adjustments', { roomTypes, percentage, scope }, tx);
     });
-    fsSync.writeFileSync(roomsCsvPath, csvLines.join('\n'));
-    console.log('✓ CSV file updated with new prices');
-
-    // Persist the adjustment for transparency
-    await saveActionToConfig('adjustments', { roomTypes, percentage, scope });
 
     const isDecrease = percentage < 0;
     const absPercentage = Math.abs(percentage);
@@ -209,8 +170,6 @@ async function applyWeekendRateIncrease(roomTypes = ['Executive Suite', 'Premium
       const currentPrice = parseFloat(room.base_price || room['Base Price']);
       const newPrice = Math.round(currentPrice * (1 + percentage / 100));
 
-      dataLoader.updateRoomPrice(roomType, newPrice);
-
       updates.push({
         roomType,
         scope,
@@ -224,8 +183,18 @@ async function applyWeekendRateIncrease(roomTypes = ['Executive Suite', 'Premium
       return { success: false, message: 'No matching room types found to update' };
     }
 
-    // Persist the adjustment for transparency
-    await saveActionToConfig('adjustments', { roomTypes, percentage, scope });
+    await actionStore.transaction(async (tx) => {
+      for (const update of updates) {
+        stageBaseRateChange(tx, {
+          roomType: update.roomType,
+          price: update.newPrice,
+          previousPrice: update.oldPrice,
+          sourceAction: 'applyWeekendRateIncrease',
+          note: `+${percentage}% (${scope})`
+        });
+      }
+      await saveActionToConfig('adjustments', { roomTypes, percentage, scope }, tx);
+    });
 
     const message = `Raised ${scope} rates by ${percentage}% for ${updates.map(u => u.roomType).join(' & ')}`;
     console.log('✓ Weekend rate increase applied:', updates);
@@ -246,8 +215,9 @@ async function applyWeekendRateIncrease(roomTypes = ['Executive Suite', 'Premium
  * @param {string} roomId - Room identifier (e.g., "standard", "deluxe")
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {number} newPrice - New price to apply
+ * @param {string} channel - Optional booking channel to limit the override to (e.g. "expedia")
  */
-async function applyPriceOverride(roomId, date, newPrice) {
+async function applyPriceOverride(roomId, date, newPrice, channel = null) {
   try {
     // Validate inputs
     if (!roomId || !date || !newPrice) {
@@ -258,57 +228,35 @@ async function applyPriceOverride(roomId, date, newPrice) {
       return { success: false, message: 'Price cannot be below $50 minimum floor' };
     }
 
+    const scope = parseChannelScope(channel);
+    if (scope.error) {
+      return { success: false, message: scope.error };
+    }
+
     // Map AI room type to hotel room type for consistent storage
     const mappedRoomType = mapToHotelRoomType(roomId);
     const normalizedRoomId = normalizeForComparison(roomId);
 
     // Save to persistent storage (overrides) with both original and mapped types
     const parameters = { roomId: normalizedRoomId, mappedRoomType, date, newPrice };
+    if (scope.channel) parameters.channel = scope.channel;
     await saveActionToConfig('overrides', parameters);
 
-    // Also update the main rooms.csv file for this room type
-    const roomsCsvPath = path.resolve(__dirname, '../data/csv/rooms.csv');
-    const fsSync = require('fs');
-    let csvLines = fsSync.readFileSync(roomsCsvPath, 'utf8').split('\n');
-    let updated = false;
-    csvLines = csvLines.map((line, idx) => {
-      if (idx === 0 || !line.trim()) return line;
-      const parts = line.split(',');
-      // room_type,total_rooms,base_price - use mapped room type for matching
-      const csvRoomType = parts[0].toLowerCase();
-      if (csvRoomType === mappedRoomType.toLowerCase() || csvRoomType === normalizedRoomId) {
-        parts[2] = String(newPrice);
-        updated = true;
-        return parts.join(',');
-      }
-      return line;
-    });
-    if (updated) {
-      fsSync.writeFileSync(roomsCsvPath, csvLines.join('\n'));
-      // Also update in-memory dataLoader.rooms
-      if (dataLoader.rooms) {
-        const room = dataLoader.rooms.find(r =>
-          (r.room_type || '').toLowerCase() === mappedRoomType.toLowerCase()
-        );
-        if (room) room.base_price = parseFloat(newPrice);
-      }
-    }
-
     const logEntry = {
       timestamp: new Date().toISOString(),
       action: 'applyPriceOverride',
       roomId,
       date,
       newPrice,
-      status: 'applied',
-      updatedMainDb: updated
+      channel: scope.channel,
+      status: 'applied'
     };
 
     console.log('✓ Price Override Applied:', logEntry);
 
     return {
       success: true,
-      message: `Price override of $${newPrice} applied for ${roomId} on ${date}`,
+      message: `Price override of $${newPrice} applied for ${roomId} on ${date}${channelSuffix(scope.channel)}`,
       data: logEntry
     };
   } catch (error) {
@@ -324,8 +272,9 @@ async function applyPriceOverride(roomId, date, newPrice) {
  * @param {number} newValue - New price limit
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string} channel - Optional booking channel to limit the clamp to
  */
-async function adjustRateClamp(roomType, clampType, newValue, startDate, endDate) {
+async function adjustRateClamp(roomType, clampType, newValue, startDate, endDate, channel = null) {
   try {
     // Validate inputs
     if (!roomType || !clampType || !newValue || !startDate || !endDate) {
@@ -351,8 +300,14 @@ async function adjustRateClamp(roomType, clampType, newValue, startDate, endDate
       return { success: false, message: 'End date must be after start date' };
     }
 
+    const scope = parseChannelScope(channel);
+    if (scope.error) {
+      return { success: false, message: scope.error };
+    }
+
     // Save to persistent storage
     const parameters = { roomType, clampType, newValue, startDate, endDate };
+    if (scope.channel) parameters.channel = scope.channel;
     await saveActionToConfig('clamps', parameters);
     
     const logEntry = {
@@ -363,6 +318,7 @@ async function adjustRateClamp(roomType, clampType, newValue, startDate, endDate
       newValue,
       startDate,
       endDate,
+      channel: scope.channel,
       status: 'applied'
     };
 
@@ -370,7 +326,7 @@ async function adjustRateClamp(roomType, clampType, newValue, startDate, endDate
 
     return {
       success: true,
-      message: `${clampType === 'floor' ? 'Minimum' : 'Maximum'} price of $${newValue} set for ${roomType} from ${startDate} to ${endDate}`,
+      message: `${clampType === 'floor' ? 'Minimum' : 'Maximum'} price of $${newValue} set for ${roomType}${channelSuffix(scope.channel)} from ${startDate} to ${endDate}`,
       data: logEntry
     };
   } catch (error) {
@@ -379,6 +335,143 @@ async function adjustRateClamp(roomType, clampType, newValue, startDate, endDate
   }
 }
 
+const RESTRICTION_LABELS = {
+  minLOS: 'Minimum stay',
+  maxLOS: 'Maximum stay',
+  closedToArrival: 'Closed to arrival',
+  closedToDeparture: 'Closed to departure'
+};
+const MAX_STAY_NIGHTS = 30;
+
+/**
+ * Store a stay restriction for a room type over a date range
+ * Restrictions apply per arrival night (departure night for closedToDeparture);
+ * the most recent one of each type wins, so storing the neutral value lifts it.
+ * @param {string} restrictionType - minLOS, maxLOS, closedToArrival or closedToDeparture
+ * @param {string} roomType - Room type name
+ * @param {number|boolean|null} value - Nights for LOS (minLOS 1 / maxLOS null = none), true/false for closed
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ */
+async function setStayRestriction(restrictionType, roomType, value, startDate, endDate) {
+  try {
+    if (!RESTRICTION_TYPES.includes(restrictionType)) {
+      return { success: false, message: `restrictionType must be one of: ${RESTRICTION_TYPES.join(', ')}` };
+    }
+    if (!roomType || !startDate || !endDate) {
+      return { success: false, message: 'Missing required parameters' };
+    }
+
+    const mappedRoomType = mapToHotelRoomType(roomType);
+    const room = (dataLoader.rooms || []).find(r =>
+      (r.room_type || r['Room Type'] || '').toLowerCase() === mappedRoomType.toLowerCase()
+    );
+    if (!room) {
+      return { success: false, message: `Room type "${roomType}" not found` };
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate) ||
+        isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+      return { success: false, message: 'Dates must be YYYY-MM-DD' };
+    }
+    if (endDate < startDate) {
+      return { success: false, message: 'End date must be after or equal to start date' };
+    }
+    const nights = listNights(startDate, endDate);
+    if (nights[nights.length - 1] !== endDate) {
+      return { success: false, message: `Date range too long (max ${MAX_NIGHTS} nights)` };
+    }
+
+    let storedValue;
+    if (restrictionType === 'minLOS' || restrictionType === 'maxLOS') {
+      const lifted = restrictionType === 'maxLOS' && (value === null || value === 0);
+      storedValue = lifted ? null : Number(value);
+      if (!lifted && !(Number.isInteger(storedValue) && storedValue >= 1 && storedValue <= MAX_STAY_NIGHTS)) {
+        return { success: false, message: `Nights must be a whole number between 1 and ${MAX_STAY_NIGHTS}` };
+      }
+    } else {
+      storedValue = value === undefined ? true : Boolean(value);
+    }
+
+    // A minimum above the maximum would close the room type entirely
+    const config = await getActionConfig();
+    for (const date of nights) {
+      const current = resolveStayRestrictions(room.room_type, date, config);
+      const minLOS = restrictionType === 'minLOS' ? storedValue : current.minLOS;
+      const maxLOS = restrictionType === 'maxLOS' ? storedValue : current.maxLOS;
+      if (maxLOS && minLOS > maxLOS) {
+        return {
+          success: false,
+          message: `Minimum stay of ${minLOS} nights would exceed the ${maxLOS}-night maximum on ${date}`
+        };
+      }
+    }
+
+    const parameters = { roomType: room.room_type, restrictionType, value: storedValue, startDate, endDate };
+    await saveActionToConfig('restrictions', parameters);
+
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      action: 'setStayRestriction',
+      ...parameters,
+      status: 'applied'
+    };
+
+    console.log('✓ Stay Restriction Set:', logEntry);
+
+    return {
+      success: true,
+      message: `${describeStayRestriction(restrictionType, storedValue)} for ${room.room_type} from ${startDate} to ${endDate}`,
+      data: logEntry
+    };
+  } catch (error) {
+    console.error('Error setting stay restriction:', error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Human-readable restriction, e.g. "Minimum stay of 3 nights", "Closed to arrival lifted"
+ */
+function describeStayRestriction(restrictionType, value) {
+  const label = RESTRICTION_LABELS[restrictionType];
+  if (restrictionType === 'minLOS') return value > 1 ? `${label} of ${value} nights` : `${label} lifted`;
+  if (restrictionType === 'maxLOS') return value ? `${label} of ${value} nights` : `${label} lifted`;
+  return value ? label : `${label} lifted`;
+}
+
+/**
+ * Require a minimum length of stay for arrivals in a date range
+ * @param {number} nights - Minimum nights (1 lifts the restriction)
+ */
+async function setMinLengthOfStay(roomType, nights, startDate, endDate) {
+  return setStayRestriction('minLOS', roomType, nights, startDate, endDate);
+}
+
+/**
+ * Cap the length of stay for arrivals in a date range
+ * @param {number|null} nights - Maximum nights (null lifts the restriction)
+ */
+async function setMaxLengthOfStay(roomType, nights, startDate, endDate) {
+  return setStayRestriction('maxLOS', roomType, nights, startDate, endDate);
+}
+
+/**
+ * Close (or reopen) a date range to arrivals
+ * @param {boolean} closed - false reopens
+ */
+async function setClosedToArrival(roomType, startDate, endDate, closed = true) {
+  return setStayRestriction('closedToArrival', roomType, closed, startDate, endDate);
+}
+
+/**
+ * Close (or reopen) a date range to departures
+ * @param {boolean} closed - false reopens
+ */
+async function setClosedToDeparture(roomType, startDate, endDate, closed = true) {
+  return setStayRestriction('closedToDeparture', roomType, closed, startDate, endDate);
+}
+
 /**
  * Update the weight/importance of a competitor in pricing calculations
  * @param {string} competitorName - Competitor hotel name
@@ -510,12 +603,16 @@ async function updateCompetitorDifferential(competitorName, newDifferential) {
 
 /**
  * Apply temporary pricing with automatic revert
+ * Dates (YYYY-MM-DD) price whole nights with per-night overrides. Bounds with a
+ * time of day ("YYYY-MM-DDTHH:MM" on the property's clock, or ISO timestamps)
+ * store rate windows that apply only between the two times (see pricing/rateWindows).
  * @param {Array} roomPricing - Array of {roomType, currentPrice, newPrice}
- * @param {string} startDate - Start date (YYYY-MM-DD) or ISO datetime for hour-based
- * @param {string} endDate - End date (YYYY-MM-DD) or ISO datetime for hour-based
+ * @param {string} startDate - Start date (YYYY-MM-DD) or time for hour-based
+ * @param {string} endDate - End date (YYYY-MM-DD, inclusive) or time for hour-based (exclusive)
  * @param {string} reason - Reason for temporary pricing (e.g., "Competitor match", "Flash sale", "5-hour flash sale")
+ * @param {string} channel - Optional booking channel to run the offer on (e.g. "booking")
  */
-async function applyTemporaryPricing(roomPricing, startDate, endDate, reason = 'Temporary offer') {
+async function applyTemporaryPricing(roomPricing, startDate, endDate, reason = 'Temporary offer', channel = null) {
   try {
     // Validate inputs
     if (!Array.isArray(roomPricing) || roomPricing.length === 0) {
@@ -526,20 +623,31 @@ async function applyTemporaryPricing(roomPricing, startDate, endDate, reason = '
       return { success: false, message: 'Missing start or end date' };
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const timeZone = getHotelTimeZone();
+    const isTimeBased = hasTimeOfDay(startDate) || hasTimeOfDay(endDate);
+    const start = isTimeBased ? parseZonedDateTime(startDate, timeZone) : new Date(startDate);
+    const end = isTimeBased ? parseZonedDateTime(endDate, timeZone) : new Date(endDate);
 
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
       return { success: false, message: 'Invalid date format' };
     }
 
-    if (end < start) {
-      return { success: false, message: 'End date must be after or equal to start date' };
+    if (isTimeBased ? end <= start : end < start) {
+      return { success: false, message: isTimeBased ? 'End time must be after start time' : 'End date must be after or equal to start date' };
+    }
+
+    const scope = parseChannelScope(channel);
+    if (scope.error) {
+      return { success: false, message: scope.error };
     }
+    const channelScope = scope.channel ? { channel: scope.channel } : {};
 
     const tempOfferId = `temp_${Date.now()}`;
     const appliedOverrides = [];
+    const appliedWindows = [];
     const originalPrices = [];
+    // Day-based offers cover whole nights, first to last inclusive
+    const nights = isTimeBased ? [] : listNights(start.toISOString().split('T')[0], end.toISOString().split('T')[0]);
 
     // Apply temporary prices for the date range
     for (const pricing of roomPricing) {
@@ -561,26 +669,33 @@ async function applyTemporaryPricing(roomPricing, startDate, endDate, reason = '
         originalPrice: currentPrice
       });
 
-      // Apply override for each date in range
-      const currentDate = new Date(start);
-      while (currentDate <= end) {
-        const dateStr = currentDate.toISOString().split('T')[0];
+      if (isTimeBased) {
+        appliedWindows.push({
+          roomId,
+          mappedRoomType,
+          ...windowSpan(start, end, timeZone),
+          newPrice: parseInt(newPrice),
+          isTemporary: true,
+          tempOfferId,
+          reason,
+          ...channelScope
+        });
+        continue;
+      }
 
+      // Apply override for each night in range
+      for (const dateStr of nights) {
         // Apply price override with mapped room type
-        const override = {
+        appliedOverrides.push({
           roomId,
           mappedRoomType,
           date: dateStr,
           newPrice: parseInt(newPrice),
           isTemporary: true,
           tempOfferId,
-          reason
-        };
-
-        await saveActionToConfig('overrides', override);
-        appliedOverrides.push(override);
-
-        currentDate.setDate(currentDate.getDate() + 1);
+          reason,
+          ...channelScope
+        });
       }
     }
 
@@ -592,26 +707,21 @@ async function applyTemporaryPricing(roomPricing, startDate, endDate, reason = '
       endDate,
       roomPricing,
       originalPrices,
+      ...channelScope,
       appliedAt: new Date().toISOString()
     };
-    await saveActionToConfig('temporaryOffers', tempOfferEntry);
 
     // Schedule automatic revert
-    // For hour-based promotions (endDate contains time), revert at end time
+    // For hour-based promotions, revert at end time
     // For day-based promotions (endDate is just date), revert next day
     let revertDateStr;
 
-    // Check if endDate includes time (ISO format with 'T')
-    const isTimeBased = endDate.includes('T') || reason.toLowerCase().includes('hour');
-
     if (isTimeBased) {
       // Hour-based: revert at exact end time
       revertDateStr = new Date(end).toISOString();
     } else {
-      // Day-based: revert next day at midnight
-      const revertDate = new Date(end);
-      revertDate.setDate(revertDate.getDate() + 1);
-      revertDateStr = revertDate.toISOString().split('T')[0];
+      // Day-based: revert the day after the last night, on the property's calendar
+      revertDateStr = addDays(nights[nights.length - 1], 1);
     }
 
     const scheduledRevert = {
@@ -619,23 +729,38 @@ async function applyTemporaryPricing(roomPricing, startDate, endDate, reason = '
       revertDate: revertDateStr,
       originalPrices,
       status: 'scheduled',
-      isTimeBased: isTimeBased
+      isTimeBased: isTimeBased,
+      ...channelScope
     };
-    await saveActionToConfig('scheduledReverts', scheduledRevert);
+
+    // Overrides, offer metadata and the revert commit together, so an offer
+    // can never be stored without the revert that ends it
+    await actionStore.transaction(async (tx) => {
+      for (const override of appliedOverrides) {
+        await saveActionToConfig('overrides', override, tx);
+      }
+      for (const rateWindow of appliedWindows) {
+        await saveActionToConfig('rateWindows', rateWindow, tx);
+      }
+      await saveActionToConfig('temporaryOffers', tempOfferEntry, tx);
+      await saveActionToConfig('scheduledReverts', scheduledRevert, tx);
+    });
 
     console.log('✓ Temporary pricing applied:', tempOfferEntry);
     console.log('✓ Scheduled revert:', scheduledRevert);
 
     // Format duration for human-readable message
     let durationText = '';
-    if (isTimeBased && reason.includes('hour')) {
-      // Match both "4-hour" and "4 hours" formats
-      const hourMatch = reason.match(/(\d+)[\s-]?hours?/);
-      const hours = hourMatch ? hourMatch[1] : '1';
-      durationText = `for the next ${hours} ${hours === '1' ? 'hour' : 'hours'}`;
+    const startsNow = start.getTime() <= Date.now() + 60 * 1000;
+    if (isTimeBased) {
+      const hours = Math.round((end - start) / (1000 * 60 * 60));
+      const span = hours < 48 ? `${hours || 1} ${hours === 1 ? 'hour' : 'hours'}` : `${Math.round(hours / 24)} days`;
+      const until = end.toLocaleString('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+      durationText = startsNow
+        ? `for the next ${span} (until ${until} ${timeZone})`
+        : `for ${span} from ${start.toLocaleString('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' })} ${timeZone}`;
     } else {
-      const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-      durationText = `for ${daysDiff} ${daysDiff === 1 ? 'day' : 'days'}`;
+      durationText = `for ${nights.length} ${nights.length === 1 ? 'day' : 'days'}`;
     }
 
     // Build message for all rooms
@@ -644,12 +769,12 @@ async function applyTemporaryPricing(roomPricing, startDate, endDate, reason = '
       const roomName = roomPricing[0].roomType;
       const oldPrice = roomPricing[0].currentPrice;
       const newPriceVal = roomPricing[0].newPrice;
-      messageText = `Done. ${roomName} is now $${newPriceVal} ${durationText}. The system will automatically revert it to $${oldPrice} after that.`;
+      messageText = `Done. ${roomName} ${startsNow ? 'is now' : 'will be'} $${newPriceVal}${channelSuffix(scope.channel)} ${durationText}. The system will automatically revert it to $${oldPrice} after that.`;
     } else {
       // Multiple rooms
       const roomDetails = roomPricing.map(rp => `${rp.roomType}: $${rp.currentPrice} → $${rp.newPrice}`).join(', ');
       const roomNames = roomPricing.map(rp => rp.roomType).join(', ');
-      messageText = `Done. Applied ${durationText} pricing to ${roomPricing.length} rooms: ${roomDetails}. The system will automatically revert ${roomNames} after that.`;
+      messageText = `Done. Applied ${durationText} pricing${channelSuffix(scope.channel)} to ${roomPricing.length} rooms: ${roomDetails}. The system will automatically revert ${roomNames} after that.`;
     }
 
     return {
@@ -658,8 +783,10 @@ async function applyTemporaryPricing(roomPricing, startDate, endDate, reason = '
       data: {
         tempOfferId,
         appliedOverrides: appliedOverrides.length,
+        appliedWindows: appliedWindows.length,
         revertDate: revertDateStr,
-        roomPricing
+        roomPricing,
+        channel: scope.channel
       }
     };
   } catch (error) {
@@ -673,24 +800,19 @@ async function applyTemporaryPricing(roomPricing, startDate, endDate, reason = '
  */
 async function processScheduledReverts() {
   try {
-    const config = await getActionConfig();
     const now = new Date();
-    const scheduledReverts = config.scheduledReverts || [];
+    const today = getToday();
+    const scheduledReverts = actionStore.find('scheduledReverts', { status: 'scheduled' });
 
     const revertsToProcess = scheduledReverts.filter(r => {
-      if (r.status !== 'scheduled') return false;
-
-      const revertDate = new Date(r.revertDate);
-
       // For time-based reverts, check exact datetime
       if (r.isTimeBased) {
-        return revertDate <= now;
+        return new Date(r.revertDate) <= now;
       }
 
-      // For day-based reverts, check date only
-      const today = now.toISOString().split('T')[0];
-      const revertDay = revertDate.toISOString().split('T')[0];
-      return revertDay <= today;
+      // For day-based reverts, check date only: the revert day starts at
+      // midnight on the property's clock, not UTC
+      return String(r.revertDate).slice(0, 10) <= today;
     });
 
     if (revertsToProcess.length === 0) {
@@ -700,36 +822,24 @@ async function processScheduledReverts() {
     let processedCount = 0;
 
     for (const revert of revertsToProcess) {
-      // Remove temporary overrides
-      config.overrides = config.overrides.filter(o =>
-        o.tempOfferId !== revert.tempOfferId
-      );
-
-      // Restore original prices
-      for (const original of revert.originalPrices) {
-        const dateStr = new Date().toISOString().split('T')[0];
-        await saveActionToConfig('overrides', {
-          roomId: original.roomId,
-          date: dateStr,
-          newPrice: parseInt(original.originalPrice),
-          isRevert: true,
-          revertedFrom: revert.tempOfferId
+      await actionStore.transaction(async (tx) => {
+        // Remove the offer's overrides and rate windows: whatever it covered
+        // (base rates, earlier overrides) applies again, exactly as before
+        const temporaryOverrides = actionStore.find('overrides', { tempOfferId: revert.tempOfferId });
+        tx.remove('overrides', temporaryOverrides.map(o => o.id));
+        const rateWindows = actionStore.find('rateWindows', { tempOfferId: revert.tempOfferId });
+        tx.remove('rateWindows', rateWindows.map(w => w.id));
+
+        // Mark revert as completed
+        tx.update('scheduledReverts', revert.id, {
+          status: 'completed',
+          completedAt: new Date().toISOString()
         });
-      }
-
-      // Mark revert as completed
-      const revertIndex = config.scheduledReverts.findIndex(r => r.tempOfferId === revert.tempOfferId);
-      if (revertIndex >= 0) {
-        config.scheduledReverts[revertIndex].status = 'completed';
-        config.scheduledReverts[revertIndex].completedAt = new Date().toISOString();
-      }
+      });
 
       processedCount++;
     }
 
-    // Save updated config
-    await fs.writeFile(ACTIONS_CONFIG_PATH, JSON.stringify(config, null, 2));
-
     console.log(`✓ Processed ${processedCount} scheduled reverts`);
 
     return {
@@ -744,156 +854,26 @@ async function processScheduledReverts() {
 }
 
 /**
- * Undo the last action (removes last override or reverts temporary pricing)
+ * Undo the most recent action still in effect
+ * Restores the exact state recorded in the action journal before it ran.
+ * @param {object} actor - Audit identity of the user undoing (optional)
  * @returns {object} Result of undo operation
  */
-async function undoLastAction() {
+async function undoLastAction(actor = null) {
   try {
-    const config = await getActionConfig();
-
-    // Find the most recent action across all types
-    let lastAction = null;
-    let lastActionType = null;
-    let lastTimestamp = null;
-
-    // Check overrides
-    if (config.overrides && config.overrides.length > 0) {
-      const lastOverride = config.overrides[config.overrides.length - 1];
-      if (!lastTimestamp || new Date(lastOverride.timestamp) > new Date(lastTimestamp)) {
-        lastTimestamp = lastOverride.timestamp;
-        lastAction = lastOverride;
-        lastActionType = 'overrides';
-      }
-    }
-
-    // Check temporary offers
-    if (config.temporaryOffers && config.temporaryOffers.length > 0) {
-      const lastTemp = config.temporaryOffers[config.temporaryOffers.length - 1];
-      if (!lastTimestamp || new Date(lastTemp.timestamp) > new Date(lastTimestamp)) {
-        lastTimestamp = lastTemp.timestamp;
-        lastAction = lastTemp;
-        lastActionType = 'temporaryOffers';
-      }
-    }
-
-    // Check adjustments
-    if (config.adjustments && config.adjustments.length > 0) {
-      const lastAdj = config.adjustments[config.adjustments.length - 1];
-      if (!lastTimestamp || new Date(lastAdj.timestamp) > new Date(lastTimestamp)) {
-        lastTimestamp = lastAdj.timestamp;
-        lastAction = lastAdj;
-        lastActionType = 'adjustments';
-      }
-    }
-
-    if (!lastAction) {
-      return { success: false, message: 'No actions to undo' };
-    }
-
-    // Remove the last action
-    if (lastActionType === 'overrides') {
-      config.overrides.pop();
-
-      // If this was a temporary offer, also remove related scheduled revert
-      if (lastAction.tempOfferId) {
-        config.scheduledReverts = (config.scheduledReverts || []).filter(
-          r => r.tempOfferId !== lastAction.tempOfferId
-        );
-        config.temporaryOffers = (config.temporaryOffers || []).filter(
-          t => t.tempOfferId !== lastAction.tempOfferId
-        );
-      }
-
-      // Restore original price if available
-      if (lastAction.originalPrice) {
-        const roomType = lastAction.mappedRoomType || lastAction.roomId;
-        if (dataLoader.rooms) {
-          const room = dataLoader.rooms.find(r =>
-            (r.room_type || '').toLowerCase() === roomType.toLowerCase()
-          );
-          if (room) room.base_price = parseFloat(lastAction.originalPrice);
-        }
-      }
-    } else if (lastActionType === 'temporaryOffers') {
-      // Remove the temporary offer and its overrides
-      const tempOffer = config.temporaryOffers.pop();
-
-      // Remove related overrides
-      config.overrides = (config.overrides || []).filter(
-        o => o.tempOfferId !== tempOffer.tempOfferId
-      );
-
-      // Remove scheduled revert
-      config.scheduledReverts = (config.scheduledReverts || []).filter(
-        r => r.tempOfferId !== tempOffer.tempOfferId
-      );
-
-      // Restore original prices
-      if (tempOffer.originalPrices) {
-        for (const orig of tempOffer.originalPrices) {
-          if (dataLoader.rooms) {
-            const room = dataLoader.rooms.find(r =>
-              (r.room_type || '').toLowerCase() === orig.roomType.toLowerCase()
-            );
-            if (room) room.base_price = parseFloat(orig.originalPrice);
-          }
-        }
-      }
-    } else if (lastActionType === 'adjustments') {
-      const adjustment = config.adjustments.pop();
-
-      // Revert the price adjustment by applying inverse percentage
-      if (adjustment.roomTypes && adjustment.percentage) {
-        const fsSync = require('fs');
-        const roomsCsvPath = path.resolve(__dirname, '../data/csv/rooms.csv');
-
-        // Calculate inverse percentage: if we increased by 10%, decrease by ~9.09% (1/1.1)
-        // if we decreased by 15%, increase by ~17.65% (1/0.85)
-        const inverseMultiplier = 1 / (1 + adjustment.percentage / 100);
-
-        adjustment.roomTypes.forEach(roomType => {
-          const room = dataLoader.rooms.find(r => (r.room_type || r['Room Type']) === roomType);
-          if (room) {
-            const currentPrice = parseFloat(room.base_price || room['Base Price']);
-            const revertedPrice = Math.round(currentPrice * inverseMultiplier);
-            dataLoader.updateRoomPrice(roomType, revertedPrice);
-            console.log(`✓ Reverted ${roomType} from $${currentPrice} to $${revertedPrice}`);
-          }
-        });
-
-        // Update CSV file to persist changes
-        let csvLines = fsSync.readFileSync(roomsCsvPath, 'utf8').split('\n');
-        csvLines = csvLines.map((line, idx) => {
-          if (idx === 0 || !line.trim()) return line;
-          const parts = line.split(',');
-          const roomTypeInCsv = parts[0];
-          if (adjustment.roomTypes.includes(roomTypeInCsv)) {
-            const room = dataLoader.rooms.find(r => (r.room_type || r['Room Type']) === roomTypeInCsv);
-            if (room) {
-              parts[2] = String(room.base_price || room['Base Price']);
-              return parts.join(',');
-            }
-          }
-          return line;
-        });
-        fsSync.writeFileSync(roomsCsvPath, csvLines.join('\n'));
-        console.log('✓ CSV file updated with reverted prices');
-      }
+    const outcome = await actionJournal.revertLatest({ actor });
+    if (!outcome.success) {
+      return { success: false, message: outcome.error };
     }
 
-    // Save updated config
-    await fs.writeFile(ACTIONS_CONFIG_PATH, JSON.stringify(config, null, 2));
-
-    const roomName = lastAction.mappedRoomType || lastAction.roomId || lastAction.roomTypes?.join(', ') || 'Room';
-
-    console.log(`✓ Undo successful: removed ${lastActionType} action for ${roomName}`);
+    console.log(`✓ Undo successful: ${outcome.entry.summary}`);
 
     return {
       success: true,
-      message: `Undo successful! Removed the last ${lastActionType.replace(/s$/, '')} action for ${roomName}. The price has been reverted.`,
+      message: `Undo successful! ${outcome.entry.summary}`,
       data: {
-        undoneAction: lastAction,
-        actionType: lastActionType
+        undoneAction: outcome.target,
+        revert: outcome.entry
       }
     };
   } catch (error) {
@@ -929,7 +909,6 @@ async function applyMultiplePromotions(promotions) {
 
       try {
 
-        // Apply the price change directly to CSV and memory
         const rooms = dataLoader.rooms || [];
         const room = rooms.find(r =>
           (r.room_type || r['Room Type']).toLowerCase() === roomType.toLowerCase()
@@ -943,36 +922,23 @@ async function applyMultiplePromotions(promotions) {
         const totalRooms = parseInt(room.total_rooms || room['Total Rooms'] || 10);
         const oldPrice = parseFloat(room.base_price || room['Base Price']);
 
-        // Update the room price in memory
-        if (room.base_price !== undefined) {
-          room.base_price = newPrice;
-        }
-        if (room['Base Price'] !== undefined) {
-          room['Base Price'] = newPrice;
-        }
-
-        // Update CSV
-        const roomsCsvPath = path.resolve(__dirname, '../data/csv/rooms.csv');
-        let csvLines = require('fs').readFileSync(roomsCsvPath, 'utf8').split('\n');
-        csvLines = csvLines.map((line, idx) => {
-          if (idx === 0 || !line.trim()) return line;
-          const parts = line.split(',');
-          if (parts[0] && parts[0].toLowerCase() === roomType.toLowerCase()) {
-            parts[2] = String(newPrice);
-            return parts.join(',');
-          }
-          return line;
-        });
-        require('fs').writeFileSync(roomsCsvPath, csvLines.join('\n'));
-
-        // Save to config for undo tracking
-        await saveActionToConfig('adjustments', {
-          roomTypes: [roomType],
-          percentage,
-          scope: 'all',
-          promotionType: promo.promotionType,
-          oldPrice,
-          newPrice
+        // New base rate from today, plus the adjustment for transparency
+        await actionStore.transaction(async (tx) => {
+          stageBaseRateChange(tx, {
+            roomType: room.room_type,
+            price: newPrice,
+            previousPrice: oldPrice,
+            sourceAction: 'applyMultiplePromotions',
+            note: String(promo.promotionType || '').replace(/_/g, ' ')
+          });
+          await saveActionToConfig('adjustments', {
+            roomTypes: [room.room_type],
+            percentage,
+            scope: 'all',
+            promotionType: promo.promotionType,
+            oldPrice,
+            newPrice
+          }, tx);
         });
 
         // Calculate revenue impact (30-day projection)
@@ -1050,6 +1016,11 @@ async function applyMultiplePromotions(promotions) {
 module.exports = {
   applyPriceOverride,
   adjustRateClamp,
+  setMinLengthOfStay,
+  setMaxLengthOfStay,
+  setClosedToArrival,
+  setClosedToDeparture,
+  describeStayRestriction,
   updateCompetitorWeight,
   updateCompetitorDifferential,
   applyPriceIncrease,
@@ -1,5 +1,7 @@
 const actions = require('./actions');
-const { mapToHotelRoomType, roomTypesMatch, HOTEL_TO_AI_MAP } = require('./roomMapping');
+const { mapToHotelRoomType, mapToAIDisplayName, roomTypesMatch } = require('./roomMapping');
+const { getToday, getDateFromToday, getNextWeekend, getThisMonth, formatDate } = require('../utils/dateUtils');
+const { extractOfferWindow } = require('../utils/intentDetection');
 
 // Helper to find a room in context data using room mapping
 function findRoomInContext(rooms, aiRoomType) {
@@ -16,7 +18,7 @@ function findRoomInContext(rooms, aiRoomType) {
 
 // Helper to get display name for a hotel room type
 function getDisplayName(hotelRoomType) {
-  return HOTEL_TO_AI_MAP[hotelRoomType] || hotelRoomType;
+  return mapToAIDisplayName(hotelRoomType);
 }
 
 /**
@@ -202,18 +204,13 @@ function planActionFromPrompt(prompt, contextData = {}) {
       durationUnit = durationMatch[2].toLowerCase();
     }
 
-    // Calculate start and end dates/times
-    const now = new Date();
-    const startDate = now.toISOString();
-    let endDate;
-
-    if (durationUnit === 'hour') {
-      endDate = new Date(now.getTime() + durationValue * 60 * 60 * 1000).toISOString();
-    } else if (durationUnit === 'day') {
-      endDate = new Date(now.getTime() + durationValue * 24 * 60 * 60 * 1000).toISOString();
-    } else if (durationUnit === 'week') {
-      endDate = new Date(now.getTime() + durationValue * 7 * 24 * 60 * 60 * 1000).toISOString();
-    }
+    // Start and end on the property's clock: a time window for hours or a start time, nights otherwise
+    const durationDays = durationUnit === 'week' ? durationValue * 7 : durationUnit === 'day' ? durationValue : 0;
+    const { startDate, endDate } = extractOfferWindow(p.toLowerCase(), {
+      hours: durationDays ? durationDays * 24 : durationValue,
+      days: durationDays,
+      label: `${durationValue} ${durationUnit}${durationValue > 1 ? 's' : ''}`
+    });
 
     // Build reason string - always include duration
     let reason;
@@ -265,31 +262,30 @@ function planActionFromPrompt(prompt, contextData = {}) {
     const lastPrice = priceMatches[priceMatches.length - 1].replace('$', '');
     const price = parseInt(lastPrice);
     
-    // Extract date
-    let targetDate = new Date();
+    // Extract date (on the property's calendar)
+    let targetDate = getToday();
     if (p.includes('tomorrow')) {
-      targetDate.setDate(targetDate.getDate() + 1);
+      targetDate = getDateFromToday(1);
     } else if (p.includes('next weekend')) {
-      // Find next Saturday
-      const daysUntilSaturday = (6 - targetDate.getDay() + 7) % 7 || 7;
-      targetDate.setDate(targetDate.getDate() + daysUntilSaturday);
+      // Next Saturday
+      targetDate = getNextWeekend().saturday;
     }
     // Check for specific date pattern (Dec 25, 12/25, etc.)
     const dateMatch = p.match(/(?:dec|december)\s+(\d+)|(\d+)\/(\d+)/i);
     if (dateMatch) {
       const day = dateMatch[1] || dateMatch[2];
-      const month = dateMatch[3] ? parseInt(dateMatch[3]) - 1 : 11; // Dec = 11
-      targetDate = new Date(2025, month, parseInt(day));
+      const month = dateMatch[3] ? parseInt(dateMatch[3]) : 12; // Dec
+      targetDate = `2025-${String(month).padStart(2, '0')}-${String(parseInt(day)).padStart(2, '0')}`;
     }
 
     return {
       actionName: 'applyPriceOverride',
       parameters: {
         roomId: roomType,
-        date: targetDate.toISOString().split('T')[0],
+        date: targetDate,
         newPrice: price
       },
-      description: `Set a one-time price of $${price} for ${roomType} room on ${targetDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
+      description: `Set a one-time price of $${price} for ${roomType} room on ${formatDate(targetDate)}`,
       confidence: 0.85,
       reasoning: 'Detected explicit price override request for specific room and date'
     };
@@ -312,21 +308,18 @@ function planActionFromPrompt(prompt, contextData = {}) {
       roomType = roomMatch[1].charAt(0).toUpperCase() + roomMatch[1].slice(1) + ' Room';
     }
     
-    // Extract date range
-    let startDate = new Date();
-    let endDate = new Date();
-    
+    // Extract date range (on the property's calendar)
+    let startDate = getToday();
+    let endDate;
+
     if (p.includes('next weekend')) {
-      const daysUntilSaturday = (6 - startDate.getDay() + 7) % 7 || 7;
-      startDate.setDate(startDate.getDate() + daysUntilSaturday);
-      endDate = new Date(startDate);
-      endDate.setDate(endDate.getDate() + 1); // Sat-Sun
-    } else if (p.includes('this week')) {
-      endDate.setDate(endDate.getDate() + 7);
+      const weekend = getNextWeekend(); // Sat-Sun
+      startDate = weekend.saturday;
+      endDate = weekend.sunday;
     } else if (p.includes('this month')) {
-      endDate = new Date(endDate.getFullYear(), endDate.getMonth() + 1, 0);
+      endDate = getThisMonth().end;
     } else {
-      endDate.setDate(endDate.getDate() + 7); // Default 7 days
+      endDate = getDateFromToday(7); // This week, and the default: 7 days
     }
 
     return {
@@ -335,10 +328,10 @@ function planActionFromPrompt(prompt, contextData = {}) {
         roomType,
         clampType,
         newValue: price,
-        startDate: startDate.toISOString().split('T')[0],
-        endDate: endDate.toISOString().split('T')[0]
+        startDate,
+        endDate
       },
-      description: `Set a ${clampType === 'floor' ? 'minimum' : 'maximum'} price of $${price} for ${roomType} from ${startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} to ${endDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} to ${clampType === 'floor' ? 'protect revenue' : 'stay competitive'}`,
+      description: `Set a ${clampType === 'floor' ? 'minimum' : 'maximum'} price of $${price} for ${roomType} from ${formatDate(startDate)} to ${formatDate(endDate)} to ${clampType === 'floor' ? 'protect revenue' : 'stay competitive'}`,
       confidence: 0.82,
       reasoning: `Detected rate ${clampType} request for date range`
     };
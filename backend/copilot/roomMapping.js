@@ -1,51 +1,55 @@
+/**
+ * Room Type Mapping
+ * Maps generic/AI room names ("Deluxe Room") to the property's own room types ("LaRua")
+ *
+ * Aliases and display names come from the current hotel's configuration
+ * (services/hotelRegistry), so every property gets its own vocabulary.
+ */
 
-const AI_TO_HOTEL_MAP = {
-  // Standard Room variations -> Bernard
-  'standard': 'Bernard',
-  'standardroom': 'Bernard',
-  'standard room': 'Bernard',
-  'basic': 'Bernard',
-  'basicroom': 'Bernard',
-  'basic room': 'Bernard',
-
-  // Deluxe Room variations -> LaRua
-  'deluxe': 'LaRua',
-  'deluxeroom': 'LaRua',
-  'deluxe room': 'LaRua',
-
-  // Executive Suite variations -> Santiago
-  'executive': 'Santiago',
-  'executivesuite': 'Santiago',
-  'executive suite': 'Santiago',
-
-  // Premium Suite variations -> Pilar
-  'premium': 'Pilar',
-  'premiumsuite': 'Pilar',
-  'premium suite': 'Pilar',
-
-  // Presidential Suite variations -> Mariana
-  'presidential': 'Mariana',
-  'presidentialsuite': 'Mariana',
-  'presidential suite': 'Mariana',
-  'penthouse': 'Mariana',
-  'penthousesuite': 'Mariana',
-
-  // Direct mappings (already correct)
-  'bernard': 'Bernard',
-  'larua': 'LaRua',
-  'santiago': 'Santiago',
-  'pilar': 'Pilar',
-  'mariana': 'Mariana',
-};
+const { getCurrentHotel } = require('../middleware/hotelContext');
 
-// Reverse mapping: Hotel room types to AI terminology (for display purposes)
-const HOTEL_TO_AI_MAP = {
-  'Bernard': 'Standard Room',
-  'LaRua': 'Deluxe Room',
-  'Santiago': 'Executive Suite',
-  'Pilar': 'Premium Suite',
-  'Mariana': 'Presidential Suite',
-};
+// hotel config object -> { aliasMap, displayNames }; rebuilt when the config is replaced
+const mapsByHotel = new WeakMap();
+
+/**
+ * Alias and display-name maps for the current hotel
+ * @returns {object} { aliasMap: { normalizedAlias: roomType }, displayNames: { roomType: displayName } }
+ */
+function getRoomMaps() {
+  const hotel = getCurrentHotel();
+  if (!hotel) return { aliasMap: {}, displayNames: {} };
+
+  let maps = mapsByHotel.get(hotel);
+  if (!maps) {
+    const aliasMap = {};
+    const displayNames = {};
+    for (const room of hotel.roomTypes) {
+      for (const alias of [...room.aliases, room.displayName]) {
+        aliasMap[normalizeForComparison(alias)] = room.name;
+      }
+      // Direct mappings (already correct)
+      aliasMap[normalizeForComparison(room.name)] = room.name;
+      displayNames[room.name] = room.displayName;
+    }
+    maps = { aliasMap, displayNames };
+    mapsByHotel.set(hotel, maps);
+  }
+  return maps;
+}
+
+/**
+ * Every word that refers to one of the current hotel's room types (names and aliases)
+ * @returns {string[]} Lowercase keywords
+ */
+function getRoomKeywords() {
+  const hotel = getCurrentHotel();
+  if (!hotel) return [];
+
+  // Room type names first, then aliases
+  const names = hotel.roomTypes.map(room => room.name.toLowerCase());
+  const aliases = hotel.roomTypes.flatMap(room => room.aliases.map(a => a.toLowerCase()));
+  return [...new Set([...names, ...aliases])];
+}
 
 /**
  * Normalize a room type string for comparison
@@ -66,21 +70,15 @@ function mapToHotelRoomType(input) {
   if (!input) return input;
 
   const normalized = normalizeForComparison(input);
+  const { aliasMap } = getRoomMaps();
 
-  // Check direct mapping first
-  if (AI_TO_HOTEL_MAP[normalized]) {
-    return AI_TO_HOTEL_MAP[normalized];
-  }
-
-  // Check if input already is a hotel room type (case-insensitive)
-  const hotelTypes = Object.values(AI_TO_HOTEL_MAP);
-  const found = hotelTypes.find(t => normalizeForComparison(t) === normalized);
-  if (found) {
-    return found;
+  // Check direct mapping first (includes the hotel's own room type names)
+  if (aliasMap[normalized]) {
+    return aliasMap[normalized];
   }
 
   // Try partial matching as fallback
-  for (const [key, value] of Object.entries(AI_TO_HOTEL_MAP)) {
+  for (const [key, value] of Object.entries(aliasMap)) {
     if (normalized.includes(key) || key.includes(normalized)) {
       return value;
     }
@@ -97,7 +95,7 @@ function mapToHotelRoomType(input) {
  */
 function mapToAIDisplayName(hotelRoomType) {
   if (!hotelRoomType) return hotelRoomType;
-  return HOTEL_TO_AI_MAP[hotelRoomType] || hotelRoomType;
+  return getRoomMaps().displayNames[hotelRoomType] || hotelRoomType;
 }
 
 /**
@@ -125,16 +123,17 @@ function getAllVariations(roomType) {
   const normalized = normalizeForComparison(hotelType);
 
   const variations = [hotelType, normalized];
+  const { aliasMap, displayNames } = getRoomMaps();
 
   // Add AI name if it exists
-  const aiName = HOTEL_TO_AI_MAP[hotelType];
+  const aiName = displayNames[hotelType];
   if (aiName) {
     variations.push(aiName);
     variations.push(normalizeForComparison(aiName));
   }
 
   // Add all keys that map to this hotel type
-  for (const [key, value] of Object.entries(AI_TO_HOTEL_MAP)) {
+  for (const [key, value] of Object.entries(aliasMap)) {
     if (value === hotelType) {
       variations.push(key);
     }
@@ -149,6 +148,5 @@ module.exports = {
   roomTypesMatch,
   normalizeForComparison,
   getAllVariations,
-  AI_TO_HOTEL_MAP,
-  HOTEL_TO_AI_MAP,
+  getRoomKeywords,
 };
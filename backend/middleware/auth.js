@@ -0,0 +1,105 @@
+/**
+ * Authentication & Authorization
+ * Resolves the signed-in user from a Bearer token and enforces roles
+ *
+ * Roles, lowest to highest: viewer (read-only), analyst (uploads data),
+ * revenue_manager (changes live pricing and property configuration).
+ */
+
+const userStore = require('../services/userStore');
+const { verifyToken } = require('../utils/authTokens');
+
+const ROLE_RANK = { viewer: 0, analyst: 1, revenue_manager: 2 };
+
+// Minimum role for each copilot action; anything not listed needs a revenue manager
+const ACTION_ROLES = {
+  applyPriceOverride: 'revenue_manager',
+  adjustRateClamp: 'revenue_manager',
+  setMinLengthOfStay: 'revenue_manager',
+  setMaxLengthOfStay: 'revenue_manager',
+  setClosedToArrival: 'revenue_manager',
+  setClosedToDeparture: 'revenue_manager',
+  updateCompetitorWeight: 'revenue_manager',
+  updateCompetitorDifferential: 'revenue_manager',
+  applyPriceIncrease: 'revenue_manager',
+  applyWeekendRateIncrease: 'revenue_manager',
+  applyTemporaryPricing: 'revenue_manager',
+  applyMultiplePromotions: 'revenue_manager',
+  scheduleAction: 'revenue_manager',
+  undoLastAction: 'revenue_manager'
+};
+
+function hasRole(user, role) {
+  return Boolean(user) && (ROLE_RANK[user.role] ?? -1) >= ROLE_RANK[role];
+}
+
+/**
+ * Attach req.user when a valid Bearer token is present.
+ * Requests without a token pass through anonymously; a bad or expired token is a 401.
+ */
+function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  if (!header.startsWith('Bearer ')) return next();
+
+  const claims = verifyToken(header.slice(7).trim());
+  // Look the user up again so role changes apply to existing sessions
+  const user = claims && userStore.get(claims.sub);
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid or expired session, please log in again' });
+  }
+
+  req.user = userStore.publicUser(user);
+  next();
+}
+
+/**
+ * Require a signed-in user with at least the given role
+ * @param {string} role - Minimum role (default: viewer)
+ */
+function requireRole(role = 'viewer') {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        details: `Requires role ${role} (you are ${req.user.role})`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Require the role needed for the action being executed
+ * (req.proposal when approving a queued proposal, otherwise req.body.actionName)
+ */
+function authorizeAction(req, res, next) {
+  const actionName = req.proposal?.actionName || req.body?.actionName;
+  const role = ACTION_ROLES[actionName] || 'revenue_manager';
+  return requireRole(role)(req, res, next);
+}
+
+/**
+ * Audit fields for the authenticated user
+ * @param {object} user - req.user
+ * @returns {object} { operator, operatorName, operatorId, operatorRole }
+ */
+function auditIdentity(user) {
+  return {
+    operator: user.email,
+    operatorName: `${user.firstName} ${user.lastName}`.trim() || user.email,
+    operatorId: user.id,
+    operatorRole: user.role
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  authorizeAction,
+  auditIdentity,
+  hasRole,
+  ACTION_ROLES
+};
@@ -0,0 +1,62 @@
+/**
+ * Hotel Context
+ * Scopes each request to one property
+ *
+ * The hotel id comes from the X-Hotel-Id header or ?hotelId= query parameter
+ * (default: DEFAULT_HOTEL_ID). AsyncLocalStorage keeps it available to
+ * dataLoader, actionStore and the pricing modules without threading it
+ * through every call.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const hotelRegistry = require('../services/hotelRegistry');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Id of the property the current request (or background job) is working on
+ * @returns {string}
+ */
+function getCurrentHotelId() {
+  return storage.getStore()?.hotelId || hotelRegistry.defaultId;
+}
+
+/**
+ * Configuration of the current property
+ * @returns {object|null}
+ */
+function getCurrentHotel() {
+  return hotelRegistry.get(getCurrentHotelId());
+}
+
+/**
+ * Run fn scoped to a property (background jobs, startup tasks)
+ * @param {string} hotelId
+ * @param {function} fn
+ * @returns {any} Whatever fn returns
+ */
+function runWithHotel(hotelId, fn) {
+  return storage.run({ hotelId }, fn);
+}
+
+/**
+ * Express middleware: resolve the hotel id and scope the rest of the request to it
+ */
+function hotelContext(req, res, next) {
+  const hotelId = req.get('X-Hotel-Id') || req.query.hotelId || hotelRegistry.defaultId;
+  const hotel = hotelRegistry.get(hotelId);
+
+  if (!hotel) {
+    return res.status(404).json({ error: `Unknown hotel "${hotelId}"` });
+  }
+
+  req.hotel = hotel;
+  storage.run({ hotelId: hotel.id }, next);
+}
+
+module.exports = {
+  hotelContext,
+  getCurrentHotelId,
+  getCurrentHotel,
+  runWithHotel
+};
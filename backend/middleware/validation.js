@@ -22,12 +22,17 @@ const validateActionName = (actionName) => {
   const validActions = [
     'applyPriceOverride',
     'adjustRateClamp',
+    'setMinLengthOfStay',
+    'setMaxLengthOfStay',
+    'setClosedToArrival',
+    'setClosedToDeparture',
     'updateCompetitorWeight',
     'updateCompetitorDifferential',
     'applyPriceIncrease',
     'applyWeekendRateIncrease',
     'applyTemporaryPricing',
     'applyMultiplePromotions',
+    'scheduleAction',
     'undoLastAction'
   ];
   if (!validActions.includes(actionName)) {
@@ -0,0 +1,357 @@
+/**
+ * Pricing Backtest
+ *
+ * Replays historical reservations under alternate pricing rules to answer
+ * "what would February have earned if weekend premiums were 20%?".
+ *
+ * For every historical night and room type:
+ * 1. The realized rooms sold and ADR come from the reservations
+ * 2. The candidate price is either an explicit override, or the realized ADR
+ *    scaled by (pipeline price under the candidate config / pipeline price under the current config,
+ *    see pricingPipeline.js)
+ * 3. Demand reacts to the price change with the room type's fitted elasticity
+ *    (see elasticity.js), or with an explicit linear { increase, decrease } response,
+ *    capped at inventory
+ *
+ * Nights with no bookings stay empty: the model scales observed demand and cannot create it.
+ */
+
+const { PRICING_CONFIG, priceNight, getPropertyPricingConfig } = require('./pricingPipeline');
+const { listNights, matchesRoomType, MAX_NIGHTS } = require('./rateResolver');
+const { getElasticity, demandMultiplier } = require('./elasticity');
+const { getToday, isValidDate, addDays, daysBetween, toISODate } = require('../utils/dateUtils');
+
+// Fills in an explicit elasticity option: -1.5% demand per 1% increase, +1% per 1% decrease
+const DEFAULT_ELASTICITY = { increase: 1.5, decrease: 1.0 };
+
+const DEFAULT_RANGE_NIGHTS = 90;
+const EXCLUDED_STATUSES = ['cancelled', 'canceled', 'no show'];
+const HISTORICAL_STATUSES = ['checked out', 'completed', 'in-house'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Merge a partial PRICING_CONFIG onto a full one (arrays are replaced, not merged)
+ * @param {object} base - Full pricing config
+ * @param {object} patch - e.g. { dayOfWeekRules: { weekend: { adjustment: 0.20 } } }
+ * @returns {object}
+ */
+function mergePricingConfig(base, patch = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergePricingConfig(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Validate backtest options
+ * @param {object} options - { from, to, roomType, config, overrides, elasticity }
+ * @returns {object} { valid, error? }
+ */
+function validateBacktestOptions(options = {}) {
+  const { from, to, config, overrides, elasticity } = options;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && !isValidDate(value)) {
+      return { valid: false, error: `Invalid ${name} date "${value}" (expected YYYY-MM-DD)` };
+    }
+  }
+  if (from && to && from > to) {
+    return { valid: false, error: '"from" must be on or before "to"' };
+  }
+  if (config !== undefined && !isPlainObject(config)) {
+    return { valid: false, error: 'config must be an object (a partial PRICING_CONFIG)' };
+  }
+  const unknownKey = Object.keys(config || {}).find(key => !(key in PRICING_CONFIG));
+  if (unknownKey) {
+    return { valid: false, error: `Unknown pricing config key "${unknownKey}" (expected: ${Object.keys(PRICING_CONFIG).join(', ')})` };
+  }
+  if (overrides !== undefined && !Array.isArray(overrides)) {
+    return { valid: false, error: 'overrides must be an array' };
+  }
+
+  for (const [i, override] of (overrides || []).entries()) {
+    if (!isPlainObject(override)) {
+      return { valid: false, error: `overrides[${i}] must be an object` };
+    }
+    const hasPrice = override.price !== undefined;
+    const hasPercentage = override.percentage !== undefined;
+    if (hasPrice === hasPercentage) {
+      return { valid: false, error: `overrides[${i}] needs exactly one of price or percentage` };
+    }
+    if (hasPrice && !(typeof override.price === 'number' && override.price > 0)) {
+      return { valid: false, error: `overrides[${i}].price must be a positive number` };
+    }
+    if (hasPercentage && !(typeof override.percentage === 'number' && override.percentage > -100)) {
+      return { valid: false, error: `overrides[${i}].percentage must be a number above -100` };
+    }
+    for (const name of ['from', 'to']) {
+      if (override[name] !== undefined && !isValidDate(override[name])) {
+        return { valid: false, error: `overrides[${i}].${name} must be YYYY-MM-DD` };
+      }
+    }
+    if (override.days !== undefined &&
+        !(Array.isArray(override.days) && override.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+      return { valid: false, error: `overrides[${i}].days must be weekday numbers (0 = Sunday ... 6 = Saturday)` };
+    }
+  }
+
+  if (elasticity !== undefined) {
+    if (!isPlainObject(elasticity)) {
+      return { valid: false, error: 'elasticity must be an object { increase, decrease }' };
+    }
+    for (const name of ['increase', 'decrease']) {
+      const value = elasticity[name];
+      if (value !== undefined && !(typeof value === 'number' && value >= 0 && value <= 10)) {
+        return { valid: false, error: `elasticity.${name} must be a number between 0 and 10` };
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Rooms sold and room revenue per room type per night
+ * @returns {object} { [roomType]: { [date]: { sold, revenue } } }
+ */
+function collectHistoricalNights(reservations, roomTypes, from, to) {
+  const nights = {};
+  for (const roomType of roomTypes) nights[roomType] = {};
+
+  for (const res of reservations) {
+    const status = (res.status || res.Status || '').toLowerCase();
+    if (EXCLUDED_STATUSES.includes(status)) continue;
+
+    const roomType = roomTypes.find(rt => rt === (res.room_type || '').trim());
+    const checkIn = toISODate(res.check_in_date);
+    if (!roomType || !checkIn) continue;
+
+    const checkOut = toISODate(res.check_out_date);
+    const stayNights = checkOut
+      ? Math.max(1, daysBetween(checkIn, checkOut))
+      : (res.nights || 1);
+    const rate = parseFloat(res.price_per_night) || 0;
+
+    for (let i = 0; i < stayNights; i++) {
+      const date = addDays(checkIn, i);
+      if (date < from || date > to) continue;
+      const night = nights[roomType][date] || (nights[roomType][date] = { sold: 0, revenue: 0 });
+      night.sold += 1;
+      night.revenue += rate;
+    }
+  }
+  return nights;
+}
+
+/**
+ * Latest override covering this night, or null
+ */
+function findOverride(overrides, roomType, date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const matching = overrides.filter(o =>
+    (!o.roomType || matchesRoomType(o.roomType, roomType)) &&
+    (!o.from || o.from <= date) &&
+    (!o.to || date <= o.to) &&
+    (!o.days || o.days.includes(day))
+  );
+  return matching.length > 0 ? matching[matching.length - 1] : null;
+}
+
+/**
+ * Share of demand kept after a price change
+ * @param {number} priceRatio - New price / old price
+ * @param {object} elasticity - { increase, decrease }
+ */
+function demandFactor(priceRatio, elasticity) {
+  const changePct = (priceRatio - 1) * 100;
+  if (changePct > 0) return Math.max(0, 1 - changePct * elasticity.increase / 100);
+  return 1 + Math.abs(changePct) * elasticity.decrease / 100;
+}
+
+function emptyTotals() {
+  return { roomNightsAvailable: 0, roomNightsSold: 0, revenue: 0 };
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * ADR, occupancy (%) and RevPAR from summed totals
+ */
+function summarize(totals) {
+  const { roomNightsAvailable, roomNightsSold, revenue } = totals;
+  return {
+    roomNightsAvailable,
+    roomNightsSold: round(roomNightsSold, 1),
+    revenue: round(revenue),
+    adr: roomNightsSold > 0 ? round(revenue / roomNightsSold) : 0,
+    occupancy: roomNightsAvailable > 0 ? round(roomNightsSold / roomNightsAvailable * 100, 1) : 0,
+    revpar: roomNightsAvailable > 0 ? round(revenue / roomNightsAvailable) : 0
+  };
+}
+
+function compare(actual, simulated) {
+  return {
+    revenue: round(simulated.revenue - actual.revenue),
+    revenuePct: actual.revenue > 0 ? round((simulated.revenue - actual.revenue) / actual.revenue * 100, 1) : 0,
+    adr: round(simulated.adr - actual.adr),
+    occupancyPts: round(simulated.occupancy - actual.occupancy, 1),
+    revpar: round(simulated.revpar - actual.revpar)
+  };
+}
+
+/**
+ * Latest arrival of a stay that actually took place (checked out or in-house)
+ * Future bookings are left out so default windows cover real history.
+ * @param {Array} reservations
+ * @returns {string|null} YYYY-MM-DD
+ */
+function lastHistoricalArrival(reservations) {
+  const latest = reservations.reduce((last, res) => {
+    const status = (res.status || res.Status || '').toLowerCase();
+    if (!HISTORICAL_STATUSES.includes(status)) return last;
+    const checkIn = toISODate(res.check_in_date);
+    return checkIn && checkIn > last ? checkIn : last;
+  }, '');
+  return latest || null;
+}
+
+/**
+ * Default window: the 90 nights up to the last historical arrival (or yesterday)
+ */
+function defaultRange(reservations, from, to) {
+  if (from && to) return { from, to };
+  if (from) return { from, to: addDays(from, DEFAULT_RANGE_NIGHTS - 1) };
+
+  const yesterday = addDays(getToday(), -1);
+  const lastArrival = lastHistoricalArrival(reservations);
+  const end = to || (lastArrival && lastArrival < yesterday ? lastArrival : yesterday);
+  return { from: addDays(end, -(DEFAULT_RANGE_NIGHTS - 1)), to: end };
+}
+
+/**
+ * Run a backtest
+ * @param {object} options - { from, to, roomType, config, overrides, elasticity }
+ *   config: partial PRICING_CONFIG merged onto the property's current one
+ *   elasticity: { increase, decrease } linear response; omit to use each room type's fitted elasticity
+ *   overrides: [{ roomType?, from?, to?, days?, price | percentage }] - percentage is relative to the realized ADR; later entries win
+ * @param {object} data - { reservations, rooms, competitors }
+ * @returns {object} { from, to, nights, candidate, elasticity, roomTypes, total } - elasticity is null when fitted per room type
+ */
+function runBacktest(options = {}, data = {}) {
+  const { reservations = [], rooms = [], competitors = [] } = data;
+  const { roomType: roomFilter, config: configPatch = {}, overrides = [] } = options;
+  const elasticity = options.elasticity ? { ...DEFAULT_ELASTICITY, ...options.elasticity } : null;
+  const { from, to } = defaultRange(reservations, options.from, options.to);
+
+  const nightCount = daysBetween(from, to) + 1;
+  if (nightCount > MAX_NIGHTS) {
+    throw new Error(`Date range too long (max ${MAX_NIGHTS} nights)`);
+  }
+  const nights = listNights(from, to);
+
+  const selectedRooms = rooms
+    .map(room => ({
+      roomType: room.room_type || room['Room Type'],
+      basePrice: parseFloat(room.base_price || room['Base Price']) || 0,
+      totalRooms: parseInt(room.total_rooms || room['Total Rooms']) || 0
+    }))
+    .filter(room => room.totalRooms > 0 && (!roomFilter || matchesRoomType(roomFilter, room.roomType)));
+
+  const history = collectHistoricalNights(reservations, selectedRooms.map(r => r.roomType), from, to);
+  const totalActual = emptyTotals();
+  const totalSimulated = emptyTotals();
+
+  const roomTypes = selectedRooms.map(room => {
+    const currentConfig = getPropertyPricingConfig(room.roomType, room.basePrice);
+    const candidateConfig = mergePricingConfig(currentConfig, configPatch);
+    const fitted = elasticity ? null : getElasticity(reservations, room.roomType);
+
+    const actual = emptyTotals();
+    const simulated = emptyTotals();
+    let repricedNights = 0;
+
+    for (const date of nights) {
+      actual.roomNightsAvailable += room.totalRooms;
+      simulated.roomNightsAvailable += room.totalRooms;
+
+      const night = history[room.roomType][date];
+      if (!night) continue;
+
+      const actualAdr = night.revenue / night.sold;
+      actual.roomNightsSold += night.sold;
+      actual.revenue += night.revenue;
+
+      let priceRatio;
+      const override = findOverride(overrides, room.roomType, date);
+      if (override) {
+        priceRatio = override.price !== undefined
+          ? (actualAdr > 0 ? override.price / actualAdr : 1)
+          : 1 + override.percentage / 100;
+      } else {
+        const pricing = {
+          basePrice: room.basePrice,
+          competitors,
+          occupancyRate: night.sold / room.totalRooms,
+          date,
+          roomType: room.roomType
+        };
+        const currentPrice = priceNight({ ...pricing, config: currentConfig }).finalPrice;
+        const candidatePrice = priceNight({ ...pricing, config: candidateConfig }).finalPrice;
+        priceRatio = currentPrice > 0 ? candidatePrice / currentPrice : 1;
+      }
+
+      if (priceRatio !== 1) repricedNights++;
+      const demand = elasticity ? demandFactor(priceRatio, elasticity) : demandMultiplier(priceRatio, fitted.elasticity);
+      const sold = Math.min(room.totalRooms, night.sold * demand);
+      simulated.roomNightsSold += sold;
+      simulated.revenue += sold * actualAdr * priceRatio;
+    }
+
+    for (const key of Object.keys(actual)) {
+      totalActual[key] += actual[key];
+      totalSimulated[key] += simulated[key];
+    }
+
+    const actualSummary = summarize(actual);
+    const simulatedSummary = summarize(simulated);
+    return {
+      roomType: room.roomType,
+      totalRooms: room.totalRooms,
+      repricedNights,
+      elasticity: fitted,
+      actual: actualSummary,
+      simulated: simulatedSummary,
+      delta: compare(actualSummary, simulatedSummary)
+    };
+  });
+
+  const actual = summarize(totalActual);
+  const simulated = summarize(totalSimulated);
+
+  return {
+    from,
+    to,
+    nights: nights.length,
+    candidate: { config: configPatch, overrides },
+    elasticity,
+    roomTypes,
+    total: { actual, simulated, delta: compare(actual, simulated) }
+  };
+}
+
+module.exports = {
+  runBacktest,
+  validateBacktestOptions,
+  lastHistoricalArrival,
+  mergePricingConfig,
+  DEFAULT_ELASTICITY
+};
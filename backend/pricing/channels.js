@@ -0,0 +1,206 @@
+/**
+ * Channel & Source Mix
+ *
+ * Groups reservations by booking channel, derived from the PMS "Source" field
+ * (e.g. "Expedia (Hotel Collect Booking)" and "Expedia (Channel Collect Booking)"
+ * are both Expedia), and reports per channel and room type:
+ * bookings, room-nights, revenue, ADR, average lead time, cancellation rate,
+ * and revenue net of channel commission.
+ *
+ * Commission rates come from the pricing config's channelCommissions (a
+ * property can override them in its hotel config under pricing). They are
+ * applied to accommodation revenue.
+ *
+ * Stays are counted by check-in date. Cancelled reservations count towards
+ * bookings and the cancellation rate only; no-shows earn no room-nights.
+ */
+
+const { isValidDate, daysBetween, toISODate } = require('../utils/dateUtils');
+
+const CHANNELS = [
+  { id: 'direct', name: 'Direct (website, phone, email, walk-in)', pattern: /website|booking engine|phone|e-?mail|walk-?in/i },
+  { id: 'expedia', name: 'Expedia', pattern: /expedia|hotels\.com|orbitz|travelocity|egencia/i },
+  { id: 'booking', name: 'Booking.com', pattern: /booking\.com/i },
+  { id: 'airbnb', name: 'Airbnb', pattern: /airbnb/i },
+  { id: 'vrbo', name: 'Vrbo', pattern: /vrbo/i },
+  { id: 'hopper', name: 'Hopper', pattern: /hopper/i },
+  { id: 'gds', name: 'GDS & channel manager', pattern: /siteminder|sabre|amadeus|worldspan|galileo/i },
+  { id: 'corporate', name: 'Corporate & tax exempt', pattern: /corporate|tax exempt/i },
+  { id: 'travelAgent', name: 'Travel agents & wholesalers', pattern: /travel agent|wholesaler/i },
+  { id: 'group', name: 'Groups & weddings', pattern: /wedding|group|hcawf/i }
+];
+const OTHER_CHANNEL = { id: 'other', name: 'Other' };
+const CHANNEL_IDS = [...CHANNELS.map(c => c.id), OTHER_CHANNEL.id];
+
+const CANCELLED_STATUSES = ['cancelled', 'canceled'];
+const NO_SHOW_STATUSES = ['no show', 'no-show', 'noshow'];
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Channel id for a PMS source (and, for OTAs, its origin)
+ * @param {string} source - e.g. "Booking.com (Hotel Collect Booking)"
+ * @param {string} origin - e.g. "Hotels.com"
+ * @returns {string} Channel id (see CHANNEL_IDS)
+ */
+function classifyChannel(source, origin = '') {
+  const text = `${source || ''} ${origin || ''}`;
+  const channel = CHANNELS.find(c => c.pattern.test(source || '')) || CHANNELS.find(c => c.pattern.test(text));
+  return channel ? channel.id : OTHER_CHANNEL.id;
+}
+
+/**
+ * Display name for a channel id
+ */
+function channelName(id) {
+  return (CHANNELS.find(c => c.id === id) || OTHER_CHANNEL).name;
+}
+
+/**
+ * Channel id for user input ("Booking.com", "expedia", "direct"), or null when unknown
+ */
+function normalizeChannel(input) {
+  if (!input) return null;
+  const value = String(input).trim();
+  if (CHANNEL_IDS.includes(value)) return value;
+  const byId = CHANNEL_IDS.find(id => id.toLowerCase() === value.toLowerCase());
+  if (byId) return byId;
+  const byPattern = CHANNELS.find(c => c.pattern.test(value));
+  return byPattern ? byPattern.id : null;
+}
+
+/**
+ * Validate channel report options
+ * @returns {object} { valid, error? }
+ */
+function validateChannelOptions({ from, to } = {}) {
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && !isValidDate(value)) {
+      return { valid: false, error: `Invalid ${name} date "${value}" (expected YYYY-MM-DD)` };
+    }
+  }
+  if (from && to && from > to) {
+    return { valid: false, error: '"from" must be on or before "to"' };
+  }
+  return { valid: true };
+}
+
+function emptyTotals() {
+  return { bookings: 0, cancelled: 0, stays: 0, roomNights: 0, revenue: 0, commission: 0, leadDays: 0, leadCount: 0 };
+}
+
+function addReservation(totals, res, commissionRate) {
+  totals.bookings++;
+  if (res.leadDays !== null) {
+    totals.leadDays += res.leadDays;
+    totals.leadCount++;
+  }
+  if (res.cancelled) {
+    totals.cancelled++;
+    return;
+  }
+  totals.stays++;
+  if (res.noShow) return;
+  totals.roomNights += res.nights;
+  totals.revenue += res.revenue;
+  totals.commission += res.revenue * commissionRate;
+}
+
+function summarize(totals, totalRevenue) {
+  const netRevenue = totals.revenue - totals.commission;
+  return {
+    bookings: totals.bookings,
+    cancelled: totals.cancelled,
+    cancellationRate: totals.bookings > 0 ? round(totals.cancelled / totals.bookings, 3) : 0,
+    roomNights: totals.roomNights,
+    revenue: round(totals.revenue),
+    adr: totals.roomNights > 0 ? round(totals.revenue / totals.roomNights) : null,
+    avgLeadDays: totals.leadCount > 0 ? round(totals.leadDays / totals.leadCount, 1) : null,
+    commission: round(totals.commission),
+    netRevenue: round(netRevenue),
+    netAdr: totals.roomNights > 0 ? round(netRevenue / totals.roomNights) : null,
+    revenueShare: totalRevenue > 0 ? round(totals.revenue / totalRevenue, 3) : 0
+  };
+}
+
+/**
+ * Build the channel mix report
+ * @param {object} options - { from, to, roomType } (stay dates by check-in; default: all history)
+ * @param {object} data - { reservations, roomTypes: hotel room type names, commissions: { [channelId]: rate } }
+ * @returns {object} { from, to, channels: [...], totals }
+ */
+function buildChannelReport(options = {}, data = {}) {
+  const { reservations = [], roomTypes = [], commissions = {} } = data;
+  const { from = null, to = null, roomType = null } = options;
+
+  const rows = [];
+  for (const res of reservations) {
+    const type = roomTypes.find(rt => rt === (res.room_type || '').split('(')[0].trim());
+    const checkIn = toISODate(res.check_in_date);
+    if (!type || !checkIn) continue;
+    if ((roomType && type !== roomType) || (from && checkIn < from) || (to && checkIn > to)) continue;
+
+    const status = (res.status || res.Status || '').toLowerCase();
+    const booked = toISODate(res.booking_date);
+    rows.push({
+      channel: classifyChannel(res.source, res.origin),
+      source: res.source || '(none)',
+      roomType: type,
+      cancelled: CANCELLED_STATUSES.includes(status),
+      noShow: NO_SHOW_STATUSES.includes(status),
+      nights: parseInt(res.nights) || 1,
+      revenue: parseFloat(res.accommodation_total ?? (res.price_per_night || 0) * (parseInt(res.nights) || 1)) || 0,
+      leadDays: booked ? Math.max(0, daysBetween(booked, checkIn)) : null
+    });
+  }
+
+  const byChannel = new Map();
+  const overall = emptyTotals();
+  for (const row of rows) {
+    const rate = commissions[row.channel] || 0;
+    if (!byChannel.has(row.channel)) {
+      byChannel.set(row.channel, { totals: emptyTotals(), sources: {}, roomTypes: new Map() });
+    }
+    const entry = byChannel.get(row.channel);
+    addReservation(entry.totals, row, rate);
+    addReservation(overall, row, rate);
+    entry.sources[row.source] = (entry.sources[row.source] || 0) + 1;
+    if (!entry.roomTypes.has(row.roomType)) entry.roomTypes.set(row.roomType, emptyTotals());
+    addReservation(entry.roomTypes.get(row.roomType), row, rate);
+  }
+
+  const channels = [...byChannel.entries()]
+    .map(([id, entry]) => ({
+      channel: id,
+      name: channelName(id),
+      commissionRate: commissions[id] || 0,
+      ...summarize(entry.totals, overall.revenue),
+      sources: Object.entries(entry.sources)
+        .sort((a, b) => b[1] - a[1])
+        .map(([source, bookings]) => ({ source, bookings })),
+      roomTypes: [...entry.roomTypes.entries()]
+        .map(([type, totals]) => ({ roomType: type, ...summarize(totals, entry.totals.revenue) }))
+        .sort((a, b) => b.revenue - a.revenue)
+    }))
+    .sort((a, b) => b.revenue - a.revenue);
+
+  return {
+    from,
+    to,
+    roomType,
+    channels,
+    totals: summarize(overall, overall.revenue)
+  };
+}
+
+module.exports = {
+  buildChannelReport,
+  validateChannelOptions,
+  classifyChannel,
+  normalizeChannel,
+  channelName,
+  CHANNEL_IDS
+};
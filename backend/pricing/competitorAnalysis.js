@@ -1,8 +1,20 @@
+const { applyLatestObservations } = require('./competitorPricing');
 
-function analyzeCompetitors(room, competitors, allRooms) {
+/**
+ * Market position of a room against its competitors
+ * @param {object} room - Room data
+ * @param {Array} competitors - Competitor rows (competitors.csv shape)
+ * @param {Array} allRooms - All rooms
+ * @param {object} options - { stayDate, observations, asOf }: with a stay date, competitors are
+ *   priced from their latest rate-shop observation for that night (see services/competitorRates)
+ */
+function analyzeCompetitors(room, competitors, allRooms, options = {}) {
   const roomType = room.room_type || room['Room Type'];
   const currentPrice = room.base_price || room['Base Price'];
-  const relevantCompetitors = competitors.filter(c => 
+  const priced = options.stayDate
+    ? applyLatestObservations(competitors, options.observations, options.stayDate, options.asOf)
+    : competitors;
+  const relevantCompetitors = priced.filter(c => 
     (c.room_type || c['Room Type']) === roomType
   );
   
@@ -67,7 +79,8 @@ function analyzeCompetitors(room, competitors, allRooms) {
     competitorCount: relevantCompetitors.length,
     competitors: relevantCompetitors.map(c => ({
       name: c.competitor_name || c['Competitor Name'],
-      price: c.avg_price || c['Avg Price']
+      price: c.avg_price || c['Avg Price'],
+      ...(c.price_source && { priceSource: c.price_source, observedAt: c.observed_at })
     })),
     threats,
     recommendation
@@ -77,11 +90,11 @@ function analyzeCompetitors(room, competitors, allRooms) {
 /**
  * Get market share estimate based on pricing
  */
-function estimateMarketShare(rooms, competitors) {
+function estimateMarketShare(rooms, competitors, options = {}) {
   const totalRoomInventory = rooms.reduce((sum, r) => sum + (r.total_rooms || r['Total Rooms']), 0);
   
   return rooms.map(room => {
-    const analysis = analyzeCompetitors(room, competitors, rooms);
+    const analysis = analyzeCompetitors(room, competitors, rooms, options);
     
     // Estimate market share based on price position
     let shareEstimate = 0.33; // default
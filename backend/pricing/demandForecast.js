@@ -1,3 +1,37 @@
+/**
+ * Occupancy Forecasting
+ *
+ * Per room type, rooms sold on a future night are forecast as
+ *   on the books + (1 - share usually booked by this lead time) × seasonal baseline
+ * where the baseline is
+ *   recent demand level × weekday index × month index × holiday factor
+ *
+ * - Weekday indices come from the last 52 weeks, month indices from all history
+ *   (shrunk towards 1 for months with little data)
+ * - The level is the deseasonalized average of the last 8 weeks
+ * - The holiday factor compares hotel-wide holidays and events (services/eventCalendar)
+ *   with the same weekday one and two weeks either side
+ * - Pickup shares come from pace.js: how much of a night's final count was on
+ *   the books N days out, over the last 52 weeks
+ *
+ * 80% prediction intervals use the error of one-day-ahead baseline forecasts over
+ * the last 13 weeks, narrowed as more of the night is already booked.
+ */
+
+const { indexBookings, onTheBooks, snapshotDate } = require('./pace');
+const { listNights, matchesRoomType, MAX_NIGHTS } = require('./rateResolver');
+const eventCalendar = require('../services/eventCalendar');
+const { isValidDate, addDays, daysBetween } = require('../utils/dateUtils');
+
+const LEVEL_DAYS = 56;
+const SEASON_DAYS = 364;
+const RESIDUAL_DAYS = 91;
+const MONTH_SHRINK_DAYS = 30;  // A month's index counts as much as 30 days at 1.0
+const HOLIDAY_SHRINK = 5;      // ...and the holiday factor as five holidays at 1.0
+const Z_80 = 1.2816;
+const DEFAULT_HOLDOUT_DAYS = 28;
+const MAX_HOLDOUT_DAYS = 90;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
 function movingAverage(data, window = 7) {
   if (data.length < window) return data[data.length - 1] || 0;
@@ -15,67 +49,376 @@ function exponentialSmoothing(data, alpha = 0.3) {
   }
   return smoothed;
 }
-function forecastOccupancy(reservations, rooms, daysAhead = 7) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  const totalRooms = rooms.reduce((sum, r) => sum + (r.total_rooms || r['Total Rooms']), 0);
-  
-  // Calculate historical occupancy rates for past 30 days
-  const historicalRates = [];
-  for (let i = 30; i >= 0; i--) {
-    const date = new Date(today);
-    date.setDate(date.getDate() - i);
-    const dateStr = date.toISOString().split('T')[0];
-    
-    const bookedCount = reservations.filter(r => {
-      const checkIn = r.check_in_date || r['Check In Date'];
-      const checkOut = r.check_out_date || r['Check Out Date'];
-      return checkIn <= dateStr && checkOut > dateStr &&
-             (r.status || r.Status || '').toLowerCase() === 'confirmed';
-    }).length;
-    
-    historicalRates.push(bookedCount / totalRooms);
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function dayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function monthOf(date) {
+  return parseInt(date.slice(5, 7)) - 1;
+}
+
+/**
+ * Holiday and event names by night between two dates
+ * Only hotel-wide events count: the holiday factor is estimated for the whole hotel.
+ */
+function holidaysBetween(from, to) {
+  const holidays = new Map();
+  for (const event of eventCalendar.list({ from, to })) {
+    if (event.roomTypes.length > 0) continue;
+    for (let date = event.startDate; date <= event.endDate; date = addDays(date, 1)) {
+      if (date < from || date > to) continue;
+      holidays.set(date, holidays.has(date) ? `${holidays.get(date)}, ${event.name}` : event.name);
+    }
   }
-  
-  // Generate forecasts for next N days
-  const forecasts = [];
-  for (let i = 1; i <= daysAhead; i++) {
-    const targetDate = new Date(today);
-    targetDate.setDate(targetDate.getDate() + i);
-    const dayOfWeek = targetDate.getDay();
-    
-    // Base forecast using exponential smoothing
-    let baseForecast = exponentialSmoothing(historicalRates);
-    
-    // Adjust for day of week (weekends typically higher)
-    const weekendBoost = (dayOfWeek === 5 || dayOfWeek === 6) ? 1.15 : 1.0;
-    const sundayDip = (dayOfWeek === 0) ? 0.95 : 1.0;
-    
-    let forecast = baseForecast * weekendBoost * sundayDip;
-    forecast = Math.max(0, Math.min(1, forecast)); // Clamp between 0 and 1
-    
-    // Calculate confidence based on data variance
-    const variance = historicalRates.reduce((sum, rate) => {
-      return sum + Math.pow(rate - baseForecast, 2);
-    }, 0) / historicalRates.length;
-    const confidence = Math.max(0.5, 1 - variance * 2);
-    
-    forecasts.push({
-      date: targetDate.toISOString().split('T')[0],
-      dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][dayOfWeek],
+  return holidays;
+}
+
+/**
+ * Occupancy on holidays relative to the same weekday one and two weeks either side
+ * @param {Function} sold - date => rooms sold (hotel-wide)
+ * @returns {number} Multiplier, shrunk towards 1
+ */
+function estimateHolidayFactor(sold, holidays, firstNight, asOf) {
+  let actual = 0, expected = 0, count = 0;
+  for (const date of holidays.keys()) {
+    const neighbours = [-14, -7, 7, 14].map(offset => addDays(date, offset))
+      .filter(d => d >= firstNight && d <= asOf && !holidays.has(d));
+    if (date < firstNight || date > asOf || neighbours.length === 0) continue;
+
+    actual += sold(date);
+    expected += neighbours.reduce((sum, d) => sum + sold(d), 0) / neighbours.length;
+    count++;
+  }
+  if (count === 0 || expected === 0) return 1;
+  return (count * (actual / expected) + HOLIDAY_SHRINK) / (count + HOLIDAY_SHRINK);
+}
+
+/**
+ * Fit the forecast model for one series (a room type) from nights up to asOf
+ * @param {object} leadsByDate - pace.indexBookings nights for the room type
+ * @returns {object} { forecast(date) => { onTheBooks, rooms, sd }, weekdayIndex, monthIndex }
+ */
+function fitSeries(leadsByDate, totalRooms, asOf, firstNight, holidays, holidayFactor) {
+  const sold = (date) => (leadsByDate[date] ? leadsByDate[date].length : 0);
+  const historyStart = firstNight && firstNight <= asOf ? firstNight : asOf;
+  const history = listAllNights(historyStart, asOf);
+  const occupancy = (date) => sold(date) / totalRooms;
+  const mean = (dates, fn) => (dates.length > 0 ? dates.reduce((sum, d) => sum + fn(d), 0) / dates.length : 0);
+
+  // Month-of-year index over all history
+  const overall = mean(history, occupancy);
+  const monthIndex = Array.from({ length: 12 }, (_, month) => {
+    const days = history.filter(d => monthOf(d) === month);
+    if (days.length === 0 || overall === 0) return 1;
+    const ratio = mean(days, occupancy) / overall;
+    return (days.length * ratio + MONTH_SHRINK_DAYS) / (days.length + MONTH_SHRINK_DAYS);
+  });
+
+  // Weekday index over the last 52 weeks, net of the month effect
+  const recentYear = history.slice(-SEASON_DAYS);
+  const deseasonalized = (d) => occupancy(d) / monthIndex[monthOf(d)];
+  const recentMean = mean(recentYear, deseasonalized);
+  const weekdayIndex = DAY_NAMES.map((_, dow) => {
+    const days = recentYear.filter(d => dayOf(d) === dow);
+    return days.length > 0 && recentMean > 0 ? mean(days, deseasonalized) / recentMean : 1;
+  });
+
+  const seasonal = (date) => weekdayIndex[dayOf(date)] * monthIndex[monthOf(date)] * (holidays.has(date) ? holidayFactor : 1);
+
+  // Demand level: deseasonalized occupancy over the LEVEL_DAYS nights before `date`
+  const levelBefore = (date) => {
+    let actual = 0, expected = 0;
+    for (let i = 1; i <= LEVEL_DAYS; i++) {
+      const d = addDays(date, -i);
+      if (d < historyStart) break;
+      actual += occupancy(d);
+      expected += seasonal(d);
+    }
+    return expected > 0 ? actual / expected : 0;
+  };
+
+  // Error of one-day-ahead baseline forecasts over recent history
+  const backtestDays = history.slice(-RESIDUAL_DAYS);
+  const squaredErrors = backtestDays.map(d => (sold(d) - levelBefore(d) * seasonal(d) * totalRooms) ** 2);
+  const sd = squaredErrors.length > 0 ? Math.sqrt(squaredErrors.reduce((sum, e) => sum + e, 0) / squaredErrors.length) : 0;
+
+  // Share of a night's final count on the books N days out, over the last 52 weeks
+  const finalSold = recentYear.reduce((sum, d) => sum + sold(d), 0);
+  const pickupShares = new Map();
+  const bookedShare = (daysOut) => {
+    if (!pickupShares.has(daysOut)) {
+      const booked = recentYear.reduce((sum, d) => sum + onTheBooks(leadsByDate, d, daysOut), 0);
+      pickupShares.set(daysOut, finalSold > 0 ? booked / finalSold : 0);
+    }
+    return pickupShares.get(daysOut);
+  };
+
+  const level = levelBefore(addDays(asOf, 1));
+
+  return {
+    weekdayIndex,
+    monthIndex,
+    forecast(date) {
+      const daysOut = daysBetween(asOf, date);
+      const booked = onTheBooks(leadsByDate, date, daysOut);
+      const remaining = 1 - bookedShare(daysOut);
+      const rooms = Math.min(totalRooms, booked + remaining * level * seasonal(date) * totalRooms);
+      return { onTheBooks: booked, rooms, sd: sd * Math.sqrt(Math.max(0, remaining)) };
+    }
+  };
+}
+
+/**
+ * All nights between two dates (listNights stops at MAX_NIGHTS)
+ */
+function listAllNights(from, to) {
+  const nights = [];
+  for (let start = from; start <= to; start = addDays(start, MAX_NIGHTS)) {
+    const end = addDays(start, MAX_NIGHTS - 1);
+    nights.push(...listNights(start, end < to ? end : to));
+  }
+  return nights;
+}
+
+/**
+ * 80% interval around a forecast, kept between what is booked and inventory
+ */
+function predictionInterval(rooms, sd, booked, totalRooms) {
+  return {
+    lower: round(Math.max(booked, rooms - Z_80 * sd)),
+    upper: round(Math.min(totalRooms, rooms + Z_80 * sd))
+  };
+}
+
+/**
+ * Validate forecast options
+ * @param {object} options - { asOf, days, holdoutDays }
+ * @returns {object} { valid, error? }
+ */
+function validateForecastOptions(options = {}) {
+  const { asOf, days, holdoutDays } = options;
+  if (asOf !== undefined && !isValidDate(asOf)) {
+    return { valid: false, error: `Invalid asOf date "${asOf}" (expected YYYY-MM-DD)` };
+  }
+  if (days !== undefined && !(Number.isInteger(days) && days >= 1 && days <= MAX_NIGHTS)) {
+    return { valid: false, error: `days must be a whole number between 1 and ${MAX_NIGHTS}` };
+  }
+  if (holdoutDays !== undefined && !(Number.isInteger(holdoutDays) && holdoutDays >= 7 && holdoutDays <= MAX_HOLDOUT_DAYS)) {
+    return { valid: false, error: `days must be a whole number between 7 and ${MAX_HOLDOUT_DAYS}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Forecast rooms sold per night and room type
+ * @param {object} options - { asOf, days, roomType }
+ *   asOf: last night with known results (default: today, or the last booking date if the data stops earlier)
+ * @param {object} data - { reservations, rooms }
+ * @returns {object} { asOf, from, to, interval, holidayFactor, roomTypes, dates }
+ */
+function buildForecast(options = {}, data = {}) {
+  const { reservations = [], rooms = [] } = data;
+  const selectedRooms = rooms
+    .map(room => ({
+      roomType: room.room_type || room['Room Type'],
+      totalRooms: parseInt(room.total_rooms || room['Total Rooms']) || 0
+    }))
+    .filter(room => room.totalRooms > 0 && (!options.roomType || matchesRoomType(options.roomType, room.roomType)));
+
+  // Holiday effects are estimated hotel-wide: a single room type sees too few holidays
+  const allRoomTypes = rooms.map(room => room.room_type || room['Room Type']);
+  const { nights, firstNight, lastBooking } = indexBookings(reservations, allRoomTypes);
+  const asOf = options.asOf || snapshotDate(lastBooking);
+  const from = addDays(asOf, 1);
+  const to = addDays(asOf, options.days || 7);
+
+  const holidays = holidaysBetween(firstNight || asOf, to);
+  const hotelSold = (date) => allRoomTypes.reduce((sum, rt) => sum + (nights[rt][date] ? nights[rt][date].length : 0), 0);
+  const holidayFactor = estimateHolidayFactor(hotelSold, holidays, firstNight || asOf, asOf);
+
+  const models = selectedRooms.map(room => ({
+    ...room,
+    model: fitSeries(nights[room.roomType], room.totalRooms, asOf, firstNight, holidays, holidayFactor)
+  }));
+  const totalRooms = selectedRooms.reduce((sum, room) => sum + room.totalRooms, 0);
+
+  const dates = listNights(from, to).map(date => {
+    const roomTypes = models.map(({ roomType, totalRooms: inventory, model }) => {
+      const f = model.forecast(date);
+      return {
+        roomType,
+        totalRooms: inventory,
+        onTheBooks: f.onTheBooks,
+        forecastRooms: round(f.rooms),
+        ...predictionInterval(f.rooms, f.sd, f.onTheBooks, inventory),
+        forecastOccupancy: inventory > 0 ? round(f.rooms / inventory, 3) : 0,
+        sd: f.sd
+      };
+    });
+
+    // Room types share demand shocks, so their uncertainty adds up rather than averaging out
+    const booked = roomTypes.reduce((sum, rt) => sum + rt.onTheBooks, 0);
+    const rooms = roomTypes.reduce((sum, rt) => sum + rt.forecastRooms, 0);
+    const sd = roomTypes.reduce((sum, rt) => sum + rt.sd, 0);
+
+    return {
+      date,
+      day: DAY_NAMES[dayOf(date)],
+      holiday: holidays.get(date) || null,
+      totalRooms,
+      onTheBooks: booked,
+      forecastRooms: round(rooms),
+      ...predictionInterval(rooms, sd, booked, totalRooms),
+      forecastOccupancy: totalRooms > 0 ? round(rooms / totalRooms, 3) : 0,
+      roomTypes: roomTypes.map(({ sd: _sd, ...rt }) => rt)
+    };
+  });
+
+  return {
+    asOf,
+    from,
+    to,
+    interval: 80,
+    holidayFactor: round(holidayFactor, 2),
+    roomTypes: models.map(({ roomType, model }) => ({
+      roomType,
+      weekdayIndex: Object.fromEntries(DAY_NAMES.map((day, i) => [day, round(model.weekdayIndex[i], 2)])),
+      monthIndex: model.monthIndex.map(value => round(value, 2))
+    })),
+    dates
+  };
+}
+
+/**
+ * Error metrics of forecasts against actual rooms sold
+ * @param {Array} pairs - [{ actual, forecast, lower?, upper? }]
+ * @returns {object} { mape, wape, mae, bias, coverage, nights }
+ */
+function errorMetrics(pairs) {
+  const withDemand = pairs.filter(p => p.actual > 0);
+  const totalActual = pairs.reduce((sum, p) => sum + p.actual, 0);
+  const absoluteError = pairs.reduce((sum, p) => sum + Math.abs(p.actual - p.forecast), 0);
+  const withInterval = pairs.filter(p => p.lower !== undefined);
+
+  return {
+    // MAPE skips nights with nothing sold (the percentage error is undefined there)
+    mape: withDemand.length > 0
+      ? round(withDemand.reduce((sum, p) => sum + Math.abs(p.actual - p.forecast) / p.actual, 0) / withDemand.length * 100)
+      : null,
+    wape: totalActual > 0 ? round(absoluteError / totalActual * 100) : null,
+    mae: pairs.length > 0 ? round(absoluteError / pairs.length, 2) : null,
+    bias: totalActual > 0 ? round(pairs.reduce((sum, p) => sum + p.forecast - p.actual, 0) / totalActual * 100) : null,
+    coverage: withInterval.length > 0
+      ? round(withInterval.filter(p => p.actual >= p.lower && p.actual <= p.upper).length / withInterval.length * 100)
+      : undefined,
+    nights: pairs.length,
+    nightsScored: withDemand.length
+  };
+}
+
+/**
+ * Holdout evaluation: forecast the last N known nights as of the night before them
+ * and compare with what was actually sold. A seasonal naive forecast (same weekday
+ * in the last known week) is scored alongside as a benchmark.
+ * @param {object} options - { asOf, days, roomType } - asOf is the last night with known results
+ * @param {object} data - { reservations, rooms }
+ * @returns {object} { from, to, cutoff, days, total, roomTypes, dates }
+ */
+function evaluateForecast(options = {}, data = {}) {
+  const { reservations = [], rooms = [] } = data;
+  const days = options.days || DEFAULT_HOLDOUT_DAYS;
+
+  const allRoomTypes = rooms.map(room => room.room_type || room['Room Type']);
+  const { nights, lastBooking } = indexBookings(reservations, allRoomTypes);
+  const end = options.asOf || snapshotDate(lastBooking);
+  const cutoff = addDays(end, -days);
+
+  const forecast = buildForecast({ asOf: cutoff, days, roomType: options.roomType }, data);
+  const actualSold = (roomType, date) => (nights[roomType][date] ? nights[roomType][date].length : 0);
+  const naiveSold = (roomType, date) => actualSold(roomType, addDays(date, -7 * Math.ceil(daysBetween(cutoff, date) / 7)));
+
+  const totals = forecast.dates.map(night => ({
+    date: night.date,
+    actual: night.roomTypes.reduce((sum, rt) => sum + actualSold(rt.roomType, night.date), 0),
+    forecast: night.forecastRooms,
+    lower: night.lower,
+    upper: night.upper,
+    naive: night.roomTypes.reduce((sum, rt) => sum + naiveSold(rt.roomType, night.date), 0)
+  }));
+
+  const roomTypes = forecast.roomTypes.map(({ roomType }) => {
+    const pairs = forecast.dates.map(night => {
+      const rt = night.roomTypes.find(r => r.roomType === roomType);
+      return { actual: actualSold(roomType, night.date), forecast: rt.forecastRooms, lower: rt.lower, upper: rt.upper };
+    });
+    return { roomType, ...errorMetrics(pairs) };
+  });
+
+  return {
+    cutoff,
+    from: forecast.from,
+    to: forecast.to,
+    days,
+    interval: forecast.interval,
+    total: {
+      ...errorMetrics(totals),
+      benchmark: errorMetrics(totals.map(t => ({ actual: t.actual, forecast: t.naive })))
+    },
+    roomTypes,
+    dates: totals.map(({ naive: _naive, ...t }) => t)
+  };
+}
+
+/**
+ * Hotel-wide occupancy forecast for the next N nights (shape used by the pricing routes)
+ * @param {Array} reservations
+ * @param {Array} rooms
+ * @param {number} daysAhead
+ * @param {object} options - { asOf, roomType }
+ * @returns {object} { asOf, currentOccupancy, trend, forecasts }
+ */
+function forecastOccupancy(reservations, rooms, daysAhead = 7, options = {}) {
+  const result = buildForecast({ ...options, days: daysAhead }, { reservations, rooms });
+  const roomTypes = result.roomTypes.map(rt => rt.roomType);
+  const totalRooms = rooms
+    .filter(r => roomTypes.includes(r.room_type || r['Room Type']))
+    .reduce((sum, r) => sum + (parseInt(r.total_rooms || r['Total Rooms']) || 0), 0);
+
+  // Recent actual occupancy for the current level and trend
+  const { nights } = indexBookings(reservations, roomTypes);
+  const historicalRates = listNights(addDays(result.asOf, -30), result.asOf).map(date =>
+    totalRooms > 0 ? roomTypes.reduce((sum, rt) => sum + (nights[rt][date] ? nights[rt][date].length : 0), 0) / totalRooms : 0
+  );
+
+  const forecasts = result.dates.map(night => {
+    const forecast = night.forecastOccupancy;
+    return {
+      date: night.date,
+      dayOfWeek: night.day,
+      holiday: night.holiday,
       forecastOccupancy: forecast,
-      estimatedRoomsBooked: Math.round(forecast * totalRooms),
-      confidence: confidence.toFixed(2),
+      estimatedRoomsBooked: Math.round(night.forecastRooms),
+      onTheBooks: night.onTheBooks,
+      interval: { level: result.interval, lower: night.lower, upper: night.upper },
+      confidence: (totalRooms > 0 ? Math.max(0.5, 1 - (night.upper - night.lower) / totalRooms) : 0.5).toFixed(2),
+      roomTypes: night.roomTypes,
       recommendation: forecast > 0.8 ? 'High demand - consider rate increase' :
                      forecast < 0.5 ? 'Low demand - consider promotions' :
                      'Moderate demand - maintain rates'
-    });
-  }
-  
+    };
+  });
+
   return {
+    asOf: result.asOf,
     currentOccupancy: historicalRates[historicalRates.length - 1],
     trend: historicalRates[historicalRates.length - 1] > movingAverage(historicalRates, 7) ? 'increasing' : 'decreasing',
+    holidayFactor: result.holidayFactor,
     forecasts
   };
 }
@@ -115,6 +458,9 @@ function getDemandBasedPricing(room, forecast, competitors) {
 
 module.exports = {
   forecastOccupancy,
+  buildForecast,
+  evaluateForecast,
+  validateForecastOptions,
   getDemandBasedPricing,
   movingAverage,
   exponentialSmoothing
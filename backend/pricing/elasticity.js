@@ -0,0 +1,259 @@
+/**
+ * Price Elasticity Estimation
+ *
+ * Fits demand elasticity per room type (and per day of week) from reservation
+ * history: the % change in room-nights sold for a 1% change in price.
+ *
+ * Model, per room type:
+ *   ln(room-nights sold) = e × ln(average rate) + b × ln(1 + average lead time) + season
+ * fitted by least squares over weekly observations, with month-of-year fixed
+ * effects absorbing seasonality. Lead time separates early, price-insensitive
+ * demand from late bookings.
+ *
+ * Hotel prices usually rise *because* demand is high, which biases raw fits
+ * towards zero or even positive values. Each fit is therefore combined with a
+ * prior (the -1.5 rule of thumb the heuristics used) weighted by its precision,
+ * and day-of-week fits are shrunk towards their room type's estimate. Sparse or
+ * noisy data falls back to the prior; the confidence interval says how much the
+ * data moved it.
+ */
+
+const { mapToHotelRoomType } = require('../copilot/roomMapping');
+
+const DEFAULT_ELASTICITY = -1.5;
+const PRIOR_SD = 1.0;       // Room-type prior: -1.5 ± 1.0
+const DAY_PRIOR_SD = 0.5;   // Day-of-week fits vary around their room type
+const MIN_OBSERVATIONS = 8;
+// Projections never assume demand rises with price; weaker fits are capped here
+const MAX_ELASTICITY = -0.2;
+const Z_95 = 1.96;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const EXCLUDED_STATUSES = ['cancelled', 'canceled', 'no show'];
+
+// Fits per reservations array; a data reload replaces the array and so the cache entry
+const fitCache = new WeakMap();
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const d = value instanceof Date ? value : new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Sold room-nights of one room type: { time, dayOfWeek, month, price, leadDays }
+ */
+function collectRoomNights(reservations, roomType) {
+  const nights = [];
+
+  for (const res of reservations) {
+    const status = (res.status || res.Status || '').toLowerCase();
+    if (EXCLUDED_STATUSES.includes(status)) continue;
+    if ((res.room_type || '').split('(')[0].trim() !== roomType) continue;
+
+    const price = parseFloat(res.price_per_night) || 0;
+    const checkIn = toDate(res.check_in_date);
+    if (!checkIn || price <= 0) continue;
+
+    const checkOut = toDate(res.check_out_date);
+    const stayNights = checkOut ? Math.max(1, Math.round((checkOut - checkIn) / DAY_MS)) : (res.nights || 1);
+    const booked = toDate(res.booking_date);
+    const leadDays = booked ? Math.max(0, (checkIn - booked) / DAY_MS) : 0;
+
+    for (let i = 0; i < stayNights; i++) {
+      const night = new Date(checkIn.getTime() + i * DAY_MS);
+      nights.push({
+        time: night.getTime(),
+        dayOfWeek: night.getUTCDay(),
+        month: night.getUTCMonth(),
+        price,
+        leadDays
+      });
+    }
+  }
+  return nights;
+}
+
+/**
+ * Group room-nights into observations (one per key), in log space
+ * @returns {Array} [{ y: ln(sold), x: ln(avg price), lead: ln(1 + avg lead days), season }]
+ */
+function buildObservations(nights, keyOf) {
+  const groups = new Map();
+  for (const night of nights) {
+    const key = keyOf(night);
+    const group = groups.get(key) || { sold: 0, price: 0, lead: 0, season: night.month };
+    group.sold += 1;
+    group.price += night.price;
+    group.lead += night.leadDays;
+    groups.set(key, group);
+  }
+
+  return [...groups.values()].map(g => ({
+    y: Math.log(g.sold),
+    x: Math.log(g.price / g.sold),
+    lead: Math.log(1 + g.lead / g.sold),
+    season: g.season
+  }));
+}
+
+/**
+ * Least-squares fit of y on x and lead with season fixed effects
+ * @returns {object|null} { coefficient, standardError, leadCoefficient, observations } or null when underdetermined
+ */
+function fitLogLog(observations) {
+  if (observations.length < MIN_OBSERVATIONS) return null;
+
+  // Fixed effects: demean every variable within its season
+  const seasons = new Map();
+  for (const o of observations) {
+    const s = seasons.get(o.season) || { n: 0, y: 0, x: 0, lead: 0 };
+    s.n += 1; s.y += o.y; s.x += o.x; s.lead += o.lead;
+    seasons.set(o.season, s);
+  }
+
+  let sxx = 0, sxl = 0, sll = 0, sxy = 0, sly = 0, syy = 0;
+  const centered = observations.map(o => {
+    const s = seasons.get(o.season);
+    const c = { y: o.y - s.y / s.n, x: o.x - s.x / s.n, lead: o.lead - s.lead / s.n };
+    sxx += c.x * c.x; sxl += c.x * c.lead; sll += c.lead * c.lead;
+    sxy += c.x * c.y; sly += c.lead * c.y; syy += c.y * c.y;
+    return c;
+  });
+
+  const degreesOfFreedom = observations.length - 2 - seasons.size;
+  const det = sxx * sll - sxl * sxl;
+  // No variation in price or in volume (e.g. every night sold one room) carries no information
+  if (degreesOfFreedom < 1 || sxx <= 1e-9 || syy <= 1e-9) return null;
+
+  // Without lead-time variation, fall back to a single regressor
+  const useLead = Math.abs(det) > 1e-9 && sll > 1e-9;
+  const coefficient = useLead ? (sll * sxy - sxl * sly) / det : sxy / sxx;
+  const leadCoefficient = useLead ? (sxx * sly - sxl * sxy) / det : 0;
+
+  const sse = centered.reduce((sum, c) => sum + (c.y - coefficient * c.x - leadCoefficient * c.lead) ** 2, 0);
+  const variance = sse / degreesOfFreedom;
+  const standardError = Math.sqrt(variance * (useLead ? sll / det : 1 / sxx));
+  if (!isFinite(coefficient) || !isFinite(standardError) || standardError <= 0) return null;
+
+  return { coefficient, standardError, leadCoefficient, observations: observations.length };
+}
+
+/**
+ * Precision-weighted combination of a prior and a fit
+ * @returns {object} { mean, sd }
+ */
+function combineWithPrior(priorMean, priorSd, fit) {
+  if (!fit) return { mean: priorMean, sd: priorSd };
+  const priorPrecision = 1 / priorSd ** 2;
+  const fitPrecision = 1 / fit.standardError ** 2;
+  return {
+    mean: (priorMean * priorPrecision + fit.coefficient * fitPrecision) / (priorPrecision + fitPrecision),
+    sd: Math.sqrt(1 / (priorPrecision + fitPrecision))
+  };
+}
+
+/**
+ * Public shape of an estimate; the estimate and its 95% interval are capped at MAX_ELASTICITY
+ * @param {string} fallbackSource - Source reported when there was no fit ('default' or 'roomType')
+ */
+function describeEstimate(combined, fit, fallbackSource = 'default') {
+  return {
+    elasticity: round(Math.min(MAX_ELASTICITY, combined.mean)),
+    lower: round(Math.min(MAX_ELASTICITY, combined.mean - Z_95 * combined.sd)),
+    upper: round(Math.min(MAX_ELASTICITY, combined.mean + Z_95 * combined.sd)),
+    fitted: fit ? round(fit.coefficient) : null,
+    standardError: fit ? round(fit.standardError, 3) : null,
+    observations: fit ? fit.observations : 0,
+    source: fit ? 'fitted' : fallbackSource
+  };
+}
+
+/**
+ * Estimate elasticity for one room type, overall and per day of week
+ * @param {Array} reservations - dataLoader.reservations
+ * @param {string} roomType - Hotel room type name
+ * @returns {object} { roomType, elasticity, lower, upper, fitted, standardError, observations, source, leadTimeEffect, byDayOfWeek }
+ */
+function fitRoomType(reservations, roomType) {
+  const nights = collectRoomNights(reservations, roomType);
+
+  const weekly = fitLogLog(buildObservations(nights, night => Math.floor(night.time / WEEK_MS)));
+  const combined = combineWithPrior(DEFAULT_ELASTICITY, PRIOR_SD, weekly);
+
+  const byDayOfWeek = DAY_NAMES.map((day, dayOfWeek) => {
+    const dayNights = nights.filter(night => night.dayOfWeek === dayOfWeek);
+    const fit = fitLogLog(buildObservations(dayNights, night => night.time));
+    const fallbackSource = weekly ? 'roomType' : 'default';
+    return { dayOfWeek, day, ...describeEstimate(combineWithPrior(combined.mean, DAY_PRIOR_SD, fit), fit, fallbackSource) };
+  });
+
+  return {
+    roomType,
+    ...describeEstimate(combined, weekly),
+    leadTimeEffect: weekly ? round(weekly.leadCoefficient) : null,
+    byDayOfWeek
+  };
+}
+
+/**
+ * Elasticity estimates for several room types (cached per reservations array)
+ * @param {Array} reservations - dataLoader.reservations
+ * @param {Array<string>} roomTypes - Hotel room type names
+ * @returns {Array} fitRoomType results
+ */
+function estimateElasticities(reservations, roomTypes) {
+  let fits = fitCache.get(reservations);
+  if (!fits) {
+    fits = new Map();
+    fitCache.set(reservations, fits);
+  }
+
+  return roomTypes.map(roomType => {
+    if (!fits.has(roomType)) fits.set(roomType, fitRoomType(reservations, roomType));
+    return fits.get(roomType);
+  });
+}
+
+/**
+ * Elasticity to use in a projection
+ * @param {Array} reservations - dataLoader.reservations
+ * @param {string} roomType - Hotel or generic room type name
+ * @param {number|null} dayOfWeek - 0 (Sunday) to 6 for a day-specific estimate
+ * @returns {object} { elasticity, lower, upper, source, observations }
+ */
+function getElasticity(reservations, roomType, dayOfWeek = null) {
+  if (!Array.isArray(reservations) || !roomType) {
+    return describeEstimate({ mean: DEFAULT_ELASTICITY, sd: PRIOR_SD }, null);
+  }
+
+  const [fit] = estimateElasticities(reservations, [mapToHotelRoomType(roomType)]);
+  const estimate = dayOfWeek !== null && dayOfWeek !== undefined ? fit.byDayOfWeek[dayOfWeek] : fit;
+  const { elasticity, lower, upper, source, observations } = estimate;
+  return { elasticity, lower, upper, source, observations };
+}
+
+/**
+ * Demand multiplier for a price change under constant elasticity
+ * @param {number} priceRatio - New price / current price
+ * @param {number} elasticity
+ * @returns {number} New demand / current demand
+ */
+function demandMultiplier(priceRatio, elasticity) {
+  if (!(priceRatio > 0)) return 1;
+  return Math.pow(priceRatio, elasticity);
+}
+
+module.exports = {
+  estimateElasticities,
+  getElasticity,
+  demandMultiplier,
+  DEFAULT_ELASTICITY
+};
@@ -0,0 +1,172 @@
+/**
+ * Overbooking Model
+ *
+ * Estimates how many of the reservations on the books for a night will actually
+ * arrive, from the property's own history:
+ * - late cancellations: of the stays still booked N days before arrival, the
+ *   share cancelled after that point (uses the PMS "Cancelation Date")
+ * - no-shows: of the stays that reached their arrival date, the share marked "No Show"
+ *
+ * The recommended allowance is the largest number of extra rooms to sell such
+ * that the chance of more guests arriving than there are rooms stays within a
+ * risk tolerance (default 5%), treating each booking as an independent show/no-show.
+ *
+ * Only stays that have already arrived (check-in on or before the snapshot date)
+ * are used, since later ones can still cancel.
+ */
+
+const { snapshotDate } = require('./pace');
+const { toISODate, daysBetween } = require('../utils/dateUtils');
+
+const LEAD_BUCKETS = [0, 1, 3, 7, 14, 30, 60, 90]; // Days before arrival
+const DEFAULT_RISK_TOLERANCE = 0.05;
+const MAX_RISK_TOLERANCE = 0.25;
+const MAX_ALLOWANCE_PCT = 0.2; // Never oversell by more than 20% of sellable rooms
+const MIN_SAMPLE = 30; // Below this, a room type uses the whole property's rates
+
+const CANCELLED_STATUSES = ['cancelled', 'canceled'];
+const NO_SHOW_STATUSES = ['no show', 'no-show', 'noshow'];
+
+function round(value, decimals = 3) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Outcome and lead times of each past reservation
+ * @returns {Array} [{ roomType, bookingLead, cancelLead|null, noShow }]
+ */
+function collectOutcomes(reservations, roomTypes, asOf) {
+  const outcomes = [];
+  for (const res of reservations) {
+    const roomType = roomTypes.find(rt => rt === (res.room_type || '').split('(')[0].trim());
+    const checkIn = toISODate(res.check_in_date);
+    if (!roomType || !checkIn || checkIn > asOf) continue;
+
+    const status = (res.status || res.Status || '').toLowerCase();
+    const cancelled = CANCELLED_STATUSES.includes(status);
+    const cancelledOn = toISODate(res.cancellation_date);
+    // Without a booking date, count the stay as booked on arrival
+    const booked = toISODate(res.booking_date) || checkIn;
+
+    outcomes.push({
+      roomType,
+      bookingLead: Math.max(0, daysBetween(booked, checkIn)),
+      // Cancellations without a date are counted as cancelled on arrival day
+      cancelLead: cancelled ? Math.max(0, cancelledOn ? daysBetween(cancelledOn, checkIn) : 0) : null,
+      noShow: NO_SHOW_STATUSES.includes(status)
+    });
+  }
+  return outcomes;
+}
+
+/**
+ * Late-cancellation and no-show rates for one set of outcomes
+ * @returns {object} { sample, arrivals, noShowRate, cancellationRates: [{ daysBefore, onTheBooks, rate }] }
+ */
+function measureRates(outcomes) {
+  const arrivals = outcomes.filter(o => o.cancelLead === null);
+  const noShows = arrivals.filter(o => o.noShow).length;
+
+  const cancellationRates = LEAD_BUCKETS.map(daysBefore => {
+    // Booked by then and not yet cancelled
+    const onBooks = outcomes.filter(o => o.bookingLead >= daysBefore && (o.cancelLead === null || o.cancelLead <= daysBefore));
+    const cancelledLater = onBooks.filter(o => o.cancelLead !== null).length;
+    return {
+      daysBefore,
+      onTheBooks: onBooks.length,
+      rate: onBooks.length > 0 ? round(cancelledLater / onBooks.length) : 0
+    };
+  });
+
+  return {
+    sample: outcomes.length,
+    arrivals: arrivals.length,
+    noShowRate: arrivals.length > 0 ? round(noShows / arrivals.length) : 0,
+    cancellationRates
+  };
+}
+
+/**
+ * Historical late-cancellation and no-show rates per room type
+ * @param {Array} reservations - dataLoader.reservations
+ * @param {Array} roomTypes - Hotel room type names
+ * @param {string} asOf - Only stays arriving on or before this date (default: snapshot date)
+ * @returns {object} { asOf, property, roomTypes: { [roomType]: rates & { source: 'roomType'|'property' } } }
+ */
+function estimateShowRates(reservations, roomTypes, asOf = null) {
+  if (!asOf) {
+    const lastBooking = reservations.reduce((latest, res) => {
+      const booked = toISODate(res.booking_date);
+      return booked && (!latest || booked > latest) ? booked : latest;
+    }, null);
+    asOf = snapshotDate(lastBooking);
+  }
+
+  const outcomes = collectOutcomes(reservations, roomTypes, asOf);
+  const property = measureRates(outcomes);
+
+  const byRoomType = {};
+  for (const roomType of roomTypes) {
+    const rates = measureRates(outcomes.filter(o => o.roomType === roomType));
+    byRoomType[roomType] = rates.sample >= MIN_SAMPLE
+      ? { ...rates, source: 'roomType' }
+      : { ...property, sample: rates.sample, source: 'property' };
+  }
+
+  return { asOf, property, roomTypes: byRoomType };
+}
+
+/**
+ * Probability a booking on the books `daysOut` days before arrival turns up
+ * @param {object} rates - One entry of estimateShowRates().roomTypes
+ */
+function showProbability(rates, daysOut) {
+  const bucket = [...rates.cancellationRates].reverse().find(b => b.daysBefore <= Math.max(0, daysOut));
+  return (1 - (bucket ? bucket.rate : 0)) * (1 - rates.noShowRate);
+}
+
+/**
+ * P(X > capacity) for X ~ Binomial(n, p)
+ */
+function probabilityOverCapacity(n, p, capacity) {
+  if (n <= capacity) return 0;
+  let cumulative = 0;
+  let term = (1 - p) ** n; // P(X = 0)
+  for (let k = 0; k <= capacity; k++) {
+    cumulative += term;
+    term = term * (n - k) / (k + 1) * (p / (1 - p));
+  }
+  return Math.max(0, 1 - cumulative);
+}
+
+/**
+ * Largest number of rooms to sell beyond capacity within the risk tolerance
+ * @param {number} capacity - Sellable rooms (total less out-of-order and blocked)
+ * @param {number} showProb - From showProbability
+ * @param {number} riskTolerance - Acceptable chance of walking a guest (0-1)
+ * @returns {object} { allowance, walkRisk }
+ */
+function recommendAllowance(capacity, showProb, riskTolerance = DEFAULT_RISK_TOLERANCE) {
+  if (capacity <= 0 || !(showProb > 0) || showProb >= 1) {
+    return { allowance: 0, walkRisk: 0 };
+  }
+
+  const maxAllowance = Math.floor(capacity * MAX_ALLOWANCE_PCT);
+  let allowance = 0;
+  for (let extra = 1; extra <= maxAllowance; extra++) {
+    if (probabilityOverCapacity(capacity + extra, showProb, capacity) > riskTolerance) break;
+    allowance = extra;
+  }
+  return { allowance, walkRisk: round(probabilityOverCapacity(capacity + allowance, showProb, capacity)) };
+}
+
+module.exports = {
+  estimateShowRates,
+  showProbability,
+  recommendAllowance,
+  probabilityOverCapacity,
+  LEAD_BUCKETS,
+  DEFAULT_RISK_TOLERANCE,
+  MAX_RISK_TOLERANCE
+};
@@ -0,0 +1,260 @@
+/**
+ * Booking Pace & Pickup
+ *
+ * On-the-books (OTB) curves by days before arrival for each stay date: how many
+ * room-nights were already booked N days out. A date's curve so far is compared
+ * with a reference curve at the same lead time:
+ * - lastYear: the same weekday 52 weeks earlier
+ * - trailing: the average of the last N same-weekday dates on or before asOf
+ *
+ * Reference dates always lie on or before asOf, so their curves only use
+ * bookings that had been made by then.
+ *
+ * Dates well above the reference are pacing ahead (room to raise rates), dates
+ * well below are pacing behind (consider promotions or lower rates).
+ *
+ * Cancelled reservations are left out entirely: the PMS export has no
+ * cancellation date, so we cannot tell how long they were on the books.
+ */
+
+const { listNights, matchesRoomType, MAX_NIGHTS } = require('./rateResolver');
+const { getToday, isValidDate, addDays, daysBetween, toISODate } = require('../utils/dateUtils');
+
+const CHECKPOINTS = [90, 60, 30, 21, 14, 7, 3, 1, 0]; // Days before arrival
+const COMPARISONS = ['lastYear', 'trailing'];
+const DEFAULT_RANGE_NIGHTS = 60;
+const DEFAULT_TRAILING_WEEKS = 4;
+const MAX_TRAILING_WEEKS = 12;
+const PICKUP_DAYS = 7;
+// A date is ahead/behind when OTB differs from the reference by 20% and at least one room-night
+const PACE_THRESHOLD = 0.2;
+const MIN_ROOM_NIGHTS = 1;
+
+const EXCLUDED_STATUSES = ['cancelled', 'canceled'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Validate pace options
+ * @param {object} options - { asOf, from, to, roomType, compare, weeks }
+ * @returns {object} { valid, error? }
+ */
+function validatePaceOptions(options = {}) {
+  const { asOf, from, to, compare, weeks } = options;
+
+  for (const [name, value] of [['asOf', asOf], ['from', from], ['to', to]]) {
+    if (value !== undefined && !isValidDate(value)) {
+      return { valid: false, error: `Invalid ${name} date "${value}" (expected YYYY-MM-DD)` };
+    }
+  }
+  if (from && to && from > to) {
+    return { valid: false, error: '"from" must be on or before "to"' };
+  }
+  if (from && to && daysBetween(from, to) + 1 > MAX_NIGHTS) {
+    return { valid: false, error: `Date range too long (max ${MAX_NIGHTS} nights)` };
+  }
+  if (compare !== undefined && !COMPARISONS.includes(compare)) {
+    return { valid: false, error: `compare must be one of: ${COMPARISONS.join(', ')}` };
+  }
+  if (weeks !== undefined && !(Number.isInteger(weeks) && weeks >= 1 && weeks <= MAX_TRAILING_WEEKS)) {
+    return { valid: false, error: `weeks must be a whole number between 1 and ${MAX_TRAILING_WEEKS}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Lead time (days between booking and the night) of every booked room-night
+ * @returns {object} { nights: { [roomType]: { [date]: [leadDays] } }, firstNight, lastBooking }
+ */
+function indexBookings(reservations, roomTypes) {
+  const nights = {};
+  for (const roomType of roomTypes) nights[roomType] = {};
+  let firstNight = null;
+  let lastBooking = null;
+
+  for (const res of reservations) {
+    const status = (res.status || res.Status || '').toLowerCase();
+    if (EXCLUDED_STATUSES.includes(status)) continue;
+
+    const roomType = roomTypes.find(rt => rt === (res.room_type || '').split('(')[0].trim());
+    const checkIn = toISODate(res.check_in_date);
+    if (!roomType || !checkIn) continue;
+
+    const checkOut = toISODate(res.check_out_date);
+    const stayNights = checkOut ? Math.max(1, daysBetween(checkIn, checkOut)) : (res.nights || 1);
+    // Without a booking date, count the stay as booked on arrival
+    const booked = toISODate(res.booking_date) || checkIn;
+    if (!lastBooking || booked > lastBooking) lastBooking = booked;
+    if (!firstNight || checkIn < firstNight) firstNight = checkIn;
+
+    for (let i = 0; i < stayNights; i++) {
+      const date = addDays(checkIn, i);
+      const leads = nights[roomType][date] || (nights[roomType][date] = []);
+      leads.push(Math.max(0, daysBetween(booked, date)));
+    }
+  }
+  return { nights, firstNight, lastBooking };
+}
+
+/**
+ * Room-nights on the books for a stay date `daysBefore` days before arrival
+ */
+function onTheBooks(leadsByDate, date, daysBefore) {
+  const leads = leadsByDate[date];
+  if (!leads) return 0;
+  return leads.reduce((count, lead) => count + (lead >= daysBefore ? 1 : 0), 0);
+}
+
+/**
+ * The day a reservation export is read as of: today, or its last booking date if it stops earlier
+ * A PMS export is a snapshot: reading it after its last booking would show every later date as empty.
+ * @param {string|null} lastBooking - YYYY-MM-DD from indexBookings
+ */
+function snapshotDate(lastBooking) {
+  const today = getToday();
+  return lastBooking && lastBooking < today ? lastBooking : today;
+}
+
+/**
+ * Reference stay dates for a date, or [] when they predate the booking history or follow asOf
+ */
+function referenceDates(date, compare, weeks, firstNight, asOf) {
+  // Weeks back to the first same weekday on or before asOf
+  const firstWeek = Math.max(1, Math.ceil(daysBetween(asOf, date) / 7));
+  const dates = compare === 'lastYear'
+    ? [addDays(date, -364)]
+    : Array.from({ length: weeks }, (_, i) => addDays(date, -7 * (firstWeek + i)));
+  return firstNight && dates.every(d => d >= firstNight && d <= asOf) ? dates : [];
+}
+
+/**
+ * Pace of one series (a room type, or all rooms) for one stay date
+ * @param {Function} otb - (date, daysBefore) => room-nights on the books
+ * @returns {object} { pace, onTheBooks, comparison, variance, variancePct, pickup, projected }
+ */
+function measurePace(otb, date, daysOut, references, totalRooms) {
+  const current = otb(date, daysOut);
+  const currentPickup = current - otb(date, daysOut + PICKUP_DAYS);
+
+  if (references.length === 0) {
+    return {
+      pace: 'unknown',
+      onTheBooks: current,
+      comparison: null,
+      variance: null,
+      variancePct: null,
+      pickup: { last7Days: currentPickup, comparison: null },
+      projected: null
+    };
+  }
+
+  const average = (daysBefore) => references.reduce((sum, d) => sum + otb(d, daysBefore), 0) / references.length;
+  const comparison = average(daysOut);
+  const variance = current - comparison;
+  const margin = Math.max(MIN_ROOM_NIGHTS, comparison * PACE_THRESHOLD);
+  // Remaining pickup follows the reference curve from here to arrival
+  const projected = Math.min(totalRooms, current + (average(0) - comparison));
+
+  return {
+    pace: variance >= margin ? 'ahead' : variance <= -margin ? 'behind' : 'on pace',
+    onTheBooks: current,
+    comparison: round(comparison),
+    variance: round(variance),
+    variancePct: comparison > 0 ? round(variance / comparison * 100) : null,
+    pickup: { last7Days: currentPickup, comparison: round(comparison - average(daysOut + PICKUP_DAYS)) },
+    projected: round(projected)
+  };
+}
+
+/**
+ * Build the pace report
+ * @param {object} options - { asOf, from, to, roomType, compare, weeks }
+ *   asOf: the day the books are read (default: today, or the last booking date if the data stops earlier)
+ *   from/to: stay dates (default: asOf through 59 days out)
+ *   compare: 'lastYear' (default) or 'trailing' (average of the last `weeks` same weekdays up to asOf, default 4)
+ * @param {object} data - { reservations, rooms }
+ * @returns {object} { asOf, from, to, compare, weeks, checkpoints, dates, summary }
+ */
+function buildPaceReport(options = {}, data = {}) {
+  const { reservations = [], rooms = [] } = data;
+  const compare = options.compare || 'lastYear';
+  const weeks = options.weeks || DEFAULT_TRAILING_WEEKS;
+
+  const selectedRooms = rooms
+    .map(room => ({
+      roomType: room.room_type || room['Room Type'],
+      totalRooms: parseInt(room.total_rooms || room['Total Rooms']) || 0
+    }))
+    .filter(room => room.totalRooms > 0 && (!options.roomType || matchesRoomType(options.roomType, room.roomType)));
+
+  const { nights, firstNight, lastBooking } = indexBookings(reservations, selectedRooms.map(r => r.roomType));
+
+  const asOf = options.asOf || snapshotDate(lastBooking);
+  const from = options.from || (options.to && options.to < asOf ? options.to : asOf);
+  const to = options.to || addDays(from, DEFAULT_RANGE_NIGHTS - 1);
+
+  const totalRooms = selectedRooms.reduce((sum, room) => sum + room.totalRooms, 0);
+  const totalOtb = (date, daysBefore) =>
+    selectedRooms.reduce((sum, room) => sum + onTheBooks(nights[room.roomType], date, daysBefore), 0);
+
+  const dates = listNights(from, to).map(date => {
+    const daysOut = Math.max(0, daysBetween(asOf, date));
+    const references = referenceDates(date, compare, weeks, firstNight, asOf);
+
+    const curve = CHECKPOINTS.map(daysBefore => ({
+      daysBefore,
+      onTheBooks: daysBefore >= daysOut ? totalOtb(date, daysBefore) : null,
+      comparison: references.length > 0
+        ? round(references.reduce((sum, d) => sum + totalOtb(d, daysBefore), 0) / references.length)
+        : null
+    }));
+
+    return {
+      date,
+      day: DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()],
+      daysOut,
+      totalRooms,
+      referenceDates: references,
+      ...measurePace(totalOtb, date, daysOut, references, totalRooms),
+      curve,
+      roomTypes: selectedRooms.map(room => ({
+        roomType: room.roomType,
+        totalRooms: room.totalRooms,
+        ...measurePace((d, daysBefore) => onTheBooks(nights[room.roomType], d, daysBefore), date, daysOut, references, room.totalRooms)
+      }))
+    };
+  });
+
+  const flagged = (pace) => dates
+    .filter(d => d.pace === pace)
+    .map(d => ({ date: d.date, day: d.day, onTheBooks: d.onTheBooks, comparison: d.comparison, variance: d.variance }));
+
+  return {
+    asOf,
+    from,
+    to,
+    compare,
+    weeks: compare === 'trailing' ? weeks : undefined,
+    checkpoints: CHECKPOINTS,
+    dates,
+    summary: {
+      ahead: flagged('ahead'),
+      behind: flagged('behind'),
+      onPace: dates.filter(d => d.pace === 'on pace').length,
+      unknown: dates.filter(d => d.pace === 'unknown').length
+    }
+  };
+}
+
+module.exports = {
+  buildPaceReport,
+  validatePaceOptions,
+  indexBookings,
+  onTheBooks,
+  snapshotDate,
+  CHECKPOINTS
+};
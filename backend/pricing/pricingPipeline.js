@@ -0,0 +1,392 @@
+/**
+ * Pricing Pipeline
+ *
+ * The one rule-based pricing engine. The dashboard, the chat, every pricing
+ * route and backtests price a night by running these stages in order:
+ * 1. competitor - weighted competitor price vs our base price
+ * 2. occupancy  - booked share of the room type that night
+ * 3. dayOfWeek  - weekend premium
+ * 4. holiday    - holidays and events (services/eventCalendar)
+ * 5. clamps     - rate floor / ceiling
+ *
+ * Weights, thresholds and the stage order come from data/pricing-config.json
+ * (PRICING_CONFIG_FILE); each property's hotel configuration supplies its base
+ * price, floor/ceiling and competitor set (see getPropertyPricingConfig).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const actionStore = require('../services/actionStore');
+const competitorRates = require('../services/competitorRates');
+const eventCalendar = require('../services/eventCalendar');
+const { getCurrentHotel } = require('../middleware/hotelContext');
+const { applyLatestObservations, sameCompetitor, calculateWeightedCompetitorPrice } = require('./competitorPricing');
+const { calculateOccupancy } = require('../utils/revenueCalculations');
+const { getToday } = require('../utils/dateUtils');
+
+const CONFIG_FILE = process.env.PRICING_CONFIG_FILE || path.resolve(__dirname, '../data/pricing-config.json');
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a full pricing config
+ * @param {object} config
+ * @returns {object} { valid, errors }
+ */
+function validatePricingConfig(config) {
+  const errors = [];
+
+  const unknownStage = (config.stages || []).find(name => !STAGES[name]);
+  if (!Array.isArray(config.stages)) {
+    errors.push('stages must be a list of stage names');
+  } else if (unknownStage) {
+    errors.push(`Unknown pricing stage "${unknownStage}" (expected: ${Object.keys(STAGES).join(', ')})`);
+  }
+
+  const tiers = config.occupancyRules;
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    errors.push('occupancyRules must be a non-empty list of { maxOccupancy, adjustment }');
+  } else if (tiers.some((tier, i) => i > 0 && tier.maxOccupancy <= tiers[i - 1].maxOccupancy)) {
+    errors.push('occupancyRules must be in ascending maxOccupancy order');
+  }
+
+  const { floorRatio, ceilingRatio } = config.clampRules || {};
+  if (!(floorRatio > 0) || !(ceilingRatio >= floorRatio)) {
+    errors.push('clampRules needs a positive floorRatio no greater than ceilingRatio');
+  }
+  if (config.rateFloor && config.rateCeiling && config.rateFloor > config.rateCeiling) {
+    errors.push('rateFloor is above rateCeiling');
+  }
+  if (!(config.actionThreshold >= 0)) {
+    errors.push('actionThreshold must be a non-negative share (0.03 = 3%)');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Read data/pricing-config.json (synchronous so pricing never waits)
+ * @throws {Error} When the file is missing or invalid - the server should not price without rules
+ */
+function loadPricingConfig(file = CONFIG_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { valid, errors } = validatePricingConfig(config);
+  if (!valid) {
+    throw new Error(`Invalid pricing config ${file}: ${errors.join('; ')}`);
+  }
+  return config;
+}
+
+/**
+ * Calendar day for weekday and holiday lookups
+ * Dates are taken at noon local time so they never shift a day across time zones
+ */
+function toNight(date) {
+  if (date instanceof Date) return date;
+  if (typeof date === 'string' && DATE_PATTERN.test(date)) return new Date(`${date}T12:00:00`);
+  return new Date(date);
+}
+
+function formatPercent(factor) {
+  const pct = (factor - 1) * 100;
+  return `${pct > 0 ? '+' : ''}${pct.toFixed(0)}%`;
+}
+
+// ---------------------------------------------------------------------------
+// Stages
+// ---------------------------------------------------------------------------
+
+function calculateCompetitorAdjustment(competitorAvg, basePrice, config = PRICING_CONFIG) {
+  if (!competitorAvg || competitorAvg === 0) return 1.0;
+
+  const marketDiff = (competitorAvg - basePrice) / basePrice;
+  const rules = config.competitorRules;
+
+  if (marketDiff >= rules.higherThreshold) {
+    return 1 + rules.higherAdjustment;
+  } else if (marketDiff <= rules.lowerThreshold) {
+    return 1 + rules.lowerAdjustment;
+  }
+  return 1.0;
+}
+
+/**
+ * Occupancy tiers apply below their maxOccupancy; the last tier takes everything above
+ */
+function calculateOccupancyAdjustment(occupancyRate, config = PRICING_CONFIG) {
+  const rules = config.occupancyRules;
+  const tier = rules.find(rule => occupancyRate < rule.maxOccupancy) || rules[rules.length - 1];
+  return 1 + tier.adjustment;
+}
+
+function calculateDayOfWeekAdjustment(date, config = PRICING_CONFIG) {
+  const dayOfWeek = toNight(date).getDay();
+  const weekend = config.dayOfWeekRules.weekend;
+
+  // Weekend premium (Friday=5, Saturday=6 by default)
+  if (weekend.days.includes(dayOfWeek)) {
+    return 1 + weekend.adjustment;
+  }
+
+  return 1.0;
+}
+
+/**
+ * Premium for the holidays and events on a night (services/eventCalendar)
+ * Events added through the API or an import take precedence over built-in
+ * holidays and the property's events file; among those, the largest premium wins.
+ * @param {Date|string} date
+ * @param {object} config - Pricing config (holidayPremiums per impact tier)
+ * @param {string} roomType - Optional; events limited to other room types are ignored
+ * @returns {object} { adjustment, name, tier, eventId }
+ */
+function getHolidayAdjustment(date, config = PRICING_CONFIG, roomType = null) {
+  const premiums = config.holidayPremiums || PRICING_CONFIG.holidayPremiums;
+  const events = eventCalendar.eventsOn(toNight(date), roomType);
+  const stored = events.filter(eventCalendar.isStored);
+
+  let best = null;
+  for (const event of stored.length > 0 ? stored : events) {
+    const premium = event.premium ?? premiums[event.tier] ?? 0;
+    if (!best || premium > best.premium) best = { event, premium };
+  }
+
+  if (best && best.premium !== 0) {
+    return { adjustment: 1 + best.premium, name: best.event.name, tier: best.event.tier, eventId: best.event.id };
+  }
+
+  return { adjustment: 1.0, name: null, tier: null, eventId: null };
+}
+
+/**
+ * Each stage takes the price so far and the night being priced, and returns
+ * the factor it applies with a reason shown to the user
+ */
+const STAGES = {
+  competitor(price, night, config) {
+    const { competitorAvg, basePrice } = night;
+    const factor = calculateCompetitorAdjustment(competitorAvg, basePrice, config);
+    const reason = factor > 1
+      ? `Competitors ${((competitorAvg / basePrice - 1) * 100).toFixed(0)}% higher → ${formatPercent(factor)}`
+      : `Competitors ${((1 - competitorAvg / basePrice) * 100).toFixed(0)}% lower → ${formatPercent(factor)}`;
+    return { factor, reason };
+  },
+
+  occupancy(price, night, config) {
+    const { occupancyRate } = night;
+    if (occupancyRate === null || occupancyRate === undefined) return { factor: 1.0 };
+    const factor = calculateOccupancyAdjustment(occupancyRate, config);
+    return {
+      factor,
+      reason: `${factor > 1 ? 'High' : 'Low'} occupancy (${(occupancyRate * 100).toFixed(0)}%) → ${formatPercent(factor)}`
+    };
+  },
+
+  dayOfWeek(price, night, config) {
+    const factor = calculateDayOfWeekAdjustment(night.date, config);
+    return { factor, reason: `Weekend premium → ${formatPercent(factor)}` };
+  },
+
+  holiday(price, night, config) {
+    const holiday = getHolidayAdjustment(night.date, config, night.roomType);
+    return { factor: holiday.adjustment, reason: `${holiday.name} → ${formatPercent(holiday.adjustment)}` };
+  },
+
+  clamps(price, night, config) {
+    const clamped = Math.max(config.rateFloor, Math.min(config.rateCeiling, price));
+    return {
+      factor: clamped / price,
+      reason: clamped === config.rateFloor
+        ? `Applied rate floor ($${config.rateFloor})`
+        : `Applied rate ceiling ($${config.rateCeiling})`
+    };
+  }
+};
+
+const PRICING_CONFIG = loadPricingConfig();
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+
+/**
+ * Pricing config for the current property
+ * Competitor weights and dollar differentials set from chat (updateCompetitorWeight /
+ * updateCompetitorDifferential) replace the configured ones for that competitor.
+ * @param {string} roomType - Optional; applies that room type's floor/ceiling
+ * @param {number} basePrice - Optional; the room's base price when it isn't in the hotel config.
+ *   Rooms without their own rateFloor/rateCeiling get clampRules × base price.
+ * @returns {object} PRICING_CONFIG with the hotel's base price, floor/ceiling and competitors
+ */
+function getPropertyPricingConfig(roomType = null, basePrice = null) {
+  const hotel = getCurrentHotel();
+  const config = { ...PRICING_CONFIG, ...hotel?.pricing };
+
+  const competitors = {};
+  if (hotel?.competitors.length > 0) {
+    for (const comp of hotel.competitors) {
+      competitors[comp.name] = { weight: comp.weight, differential: comp.differential };
+    }
+  } else {
+    Object.assign(competitors, PRICING_CONFIG.competitors);
+  }
+
+  if (hotel) {
+    const stored = actionStore.getConfig();
+    for (const { competitorName, newWeight } of stored.weights || []) {
+      const name = Object.keys(competitors).find(key => sameCompetitor(competitorName, key)) || competitorName;
+      competitors[name] = { ...competitors[name], weight: parseFloat(newWeight) || 0 };
+    }
+    for (const { competitorName, newDifferential } of stored.differentials || []) {
+      const name = Object.keys(competitors).find(key => sameCompetitor(competitorName, key)) || competitorName;
+      competitors[name] = { ...competitors[name], differential: 0, offset: parseFloat(newDifferential) || 0 };
+    }
+  }
+  config.competitors = competitors;
+
+  const roomConfig = roomType && hotel?.roomTypes.find(rt => rt.name.toLowerCase() === String(roomType).toLowerCase());
+  const roomBase = basePrice || roomConfig?.basePrice;
+  if (roomBase) {
+    config.rateFloor = roomConfig?.rateFloor || Math.round(roomBase * config.clampRules.floorRatio);
+    config.rateCeiling = roomConfig?.rateCeiling || Math.round(roomBase * config.clampRules.ceilingRatio);
+  }
+
+  return config;
+}
+
+// ---------------------------------------------------------------------------
+// Pricing
+// ---------------------------------------------------------------------------
+
+/**
+ * Price one night through the pipeline
+ * @param {object} options - { basePrice, roomType, date, occupancyRate, competitorAvg | competitors, config }
+ *   competitors: rows already priced for the night; ignored when competitorAvg is given
+ *   config defaults to the current property's pricing config; pass one to price under alternate rules
+ * @returns {object} { basePrice, finalPrice, adjustments, competitorAvg, competitor, occupancyRate, stages, formula, breakdown }
+ */
+function priceNight(options = {}) {
+  const config = options.config || getPropertyPricingConfig(options.roomType, options.basePrice);
+  const basePrice = options.basePrice || config.basePrice;
+  const roomType = options.roomType || null;
+  const date = options.date || options.targetDate || getToday();
+
+  const competitor = options.competitorAvg === undefined && options.competitors
+    ? calculateWeightedCompetitorPrice(options.competitors, roomType, config)
+    : null;
+  const competitorAvg = options.competitorAvg ?? competitor?.weightedPrice ?? null;
+
+  const night = { basePrice, roomType, date, competitorAvg, occupancyRate: options.occupancyRate ?? null };
+  const adjustments = [];
+  const breakdown = { base: basePrice };
+
+  let price = basePrice;
+  for (const name of config.stages) {
+    const stage = STAGES[name];
+    if (!stage) {
+      throw new Error(`Unknown pricing stage "${name}" (expected: ${Object.keys(STAGES).join(', ')})`);
+    }
+    const { factor, reason } = stage(price, night, config);
+    price *= factor;
+    if (factor !== 1.0) adjustments.push({ type: name, factor, reason });
+    breakdown[name] = Math.round(price);
+  }
+
+  // Round to nearest dollar
+  const finalPrice = Math.round(price);
+  breakdown.final = finalPrice;
+
+  return {
+    basePrice,
+    finalPrice,
+    adjustments,
+    competitorAvg,
+    competitor: competitor?.success ? competitor : null,
+    occupancyRate: night.occupancyRate,
+    stages: config.stages,
+    formula: `final_price = base_price × ${config.stages.map(name => `${name}_adj`).join(' × ')}`,
+    breakdown,
+    constraints: { floor: config.rateFloor, ceiling: config.rateCeiling }
+  };
+}
+
+/**
+ * Recommended price for a room type on a night
+ * Competitors are priced from their latest rate-shop observation for the night;
+ * occupancy is the room type's booked share that night (historical average when empty).
+ * @param {object} room - Room row (dataLoader.rooms shape)
+ * @param {object} context - { competitors, reservations, date?, observations?, config? }
+ *   date defaults to today; observations default to the stored rate shop for the date
+ * @returns {object} Recommendation with action ('increase' | 'decrease' | 'maintain') and per-stage adjustments
+ */
+function recommendRoomPrice(room, context = {}) {
+  const roomType = room.room_type || room['Room Type'];
+  const currentPrice = parseFloat(room.base_price || room['Base Price']) || PRICING_CONFIG.basePrice;
+  const totalRooms = parseInt(room.total_rooms || room['Total Rooms']) || 10;
+  const date = context.date || getToday();
+
+  const occupancy = calculateOccupancy(context.reservations || [], roomType, totalRooms, date);
+  const observations = context.observations !== undefined ? context.observations : competitorRates.forStayDate(date);
+  const competitors = applyLatestObservations(context.competitors || [], observations, date);
+  const config = context.config || getPropertyPricingConfig(roomType, currentPrice);
+
+  const priced = priceNight({ basePrice: currentPrice, roomType, date, competitors, occupancyRate: occupancy.rate, config });
+
+  const priceDiff = priced.finalPrice - currentPrice;
+  const priceDiffPct = (priceDiff / currentPrice) * 100;
+
+  let action = 'maintain';
+  if (priceDiffPct > config.actionThreshold * 100) action = 'increase';
+  else if (priceDiffPct < -config.actionThreshold * 100) action = 'decrease';
+
+  const changeLabel = `${priceDiffPct > 0 ? '+' : ''}${priceDiffPct.toFixed(1)}%`;
+
+  return {
+    success: true,
+    roomType,
+    date,
+    currentPrice: Math.round(currentPrice),
+    suggestedPrice: priced.finalPrice,
+    priceDifference: Math.round(priceDiff),
+    priceDifferencePct: changeLabel,
+    priceChange: changeLabel,
+    action,
+    competitorAvg: priced.competitorAvg,
+    reasoning: priced.adjustments.length > 0
+      ? priced.adjustments.map(adj => adj.reason).join('. ')
+      : 'Price is appropriately positioned',
+    adjustments: priced.adjustments,
+    breakdown: priced.breakdown,
+    occupancy: {
+      rate: occupancy.percentage,
+      bookedRooms: occupancy.bookedRooms,
+      totalRooms,
+      status: occupancy.status,
+      isHistorical: occupancy.isHistorical
+    },
+    competitor: priced.competitor && {
+      weightedPrice: priced.competitor.weightedPrice,
+      marketAverage: priced.competitor.marketAverage,
+      marketPosition: priced.competitor.marketPosition,
+      breakdown: priced.competitor.breakdown
+    },
+    constraints: {
+      floor: Math.round(config.rateFloor),
+      ceiling: Math.round(config.rateCeiling),
+      clampApplied: priced.adjustments.some(adj => adj.type === 'clamps')
+    }
+  };
+}
+
+module.exports = {
+  PRICING_CONFIG,
+  STAGES,
+  loadPricingConfig,
+  validatePricingConfig,
+  getPropertyPricingConfig,
+  calculateCompetitorAdjustment,
+  calculateOccupancyAdjustment,
+  calculateDayOfWeekAdjustment,
+  getHolidayAdjustment,
+  priceNight,
+  recommendRoomPrice
+};
@@ -0,0 +1,105 @@
+/**
+ * Rate Plans
+ * Effective-dated base rates per room type
+ *
+ * Source data (rooms.csv, reservations, the property config) is a read-only
+ * import: it supplies each room type's imported base price. Every later base
+ * rate change is a row in the action store's "ratePlans" collection:
+ *
+ *   { roomType, validFrom, validTo, price, previousPrice, sourceAction, note }
+ *
+ * validFrom/validTo are inclusive YYYY-MM-DD nights; validTo null is open-ended.
+ * A new change closes the row that was open on its first night, so the table
+ * keeps what the base rate was on any past night. When rows overlap, the most
+ * recently stored one wins; nights no row covers use the imported price.
+ */
+
+const actionStore = require('../services/actionStore');
+const { getToday, addDays } = require('../utils/dateUtils');
+
+function coversNight(row, date) {
+  return row.validFrom <= date && (!row.validTo || date <= row.validTo);
+}
+
+/**
+ * Rate plan row in force on a night
+ * @param {Array} ratePlans - One room type's rows, oldest first
+ * @param {string} date - Night (YYYY-MM-DD)
+ * @returns {object|null} Row, or null when the imported price applies
+ */
+function findRatePlan(ratePlans, date) {
+  let match = null;
+  for (const row of ratePlans || []) {
+    if (coversNight(row, date)) match = row;
+  }
+  return match;
+}
+
+/**
+ * Base rate for a room type on a night
+ * @param {string} roomType - Hotel room type
+ * @param {number} importedPrice - Base price from the source data
+ * @param {string} date - Night (YYYY-MM-DD, default today)
+ * @param {object} store - Action store to read (default: current hotel's)
+ */
+function baseRateFor(roomType, importedPrice, date = getToday(), store = actionStore) {
+  const row = findRatePlan(store.find('ratePlans', { roomType }), date);
+  return row ? row.price : importedPrice;
+}
+
+/**
+ * Stage a base rate change in an open action store transaction
+ * @param {object} tx - actionStore transaction
+ * @param {object} change - { roomType, price, previousPrice, validFrom (default today), validTo, sourceAction, note }
+ * @returns {object} Stored row
+ */
+function stageBaseRateChange(tx, { roomType, price, previousPrice = null, validFrom = getToday(), validTo = null, sourceAction, note = '' }) {
+  // A row replaced on its own first night ends before it starts: it never
+  // priced a night but stays in the history
+  const open = findRatePlan(actionStore.find('ratePlans', { roomType }), validFrom);
+  if (open && !open.validTo) {
+    tx.update('ratePlans', open.id, { validTo: addDays(validFrom, -1) });
+  }
+
+  return tx.insert('ratePlans', {
+    roomType,
+    validFrom,
+    validTo,
+    price,
+    previousPrice,
+    sourceAction,
+    note,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Base rate history for a room type, oldest first
+ * @param {object} room - dataLoader room ({ room_type, imported_price })
+ * @returns {object} { roomType, importedPrice, currentPrice, periods: [{ validFrom, validTo, price, sourceAction, ... }] }
+ */
+function getRateHistory(room) {
+  const roomType = room.room_type;
+  const importedPrice = parseFloat(room.imported_price);
+  const rows = actionStore.find('ratePlans', { roomType });
+
+  const periods = [{ validFrom: null, validTo: null, price: importedPrice, sourceAction: 'import' }];
+  if (rows.length > 0) {
+    periods[0].validTo = addDays(rows.reduce((min, row) => (row.validFrom < min ? row.validFrom : min), rows[0].validFrom), -1);
+  }
+  periods.push(...rows);
+
+  return {
+    roomType,
+    importedPrice,
+    currentPrice: baseRateFor(roomType, importedPrice),
+    periods
+  };
+}
+
+module.exports = {
+  findRatePlan,
+  baseRateFor,
+  stageBaseRateChange,
+  getRateHistory
+};
@@ -0,0 +1,301 @@
+/**
+ * Effective Nightly Rate Resolver
+ *
+ * Answers "what will <room type> sell for on <date>?" by layering, in order:
+ * 1. Base rate - the rate plan row covering that night, else the imported base price
+ * 2. Promotions (temporary offers) and manual overrides for that night - latest wins.
+ *    Time-bound promotions (see pricing/rateWindows) count only while their
+ *    window is open, so a night's price depends on when it is quoted.
+ * 3. Rate clamps (floor / ceiling) covering that night
+ * 4. Hard business rules (absolute minimum price)
+ *
+ * Every night carries a provenance chain listing each layer that touched the price,
+ * plus the stay restrictions (min/max length of stay, closed to arrival/departure)
+ * in force for it.
+ *
+ * Overrides, promotions and clamps may be scoped to a booking channel (see
+ * pricing/channels). Unscoped records apply to every channel; scoped ones only
+ * when resolving that channel's rate.
+ */
+
+const { mapToHotelRoomType } = require('../copilot/roomMapping');
+const { findRatePlan } = require('./ratePlans');
+const { hasTimeOfDay, windowApplies } = require('./rateWindows');
+
+const MIN_PRICE = 50; // Same floor applyPriceOverride enforces
+const MAX_NIGHTS = 366;
+const RESTRICTION_TYPES = ['minLOS', 'maxLOS', 'closedToArrival', 'closedToDeparture'];
+
+/**
+ * Does a stored record (override/offer/clamp) refer to this hotel room type?
+ * Records may hold an AI name ("deluxe"), a normalized id ("larua") or the hotel name.
+ */
+function matchesRoomType(candidate, roomType) {
+  if (!candidate || !roomType) return false;
+  return mapToHotelRoomType(candidate).toLowerCase() === mapToHotelRoomType(roomType).toLowerCase();
+}
+
+/**
+ * List nights (YYYY-MM-DD) from `from` to `to` inclusive
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Array<string>}
+ */
+function listNights(from, to) {
+  const nights = [];
+  const current = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+
+  while (current <= end && nights.length < MAX_NIGHTS) {
+    nights.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return nights;
+}
+
+/**
+ * Is `date` inside [start, end]? Accepts dates or ISO datetimes for the bounds.
+ */
+function coversNight(start, end, date) {
+  if (!start || !end) return false;
+  return String(start).slice(0, 10) <= date && date <= String(end).slice(0, 10);
+}
+
+/**
+ * Does a stored record apply when pricing `channel` (null = the public rate)?
+ */
+function appliesToChannel(record, channel) {
+  return !record.channel || record.channel === channel;
+}
+
+function byTimestampDesc(a, b) {
+  return new Date(b.timestamp || b.appliedAt || 0) - new Date(a.timestamp || a.appliedAt || 0);
+}
+
+/**
+ * Stay restrictions in force for one room type on one night
+ * The most recent restriction of each type covering the night wins, so a later
+ * record with minLOS 1, maxLOS null or closed false lifts an earlier one.
+ * @param {string} roomType - Hotel room type
+ * @param {string} date - Night (YYYY-MM-DD)
+ * @param {object} config - Action configuration { restrictions }
+ * @returns {object} { minLOS, maxLOS, closedToArrival, closedToDeparture, restrictionIds }
+ */
+function resolveStayRestrictions(roomType, date, config = {}) {
+  const covering = (config.restrictions || [])
+    .filter(r => matchesRoomType(r.roomType, roomType) && coversNight(r.startDate, r.endDate, date))
+    .sort(byTimestampDesc);
+
+  const resolved = { minLOS: 1, maxLOS: null, closedToArrival: false, closedToDeparture: false, restrictionIds: [] };
+  for (const type of RESTRICTION_TYPES) {
+    const latest = covering.find(r => r.restrictionType === type);
+    if (!latest) continue;
+    if (type === 'minLOS') resolved.minLOS = latest.value || 1;
+    else if (type === 'maxLOS') resolved.maxLOS = latest.value || null;
+    else resolved[type] = Boolean(latest.value);
+    resolved.restrictionIds.push(latest.id);
+  }
+  return resolved;
+}
+
+/**
+ * Resolve the effective price for one room type on one night
+ * @param {object} room - { roomType, basePrice, importedPrice } - importedPrice (default basePrice)
+ *   applies on nights no rate plan row covers
+ * @param {string} date - Night (YYYY-MM-DD)
+ * @param {object} config - Action configuration { ratePlans, overrides, rateWindows, clamps, temporaryOffers, scheduledReverts, restrictions }
+ * @param {string} channel - Booking channel id, or null for the public rate
+ * @param {Date|string} at - When the price is quoted (default now); decides which rate windows are open
+ * @returns {object} { roomType, date, basePrice, price, isTemporary, provenance, restrictions }
+ */
+function resolveNightlyRate(room, date, config = {}, channel = null, at = new Date()) {
+  const { roomType } = room;
+  const provenance = [];
+  let isTemporary = false;
+
+  // 1. Base rate for this night from the rate plans
+  const ratePlan = findRatePlan((config.ratePlans || []).filter(row => matchesRoomType(row.roomType, roomType)), date);
+  const basePrice = ratePlan ? ratePlan.price : (room.importedPrice ?? room.basePrice);
+  let price = basePrice;
+
+  const baseStep = { source: 'base', price: basePrice };
+  if (ratePlan) {
+    baseStep.ratePlan = {
+      id: ratePlan.id,
+      validFrom: ratePlan.validFrom,
+      validTo: ratePlan.validTo,
+      sourceAction: ratePlan.sourceAction,
+      note: ratePlan.note
+    };
+  }
+  provenance.push(baseStep);
+
+  // 2. Overrides for this night (day-based offers write one per night) and
+  // rate windows open at `at`, latest wins
+  const forRoom = r => appliesToChannel(r, channel) &&
+    (matchesRoomType(r.mappedRoomType, roomType) || matchesRoomType(r.roomId, roomType));
+  const override = (config.overrides || [])
+    .filter(o => o.date === date && forRoom(o))
+    .sort(byTimestampDesc)[0];
+  const rateWindow = (config.rateWindows || [])
+    .filter(w => windowApplies(w, date, at) && forRoom(w))
+    .sort(byTimestampDesc)[0];
+
+  const offers = config.temporaryOffers || [];
+
+  if (rateWindow && (!override || byTimestampDesc(rateWindow, override) <= 0)) {
+    const offer = offers.find(t => t.tempOfferId === rateWindow.tempOfferId);
+    price = rateWindow.newPrice;
+    isTemporary = true;
+    provenance.push({
+      source: 'promotion',
+      price,
+      tempOfferId: rateWindow.tempOfferId,
+      windowId: rateWindow.id,
+      reason: rateWindow.reason || offer?.reason,
+      startDate: offer?.startDate,
+      endDate: offer?.endDate,
+      startAt: rateWindow.startAt,
+      endAt: rateWindow.endAt,
+      timezone: rateWindow.timezone,
+      ...(rateWindow.channel ? { channel: rateWindow.channel } : {})
+    });
+  } else if (override) {
+    price = override.newPrice;
+
+    if (override.tempOfferId) {
+      const offer = offers.find(t => t.tempOfferId === override.tempOfferId);
+      isTemporary = true;
+      provenance.push({
+        source: 'promotion',
+        price,
+        tempOfferId: override.tempOfferId,
+        overrideId: override.id,
+        reason: override.reason || offer?.reason,
+        startDate: offer?.startDate,
+        endDate: offer?.endDate,
+        ...(override.channel ? { channel: override.channel } : {})
+      });
+    } else if (override.isRevert) {
+      provenance.push({
+        source: 'revert',
+        price,
+        overrideId: override.id,
+        revertedFrom: override.revertedFrom,
+        timestamp: override.timestamp,
+        ...(override.channel ? { channel: override.channel } : {})
+      });
+    } else {
+      provenance.push({
+        source: 'override',
+        price,
+        overrideId: override.id,
+        timestamp: override.timestamp,
+        ...(override.channel ? { channel: override.channel } : {})
+      });
+    }
+  } else {
+    // Offers without per-night overrides (e.g. imported before overrides were
+    // written). Time-bound offers are priced by their windows, and reverted
+    // offers no longer apply.
+    const reverted = new Set((config.scheduledReverts || []).filter(r => r.status === 'completed').map(r => r.tempOfferId));
+    const offer = offers
+      .filter(t => !hasTimeOfDay(t.startDate) && !hasTimeOfDay(t.endDate) && !reverted.has(t.tempOfferId) &&
+        coversNight(t.startDate, t.endDate, date) && appliesToChannel(t, channel))
+      .sort(byTimestampDesc)
+      .find(t => (t.roomPricing || []).some(rp => matchesRoomType(rp.roomType, roomType)));
+
+    if (offer) {
+      const roomPricing = offer.roomPricing.find(rp => matchesRoomType(rp.roomType, roomType));
+      price = parseFloat(roomPricing.newPrice);
+      isTemporary = true;
+      provenance.push({
+        source: 'promotion',
+        price,
+        tempOfferId: offer.tempOfferId,
+        reason: offer.reason,
+        startDate: offer.startDate,
+        endDate: offer.endDate,
+        ...(offer.channel ? { channel: offer.channel } : {})
+      });
+    }
+  }
+
+  // 3. Clamps covering this night - most recent floor and ceiling
+  const clamps = (config.clamps || [])
+    .filter(c => matchesRoomType(c.roomType, roomType) && coversNight(c.startDate, c.endDate, date) && appliesToChannel(c, channel))
+    .sort(byTimestampDesc);
+
+  for (const clampType of ['floor', 'ceiling']) {
+    const clamp = clamps.find(c => c.clampType === clampType);
+    if (!clamp) continue;
+
+    const limit = parseFloat(clamp.newValue);
+    const binds = clampType === 'floor' ? price < limit : price > limit;
+    if (binds) price = limit;
+
+    provenance.push({
+      source: 'clamp',
+      clampType,
+      limit,
+      applied: binds,
+      price,
+      clampId: clamp.id,
+      startDate: clamp.startDate,
+      endDate: clamp.endDate,
+      ...(clamp.channel ? { channel: clamp.channel } : {})
+    });
+  }
+
+  // 4. Hard floor
+  if (price < MIN_PRICE) {
+    price = MIN_PRICE;
+    provenance.push({ source: 'rule', rule: 'minimumPrice', price });
+  }
+
+  return {
+    roomType,
+    date,
+    basePrice,
+    price: Math.round(price * 100) / 100,
+    isTemporary,
+    provenance,
+    restrictions: resolveStayRestrictions(roomType, date, config)
+  };
+}
+
+/**
+ * Resolve effective prices for every night in a range
+ * @param {object} options - { from, to, roomType, channel, at } - at: when the prices are quoted (default now)
+ * @param {object} data - { rooms: dataLoader.rooms, config: action configuration }
+ * @returns {Array} [{ roomType, basePrice, nights: [{ date, price, isTemporary, provenance, restrictions }] }]
+ */
+function resolveRates({ from, to, roomType, channel = null, at = new Date() }, { rooms = [], config = {} }) {
+  const nights = listNights(from, to);
+
+  return rooms
+    .map(r => ({
+      roomType: r.room_type || r['Room Type'],
+      basePrice: parseFloat(r.base_price || r['Base Price'] || 0),
+      importedPrice: parseFloat(r.imported_price ?? r.base_price ?? r['Base Price'] ?? 0)
+    }))
+    .filter(r => r.roomType && (!roomType || matchesRoomType(roomType, r.roomType)))
+    .map(room => ({
+      roomType: room.roomType,
+      basePrice: room.basePrice,
+      nights: nights.map(date => {
+        const { roomType: _type, basePrice: _base, ...night } = resolveNightlyRate(room, date, config, channel, at);
+        return night;
+      })
+    }));
+}
+
+module.exports = {
+  resolveRates,
+  resolveNightlyRate,
+  resolveStayRestrictions,
+  listNights,
+  matchesRoomType,
+  MAX_NIGHTS,
+  RESTRICTION_TYPES
+};
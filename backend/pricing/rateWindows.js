@@ -0,0 +1,61 @@
+/**
+ * Rate Windows
+ * Temporary prices bounded by exact start and end times
+ *
+ * Time-bound offers ("10% off for the next 5 hours", any offer whose start or
+ * end carries a time of day) store one window per room type in the action
+ * store's "rateWindows" collection instead of per-night overrides:
+ *
+ *   { roomId, mappedRoomType, startAt, endAt, timezone, firstNight, lastNight,
+ *     newPrice, tempOfferId, reason, channel }
+ *
+ * startAt/endAt are UTC instants; endAt is exclusive. A window prices the
+ * nights it touches on the property's wall clock (firstNight..lastNight), and
+ * only while it is open: a 2-hour sale at 9pm sells tonight at the sale price
+ * from 9 to 11pm and leaves the rest of the day's rate alone.
+ */
+
+const { zonedDate } = require('../utils/timeZones');
+
+/**
+ * Does an offer bound carry a time of day ("2025-03-01T21:00", ISO timestamps)?
+ */
+function hasTimeOfDay(value) {
+  return /T\d{2}:\d{2}/.test(String(value || ''));
+}
+
+/**
+ * Timing fields of a window from start to end
+ * @param {Date} start
+ * @param {Date} end - Exclusive, after start
+ * @param {string} timeZone - Property time zone
+ * @returns {object} { startAt, endAt, timezone, firstNight, lastNight }
+ */
+function windowSpan(start, end, timeZone) {
+  return {
+    startAt: start.toISOString(),
+    endAt: end.toISOString(),
+    timezone: timeZone,
+    firstNight: zonedDate(start, timeZone),
+    // A window ending at midnight doesn't reach into the next night
+    lastNight: zonedDate(end.getTime() - 1, timeZone)
+  };
+}
+
+/**
+ * Is a window open at `at` and covering night `date`?
+ * @param {object} window - rateWindows record
+ * @param {string} date - Night (YYYY-MM-DD)
+ * @param {Date|string|number} at - Instant the price is quoted for
+ */
+function windowApplies(window, date, at) {
+  const t = new Date(at).getTime();
+  return window.firstNight <= date && date <= window.lastNight &&
+    Date.parse(window.startAt) <= t && t < Date.parse(window.endAt);
+}
+
+module.exports = {
+  hasTimeOfDay,
+  windowSpan,
+  windowApplies
+};
@@ -1,5 +1,14 @@
+const { demandMultiplier, DEFAULT_ELASTICITY } = require('./elasticity');
 
-function assessPriceChangeRisk(room, newPrice, occupancyForecast, competitors) {
+/**
+ * Risk of a price change, scored from the revenue it is projected to cost
+ * @param {object} room - Room record
+ * @param {number} newPrice - Proposed price
+ * @param {object} occupancyForecast - forecastOccupancy result
+ * @param {Array} competitors - Competitor rates
+ * @param {object} elasticity - Fitted estimate from getElasticity (default -1.5)
+ */
+function assessPriceChangeRisk(room, newPrice, occupancyForecast, competitors, elasticity = null) {
   const currentPrice = room.base_price || room['Base Price'];
   const priceChange = newPrice - currentPrice;
   const priceChangePct = (priceChange / currentPrice) * 100;
@@ -15,27 +24,48 @@ function assessPriceChangeRisk(room, newPrice, occupancyForecast, competitors) {
   
   const marketDeviation = ((newPrice - marketAvg) / marketAvg) * 100;
   
+  const avgOccupancy = occupancyForecast.forecasts
+    .slice(0, 3)
+    .reduce((sum, f) => sum + f.forecastOccupancy, 0) / 3;
+  
+  // Projected impact under the room type's demand elasticity
+  const estimate = elasticity || { elasticity: DEFAULT_ELASTICITY, lower: DEFAULT_ELASTICITY, upper: DEFAULT_ELASTICITY, source: 'default' };
+  const totalRooms = room.total_rooms || room['Total Rooms'];
+  const currentRevenue = currentPrice * totalRooms * avgOccupancy * 30;
+  const project = (e) => {
+    const occupancy = Math.max(0, Math.min(1, avgOccupancy * demandMultiplier(newPrice / currentPrice, e)));
+    const revenue = newPrice * totalRooms * occupancy * 30;
+    return { occupancy, revenue, revenuePct: currentRevenue > 0 ? ((revenue - currentRevenue) / currentRevenue) * 100 : 0 };
+  };
+  const projected = project(estimate.elasticity);
+  // The end of the confidence interval that hurts this change the most
+  const worstCase = [project(estimate.lower), project(estimate.upper)]
+    .reduce((worst, p) => (p.revenuePct < worst.revenuePct ? p : worst));
+  
   // Risk factors
   const risks = [];
   let overallRisk = 'low';
   let riskScore = 0;
   
-  // Price increase risks
-  if (priceChangePct > 10) {
-    risks.push(`Large price increase (${priceChangePct.toFixed(0)}%) may reduce demand`);
-    riskScore += 30;
-  } else if (priceChangePct > 5) {
-    risks.push(`Moderate price increase may impact booking conversion`);
+  // Revenue risk: scored from the projected loss rather than the size of the change
+  if (projected.revenuePct < 0) {
+    const direction = priceChangePct > 0 ? 'increase' : 'decrease';
+    risks.push(`Price ${direction} projected to lose ${Math.abs(projected.revenuePct).toFixed(1)}% revenue (elasticity ${estimate.elasticity})`);
+    riskScore += Math.min(40, Math.round(Math.abs(projected.revenuePct) * 3));
+  }
+  if (worstCase.revenuePct < -5 && projected.revenuePct >= -5) {
+    risks.push(`Could lose up to ${Math.abs(worstCase.revenuePct).toFixed(1)}% revenue at the unfavourable end of the estimated price sensitivity`);
     riskScore += 15;
   }
+  if (estimate.source === 'default' && Math.abs(priceChangePct) > 10) {
+    risks.push(`Large change (${priceChangePct.toFixed(0)}%) with too little booking history to estimate price sensitivity`);
+    riskScore += 10;
+  }
   
   // Price decrease risks
   if (priceChangePct < -10) {
     risks.push(`Significant price reduction may signal desperation`);
     riskScore += 20;
-  } else if (priceChangePct < -5) {
-    risks.push(`Price decrease will reduce revenue per booking`);
-    riskScore += 10;
   }
   
   // Market positioning risks
@@ -48,10 +78,6 @@ function assessPriceChangeRisk(room, newPrice, occupancyForecast, competitors) {
   }
   
   // Occupancy-based risks
-  const avgOccupancy = occupancyForecast.forecasts
-    .slice(0, 3)
-    .reduce((sum, f) => sum + f.forecastOccupancy, 0) / 3;
-  
   if (avgOccupancy > 0.85 && priceChangePct < 0) {
     risks.push(`High demand (${(avgOccupancy * 100).toFixed(0)}%) suggests price increase, not decrease`);
     riskScore += 20;
@@ -66,22 +92,10 @@ function assessPriceChangeRisk(room, newPrice, occupancyForecast, competitors) {
   if (riskScore > 50) overallRisk = 'high';
   else if (riskScore > 25) overallRisk = 'medium';
   
-  // Calculate potential impact
-  const totalRooms = room.total_rooms || room['Total Rooms'];
-  const currentRevenue = currentPrice * totalRooms * avgOccupancy * 30;
-  
-  // Estimate demand elasticity impact
-  let elasticityImpact = 1.0;
-  if (priceChangePct > 0) {
-    elasticityImpact = 1 - (priceChangePct * 0.015); // -1.5% occupancy per 1% price increase
-  } else if (priceChangePct < 0) {
-    elasticityImpact = 1 + (Math.abs(priceChangePct) * 0.01); // +1% occupancy per 1% price decrease
-  }
-  
-  const projectedOccupancy = Math.max(0, Math.min(1, avgOccupancy * elasticityImpact));
-  const projectedRevenue = newPrice * totalRooms * projectedOccupancy * 30;
+  const projectedOccupancy = projected.occupancy;
+  const projectedRevenue = projected.revenue;
   const revenueImpact = projectedRevenue - currentRevenue;
-  const revenueImpactPct = (revenueImpact / currentRevenue) * 100;
+  const revenueImpactPct = projected.revenuePct;
   
   return {
     riskLevel: overallRisk,
@@ -94,7 +108,14 @@ function assessPriceChangeRisk(room, newPrice, occupancyForecast, competitors) {
       projectedMonthlyRevenue: projectedRevenue.toFixed(0),
       revenueDelta: revenueImpact.toFixed(0),
       revenueDeltaPct: revenueImpactPct.toFixed(1) + '%',
-      occupancyChange: ((projectedOccupancy - avgOccupancy) * 100).toFixed(1) + '%'
+      occupancyChange: ((projectedOccupancy - avgOccupancy) * 100).toFixed(1) + '%',
+      worstCaseRevenueDeltaPct: worstCase.revenuePct.toFixed(1) + '%'
+    },
+    elasticity: {
+      value: estimate.elasticity,
+      lower: estimate.lower,
+      upper: estimate.upper,
+      source: estimate.source
     },
     recommendation: overallRisk === 'high' 
       ? 'Not recommended - high risk of negative impact'
@@ -107,9 +128,9 @@ function assessPriceChangeRisk(room, newPrice, occupancyForecast, competitors) {
 /**
  * Compare multiple pricing scenarios
  */
-function compareScenarios(room, scenarios, occupancyForecast, competitors) {
+function compareScenarios(room, scenarios, occupancyForecast, competitors, elasticity = null) {
   return scenarios.map(scenario => {
-    const assessment = assessPriceChangeRisk(room, scenario.price, occupancyForecast, competitors);
+    const assessment = assessPriceChangeRisk(room, scenario.price, occupancyForecast, competitors, elasticity);
     return {
       scenario: scenario.name,
       price: scenario.price,
@@ -1,13 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs').promises;
-const path = require('path');
 const agent = require('../copilot/agent');
 const { validateString, validateObject, validateActionName, sanitizeInput } = require('../middleware/validation');
 const { invalidateOnAction, cache } = require('../utils/cache');
 const { estimateRevenueImpact, calculateOccupancy } = require('../utils/revenueCalculations');
 const dataLoader = require('../services/dataLoader');
-const AUDIT_PATH = path.resolve(__dirname, '../data/audit.json');
+const { getElasticity } = require('../pricing/elasticity');
+const { describeStayRestriction } = require('../copilot/actions');
+const approvalQueue = require('../services/approvalQueue');
+const actionJournal = require('../services/actionJournal');
+const scheduledActions = require('../services/scheduledActions');
+const { approveProposal } = require('../utils/approvalFlow');
+const { authorizeAction, requireRole, auditIdentity } = require('../middleware/auth');
 
 /**
  * Generate future analysis for applied actions
@@ -41,7 +45,8 @@ function generateFutureAnalysis(actionName, parameters, result) {
           update.newPrice,
           occupancyData.rate,
           totalRooms,
-          30
+          30,
+          getElasticity(reservations, update.roomType)
         );
 
         analysis.projections.push({
@@ -90,6 +95,32 @@ function generateFutureAnalysis(actionName, parameters, result) {
       );
     }
 
+    else if (['setMinLengthOfStay', 'setMaxLengthOfStay', 'setClosedToArrival', 'setClosedToDeparture'].includes(actionName)) {
+      const restriction = result.data || {};
+      const isLOS = restriction.restrictionType === 'minLOS' || restriction.restrictionType === 'maxLOS';
+      const lifted = isLOS ? !(restriction.value > (restriction.restrictionType === 'minLOS' ? 1 : 0)) : !restriction.value;
+
+      analysis.projections.push({
+        roomType: restriction.roomType,
+        change: describeStayRestriction(restriction.restrictionType, restriction.value),
+        dateRange: `${restriction.startDate} to ${restriction.endDate}`,
+        effect: lifted
+          ? 'Bookings are accepted again without this restriction'
+          : isLOS
+            ? 'Applies to stays arriving on these dates'
+            : `Stays cannot ${restriction.restrictionType === 'closedToArrival' ? 'start' : 'end'} on these dates`,
+        riskLevel: lifted ? 'low' : 'medium'
+      });
+
+      analysis.summary = lifted ? 'Stay restriction lifted' : 'Stay restriction applied';
+      if (!lifted) {
+        analysis.recommendations.push(
+          'Watch pickup on the restricted dates; lift the restriction if bookings stall',
+          'Say "undo" to remove it'
+        );
+      }
+    }
+
     else if (actionName === 'applyTemporaryPricing') {
       const roomPricing = parameters.roomPricing || [];
 
@@ -103,7 +134,8 @@ function generateFutureAnalysis(actionName, parameters, result) {
           rp.newPrice,
           occupancyData.rate,
           totalRooms,
-          7
+          7,
+          getElasticity(reservations, rp.roomType)
         );
 
         analysis.projections.push({
@@ -125,6 +157,15 @@ function generateFutureAnalysis(actionName, parameters, result) {
       );
     }
 
+    else if (actionName === 'scheduleAction' && result.success) {
+      // The result message already has the schedule and the next run
+      analysis.summary = 'Action scheduled';
+      analysis.recommendations.push(
+        'Each run is applied without another approval and shows up in Action History',
+        'Cancel it any time before a run to stop it'
+      );
+    }
+
     else if (actionName === 'updateCompetitorDifferential' || actionName === 'updateCompetitorWeight') {
       analysis.projections.push({
         competitor: parameters.competitorName,
@@ -171,6 +212,14 @@ function generateFollowUpPrompt(actionName) {
     return 'Rate constraints are now in place. Would you like to set similar constraints for other room types or adjust the date range?';
   }
 
+  if (['setMinLengthOfStay', 'setMaxLengthOfStay', 'setClosedToArrival', 'setClosedToDeparture'].includes(actionName)) {
+    return 'The restriction is on the calendar. Would you like to apply it to other room types or review pace for these dates?';
+  }
+
+  if (actionName === 'scheduleAction') {
+    return 'Would you like to schedule anything else, or review what is already scheduled?';
+  }
+
   return 'Would you like to implement any of these strategies for other areas, or need further assistance with specific promotional actions?';
 }
 
@@ -235,9 +284,10 @@ function formatAnalysisForChat(analysis, result) {
 }
 
 // Execute an approved action
-router.post('/execute', async (req, res) => {
+// Runs through the approval queue: actions the approval policy flags wait for a second approver (202)
+router.post('/execute', authorizeAction, async (req, res) => {
   try {
-    const { actionName, parameters, operator, operatorName, prompt } = req.body;
+    const { actionName, parameters, prompt, proposalId } = req.body;
     
     // Validate required fields
     if (!actionName || !parameters) {
@@ -259,13 +309,6 @@ router.post('/execute', async (req, res) => {
       return res.status(400).json({ error: paramsValidation.error });
     }
     
-    if (operator) {
-      const operatorValidation = validateString(operator, 'operator', 1, 200);
-      if (!operatorValidation.valid) {
-        return res.status(400).json({ error: operatorValidation.error });
-      }
-    }
-    
     if (prompt) {
       const promptValidation = validateString(prompt, 'prompt', 1, 5000);
       if (!promptValidation.valid) {
@@ -273,106 +316,46 @@ router.post('/execute', async (req, res) => {
       }
     }
     
-    // Import actions module
-    const actions = require('../copilot/actions');
-    
-    // Verify action exists
-    if (typeof actions[actionName] !== 'function') {
-      return res.status(400).json({ 
-        error: 'Invalid action',
-        message: `Action "${actionName}" is not recognized`,
-        validActions: Object.keys(actions).filter(key => typeof actions[key] === 'function')
-      });
-    }
-    
-    console.log(`🎯 Executing action: ${actionName}`, parameters);
-    
-    // Execute the action with proper parameter mapping
-    let result;
-    try {
-      switch (actionName) {
-        case 'applyPriceOverride':
-          result = await actions.applyPriceOverride(parameters.roomId, parameters.date, parameters.newPrice);
-          break;
-        case 'adjustRateClamp':
-          result = await actions.adjustRateClamp(parameters.roomType, parameters.clampType, parameters.newValue, parameters.startDate, parameters.endDate);
-          break;
-        case 'updateCompetitorWeight':
-          result = await actions.updateCompetitorWeight(parameters.competitorName, parameters.newWeight);
-          break;
-        case 'updateCompetitorDifferential':
-          result = await actions.updateCompetitorDifferential(parameters.competitorName, parameters.newDifferential);
-          break;
-        case 'applyPriceIncrease':
-          result = await actions.applyPriceIncrease(parameters.roomTypes, parameters.percentage, parameters.scope);
-          break;
-        case 'applyWeekendRateIncrease':
-          result = await actions.applyWeekendRateIncrease(parameters.roomTypes, parameters.percentage, parameters.scope);
-          break;
-        case 'applyTemporaryPricing':
-          result = await actions.applyTemporaryPricing(parameters.roomPricing, parameters.startDate, parameters.endDate, parameters.reason);
-          break;
-        case 'applyMultiplePromotions':
-          result = await actions.applyMultiplePromotions(parameters.promotions);
-          break;
-        case 'undoLastAction':
-          result = await actions.undoLastAction();
-          break;
-        default:
-          throw new Error(`Unknown action: ${actionName}`);
+    // Approve the queued proposal (its stored parameters win) or queue this action now
+    const identity = auditIdentity(req.user);
+    let queued;
+    if (proposalId) {
+      queued = await approvalQueue.get(proposalId);
+      if (!queued) {
+        return res.status(404).json({ success: false, error: 'Proposal not found' });
+      }
+      if (queued.actionName !== actionName) {
+        return res.status(400).json({ success: false, error: `Proposal ${proposalId} is for ${queued.actionName}, not ${actionName}` });
       }
-    } catch (error) {
-      console.error('Action execution error:', error);
-      return res.status(500).json({
+    } else {
+      queued = await approvalQueue.propose({ actionName, parameters, description: `Direct action: ${actionName}` }, { proposedBy: identity });
+    }
+
+    console.log(`🎯 Executing action: ${actionName}`, queued.parameters);
+
+    const outcome = await approveProposal(queued.id, identity, prompt || `Direct action: ${actionName}`);
+    if (!outcome.success) {
+      return res.status(outcome.notFound ? 404 : 409).json({ success: false, error: outcome.error });
+    }
+
+    if (!outcome.executed) {
+      const { proposal } = outcome;
+      return res.status(202).json({
         success: false,
-        error: 'Failed to execute action',
-        message: error.message
+        pendingApproval: true,
+        message: `Waiting for ${proposal.requiredApprovals - proposal.approvals.length} more approver(s): ${proposal.policyReasons.join('; ')}`,
+        proposal
       });
     }
-    
-    // Create audit entry
-    const auditEntry = {
-      time: new Date().toISOString(),
-      operator: operator || 'system@hotel.com',
-      operatorName: operatorName || (operator || 'System User'),
-      prompt: prompt || `Direct action: ${actionName}`,
-      intent: actionName,
-      approvals: [{
-        actionName,
-        parameters,
-        approved: true,
-        timestamp: new Date().toISOString()
-      }],
-      applied: [{
-        success: result.success,
-        message: result.message,
-        data: result.data,
-        actionName,
-        parameters,
-        timestamp: new Date().toISOString()
-      }],
-      isTemporary: actionName === 'applyTemporaryPricing'
-    };
-    
-    // Save to audit log
-    try {
-      const auditLog = await fs.readFile(AUDIT_PATH, 'utf8')
-        .then(d => JSON.parse(d))
-        .catch(() => []);
-      auditLog.push(auditEntry);
-      await fs.writeFile(AUDIT_PATH, JSON.stringify(auditLog, null, 2), 'utf8');
-      console.log('✓ Audit log updated');
-    } catch (auditErr) {
-      console.error('⚠️ Audit log write failed:', auditErr);
-    }
-    
+
+    const { result, audit: auditEntry } = outcome;
     agent.logAudit(auditEntry);
 
     // Invalidate cache after action execution
     invalidateOnAction();
 
     // Generate future analysis for the applied action
-    const futureAnalysis = generateFutureAnalysis(actionName, parameters, result);
+    const futureAnalysis = generateFutureAnalysis(actionName, queued.parameters, result);
 
     // Format the enhanced message with analysis
     const enhancedMessage = formatAnalysisForChat(futureAnalysis, result);
@@ -382,8 +365,10 @@ router.post('/execute', async (req, res) => {
       message: enhancedMessage,
       originalMessage: result.message,
       data: result.data,
+      journalId: result.journalId,
       futureAnalysis: futureAnalysis,
-      audit: auditEntry
+      audit: auditEntry,
+      proposal: outcome.proposal
     });
     
   } catch (err) {
@@ -397,10 +382,10 @@ router.post('/execute', async (req, res) => {
 });
 
 // Undo the last action
-router.post('/undo', async (req, res) => {
+router.post('/undo', requireRole('revenue_manager'), async (req, res) => {
   try {
     const actions = require('../copilot/actions');
-    const result = await actions.undoLastAction();
+    const result = await actions.undoLastAction(auditIdentity(req.user));
 
     if (result.success) {
       console.log('✓ Undo action executed successfully');
@@ -419,6 +404,97 @@ router.post('/undo', async (req, res) => {
   }
 });
 
+// Journaled actions, newest first (?status=applied|reverted&limit=50)
+router.get('/history', (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !actionJournal.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${actionJournal.STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({ actions: actionJournal.list({ status, limit }) });
+  } catch (err) {
+    console.error('Failed to load action history:', err);
+    res.status(500).json({ error: 'Failed to load action history', details: err.message });
+  }
+});
+
+// One journaled action with its before/after snapshots
+router.get('/history/:id', (req, res) => {
+  const entry = actionJournal.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Action not found in history' });
+  }
+  res.json(entry);
+});
+
+/**
+ * Revert or redo a journaled action; later overlapping actions are a 409 unless { force: true }
+ */
+function journalTransition(kind) {
+  return async (req, res) => {
+    try {
+      const outcome = await actionJournal[kind](req.params.id, {
+        actor: auditIdentity(req.user),
+        force: req.body?.force === true
+      });
+      if (!outcome.success) {
+        const status = outcome.notFound ? 404 : 409;
+        return res.status(status).json({ success: false, error: outcome.error, conflicts: outcome.conflicts || [] });
+      }
+
+      invalidateOnAction();
+      res.json({ success: true, message: outcome.entry.summary, entry: outcome.entry, action: outcome.target });
+    } catch (err) {
+      console.error(`❌ Action ${kind} error:`, err);
+      res.status(500).json({ error: `Failed to ${kind} action`, details: err.message });
+    }
+  };
+}
+
+router.post('/:id/revert', requireRole('revenue_manager'), journalTransition('revert'));
+router.post('/:id/redo', requireRole('revenue_manager'), journalTransition('redo'));
+
+// Scheduled actions, newest first (?status=scheduled|completed|failed|cancelled&limit=100)
+router.get('/scheduled', (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !scheduledActions.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${scheduledActions.STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    res.json({ scheduledActions: scheduledActions.list({ status, limit }) });
+  } catch (err) {
+    console.error('Failed to load scheduled actions:', err);
+    res.status(500).json({ error: 'Failed to load scheduled actions', details: err.message });
+  }
+});
+
+// One scheduled action with its recent runs
+router.get('/scheduled/:id', (req, res) => {
+  const job = scheduledActions.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Scheduled action "${req.params.id}" not found` });
+  }
+  res.json(job);
+});
+
+// Cancel a scheduled action's future runs
+router.post('/scheduled/:id/cancel', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const outcome = await scheduledActions.cancel(req.params.id, auditIdentity(req.user));
+    if (!outcome.success) {
+      return res.status(outcome.notFound ? 404 : 409).json({ success: false, error: outcome.error });
+    }
+    res.json({ success: true, scheduledAction: outcome.job });
+  } catch (err) {
+    console.error('❌ Cancel scheduled action error:', err);
+    res.status(500).json({ error: 'Failed to cancel scheduled action', details: err.message });
+  }
+});
+
 // Get action configuration
 router.get('/config', async (req, res) => {
   try {
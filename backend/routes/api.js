@@ -31,7 +31,7 @@ router.post('/chat', async (req, res) => {
     const totalRooms = dataLoader.getTotalRooms() || 0;
     
     // Create system prompt with hotel context
-    const systemPrompt = `You are an AI hotel pricing assistant for Lily Hall Hotel.
+    const systemPrompt = `You are an AI hotel pricing assistant for ${req.hotel.hotelName} Hotel.
     
 Current Hotel Context:
 - Total Rooms: ${totalRooms}
@@ -0,0 +1,98 @@
+/**
+ * Approval Routes
+ * Queue of proposed actions waiting for sign-off
+ *
+ * GET  /              - Proposals, newest first (?status=proposed|approved|rejected|expired)
+ * GET  /policy        - Approval policy for the current property
+ * GET  /:id           - One proposal
+ * POST /:id/approve   - Add your approval; executes once enough distinct users approved
+ * POST /:id/reject    - Reject with an optional { reason }
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const agent = require('../copilot/agent');
+const approvalQueue = require('../services/approvalQueue');
+const { approveProposal } = require('../utils/approvalFlow');
+const { getApprovalPolicy } = require('../utils/approvalPolicy');
+const { authorizeAction, auditIdentity } = require('../middleware/auth');
+const { invalidateOnAction } = require('../utils/cache');
+
+/**
+ * Load :id into req.proposal (404 when missing)
+ */
+async function loadProposal(req, res, next) {
+  try {
+    req.proposal = await approvalQueue.get(req.params.id);
+    if (!req.proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !approvalQueue.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${approvalQueue.STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({ proposals: await approvalQueue.list({ status, limit }) });
+  } catch (err) {
+    console.error('Failed to load approval queue:', err);
+    res.status(500).json({ error: 'Failed to load approval queue', details: err.message });
+  }
+});
+
+router.get('/policy', (req, res) => {
+  res.json(getApprovalPolicy());
+});
+
+router.get('/:id', loadProposal, (req, res) => {
+  res.json(req.proposal);
+});
+
+router.post('/:id/approve', loadProposal, authorizeAction, async (req, res) => {
+  try {
+    const outcome = await approveProposal(req.proposal.id, auditIdentity(req.user), req.body?.prompt || 'Approved from the approval queue');
+    if (!outcome.success) {
+      return res.status(outcome.notFound ? 404 : 409).json({ success: false, error: outcome.error });
+    }
+
+    if (outcome.executed) {
+      agent.logAudit(outcome.audit);
+      invalidateOnAction();
+    }
+
+    res.json({
+      success: true,
+      executed: outcome.executed,
+      result: outcome.result || null,
+      proposal: outcome.proposal
+    });
+  } catch (err) {
+    console.error('❌ Approval error:', err);
+    res.status(500).json({ error: 'Failed to approve proposal', details: err.message });
+  }
+});
+
+router.post('/:id/reject', loadProposal, authorizeAction, async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : '';
+    const outcome = await approvalQueue.reject(req.proposal.id, auditIdentity(req.user), reason);
+    if (!outcome.success) {
+      return res.status(outcome.notFound ? 404 : 409).json({ success: false, error: outcome.error });
+    }
+    res.json({ success: true, proposal: outcome.proposal });
+  } catch (err) {
+    console.error('❌ Rejection error:', err);
+    res.status(500).json({ error: 'Failed to reject proposal', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const userStore = require('../services/userStore');
+const { issueToken } = require('../utils/authTokens');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * POST /api/auth/signup - Create an account and start a session
+ */
+router.post('/signup', async (req, res) => {
+  try {
+    const { email, password, firstName, lastName } = req.body || {};
+    const result = await userStore.create({ email, password, firstName, lastName });
+
+    if (!result.success) {
+      return res.status(result.conflict ? 409 : 400).json({ error: result.error });
+    }
+
+    res.status(201).json({ user: result.user, ...issueToken(result.user) });
+  } catch (err) {
+    console.error('Signup error:', err);
+    res.status(500).json({ error: 'Failed to create account', details: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/login - Exchange email/password for a token
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const user = await userStore.authenticate(email, password);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({ user, ...issueToken(user) });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Failed to log in', details: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/me - Current user
+ */
+router.get('/me', requireRole(), (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * PUT /api/auth/me - Update own name
+ */
+router.put('/me', requireRole(), async (req, res) => {
+  try {
+    const { firstName, lastName } = req.body || {};
+    const result = await userStore.update(req.user.id, { firstName, lastName });
+    if (!result.success) return res.status(400).json({ error: result.error });
+    res.json(result.user);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update profile', details: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/users - All accounts (revenue managers only)
+ */
+router.get('/users', requireRole('revenue_manager'), (req, res) => {
+  res.json(userStore.list());
+});
+
+/**
+ * PUT /api/auth/users/:id/role - Change a user's role (revenue managers only)
+ */
+router.put('/users/:id/role', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const result = await userStore.update(req.params.id, { role: req.body?.role });
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+    res.json(result.user);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update role', details: err.message });
+  }
+});
+
+module.exports = router;
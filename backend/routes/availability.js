@@ -0,0 +1,175 @@
+/**
+ * Availability Routes
+ * Rooms left to sell, inventory holds and overbooking recommendations
+ *
+ * GET    /             - Nightly availability per room type (?from=&to=&roomType=&risk=; default: the next 30 nights)
+ * GET    /overbooking  - Historical late-cancellation and no-show rates per room type
+ * GET    /holds        - Holds overlapping a range (?from=&to=&roomType=&holdType=)
+ * POST   /holds        - Add a hold { holdType: 'maintenance'|'block', roomType, rooms, startDate, endDate?, reason? }
+ * DELETE /holds/:id    - Release a hold
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const dataLoader = require('../services/dataLoader');
+const availability = require('../services/availability');
+const { estimateShowRates, MAX_RISK_TOLERANCE, DEFAULT_RISK_TOLERANCE } = require('../pricing/overbooking');
+const { MAX_NIGHTS } = require('../pricing/rateResolver');
+const { requireRole } = require('../middleware/auth');
+const { invalidateOnAction } = require('../utils/cache');
+const { mapToHotelRoomType } = require('../copilot/roomMapping');
+const { getToday, isValidDate, addDays } = require('../utils/dateUtils');
+
+const DEFAULT_RANGE_NIGHTS = 30;
+
+/**
+ * Validate ?from=&to= (to defaults to from + rangeNights - 1)
+ * @returns {object} { from, to } or { error }
+ */
+function parseRange(query, rangeNights) {
+  const from = query.from || getToday();
+  for (const [name, value] of [['from', from], ['to', query.to]]) {
+    if (value !== undefined && !isValidDate(value)) {
+      return { error: `Invalid ${name} date "${value}" (expected YYYY-MM-DD)` };
+    }
+  }
+  const to = query.to || addDays(from, rangeNights - 1);
+  if (from > to) {
+    return { error: '"from" must be on or before "to"' };
+  }
+  if ((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000 + 1 > MAX_NIGHTS) {
+    return { error: `Date range too long (max ${MAX_NIGHTS} nights)` };
+  }
+  return { from, to };
+}
+
+/**
+ * Resolve ?roomType= to a hotel room type
+ * @returns {string|null|undefined} Room type, null when not given, undefined when unknown
+ */
+function parseRoomType(req) {
+  if (!req.query.roomType) return null;
+  const roomType = mapToHotelRoomType(req.query.roomType);
+  const known = req.hotel.roomTypes.find(rt => rt.name.toLowerCase() === roomType.toLowerCase());
+  return known ? known.name : undefined;
+}
+
+/**
+ * GET /api/availability - Rooms left to sell per room type per night
+ */
+router.get('/', (req, res) => {
+  try {
+    const range = parseRange(req.query, DEFAULT_RANGE_NIGHTS);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const roomType = parseRoomType(req);
+    if (roomType === undefined) {
+      return res.status(404).json({ error: `Room type "${req.query.roomType}" not found` });
+    }
+
+    let riskTolerance = DEFAULT_RISK_TOLERANCE;
+    if (req.query.risk !== undefined) {
+      riskTolerance = Number(req.query.risk);
+      if (!Number.isFinite(riskTolerance) || riskTolerance < 0 || riskTolerance > MAX_RISK_TOLERANCE) {
+        return res.status(400).json({ error: `risk must be a number between 0 and ${MAX_RISK_TOLERANCE}` });
+      }
+    }
+
+    res.json(availability.nightly(
+      { ...range, roomType, riskTolerance },
+      { rooms: dataLoader.rooms || [], reservations: dataLoader.reservations || [] }
+    ));
+  } catch (err) {
+    console.error('Error computing availability:', err);
+    res.status(500).json({ error: 'Failed to compute availability', details: err.message });
+  }
+});
+
+/**
+ * GET /api/availability/overbooking - Cancellation and no-show history behind the allowance
+ */
+router.get('/overbooking', (req, res) => {
+  try {
+    const roomType = parseRoomType(req);
+    if (roomType === undefined) {
+      return res.status(404).json({ error: `Room type "${req.query.roomType}" not found` });
+    }
+
+    // Property-wide rates always cover every room type (small ones fall back to them)
+    const rates = estimateShowRates(dataLoader.reservations || [], (dataLoader.rooms || []).map(room => room.room_type));
+    if (roomType) rates.roomTypes = { [roomType]: rates.roomTypes[roomType] };
+
+    res.json(rates);
+  } catch (err) {
+    console.error('Error estimating overbooking rates:', err);
+    res.status(500).json({ error: 'Failed to estimate overbooking rates', details: err.message });
+  }
+});
+
+/**
+ * GET /api/availability/holds - Maintenance holds and group blocks
+ */
+router.get('/holds', (req, res) => {
+  try {
+    const roomType = parseRoomType(req);
+    if (roomType === undefined) {
+      return res.status(404).json({ error: `Room type "${req.query.roomType}" not found` });
+    }
+    if (req.query.holdType && !availability.HOLD_TYPES.includes(req.query.holdType)) {
+      return res.status(400).json({ error: `holdType must be one of: ${availability.HOLD_TYPES.join(', ')}` });
+    }
+    for (const name of ['from', 'to']) {
+      if (req.query[name] !== undefined && !isValidDate(req.query[name])) {
+        return res.status(400).json({ error: `Invalid ${name} date "${req.query[name]}" (expected YYYY-MM-DD)` });
+      }
+    }
+
+    res.json({
+      holds: availability.listHolds({
+        from: req.query.from || null,
+        to: req.query.to || null,
+        roomType,
+        holdType: req.query.holdType || null
+      })
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load holds', details: err.message });
+  }
+});
+
+/**
+ * POST /api/availability/holds - Take rooms out of inventory
+ */
+router.post('/holds', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const result = await availability.createHold(req.body || {}, { createdBy: req.user.id });
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+
+    invalidateOnAction();
+    res.status(201).json(result.hold);
+  } catch (err) {
+    console.error('Error creating hold:', err);
+    res.status(500).json({ error: 'Failed to create hold', details: err.message });
+  }
+});
+
+/**
+ * DELETE /api/availability/holds/:id - Put the rooms back into inventory
+ */
+router.delete('/holds/:id', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const removed = await availability.removeHold(req.params.id);
+    if (!removed) return res.status(404).json({ error: `Hold "${req.params.id}" not found` });
+
+    invalidateOnAction();
+    res.json({ success: true, id: req.params.id });
+  } catch (err) {
+    console.error('Error deleting hold:', err);
+    res.status(500).json({ error: 'Failed to delete hold', details: err.message });
+  }
+});
+
+module.exports = router;
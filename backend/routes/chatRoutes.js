@@ -3,6 +3,7 @@ const router = express.Router();
 const agent = require('../copilot/agent');
 const dataLoader = require('../services/dataLoader');
 const { validateString, sanitizeInput } = require('../middleware/validation');
+const { getToday, getDateFromToday, getNextWeekend } = require('../utils/dateUtils');
 
 // Simple rule-based chat responses
 router.post('/simple', async (req, res) => {
@@ -24,31 +25,24 @@ router.post('/simple', async (req, res) => {
     const reservations = dataLoader.reservations || [];
     const totalRooms = dataLoader.getTotalRooms() || 0;
     
-    // Date context helper
+    // Date context helper (dates on the property's calendar)
     const getDateContext = (prompt) => {
-      const today = new Date();
       const promptLower = prompt.toLowerCase();
       
       if (promptLower.includes('today')) {
-        return { type: 'today', date: today, label: 'Today' };
+        return { type: 'today', date: getToday(), label: 'Today' };
       }
       
       if (promptLower.includes('tomorrow')) {
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        return { type: 'tomorrow', date: tomorrow, label: 'Tomorrow' };
+        return { type: 'tomorrow', date: getDateFromToday(1), label: 'Tomorrow' };
       }
       
       if (promptLower.includes('this weekend') || promptLower.includes('next weekend')) {
-        const daysUntilSaturday = (6 - today.getDay() + 7) % 7 || 7;
-        const nextSaturday = new Date(today);
-        nextSaturday.setDate(today.getDate() + daysUntilSaturday);
-        const nextSunday = new Date(nextSaturday);
-        nextSunday.setDate(nextSaturday.getDate() + 1);
+        const weekend = getNextWeekend();
         return { 
           type: 'weekend',
-          startDate: nextSaturday,
-          endDate: nextSunday,
+          startDate: weekend.saturday,
+          endDate: weekend.sunday,
           label: promptLower.includes('this weekend') ? 'This Weekend' : 'Next Weekend'
         };
       }
@@ -64,7 +58,7 @@ router.post('/simple', async (req, res) => {
       let filteredReservations = reservations;
       
       if (dateContext.type === 'today' || dateContext.type === 'tomorrow') {
-        const targetDate = dateContext.date.toISOString().split('T')[0];
+        const targetDate = dateContext.date;
         filteredReservations = reservations.filter(r => {
           const checkIn = r.check_in_date || r['Check In Date'] || r.checkInDate;
           const checkOut = r.check_out_date || r['Check Out Date'] || r.checkOutDate;
@@ -84,7 +78,7 @@ router.post('/simple', async (req, res) => {
       let filteredReservations = reservations;
       
       if (dateContext.type === 'today' || dateContext.type === 'tomorrow') {
-        const targetDate = dateContext.date.toISOString().split('T')[0];
+        const targetDate = dateContext.date;
         filteredReservations = reservations.filter(r => {
           const checkIn = r.check_in_date || r['Check In Date'] || r.checkInDate;
           const checkOut = r.check_out_date || r['Check Out Date'] || r.checkOutDate;
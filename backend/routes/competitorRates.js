@@ -0,0 +1,232 @@
+/**
+ * Competitor Rate Routes
+ * Dated competitor rate observations from rate-shop exports and fetchers
+ *
+ * GET  /         - Observations for a range of stay dates (?from=&to=&competitor=&roomType=&latest=; default: the next 30 nights)
+ * GET  /history  - How one competitor's price for one night moved (?competitor=&roomType=&stayDate=)
+ * POST /import   - Import a rate-shop export (text/csv body, or JSON { rates: [...] } / { csv })
+ * POST /fetch    - Pull observations from the property's rate-shop fetcher { from?, to? }
+ * GET  /alerts              - Rate-change alerts (?status=open|dismissed&from=&to=; default: open, upcoming nights)
+ * POST /alerts/scan         - Check the latest observations against our rates now { from?, to? }
+ * POST /alerts/:id/dismiss  - Dismiss an alert
+ *
+ * Pricing uses the latest observation per competitor for each stay date;
+ * competitors.csv prices remain the fallback for nights without one. Imports
+ * and fetches are checked for alerts straight away (see services/competitorAlerts).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const competitorRates = require('../services/competitorRates');
+const competitorAlerts = require('../services/competitorAlerts');
+const { requireRole, auditIdentity } = require('../middleware/auth');
+const { invalidateOnAction } = require('../utils/cache');
+const { mapToHotelRoomType } = require('../copilot/roomMapping');
+const { getToday, isValidDate, addDays } = require('../utils/dateUtils');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Room type from a query parameter, resolved against the current property
+ * @returns {string|null|undefined} Room type name, null when not given, undefined when unknown
+ */
+function resolveRoomType(req, value) {
+  if (!value) return null;
+  const mapped = mapToHotelRoomType(value);
+  return req.hotel.roomTypes.find(rt => rt.name.toLowerCase() === mapped.toLowerCase())?.name;
+}
+
+/**
+ * GET /api/competitor-rates - Observations for a range of stay dates
+ */
+router.get('/', (req, res) => {
+  try {
+    const from = req.query.from || getToday();
+    for (const [name, value] of [['from', from], ['to', req.query.to]]) {
+      if (value !== undefined && !isValidDate(value)) {
+        return res.status(400).json({ error: `Invalid ${name} date "${value}" (expected YYYY-MM-DD)` });
+      }
+    }
+    const to = req.query.to || addDays(from, DEFAULT_RANGE_DAYS - 1);
+    if (from > to) {
+      return res.status(400).json({ error: '"from" must be on or before "to"' });
+    }
+    if ((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000 + 1 > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `Date range too long (max ${MAX_RANGE_DAYS} days)` });
+    }
+
+    const roomType = resolveRoomType(req, req.query.roomType);
+    if (roomType === undefined) {
+      return res.status(404).json({ error: `Room type "${req.query.roomType}" not found` });
+    }
+
+    const observations = competitorRates.list({
+      competitor: req.query.competitor || null,
+      roomType,
+      from,
+      to,
+      latest: req.query.latest === 'true'
+    });
+
+    res.json({ from, to, count: observations.length, observations });
+  } catch (err) {
+    console.error('Error listing competitor rates:', err);
+    res.status(500).json({ error: 'Failed to load competitor rates', details: err.message });
+  }
+});
+
+/**
+ * GET /api/competitor-rates/history - Price moves for one competitor, room type and night
+ */
+router.get('/history', (req, res) => {
+  try {
+    const { competitor, stayDate } = req.query;
+    if (!competitor || !req.query.roomType || !stayDate) {
+      return res.status(400).json({ error: 'competitor, roomType and stayDate are required' });
+    }
+    if (!isValidDate(stayDate)) {
+      return res.status(400).json({ error: `Invalid stayDate "${stayDate}" (expected YYYY-MM-DD)` });
+    }
+    const roomType = resolveRoomType(req, req.query.roomType);
+    if (!roomType) {
+      return res.status(404).json({ error: `Room type "${req.query.roomType}" not found` });
+    }
+
+    const history = competitorRates.history({ competitor, roomType, stayDate });
+    const first = history[0];
+    const last = history[history.length - 1];
+
+    res.json({
+      competitor,
+      roomType,
+      stayDate,
+      observations: history,
+      latestPrice: last ? last.price : null,
+      totalChange: history.length > 1 ? Math.round((last.price - first.price) * 100) / 100 : null
+    });
+  } catch (err) {
+    console.error('Error loading competitor rate history:', err);
+    res.status(500).json({ error: 'Failed to load competitor rate history', details: err.message });
+  }
+});
+
+/**
+ * POST /api/competitor-rates/import - Import a rate-shop export
+ */
+router.post('/import', requireRole('revenue_manager'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    let result;
+    if (typeof req.body === 'string') {
+      result = await competitorRates.importCSV(req.body, { createdBy: req.user.id });
+    } else if (typeof req.body?.csv === 'string') {
+      result = await competitorRates.importCSV(req.body.csv, { createdBy: req.user.id });
+    } else if (Array.isArray(req.body?.rates) || Array.isArray(req.body)) {
+      const rates = Array.isArray(req.body) ? req.body : req.body.rates;
+      result = await competitorRates.record(rates, { source: 'import', createdBy: req.user.id });
+    } else {
+      return res.status(400).json({ error: 'Send the export as a text/csv body, or as { csv } or { rates: [...] } JSON' });
+    }
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const alerts = await competitorAlerts.scan();
+    invalidateOnAction();
+    res.json({ ...result, alertsRaised: alerts.raised });
+  } catch (err) {
+    console.error('Error importing competitor rates:', err);
+    res.status(500).json({ error: 'Failed to import competitor rates', details: err.message });
+  }
+});
+
+/**
+ * POST /api/competitor-rates/fetch - Pull observations from the rate-shop fetcher
+ */
+router.post('/fetch', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+    const result = await competitorRates.fetch({ from, to }, { createdBy: req.user.id });
+    if (!result.success) {
+      return res.status(result.notConfigured ? 501 : 400).json({ error: result.error });
+    }
+
+    const alerts = await competitorAlerts.scan({ from: result.from, to: result.to });
+    invalidateOnAction();
+    res.json({ ...result, alertsRaised: alerts.raised });
+  } catch (err) {
+    console.error('Error fetching competitor rates:', err);
+    res.status(502).json({ error: 'Failed to fetch competitor rates', details: err.message });
+  }
+});
+
+/**
+ * GET /api/competitor-rates/alerts - Rate-change alerts with their proposals
+ */
+router.get('/alerts', async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (status !== 'all' && !competitorAlerts.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${competitorAlerts.STATUSES.join(', ')}, all` });
+    }
+    for (const [name, value] of [['from', req.query.from], ['to', req.query.to]]) {
+      if (value !== undefined && !isValidDate(value)) {
+        return res.status(400).json({ error: `Invalid ${name} date "${value}" (expected YYYY-MM-DD)` });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const alerts = await competitorAlerts.list({
+      status: status === 'all' ? null : status,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      limit
+    });
+    res.json({ alerts });
+  } catch (err) {
+    console.error('Error listing competitor alerts:', err);
+    res.status(500).json({ error: 'Failed to load competitor alerts', details: err.message });
+  }
+});
+
+/**
+ * POST /api/competitor-rates/alerts/scan - Raise alerts for the latest observations now
+ */
+router.post('/alerts/scan', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined && !isValidDate(value)) {
+        return res.status(400).json({ error: `Invalid ${name} date "${value}" (expected YYYY-MM-DD)` });
+      }
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ error: '"from" must be on or before "to"' });
+    }
+
+    res.json(await competitorAlerts.scan({ from, to }));
+  } catch (err) {
+    console.error('Error scanning competitor rates:', err);
+    res.status(500).json({ error: 'Failed to scan competitor rates', details: err.message });
+  }
+});
+
+/**
+ * POST /api/competitor-rates/alerts/:id/dismiss - Dismiss an alert
+ */
+router.post('/alerts/:id/dismiss', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const result = await competitorAlerts.dismiss(req.params.id, auditIdentity(req.user));
+    if (!result.success) {
+      return res.status(404).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Error dismissing competitor alert:', err);
+    res.status(500).json({ error: 'Failed to dismiss competitor alert', details: err.message });
+  }
+});
+
+module.exports = router;
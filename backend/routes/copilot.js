@@ -7,8 +7,12 @@ const express = require('express');
 const router = express.Router();
 
 const dataLoader = require('../services/dataLoader');
-const { generatePricingRecommendation } = require('../pricing/competitorPricing');
+const { recommendRoomPrice } = require('../pricing/pricingPipeline');
+const competitorRates = require('../services/competitorRates');
 const { calculateOccupancy, estimateRevenueImpact } = require('../utils/revenueCalculations');
+const { getElasticity } = require('../pricing/elasticity');
+const { latencyMiddleware } = require('../utils/latencyTracker');
+const { getToday } = require('../utils/dateUtils');
 
 // Import split route modules
 const copilotChat = require('./copilotChat');
@@ -20,6 +24,13 @@ const chatRoutes = require('./chatRoutes');
 const actionRoutes = require('./actionRoutes');
 const dataRoutes = require('./dataRoutes');
 const agentRoutes = require('./agentRoutes');
+const metricsRoutes = require('./metricsRoutes');
+const approvalRoutes = require('./approvalRoutes');
+const sessionRoutes = require('./sessionRoutes');
+
+// Metrics are mounted before tracing so polling them doesn't skew the numbers
+router.use('/metrics', metricsRoutes);
+router.use(latencyMiddleware);
 
 // Mount main routes
 router.use('/chat', copilotChat);
@@ -29,6 +40,8 @@ router.use('/apply', copilotApply);
 // Mount additional sub-routers
 router.use('/chat-simple', chatRoutes);
 router.use('/actions', actionRoutes);
+router.use('/approvals', approvalRoutes);
+router.use('/sessions', sessionRoutes);
 router.use('/data', dataRoutes);
 router.use('/agent-flow', agentRoutes);
 
@@ -40,6 +53,8 @@ router.post('/suggest', async (req, res) => {
     const roomsData = dataLoader.rooms || [];
     const competitors = dataLoader.competitors || [];
     const reservations = dataLoader.reservations || [];
+    const tonight = getToday();
+    const observations = competitorRates.forStayDate(tonight);
 
     const enrichedRooms = roomsData.map(room => {
       const type = room.room_type || room['Room Type'] || 'Unknown';
@@ -47,7 +62,7 @@ router.post('/suggest', async (req, res) => {
       const totalRooms = room.total_rooms || room['Total Rooms'] || 10;
 
       const occupancyData = calculateOccupancy(reservations, type, totalRooms);
-      const pricingRec = generatePricingRecommendation(type, basePrice, competitors, occupancyData.rate);
+      const pricingRec = recommendRoomPrice(room, { competitors, reservations, observations, date: tonight });
 
       return {
         id: (type || 'unknown').toLowerCase().replace(/\s+/g, '-'),
@@ -68,7 +83,7 @@ router.post('/suggest', async (req, res) => {
 
     const suggestions = targetRooms.map(room => {
       const rec = room.recommendation;
-      const impact = estimateRevenueImpact(room.currentPrice, rec.suggestedPrice, room.occupancy, room.totalRooms, 30);
+      const impact = estimateRevenueImpact(room.currentPrice, rec.suggestedPrice, room.occupancy, room.totalRooms, 30, getElasticity(reservations, room.name));
 
       return {
         roomType: room.name,
@@ -107,6 +122,10 @@ router.post('/llm', (req, res, next) => {
   router.handle({ ...req, url: '/chat', method: 'POST' }, res, next);
 });
 
+router.post('/llm/stream', (req, res, next) => {
+  router.handle({ ...req, url: '/chat/stream', method: 'POST' }, res, next);
+});
+
 router.get('/dashboard/current-suggestions', (req, res, next) => {
   router.handle({ ...req, url: '/dashboard', method: 'GET' }, res, next);
 });
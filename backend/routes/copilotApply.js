@@ -1,86 +1,66 @@
 /**
  * Copilot Apply Route
  * Handles action execution and audit logging
+ *
+ * Actions go through the approval queue: when the approval policy asks for a
+ * second approver the action is queued (202) instead of executed.
  */
 
 const express = require('express');
 const router = express.Router();
 
 const agent = require('../copilot/agent');
-const { saveAuditEntry, createAuditEntry } = require('../utils/approvalFlow');
+const approvalQueue = require('../services/approvalQueue');
+const { approveProposal } = require('../utils/approvalFlow');
+const { validateActionName } = require('../middleware/validation');
+const { authorizeAction, auditIdentity } = require('../middleware/auth');
 
-router.post('/', async (req, res) => {
+router.post('/', authorizeAction, async (req, res) => {
   try {
-    const { actionName, parameters, operator, operatorName, prompt } = req.body;
+    const { actionName, parameters, prompt, proposalId } = req.body;
 
     if (!actionName || !parameters) {
       return res.status(400).json({ error: 'Missing actionName or parameters' });
     }
 
-    const actions = require('../copilot/actions');
-
-    if (typeof actions[actionName] !== 'function') {
-      return res.status(400).json({
-        error: 'Invalid action',
-        validActions: Object.keys(actions).filter(k => typeof actions[k] === 'function')
-      });
+    const actionNameValidation = validateActionName(actionName);
+    if (!actionNameValidation.valid) {
+      return res.status(400).json({ error: 'Invalid action', details: actionNameValidation.error });
     }
 
-    console.log(`🎯 Applying action: ${actionName}`, parameters);
+    const identity = auditIdentity(req.user);
+    const queued = proposalId
+      ? await approvalQueue.get(proposalId)
+      : await approvalQueue.propose({ actionName, parameters, description: `${actionName} action` }, { proposedBy: identity });
 
-    let result;
-    switch (actionName) {
-      case 'applyPriceOverride':
-        result = await actions.applyPriceOverride(parameters.roomId, parameters.date, parameters.newPrice);
-        break;
-      case 'adjustRateClamp':
-        result = await actions.adjustRateClamp(parameters.roomType, parameters.clampType, parameters.newValue, parameters.startDate, parameters.endDate);
-        break;
-      case 'applyTemporaryPricing':
-        result = await actions.applyTemporaryPricing(parameters.roomPricing, parameters.startDate, parameters.endDate, parameters.reason);
-        break;
-      case 'applyPriceIncrease':
-        result = await actions.applyPriceIncrease(parameters.roomTypes, parameters.percentage, parameters.scope);
-        break;
-      case 'updateCompetitorDifferential':
-        result = await actions.updateCompetitorDifferential(parameters.competitorName, parameters.newDifferential);
-        break;
-      case 'updateCompetitorWeight':
-        result = await actions.updateCompetitorWeight(parameters.competitorName, parameters.newWeight);
-        break;
-      case 'applyWeekendRateIncrease':
-        result = await actions.applyWeekendRateIncrease(parameters.roomTypes, parameters.percentage, parameters.scope);
-        break;
-      case 'applyMultiplePromotions':
-        result = await actions.applyMultiplePromotions(parameters.promotions);
-        break;
-      case 'undoLastAction':
-        result = await actions.undoLastAction();
-        break;
-      default:
-        result = await actions[actionName](...Object.values(parameters));
+    if (!queued || queued.actionName !== actionName) {
+      return res.status(404).json({ error: `No ${actionName} proposal ${proposalId}` });
     }
 
-    const actionProposal = { actionName, parameters, description: `${actionName} action` };
-    const auditEntry = createAuditEntry(
-      actionProposal,
-      result,
-      operatorName || operator || 'system',
-      prompt || `Action: ${actionName}`
-    );
+    console.log(`🎯 Applying action: ${actionName}`, queued.parameters);
 
-    const saved = await saveAuditEntry(auditEntry);
-    if (!saved) {
-      console.warn('Failed to persist audit entry');
+    const outcome = await approveProposal(queued.id, identity, prompt || `Action: ${actionName}`);
+    if (!outcome.success) {
+      return res.status(outcome.notFound ? 404 : 409).json({ success: false, error: outcome.error });
+    }
+
+    if (!outcome.executed) {
+      return res.status(202).json({
+        success: false,
+        pendingApproval: true,
+        message: `Waiting for a second approver: ${outcome.proposal.policyReasons.join('; ')}`,
+        proposal: outcome.proposal
+      });
     }
 
-    agent.logAudit(auditEntry);
+    agent.logAudit(outcome.audit);
 
     res.json({
-      success: result.success,
-      message: result.message,
-      data: result.data,
-      audit: auditEntry
+      success: outcome.result.success,
+      message: outcome.result.message,
+      data: outcome.result.data,
+      audit: outcome.audit,
+      proposal: outcome.proposal
     });
 
   } catch (err) {
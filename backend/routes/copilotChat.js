@@ -1,128 +1,267 @@
 /**
  * Copilot Chat Route
  * Handles AI chat interactions and action proposals
+ *
+ * POST /         - JSON response once the full completion is ready
+ * POST /stream   - Server-Sent Events: session -> delta* -> actionProposal -> done (or error)
+ *
+ * Both take an optional sessionId; without one (or with an unknown one) a new
+ * session is started. Prompts and replies are stored in the session, which is
+ * the conversation history sent to the LLM (see services/chatSessions).
  */
 
 const express = require('express');
 const router = express.Router();
 
 const dataLoader = require('../services/dataLoader');
+const actionStore = require('../services/actionStore');
 const llmService = require('../services/llmService');
+const chatSessions = require('../services/chatSessions');
 const { validateString, sanitizeInput } = require('../middleware/validation');
 const { buildActionProposal, buildMultiplePromotionProposals, buildPromotionImpactAnalysis, isMultiplePromotionRequest, isImpactAnalysisRequest } = require('../utils/actionProposal');
-const { processApprovalFlow } = require('../utils/approvalFlow');
+const { processApprovalFlow, storePendingAction } = require('../utils/approvalFlow');
+const { auditIdentity } = require('../middleware/auth');
 const { cache, CACHE_TTL } = require('../utils/cache');
 const { buildSystemPrompt, buildResponseText } = require('../utils/llmPrompts');
+const { timeSpan } = require('../utils/latencyTracker');
 
-router.post('/', async (req, res) => {
+// Messages of context sent to the LLM, including the current prompt
+const HISTORY_LIMIT = 10;
+
+/**
+ * Session for this turn: the stored one when the id is known and accessible, otherwise a new one
+ */
+async function resolveSession(sessionId, user) {
+  const existing = sessionId ? chatSessions.get(sessionId) : null;
+  if (existing && chatSessions.canAccess(existing, user)) return existing;
+  return chatSessions.create(user?.id || null);
+}
+
+/**
+ * Save the prompt and the reply to the session
+ */
+async function recordTurn(turn, response) {
   try {
-    const { prompt, conversationHistory, sessionId } = req.body || {};
+    await chatSessions.appendMessages(turn.sessionId, [
+      { role: 'user', content: turn.prompt },
+      { role: 'assistant', content: response.text, actionProposal: response.actionProposal || null }
+    ]);
+  } catch (err) {
+    console.error('Failed to save chat session:', err.message);
+  }
+}
 
-    if (!prompt) {
-      return res.status(400).json({ error: 'Missing prompt' });
-    }
+/**
+ * Validate the request and resolve everything that doesn't need the LLM:
+ * approval-flow replies, the action proposal and the cache category.
+ * Proposals that need approval are queued (see services/approvalQueue).
+ * @param {object} body - Request body { prompt, sessionId, conversationHistory }
+ * @param {object} user - Authenticated user (req.user), if any
+ * @returns {Promise<object>} { error } | { sessionId, prompt, response } | { sessionId, prompt, conversationHistory, contextData, actionProposal, cacheType }
+ */
+async function prepareChatTurn(body, user) {
+  const { prompt, conversationHistory, sessionId } = body || {};
 
-    const promptValidation = validateString(prompt, 'prompt', 1, 10000);
-    if (!promptValidation.valid) {
-      return res.status(400).json({ error: promptValidation.error });
-    }
+  if (!prompt) {
+    return { error: 'Missing prompt' };
+  }
 
-    const sanitizedPrompt = sanitizeInput(prompt);
+  const promptValidation = validateString(prompt, 'prompt', 1, 10000);
+  if (!promptValidation.valid) {
+    return { error: promptValidation.error };
+  }
 
-    const contextData = {
-      rooms: dataLoader.rooms || [],
-      competitors: dataLoader.competitors || [],
-      reservations: dataLoader.reservations || []
-    };
+  const sanitizedPrompt = sanitizeInput(prompt);
+  const identity = user ? auditIdentity(user) : null;
 
-    // Check approval flow
-    const approvalCheck = processApprovalFlow(sanitizedPrompt, sessionId || 'default', conversationHistory);
+  // Stored history wins; client-sent history only seeds a session with no messages yet
+  const session = await resolveSession(sessionId, user);
+  const storedHistory = chatSessions.getMessages(session.id, HISTORY_LIMIT - 1);
+  const history = storedHistory.length > 0
+    ? [...storedHistory, { role: 'user', content: sanitizedPrompt }]
+    : conversationHistory;
 
-    // User said "apply [room]" - show confirmation for that specific room
-    if (approvalCheck.type === 'NEEDS_CONFIRMATION' && approvalCheck.actionProposal) {
-      return res.json({
-        ok: true,
-        text: approvalCheck.message,
-        actionProposal: approvalCheck.actionProposal,
-        source: 'approval-flow'
-      });
-    }
+  const contextData = {
+    rooms: dataLoader.rooms || [],
+    competitors: dataLoader.competitors || [],
+    reservations: dataLoader.reservations || [],
+    actionConfig: actionStore.getConfig()
+  };
+
+  // Check approval flow
+  const approvalCheck = await timeSpan('approvalFlow', () =>
+    processApprovalFlow(sanitizedPrompt, session.id, identity)
+  );
 
-    // User confirmed (yes, ok) - execute the action
-    if (approvalCheck.type === 'APPROVAL' && approvalCheck.actionProposal) {
-      return res.json({
+  // User said "apply [room]" - show confirmation for that specific room
+  // User confirmed (yes, ok) - execute the action
+  if ((approvalCheck.type === 'NEEDS_CONFIRMATION' || approvalCheck.type === 'APPROVAL') && approvalCheck.actionProposal) {
+    return {
+      sessionId: session.id,
+      prompt: sanitizedPrompt,
+      response: {
         ok: true,
         text: approvalCheck.message,
         actionProposal: approvalCheck.actionProposal,
         source: 'approval-flow'
-      });
-    }
+      }
+    };
+  }
 
-    // User rejected
-    if (approvalCheck.type === 'REJECTION') {
-      return res.json({
+  // User rejected, or no pending action found
+  if (approvalCheck.type === 'REJECTION' || approvalCheck.type === 'NO_PENDING_ACTION') {
+    return {
+      sessionId: session.id,
+      prompt: sanitizedPrompt,
+      response: {
         ok: true,
         text: approvalCheck.message,
         actionProposal: null,
         source: 'approval-flow'
-      });
-    }
+      }
+    };
+  }
 
-    // No pending action found
-    if (approvalCheck.type === 'NO_PENDING_ACTION') {
-      return res.json({
-        ok: true,
-        text: approvalCheck.message,
-        actionProposal: null,
-        source: 'approval-flow'
-      });
+  // Check for impact analysis request (Step 2)
+  const wantsImpactAnalysis = isImpactAnalysisRequest(sanitizedPrompt);
+  const lastAssistantMessage = history?.slice().reverse().find(m => m.role === 'assistant');
+  const justShowedPromotions = lastAssistantMessage?.actionProposal?.needsImpactAnalysis ||
+                                lastAssistantMessage?.text?.includes('Would you like to see the estimated revenue impact');
+
+  // Build action proposal
+  let actionProposal = timeSpan('actionProposal', () => {
+    if (wantsImpactAnalysis && justShowedPromotions) {
+      return buildPromotionImpactAnalysis(contextData);
+    }
+    if (isMultiplePromotionRequest(sanitizedPrompt)) {
+      return buildMultiplePromotionProposals(contextData);
     }
+    return buildActionProposal(sanitizedPrompt, contextData);
+  });
 
-    // Check for impact analysis request (Step 2)
-    const wantsImpactAnalysis = isImpactAnalysisRequest(sanitizedPrompt);
-    const lastAssistantMessage = conversationHistory?.slice().reverse().find(m => m.role === 'assistant');
-    const justShowedPromotions = lastAssistantMessage?.actionProposal?.needsImpactAnalysis ||
-                                  lastAssistantMessage?.text?.includes('Would you like to see the estimated revenue impact');
+  // Determine cache type
+  const lowerPrompt = sanitizedPrompt.toLowerCase();
+  const isAnalysisQuery = lowerPrompt.match(/\b(analyze|analysis|how|what|show|compare|performance|occupancy|revenue)\b/);
+  const isCompetitorQuery = lowerPrompt.match(/\b(competitor|competition|market|versus|vs|hilton|marriott|hampton)\b/);
+  const isSimulationQuery = lowerPrompt.match(/\b(simulate|preview|what if|forecast|predict|estimate)\b/);
 
-    // Build action proposal
-    let actionProposal;
-    if (wantsImpactAnalysis && justShowedPromotions) {
-      actionProposal = buildPromotionImpactAnalysis(contextData);
-    } else if (isMultiplePromotionRequest(sanitizedPrompt)) {
-      actionProposal = buildMultiplePromotionProposals(contextData);
-    } else {
-      actionProposal = buildActionProposal(sanitizedPrompt, contextData);
+  let cacheType = null;
+  if (isCompetitorQuery) cacheType = 'competitor';
+  else if (isAnalysisQuery) cacheType = 'analysis';
+  else if (isSimulationQuery) cacheType = 'simulation';
+
+  // Backtest figures go to the LLM verbatim; not cached since they depend on the data
+  if (actionProposal.backtest) {
+    contextData.analysis = actionProposal.description;
+    cacheType = null;
+  }
+
+  const isActionRequest = actionProposal.actionName && actionProposal.requiresApproval;
+  if (isActionRequest) {
+    cacheType = null;
+    actionProposal = await storePendingAction(session.id, actionProposal, identity);
+  }
+
+  return {
+    sessionId: session.id,
+    prompt: sanitizedPrompt,
+    conversationHistory: history,
+    contextData,
+    actionProposal,
+    cacheType
+  };
+}
+
+/**
+ * Look up a cached LLM response for this prompt
+ * @returns {object|null} Cached response tagged with _cached/_cacheType
+ */
+function getCachedResponse(cacheType, prompt) {
+  if (!cacheType) return null;
+
+  const cacheKey = cache.generateKey(cacheType, { prompt });
+  const cached = cache.get(cacheKey);
+  if (!cached) return null;
+
+  console.log(`[Cache] HIT for ${cacheType} query`);
+  return { ...cached, _cached: true, _cacheType: cacheType };
+}
+
+/**
+ * Store a successful LLM response for cacheable query types
+ */
+function storeCachedResponse(cacheType, prompt, response) {
+  if (!cacheType) return;
+
+  const cacheKey = cache.generateKey(cacheType, { prompt });
+  const ttl = CACHE_TTL[cacheType] || CACHE_TTL.default;
+  cache.set(cacheKey, response, ttl);
+  console.log(`[Cache] STORED ${cacheType} query (TTL: ${ttl/1000}s)`);
+}
+
+/**
+ * Rule-based response used when the LLM is unavailable or fails
+ */
+function buildRuleBasedResponse(actionProposal) {
+  return {
+    ok: true,
+    text: buildResponseText(actionProposal),
+    actionProposal: actionProposal.actionName ? actionProposal : null,
+    source: 'rule-based'
+  };
+}
+
+/**
+ * Write one Server-Sent Event
+ * @param {object} res - Express response
+ * @param {string} event - Event name (delta, actionProposal, done, error)
+ * @param {object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Emit an already-complete response as a stream so clients only need one code path
+ */
+function sendResponseAsEvents(res, response) {
+  const { text, actionProposal, ...meta } = response;
+  sendEvent(res, 'delta', { text });
+  sendEvent(res, 'actionProposal', { actionProposal: actionProposal || null });
+  sendEvent(res, 'done', { ...meta, text });
+}
+
+router.post('/', async (req, res) => {
+  try {
+    const turn = await prepareChatTurn(req.body, req.user);
+
+    if (turn.error) {
+      return res.status(400).json({ error: turn.error });
     }
 
-    // Determine cache type
-    const lowerPrompt = sanitizedPrompt.toLowerCase();
-    const isAnalysisQuery = lowerPrompt.match(/\b(analyze|analysis|how|what|show|compare|performance|occupancy|revenue)\b/);
-    const isCompetitorQuery = lowerPrompt.match(/\b(competitor|competition|market|versus|vs|hilton|marriott|hampton)\b/);
-    const isSimulationQuery = lowerPrompt.match(/\b(simulate|preview|what if|forecast|predict|estimate)\b/);
+    const reply = async (response) => {
+      await recordTurn(turn, response);
+      res.json({ ...response, sessionId: turn.sessionId });
+    };
 
-    let cacheType = null;
-    if (isCompetitorQuery) cacheType = 'competitor';
-    else if (isAnalysisQuery) cacheType = 'analysis';
-    else if (isSimulationQuery) cacheType = 'simulation';
+    if (turn.response) {
+      return reply(turn.response);
+    }
 
-    const isActionRequest = actionProposal.actionName && actionProposal.requiresApproval;
-    if (isActionRequest) cacheType = null;
+    const { prompt, conversationHistory, contextData, actionProposal, cacheType } = turn;
 
     // Try LLM for richer responses
     if (llmService.isAvailable()) {
       try {
-        const systemPrompt = buildSystemPrompt(contextData);
-
-        if (cacheType) {
-          const cacheKey = cache.generateKey(cacheType, { prompt: sanitizedPrompt });
-          const cached = cache.get(cacheKey);
-          if (cached) {
-            console.log(`[Cache] HIT for ${cacheType} query`);
-            return res.json({ ...cached, _cached: true, _cacheType: cacheType });
-          }
+        const systemPrompt = timeSpan('systemPrompt', () => buildSystemPrompt(contextData));
+
+        const cached = getCachedResponse(cacheType, prompt);
+        if (cached) {
+          return reply(cached);
         }
 
-        const llmResponse = await llmService.chat(systemPrompt, sanitizedPrompt, 1024, conversationHistory);
+        const llmResponse = await llmService.chat(systemPrompt, prompt, 1024, conversationHistory);
 
         if (llmResponse.ok) {
           const response = {
@@ -132,14 +271,9 @@ router.post('/', async (req, res) => {
             source: 'llm'
           };
 
-          if (cacheType) {
-            const cacheKey = cache.generateKey(cacheType, { prompt: sanitizedPrompt });
-            const ttl = CACHE_TTL[cacheType] || CACHE_TTL.default;
-            cache.set(cacheKey, response, ttl);
-            console.log(`[Cache] STORED ${cacheType} query (TTL: ${ttl/1000}s)`);
-          }
+          storeCachedResponse(cacheType, prompt, response);
 
-          return res.json(response);
+          return reply(response);
         }
       } catch (llmError) {
         console.error('LLM error, falling back to rule-based:', llmError.message);
@@ -147,14 +281,7 @@ router.post('/', async (req, res) => {
     }
 
     // Fallback to rule-based response
-    const responseText = buildResponseText(actionProposal);
-
-    res.json({
-      ok: true,
-      text: responseText,
-      actionProposal: actionProposal.actionName ? actionProposal : null,
-      source: 'rule-based'
-    });
+    await reply(buildRuleBasedResponse(actionProposal));
 
   } catch (err) {
     console.error('Chat error:', err);
@@ -162,4 +289,105 @@ router.post('/', async (req, res) => {
   }
 });
 
+router.post('/stream', async (req, res) => {
+  let turn;
+  try {
+    turn = await prepareChatTurn(req.body, req.user);
+  } catch (err) {
+    console.error('Chat stream error:', err);
+    return res.status(500).json({ error: 'Chat request failed', details: err.message });
+  }
+
+  if (turn.error) {
+    return res.status(400).json({ error: turn.error });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  sendEvent(res, 'session', { sessionId: turn.sessionId });
+
+  // Stop the upstream completion if the browser goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+
+  try {
+    const reply = async (response) => {
+      await recordTurn(turn, response);
+      sendResponseAsEvents(res, { ...response, sessionId: turn.sessionId });
+      res.end();
+    };
+
+    if (turn.response) {
+      return reply(turn.response);
+    }
+
+    const { prompt, conversationHistory, contextData, actionProposal, cacheType } = turn;
+    const proposal = actionProposal.actionName ? actionProposal : null;
+
+    if (llmService.isAvailable()) {
+      const cached = getCachedResponse(cacheType, prompt);
+      if (cached) {
+        return reply(cached);
+      }
+
+      try {
+        const systemPrompt = timeSpan('systemPrompt', () => buildSystemPrompt(contextData));
+
+        const llmResponse = await llmService.chatStream(systemPrompt, prompt, {
+          maxTokens: 1024,
+          conversationHistory,
+          signal: abortController.signal,
+          onDelta: (text) => sendEvent(res, 'delta', { text })
+        });
+
+        if (abortController.signal.aborted) {
+          return;
+        }
+
+        if (llmResponse.ok) {
+          const response = {
+            ok: true,
+            text: llmResponse.text,
+            actionProposal: proposal,
+            source: 'llm'
+          };
+
+          sendEvent(res, 'actionProposal', { actionProposal: proposal });
+          // Final text has markdown stripped; clients replace the streamed draft with it
+          sendEvent(res, 'done', { ok: true, text: llmResponse.text, source: 'llm', sessionId: turn.sessionId });
+
+          storeCachedResponse(cacheType, prompt, response);
+          await recordTurn(turn, response);
+
+          return res.end();
+        }
+
+        // Partial text already reached the client; don't append a second answer to it
+        if (llmResponse.streamed) {
+          sendEvent(res, 'error', { error: 'LLM stream interrupted', details: llmResponse.error });
+          return res.end();
+        }
+
+        console.error('LLM error, falling back to rule-based:', llmResponse.error);
+      } catch (llmError) {
+        console.error('LLM error, falling back to rule-based:', llmError.message);
+      }
+    }
+
+    // Fallback to rule-based response
+    await reply(buildRuleBasedResponse(actionProposal));
+
+  } catch (err) {
+    console.error('Chat stream error:', err);
+    sendEvent(res, 'error', { error: 'Chat request failed', details: err.message });
+    res.end();
+  }
+});
+
 module.exports = router;
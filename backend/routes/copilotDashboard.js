@@ -5,20 +5,24 @@
 
 const express = require('express');
 const router = express.Router();
-const fs = require('fs').promises;
-const path = require('path');
-
 const dataLoader = require('../services/dataLoader');
-const { generatePricingRecommendation } = require('../pricing/competitorPricing');
+const actionStore = require('../services/actionStore');
+const { recommendRoomPrice } = require('../pricing/pricingPipeline');
+const competitorRates = require('../services/competitorRates');
+const competitorAlerts = require('../services/competitorAlerts');
+const { resolveNightlyRate } = require('../pricing/rateResolver');
 const { calculateOccupancy, calculateRevenue, estimateRevenueImpact } = require('../utils/revenueCalculations');
-
-const AUDIT_PATH = path.resolve(__dirname, '../data/audit.json');
+const { getElasticity } = require('../pricing/elasticity');
+const { getToday } = require('../utils/dateUtils');
 
 router.get('/', async (req, res) => {
   try {
     const roomsData = dataLoader.rooms || [];
     const competitors = dataLoader.competitors || [];
     const reservations = dataLoader.reservations || [];
+    // Tonight's competitor prices come from the latest rate shop, when there is one
+    const tonight = getToday();
+    const observations = competitorRates.forStayDate(tonight);
 
     // Enrich rooms
     const enrichedRooms = roomsData.map(room => {
@@ -28,14 +32,7 @@ router.get('/', async (req, res) => {
 
       const occupancyData = calculateOccupancy(reservations, type, totalRooms);
 
-      const roomForPricing = {
-        room_type: type,
-        base_price: basePrice,
-        total_rooms: totalRooms,
-        floor_price: basePrice * 0.75,
-        ceiling_price: basePrice * 1.35
-      };
-      const pricingRec = generatePricingRecommendation(roomForPricing, competitors, reservations, {});
+      const pricingRec = recommendRoomPrice(room, { competitors, reservations, observations, date: tonight });
 
       return {
         id: (type || 'unknown').toLowerCase().replace(/\s+/g, '-'),
@@ -64,7 +61,7 @@ router.get('/', async (req, res) => {
       .filter(room => room.recommendation.action !== 'maintain')
       .map(room => {
         const rec = room.recommendation;
-        const impact = estimateRevenueImpact(room.currentPrice, rec.suggestedPrice, room.occupancy, room.totalRooms, 30);
+        const impact = estimateRevenueImpact(room.currentPrice, rec.suggestedPrice, room.occupancy, room.totalRooms, 30, getElasticity(reservations, room.name));
 
         return {
           id: room.id,
@@ -82,17 +79,9 @@ router.get('/', async (req, res) => {
     // Load action config for effective prices
     const actions = require('../copilot/actions');
     const actionConfig = await actions.getActionConfig();
-    const todayStr = new Date().toISOString().split('T')[0];
+    const todayStr = getToday();
     const now = new Date();
 
-    const activeTemporaryOffers = (actionConfig.temporaryOffers || []).filter(offer => {
-      const start = new Date(offer.startDate);
-      const end = new Date(offer.endDate);
-      return now >= start && now <= end;
-    });
-
-    const todayOverrides = (actionConfig.overrides || []).filter(o => o.date === todayStr);
-
     // Get recent adjustments (flash sales, promotions applied via applyMultiplePromotions)
     const recentAdjustments = (actionConfig.adjustments || []).filter(adj => {
       // Consider adjustments from last 24 hours as "active"
@@ -102,29 +91,22 @@ router.get('/', async (req, res) => {
     });
 
     const getEffectivePrice = (roomName, basePrice) => {
-      const roomId = roomName.toLowerCase().replace(/\s+/g, '');
+      // Overrides, promotions, clamps and rules for tonight
+      const tonight = resolveNightlyRate({ roomType: roomName, basePrice }, todayStr, actionConfig);
+      const promotion = tonight.provenance.find(step => step.source === 'promotion');
 
-      // Check overrides first (highest priority)
-      const roomOverrides = todayOverrides.filter(o =>
-        o.roomId === roomId ||
-        o.mappedRoomType?.toLowerCase() === roomName.toLowerCase() ||
-        o.roomId?.toLowerCase() === roomName.toLowerCase()
-      );
-
-      if (roomOverrides.length > 0) {
-        const latest = roomOverrides.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
-        return { price: latest.newPrice, isTemporary: latest.isTemporary || false, tempOfferId: latest.tempOfferId, reason: latest.reason };
-      }
+      const changed = tonight.provenance.some(step => step.source !== 'base' && step.applied !== false);
 
-      // Check temporary offers
-      for (const offer of activeTemporaryOffers) {
-        const roomPricing = offer.roomPricing?.find(rp =>
-          rp.roomType?.toLowerCase() === roomName.toLowerCase() ||
-          rp.roomType?.toLowerCase().includes(roomName.toLowerCase())
-        );
-        if (roomPricing) {
-          return { price: roomPricing.newPrice, isTemporary: true, tempOfferId: offer.tempOfferId, reason: offer.reason, startDate: offer.startDate, endDate: offer.endDate };
-        }
+      if (changed) {
+        return {
+          price: tonight.price,
+          isTemporary: tonight.isTemporary,
+          tempOfferId: promotion?.tempOfferId,
+          reason: promotion?.reason,
+          startDate: promotion?.startDate,
+          endDate: promotion?.endDate,
+          provenance: tonight.provenance
+        };
       }
 
       // Check recent adjustments (flash sales, promotions)
@@ -134,12 +116,13 @@ router.get('/', async (req, res) => {
             price: adj.newPrice || basePrice,
             isTemporary: true,
             reason: adj.promotionType?.replace(/_/g, ' ') || 'Promotion',
-            percentage: adj.percentage
+            percentage: adj.percentage,
+            provenance: tonight.provenance
           };
         }
       }
 
-      return { price: basePrice, isTemporary: false };
+      return { price: basePrice, isTemporary: false, provenance: tonight.provenance };
     };
 
     // Helper to parse duration hours from reason string
@@ -177,8 +160,7 @@ router.get('/', async (req, res) => {
     };
 
     // Load recent actions from audit log
-    const auditLog = await fs.readFile(AUDIT_PATH, 'utf8').then(d => JSON.parse(d)).catch(() => []);
-    const auditActions = auditLog.slice(-10).reverse().map(entry => {
+    const auditActions = actionStore.getAuditLog(10).reverse().map(entry => {
       const tempOffer = (actionConfig.temporaryOffers || []).find(t =>
         entry.applied?.[0]?.data?.tempOfferId === t.tempOfferId ||
         (entry.intent === 'applyTemporaryPricing' && t.appliedAt && Math.abs(new Date(t.appliedAt) - new Date(entry.time)) < 60000)
@@ -244,6 +226,7 @@ router.get('/', async (req, res) => {
         promoStartDate: effectivePriceData.startDate,
         promoEndDate: effectivePriceData.endDate,
         promoDurationHours: promoDurationHours,
+        priceProvenance: effectivePriceData.provenance,
         occupancy: Math.round(r.occupancy * 100),
         occupancyStatus: r.occupancyStatus,
         competitorAvg: r.competitorAvg,
@@ -277,7 +260,9 @@ router.get('/', async (req, res) => {
         bookedRooms: r.bookedRooms
       })),
       roomDetails,
-      recentActions
+      recentActions,
+      // Open rate-change alerts for upcoming nights, each with its one-click proposal
+      competitorAlerts: await competitorAlerts.list({ status: 'open', limit: 10 })
     });
 
   } catch (err) {
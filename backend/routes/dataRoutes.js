@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs').promises;
-const path = require('path');
 const dataLoader = require('../services/dataLoader');
-const pricingEngine = require('../pricing/pricingEngine');
+const actionStore = require('../services/actionStore');
+const competitorRates = require('../services/competitorRates');
+const { recommendRoomPrice } = require('../pricing/pricingPipeline');
 const actions = require('../copilot/actions');
-const AUDIT_PATH = path.resolve(__dirname, '../data/audit.json');
+const { getToday } = require('../utils/dateUtils');
 
 // Get all rooms
 router.get('/rooms', async (req, res) => {
@@ -36,8 +36,7 @@ router.get('/reservations', async (req, res) => {
 // Get audit log
 router.get('/audit', async (req, res) => {
   try {
-    const data = await fs.readFile(AUDIT_PATH, 'utf8');
-    res.json(JSON.parse(data));
+    res.json(actionStore.getAuditLog());
   } catch (err) {
     res.status(500).json({ error: 'Failed to load audit log' });
   }
@@ -51,54 +50,27 @@ router.get('/dashboard', async (req, res) => {
     const competitors = dataLoader.competitors || [];
     const reservations = dataLoader.reservations || [];
     
-    // Prepare room data
+    const todayStr = getToday();
+    const observations = competitorRates.forStayDate(todayStr);
+
+    // Price each room type for tonight through the pricing pipeline
     const enrichedRooms = roomsData.map(room => {
       const roomType = room.room_type || room['Room Type'];
-      const basePrice = room.base_price || room['Base Price'] || 150;
-      const todayStr = new Date().toISOString().split('T')[0];
-      
-      // Calculate competitor average
-      const competitorPrices = competitors
-        .filter(c => (c.room_type || c['Room Type']) === roomType)
-        .map(c => parseFloat(c.avg_price || c['Avg Price'] || 0));
-      const competitorAvg = competitorPrices.length > 0 
-        ? competitorPrices.reduce((a, b) => a + b, 0) / competitorPrices.length 
-        : basePrice;
-      
-      // Calculate occupancy
-      const totalRoomsOfType = room.total_rooms || room['Total Rooms'] || 10;
-      const bookedRooms = reservations.filter(res => {
-        const resRoomType = res.room_type || res['Room Type'] || '';
-        const baseRoomType = resRoomType.split('(')[0].trim();
-        if (baseRoomType !== roomType && resRoomType !== roomType) return false;
-        
-        const status = (res.Status || res.status || '').toLowerCase();
-        if (status !== 'confirmed' && status !== 'in-house') return false;
-        
-        const checkIn = res.check_in_date || res['Check In Date'] || res.checkInDate;
-        const checkOut = res.check_out_date || res['Check Out Date'] || res.checkOutDate;
-        if (!checkIn || !checkOut) return false;
-        
-        return checkIn <= todayStr && checkOut > todayStr;
-      }).length;
-      
-      const occupancy = Math.min(bookedRooms / totalRoomsOfType, 1);
-      
+      const recommendation = recommendRoomPrice(room, { competitors, reservations, observations, date: todayStr });
+
       return {
         id: roomType.toLowerCase().replace(/\s+/g, '-'),
         name: roomType,
         room_type: roomType,
-        currentPrice: basePrice,
-        occupancy: occupancy,
-        competitorAvg: Math.round(competitorAvg),
-        totalRooms: totalRoomsOfType,
-        bookedRooms: bookedRooms
+        currentPrice: recommendation.currentPrice,
+        occupancy: recommendation.occupancy.rate / 100,
+        competitorAvg: recommendation.competitorAvg ?? recommendation.currentPrice,
+        totalRooms: recommendation.occupancy.totalRooms,
+        bookedRooms: recommendation.occupancy.bookedRooms,
+        recommendation
       };
     });
     
-    // Generate pricing suggestions
-    const { suggestions } = pricingEngine.generateSuggestions(enrichedRooms, 'review');
-    
     // Calculate metrics
     const totalRooms = enrichedRooms.reduce((sum, r) => sum + r.totalRooms, 0);
     const totalBooked = enrichedRooms.reduce((sum, r) => sum + r.bookedRooms, 0);
@@ -107,12 +79,7 @@ router.get('/dashboard', async (req, res) => {
     const revPAR = avgDailyRate * overallOccupancy;
     
     // Get recent actions
-    const auditLog = await fs.readFile(AUDIT_PATH, 'utf8')
-      .then(d => JSON.parse(d))
-      .catch(() => []);
-    
-    const recentActions = auditLog
-      .slice(-5)
+    const recentActions = actionStore.getAuditLog(5)
       .reverse()
       .map(entry => ({
         time: entry.time,
@@ -130,18 +97,20 @@ router.get('/dashboard', async (req, res) => {
         totalRooms,
         totalBooked
       },
-      suggestions: suggestions.map(s => {
-        const room = enrichedRooms.find(r => r.id === s.id);
-        const priceDiff = ((s.suggested - room.currentPrice) / room.currentPrice) * 100;
+      suggestions: enrichedRooms.map(room => {
+        const rec = room.recommendation;
+        const priceDiff = ((rec.suggestedPrice - room.currentPrice) / room.currentPrice) * 100;
         
         return {
-          id: s.id,
+          id: room.id,
           room: room.name,
           current: room.currentPrice,
-          suggested: s.suggested,
+          suggested: rec.suggestedPrice,
           change: priceDiff.toFixed(1),
           competitorAvg: room.competitorAvg,
-          occupancy: Math.round(room.occupancy * 100)
+          occupancy: Math.round(room.occupancy * 100),
+          action: rec.action,
+          reasoning: rec.reasoning
         };
       }),
       recentActions,
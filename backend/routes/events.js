@@ -0,0 +1,175 @@
+/**
+ * Event Routes
+ * Holidays and local events that drive holiday/event premiums and the forecast
+ *
+ * GET    /         - Events overlapping a range (?from=&to=&roomType=&source=; default: the next 90 days)
+ * GET    /:id      - One event
+ * POST   /         - Add an event { name, startDate, endDate?, tier?, premium?, roomTypes?, notes? }
+ * PUT    /:id      - Change an added event
+ * DELETE /:id      - Remove an added event
+ * POST   /import   - Import an ICS calendar (text/calendar body, or JSON { ics, tier?, roomTypes? })
+ *
+ * Built-in holidays and the property's events file are read-only; add an
+ * event for the same dates to change their premium.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const eventCalendar = require('../services/eventCalendar');
+const { requireRole } = require('../middleware/auth');
+const { invalidateOnAction } = require('../utils/cache');
+const { getPropertyPricingConfig } = require('../pricing/pricingPipeline');
+const { mapToHotelRoomType } = require('../copilot/roomMapping');
+const { getToday, isValidDate, addDays } = require('../utils/dateUtils');
+
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 731;
+const SOURCES = ['holiday', 'property', 'manual', 'ics'];
+
+/**
+ * Event with the premium pricing applies to it
+ */
+function describeEvent(event, premiums) {
+  return { ...event, effectivePremium: event.premium ?? premiums[event.tier] ?? 0 };
+}
+
+/**
+ * GET /api/events - Events overlapping a date range
+ */
+router.get('/', (req, res) => {
+  try {
+    const from = req.query.from || getToday();
+    for (const [name, value] of [['from', from], ['to', req.query.to]]) {
+      if (value !== undefined && !isValidDate(value)) {
+        return res.status(400).json({ error: `Invalid ${name} date "${value}" (expected YYYY-MM-DD)` });
+      }
+    }
+    const to = req.query.to || addDays(from, DEFAULT_RANGE_DAYS - 1);
+    if (from > to) {
+      return res.status(400).json({ error: '"from" must be on or before "to"' });
+    }
+    if ((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000 + 1 > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `Date range too long (max ${MAX_RANGE_DAYS} days)` });
+    }
+    if (req.query.source && !SOURCES.includes(req.query.source)) {
+      return res.status(400).json({ error: `source must be one of: ${SOURCES.join(', ')}` });
+    }
+
+    let roomType = null;
+    if (req.query.roomType) {
+      roomType = mapToHotelRoomType(req.query.roomType);
+      if (!req.hotel.roomTypes.some(rt => rt.name.toLowerCase() === roomType.toLowerCase())) {
+        return res.status(404).json({ error: `Room type "${req.query.roomType}" not found` });
+      }
+    }
+
+    const premiums = getPropertyPricingConfig().holidayPremiums;
+    const events = eventCalendar.list({ from, to, roomType, source: req.query.source || null });
+
+    res.json({
+      from,
+      to,
+      premiums,
+      events: events.map(event => describeEvent(event, premiums))
+    });
+  } catch (err) {
+    console.error('Error listing events:', err);
+    res.status(500).json({ error: 'Failed to load events', details: err.message });
+  }
+});
+
+/**
+ * POST /api/events/import - Import events from an ICS calendar
+ */
+router.post('/import', requireRole('revenue_manager'), express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const isText = typeof req.body === 'string';
+    const ics = isText ? req.body : req.body?.ics;
+    if (!ics || typeof ics !== 'string') {
+      return res.status(400).json({ error: 'Send the calendar as a text/calendar body or as { ics } JSON' });
+    }
+
+    const result = await eventCalendar.importICS(ics, {
+      tier: isText ? req.query.tier : req.body.tier,
+      roomTypes: isText ? (req.query.roomTypes ? req.query.roomTypes.split(',') : []) : req.body.roomTypes,
+      createdBy: req.user.id
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    invalidateOnAction();
+    res.json(result);
+  } catch (err) {
+    console.error('Error importing events:', err);
+    res.status(500).json({ error: 'Failed to import events', details: err.message });
+  }
+});
+
+/**
+ * GET /api/events/:id - One added event
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const event = eventCalendar.get(req.params.id);
+    if (!event) return res.status(404).json({ error: `Event "${req.params.id}" not found` });
+    res.json(describeEvent(event, getPropertyPricingConfig().holidayPremiums));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load event', details: err.message });
+  }
+});
+
+/**
+ * POST /api/events - Add an event
+ */
+router.post('/', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const result = await eventCalendar.create(req.body || {}, { createdBy: req.user.id });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    invalidateOnAction();
+    res.status(201).json(describeEvent(result.event, getPropertyPricingConfig().holidayPremiums));
+  } catch (err) {
+    console.error('Error creating event:', err);
+    res.status(500).json({ error: 'Failed to create event', details: err.message });
+  }
+});
+
+/**
+ * PUT /api/events/:id - Change an added event
+ */
+router.put('/:id', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const result = await eventCalendar.update(req.params.id, req.body || {}, { updatedBy: req.user.id });
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+
+    invalidateOnAction();
+    res.json(describeEvent(result.event, getPropertyPricingConfig().holidayPremiums));
+  } catch (err) {
+    console.error('Error updating event:', err);
+    res.status(500).json({ error: 'Failed to update event', details: err.message });
+  }
+});
+
+/**
+ * DELETE /api/events/:id - Remove an added event
+ */
+router.delete('/:id', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const removed = await eventCalendar.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: `Event "${req.params.id}" not found` });
+
+    invalidateOnAction();
+    res.json({ success: true, id: req.params.id });
+  } catch (err) {
+    console.error('Error deleting event:', err);
+    res.status(500).json({ error: 'Failed to delete event', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs').promises;
-const path = require('path');
+const hotelRegistry = require('../services/hotelRegistry');
+const dataLoader = require('../services/dataLoader');
+const { requireRole } = require('../middleware/auth');
 
-const DATA_PATH = path.resolve(__dirname, '../data/hotels.json');
+/**
+ * Public view of a property (adds load status)
+ */
+function describeHotel(hotel) {
+  const loader = dataLoader.forHotel(hotel.id);
+  return {
+    ...hotel,
+    isDefault: hotel.id === hotelRegistry.defaultId,
+    dataLoaded: loader.loaded,
+    totalRooms: hotel.roomTypes.reduce((sum, rt) => sum + rt.totalRooms, 0)
+  };
+}
 
 /**
  * GET /api/hotels - Retrieve all hotels
  */
 router.get('/', async (req, res) => {
   try {
-    const data = await fs.readFile(DATA_PATH, 'utf8');
-    res.json(JSON.parse(data));
+    res.json(hotelRegistry.list().map(describeHotel));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to load hotels' });
+    res.status(500).json({ error: 'Failed to load hotels', details: err.message });
   }
 });
 
@@ -22,13 +33,32 @@ router.get('/', async (req, res) => {
  */
 router.get('/:id', async (req, res) => {
   try {
-    const data = await fs.readFile(DATA_PATH, 'utf8');
-    const hotels = JSON.parse(data);
-    const hotel = hotels.find(h => h.id === req.params.id);
+    const hotel = hotelRegistry.get(req.params.id);
     if (!hotel) return res.status(404).json({ error: 'Hotel not found' });
-    res.json(hotel);
+    res.json(describeHotel(hotel));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load hotel', details: err.message });
+  }
+});
+
+/**
+ * PUT /api/hotels/:id - Update room types, inventory, aliases, floors/ceilings, competitors or time zone
+ */
+router.put('/:id', requireRole('revenue_manager'), async (req, res) => {
+  try {
+    const result = await hotelRegistry.update(req.params.id, req.body || {});
+    if (!result.success) {
+      const status = hotelRegistry.get(req.params.id) ? 400 : 404;
+      return res.status(status).json({ error: 'Invalid hotel configuration', details: result.errors });
+    }
+
+    // Rebuild rooms with the new inventory and defaults
+    await dataLoader.forHotel(req.params.id).loadAllData();
+
+    res.json(describeHotel(result.hotel));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to load hotel' });
+    console.error('Error updating hotel:', err);
+    res.status(500).json({ error: 'Failed to update hotel', details: err.message });
   }
 });
 
@@ -0,0 +1,26 @@
+/**
+ * Copilot Metrics Routes
+ * Latency percentiles from the request-scoped spans in utils/latencyTracker
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getLatencyStats } = require('../utils/latencyTracker');
+
+// GET /api/copilot/metrics/latency?limit=500&path=/chat
+router.get('/latency', (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const stats = getLatencyStats({ limit, path: req.query.path });
+    res.json({ ok: true, unit: 'ms', ...stats });
+  } catch (err) {
+    console.error('Failed to compute latency metrics:', err);
+    res.status(500).json({ error: 'Failed to compute latency metrics', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -10,14 +10,40 @@ const competitorAnalysis = require('../pricing/competitorAnalysis');
 const demandForecast = require('../pricing/demandForecast');
 const riskAssessment = require('../pricing/riskAssessment');
 const businessRules = require('../pricing/businessRules');
-const pricingEngine = require('../pricing/pricingEngine');
+const pricingPipeline = require('../pricing/pricingPipeline');
+const rateResolver = require('../pricing/rateResolver');
+const ratePlans = require('../pricing/ratePlans');
+const backtest = require('../pricing/backtest');
+const elasticity = require('../pricing/elasticity');
+const pace = require('../pricing/pace');
+const channels = require('../pricing/channels');
+const actionStore = require('../services/actionStore');
+const competitorRates = require('../services/competitorRates');
+const { getToday, getDateFromToday } = require('../utils/dateUtils');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Stay date for competitor prices (?date=, default today)
+ * @returns {string|null} YYYY-MM-DD, or null when invalid
+ */
+function parseStayDate(query) {
+  const date = query.date || getToday();
+  return DATE_PATTERN.test(date) && !isNaN(new Date(date).getTime()) ? date : null;
+}
 
 /**
  * GET /api/pricing/analysis/:roomType - Comprehensive pricing analysis for a room type
+ * The recommended price is the pricing pipeline's for ?date= (default today), with
+ * competitors priced from their latest rate-shop observation for that night
  */
 router.get('/analysis/:roomType', async (req, res) => {
   try {
     const { roomType } = req.params;
+    const stayDate = parseStayDate(req.query);
+    if (!stayDate) {
+      return res.status(400).json({ error: `Invalid date "${req.query.date}" (expected YYYY-MM-DD)` });
+    }
     
     const rooms = dataLoader.rooms;
     const reservations = dataLoader.reservations;
@@ -33,24 +59,29 @@ router.get('/analysis/:roomType', async (req, res) => {
     }
     
     // 1. Competitor Analysis
-    const compAnalysis = competitorAnalysis.analyzeCompetitors(room, competitors, rooms);
+    const observations = competitorRates.forStayDate(stayDate);
+    const compAnalysis = competitorAnalysis.analyzeCompetitors(room, competitors, rooms, { stayDate, observations });
     
     // 2. Demand Forecast
     const forecast = demandForecast.forecastOccupancy(reservations, rooms, 7);
     const demandPricing = demandForecast.getDemandBasedPricing(room, forecast, competitors);
     
-    // 3. Risk Assessment
-    const suggestedPrice = demandPricing.suggestedPrice;
-    const risk = riskAssessment.assessPriceChangeRisk(room, suggestedPrice, forecast, competitors);
+    // 3. Pipeline recommendation (same price the dashboard and chat suggest)
+    const pipelineRec = pricingPipeline.recommendRoomPrice(room, { competitors, reservations, observations, date: stayDate });
+    
+    // 4. Risk Assessment
+    const suggestedPrice = pipelineRec.suggestedPrice;
+    const roomElasticity = elasticity.getElasticity(reservations, room.room_type || room['Room Type']);
+    const risk = riskAssessment.assessPriceChangeRisk(room, suggestedPrice, forecast, competitors, roomElasticity);
     
-    // 4. Business Rules Validation
+    // 5. Business Rules Validation
     const basePrice = room.base_price || room['Base Price'];
     const validation = businessRules.validatePriceChange(room, suggestedPrice, {
       competitorAvg: compAnalysis.marketAvg,
       currentOccupancy: forecast.currentOccupancy
     });
     
-    // 5. Scenario Comparison
+    // 6. Scenario Comparison
     const scenarios = [
       { name: 'Conservative (-5%)', price: basePrice * 0.95 },
       { name: 'Current', price: basePrice },
@@ -58,11 +89,12 @@ router.get('/analysis/:roomType', async (req, res) => {
       { name: 'Aggressive (+10%)', price: basePrice * 1.10 },
       { name: 'AI Recommended', price: validation.finalPrice }
     ];
-    const scenarioComparison = riskAssessment.compareScenarios(room, scenarios, forecast, competitors);
+    const scenarioComparison = riskAssessment.compareScenarios(room, scenarios, forecast, competitors, roomElasticity);
     
     res.json({
       roomType: room.room_type || room['Room Type'],
       currentPrice: basePrice,
+      stayDate,
       analysis: {
         competitor: compAnalysis,
         demand: {
@@ -70,6 +102,7 @@ router.get('/analysis/:roomType', async (req, res) => {
           trend: forecast.trend,
           pricing: demandPricing
         },
+        pipeline: pipelineRec,
         risk: risk,
         validation: validation,
         scenarios: scenarioComparison
@@ -79,7 +112,7 @@ router.get('/analysis/:roomType', async (req, res) => {
         confidence: risk.riskLevel === 'low' ? 'high' : risk.riskLevel === 'medium' ? 'medium' : 'low',
         reasoning: [
           compAnalysis.recommendation,
-          demandPricing.reasoning,
+          pipelineRec.reasoning,
           risk.recommendation,
           validation.recommendation
         ]
@@ -93,19 +126,32 @@ router.get('/analysis/:roomType', async (req, res) => {
 
 /**
  * GET /api/pricing/forecast - Get occupancy and demand forecast
+ * Query: days (default 7), asOf (YYYY-MM-DD), roomType - all optional
  */
 router.get('/forecast', async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 7;
+    const { asOf, roomType } = req.query;
+    
+    const validation = demandForecast.validateForecastOptions({ asOf, days });
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
     
     const rooms = dataLoader.rooms;
     const reservations = dataLoader.reservations;
     
-    const forecast = demandForecast.forecastOccupancy(reservations, rooms, days);
+    if (roomType && !rooms.some(r => rateResolver.matchesRoomType(roomType, r.room_type || r['Room Type']))) {
+      return res.status(404).json({ error: `Room type "${roomType}" not found` });
+    }
+    
+    const forecast = demandForecast.forecastOccupancy(reservations, rooms, days, { asOf, roomType });
     
     res.json({
+      asOf: forecast.asOf,
       currentOccupancy: (forecast.currentOccupancy * 100).toFixed(1) + '%',
       trend: forecast.trend,
+      holidayFactor: forecast.holidayFactor,
       forecasts: forecast.forecasts
     });
   } catch (err) {
@@ -114,16 +160,52 @@ router.get('/forecast', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/pricing/forecast/evaluate - Holdout accuracy of the occupancy forecast
+ * Query: days (holdout nights, default 28), asOf (last night with known results), roomType - all optional
+ */
+router.get('/forecast/evaluate', async (req, res) => {
+  try {
+    const { asOf, roomType } = req.query;
+    const options = { asOf, roomType };
+    if (req.query.days !== undefined) options.holdoutDays = Number(req.query.days);
+
+    const validation = demandForecast.validateForecastOptions(options);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const rooms = dataLoader.rooms || [];
+    if (roomType && !rooms.some(r => rateResolver.matchesRoomType(roomType, r.room_type || r['Room Type']))) {
+      return res.status(404).json({ error: `Room type "${roomType}" not found` });
+    }
+
+    res.json(demandForecast.evaluateForecast(
+      { asOf, roomType, days: options.holdoutDays },
+      { reservations: dataLoader.reservations || [], rooms }
+    ));
+  } catch (err) {
+    console.error('Forecast evaluation error:', err);
+    res.status(500).json({ error: 'Forecast evaluation failed', details: err.message });
+  }
+});
+
 /**
  * GET /api/pricing/market-position - Get market positioning for all rooms
+ * Competitors are priced from their latest rate-shop observation for ?date= (default today)
  */
 router.get('/market-position', async (req, res) => {
   try {
     const rooms = dataLoader.rooms;
     const competitors = dataLoader.competitors;
+    const stayDate = parseStayDate(req.query);
+    if (!stayDate) {
+      return res.status(400).json({ error: `Invalid date "${req.query.date}" (expected YYYY-MM-DD)` });
+    }
+    const observed = { stayDate, observations: competitorRates.forStayDate(stayDate) };
     
     const positions = rooms.map(room => {
-      const analysis = competitorAnalysis.analyzeCompetitors(room, competitors, rooms);
+      const analysis = competitorAnalysis.analyzeCompetitors(room, competitors, rooms, observed);
       return {
         roomType: room.room_type || room['Room Type'],
         currentPrice: room.base_price || room['Base Price'],
@@ -134,9 +216,10 @@ router.get('/market-position', async (req, res) => {
       };
     });
     
-    const marketShare = competitorAnalysis.estimateMarketShare(rooms, competitors);
+    const marketShare = competitorAnalysis.estimateMarketShare(rooms, competitors, observed);
     
     res.json({
+      stayDate,
       positions,
       marketShare
     });
@@ -169,7 +252,11 @@ router.post('/validate', async (req, res) => {
       return res.status(404).json({ error: `Room type "${roomType}" not found` });
     }
     
-    const compAnalysis = competitorAnalysis.analyzeCompetitors(room, competitors, rooms);
+    const today = getToday();
+    const compAnalysis = competitorAnalysis.analyzeCompetitors(room, competitors, rooms, {
+      stayDate: today,
+      observations: competitorRates.forStayDate(today)
+    });
     const forecast = demandForecast.forecastOccupancy(reservations, rooms, 7);
     
     const validation = businessRules.validatePriceChange(room, newPrice, {
@@ -177,7 +264,8 @@ router.post('/validate', async (req, res) => {
       currentOccupancy: forecast.currentOccupancy
     });
     
-    const risk = riskAssessment.assessPriceChangeRisk(room, validation.finalPrice, forecast, competitors);
+    const risk = riskAssessment.assessPriceChangeRisk(room, validation.finalPrice, forecast, competitors,
+      elasticity.getElasticity(reservations, room.room_type || room['Room Type']));
     
     res.json({
       original: room.base_price || room['Base Price'],
@@ -193,4 +281,194 @@ router.post('/validate', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/pricing/rates - Effective nightly rates with provenance
+ * Query: from, to (YYYY-MM-DD, inclusive; default today + 6 days), roomType (optional),
+ *   at (ISO timestamp the prices are quoted at, default now - decides which rate windows are open)
+ */
+router.get('/rates', async (req, res) => {
+  try {
+    const from = req.query.from || getToday();
+    const to = req.query.to || (req.query.from ? from : getDateFromToday(6));
+    const { roomType } = req.query;
+    const channel = req.query.channel ? channels.normalizeChannel(req.query.channel) : null;
+    if (req.query.channel && !channel) {
+      return res.status(400).json({ error: `channel must be one of: ${channels.CHANNEL_IDS.join(', ')}` });
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (!DATE_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `Invalid ${name} date "${value}" (expected YYYY-MM-DD)` });
+      }
+    }
+
+    if (from > to) {
+      return res.status(400).json({ error: '"from" must be on or before "to"' });
+    }
+
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ error: `Invalid at "${req.query.at}" (expected an ISO timestamp)` });
+    }
+
+    const nights = Math.round((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000)) + 1;
+    if (nights > rateResolver.MAX_NIGHTS) {
+      return res.status(400).json({ error: `Date range too long (max ${rateResolver.MAX_NIGHTS} nights)` });
+    }
+
+    const rates = rateResolver.resolveRates({ from, to, roomType, channel, at }, {
+      rooms: dataLoader.rooms || [],
+      config: actionStore.getConfig()
+    });
+
+    if (roomType && rates.length === 0) {
+      return res.status(404).json({ error: `Room type "${roomType}" not found` });
+    }
+
+    res.json({ from, to, channel, at: at.toISOString(), rates });
+  } catch (err) {
+    console.error('Rate resolution error:', err);
+    res.status(500).json({ error: 'Rate resolution failed', details: err.message });
+  }
+});
+
+/**
+ * GET /api/pricing/rate-history/:roomType - Effective-dated base rates for a room type
+ * Starts with the imported price, followed by each rate plan row in the order it was stored
+ */
+router.get('/rate-history/:roomType', async (req, res) => {
+  try {
+    const room = (dataLoader.rooms || []).find(r => rateResolver.matchesRoomType(req.params.roomType, r.room_type));
+    if (!room) {
+      return res.status(404).json({ error: `Room type "${req.params.roomType}" not found` });
+    }
+
+    res.json(ratePlans.getRateHistory(room));
+  } catch (err) {
+    console.error('Rate history error:', err);
+    res.status(500).json({ error: 'Rate history failed', details: err.message });
+  }
+});
+
+/**
+ * POST /api/pricing/backtest - Replay historical reservations under alternate pricing
+ * Body: { from, to, roomType, config, overrides, elasticity } - all optional
+ *   config: partial PRICING_CONFIG, e.g. { dayOfWeekRules: { weekend: { adjustment: 0.20 } } }
+ *   overrides: [{ roomType, from, to, days, price | percentage }]
+ */
+router.post('/backtest', async (req, res) => {
+  try {
+    const options = req.body || {};
+
+    const validation = backtest.validateBacktestOptions(options);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    if (options.from && options.to) {
+      const nights = Math.round((new Date(options.to) - new Date(options.from)) / (24 * 60 * 60 * 1000)) + 1;
+      if (nights > rateResolver.MAX_NIGHTS) {
+        return res.status(400).json({ error: `Date range too long (max ${rateResolver.MAX_NIGHTS} nights)` });
+      }
+    }
+
+    const result = backtest.runBacktest(options, {
+      reservations: dataLoader.reservations || [],
+      rooms: dataLoader.rooms || [],
+      competitors: dataLoader.competitors || []
+    });
+
+    if (options.roomType && result.roomTypes.length === 0) {
+      return res.status(404).json({ error: `Room type "${options.roomType}" not found` });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('Backtest error:', err);
+    res.status(500).json({ error: 'Backtest failed', details: err.message });
+  }
+});
+
+/**
+ * GET /api/pricing/elasticity - Demand elasticity fitted from reservation history
+ * Query: roomType (optional) - one room type instead of all
+ */
+router.get('/elasticity', async (req, res) => {
+  try {
+    const { roomType } = req.query;
+    let roomTypes = (dataLoader.rooms || []).map(r => r.room_type || r['Room Type']);
+
+    if (roomType) {
+      roomTypes = roomTypes.filter(type => type.toLowerCase().includes(roomType.toLowerCase()));
+      if (roomTypes.length === 0) {
+        return res.status(404).json({ error: `Room type "${roomType}" not found` });
+      }
+    }
+
+    res.json({
+      defaultElasticity: elasticity.DEFAULT_ELASTICITY,
+      roomTypes: elasticity.estimateElasticities(dataLoader.reservations || [], roomTypes)
+    });
+  } catch (err) {
+    console.error('Elasticity estimation error:', err);
+    res.status(500).json({ error: 'Elasticity estimation failed', details: err.message });
+  }
+});
+
+/**
+ * GET /api/pricing/pace - Booking pace and pickup by stay date
+ * Query: asOf, from, to (YYYY-MM-DD), roomType, compare (lastYear | trailing), weeks - all optional
+ */
+router.get('/pace', async (req, res) => {
+  try {
+    const { asOf, from, to, roomType, compare } = req.query;
+    const options = { asOf, from, to, roomType, compare };
+    if (req.query.weeks !== undefined) options.weeks = Number(req.query.weeks);
+
+    const validation = pace.validatePaceOptions(options);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const rooms = dataLoader.rooms || [];
+    if (roomType && !rooms.some(r => rateResolver.matchesRoomType(roomType, r.room_type || r['Room Type']))) {
+      return res.status(404).json({ error: `Room type "${roomType}" not found` });
+    }
+
+    res.json(pace.buildPaceReport(options, { reservations: dataLoader.reservations || [], rooms }));
+  } catch (err) {
+    console.error('Pace report error:', err);
+    res.status(500).json({ error: 'Pace report failed', details: err.message });
+  }
+});
+
+/**
+ * GET /api/pricing/channels - Revenue, ADR, lead time, cancellations and net revenue by booking channel
+ * Query: from, to (check-in dates; default all history), roomType
+ */
+router.get('/channels', async (req, res) => {
+  try {
+    const { from, to, roomType } = req.query;
+    const validation = channels.validateChannelOptions({ from, to });
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const roomTypes = (dataLoader.rooms || []).map(r => r.room_type || r['Room Type']);
+    const selected = roomType ? roomTypes.find(rt => rateResolver.matchesRoomType(roomType, rt)) : null;
+    if (roomType && !selected) {
+      return res.status(404).json({ error: `Room type "${roomType}" not found` });
+    }
+
+    res.json(channels.buildChannelReport({ from, to, roomType: selected }, {
+      reservations: dataLoader.reservations || [],
+      roomTypes,
+      commissions: pricingPipeline.getPropertyPricingConfig().channelCommissions
+    }));
+  } catch (err) {
+    console.error('Channel report error:', err);
+    res.status(500).json({ error: 'Channel report failed', details: err.message });
+  }
+});
+
 module.exports = router;
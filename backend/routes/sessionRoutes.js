@@ -0,0 +1,66 @@
+/**
+ * Chat Session Routes
+ * Durable copilot conversations, so the chat can be resumed after a reload or restart
+ *
+ * GET    /     - Your sessions, most recently active first (empty when anonymous)
+ * POST   /     - Start an empty session
+ * GET    /:id  - Session with its messages and the pending proposal, if any
+ * DELETE /:id  - Delete a session and its messages
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const chatSessions = require('../services/chatSessions');
+
+/**
+ * Load :id into req.session (404 when missing or owned by someone else)
+ */
+function loadSession(req, res, next) {
+  const session = chatSessions.get(req.params.id);
+  if (!session || !chatSessions.canAccess(session, req.user)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  req.session = session;
+  next();
+}
+
+router.get('/', (req, res) => {
+  try {
+    res.json({ sessions: req.user ? chatSessions.list(req.user.id) : [] });
+  } catch (err) {
+    console.error('Failed to list chat sessions:', err);
+    res.status(500).json({ error: 'Failed to list chat sessions', details: err.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const session = await chatSessions.create(req.user?.id || null);
+    res.status(201).json(session);
+  } catch (err) {
+    console.error('Failed to create chat session:', err);
+    res.status(500).json({ error: 'Failed to create chat session', details: err.message });
+  }
+});
+
+router.get('/:id', loadSession, async (req, res) => {
+  try {
+    res.json(await chatSessions.load(req.session.id));
+  } catch (err) {
+    console.error('Failed to load chat session:', err);
+    res.status(500).json({ error: 'Failed to load chat session', details: err.message });
+  }
+});
+
+router.delete('/:id', loadSession, async (req, res) => {
+  try {
+    await chatSessions.remove(req.session.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Failed to delete chat session:', err);
+    res.status(500).json({ error: 'Failed to delete chat session', details: err.message });
+  }
+});
+
+module.exports = router;
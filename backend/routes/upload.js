@@ -5,10 +5,11 @@ const fs = require('fs').promises;
 const path = require('path');
 const csvParser = require('csv-parser');
 const { createReadStream } = require('fs');
+const hotelRegistry = require('../services/hotelRegistry');
+const dataLoader = require('../services/dataLoader');
+const { requireRole } = require('../middleware/auth');
 
 const UPLOADS_DIR = path.resolve(__dirname, '../uploads');
-const CSV_DIR = path.resolve(__dirname, '../data/csv');
-const HOTEL_SETTINGS_PATH = path.resolve(__dirname, '../data/hotel-settings.json');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -36,7 +37,7 @@ const upload = multer({
 /**
  * POST /api/upload/reservations - Upload reservation CSV file
  */
-router.post('/reservations', upload.single('csvFile'), async (req, res) => {
+router.post('/reservations', requireRole('analyst'), upload.single('csvFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -51,14 +52,21 @@ router.post('/reservations', upload.single('csvFile'), async (req, res) => {
       .on('data', (data) => results.push(data))
       .on('end', async () => {
         try {
-          // Save parsed data to CSV directory
-          const targetPath = path.join(CSV_DIR, 'reservations.csv');
+          // Save parsed data to the hotel's CSV directory
+          const csvDir = hotelRegistry.getDataDir(req.hotel);
+          await fs.mkdir(csvDir, { recursive: true });
+          const targetPath = path.join(csvDir, 'reservations.csv');
           await fs.copyFile(filePath, targetPath);
 
           // Also save as JSON for easier backend processing
-          const jsonPath = path.join(CSV_DIR, 'reservations.json');
+          const jsonPath = path.join(csvDir, 'reservations.json');
           await fs.writeFile(jsonPath, JSON.stringify(results, null, 2));
 
+          // Properties that read this file pick up the new reservations immediately
+          if (req.hotel.reservationsFile === 'reservations.csv') {
+            await dataLoader.forHotel(req.hotel.id).loadAllData();
+          }
+
           res.json({
             success: true,
             message: 'Reservations uploaded successfully',
@@ -86,7 +94,7 @@ router.post('/reservations', upload.single('csvFile'), async (req, res) => {
  */
 router.get('/reservations', async (req, res) => {
   try {
-    const jsonPath = path.join(CSV_DIR, 'reservations.json');
+    const jsonPath = path.join(hotelRegistry.getDataDir(req.hotel), 'reservations.json');
     const data = await fs.readFile(jsonPath, 'utf8');
     const reservations = JSON.parse(data);
 
@@ -105,53 +113,70 @@ router.get('/reservations', async (req, res) => {
 });
 
 /**
- * POST /api/upload/onboarding - Save hotel onboarding information
+ * Settings view of a property (the shape the onboarding page works with)
  */
-router.post('/onboarding', async (req, res) => {
+function toSettings(hotel) {
+  return {
+    hotelId: hotel.id,
+    hotelName: hotel.hotelName,
+    websiteUrl: hotel.websiteUrl,
+    pricingObjective: hotel.pricingObjective,
+    competitorUrls: hotel.competitorUrls,
+    targetMarket: hotel.targetMarket,
+    timezone: hotel.timezone,
+    roomTypes: hotel.roomTypes,
+    competitors: hotel.competitors,
+    pricing: hotel.pricing,
+    createdAt: hotel.createdAt,
+    updatedAt: hotel.updatedAt
+  };
+}
+
+/**
+ * POST /api/upload/onboarding - Create a property (or update one when hotelId is given)
+ * Body: hotelName, pricingObjective, websiteUrl, competitorUrls, targetMarket, timezone (IANA, e.g. America/Chicago),
+ *       roomTypes [{ name, totalRooms, basePrice, displayName, aliases, rateFloor, rateCeiling }],
+ *       competitors [{ name, weight, differential, avgPrice }], pricing { basePrice, rateFloor, rateCeiling }
+ */
+router.post('/onboarding', requireRole('revenue_manager'), async (req, res) => {
   try {
-    const { hotelName, websiteUrl, pricingObjective, competitorUrls, targetMarket } = req.body;
+    const { hotelId, hotelName, pricingObjective } = req.body;
 
     if (!hotelName || !pricingObjective) {
       return res.status(400).json({ error: 'Hotel name and pricing objective are required' });
     }
 
-    const settings = {
-      hotelName,
-      websiteUrl: websiteUrl || '',
-      pricingObjective,
-      competitorUrls: competitorUrls || [],
-      targetMarket: targetMarket || 'general',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const { hotelId: _ignored, ...settings } = req.body;
+    const result = hotelId && hotelRegistry.get(hotelId)
+      ? await hotelRegistry.update(hotelId, settings)
+      : await hotelRegistry.create({ ...settings, id: hotelId });
 
-    await fs.writeFile(HOTEL_SETTINGS_PATH, JSON.stringify(settings, null, 2));
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid hotel settings', details: result.errors });
+    }
+
+    await dataLoader.forHotel(result.hotel.id).loadAllData();
 
     res.json({
       success: true,
       message: 'Hotel settings saved successfully',
-      settings
+      hotelId: result.hotel.id,
+      settings: toSettings(result.hotel)
     });
   } catch (err) {
     console.error('Error saving hotel settings:', err);
-    res.status(500).json({ error: 'Failed to save hotel settings' });
+    res.status(500).json({ error: 'Failed to save hotel settings', details: err.message });
   }
 });
 
 /**
- * GET /api/upload/onboarding - Get hotel settings
+ * GET /api/upload/onboarding - Get settings of the current hotel
  */
 router.get('/onboarding', async (req, res) => {
   try {
-    const data = await fs.readFile(HOTEL_SETTINGS_PATH, 'utf8');
-    const settings = JSON.parse(data);
-    res.json({ success: true, settings });
+    res.json({ success: true, settings: toSettings(req.hotel) });
   } catch (err) {
-    if (err.code === 'ENOENT') {
-      res.json({ success: true, settings: null, message: 'No hotel settings found' });
-    } else {
-      res.status(500).json({ error: 'Failed to load hotel settings' });
-    }
+    res.status(500).json({ error: 'Failed to load hotel settings' });
   }
 });
 
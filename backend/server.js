@@ -7,9 +7,21 @@ const cors = require('cors');
 // Import data loader
 const dataLoader = require('./services/dataLoader');
 
+// Import hotel context (scopes /api requests to one property)
+const { hotelContext } = require('./middleware/hotelContext');
+
+// Import authentication (attaches req.user from the Bearer token)
+const { authenticate } = require('./middleware/auth');
+
 // Import revert scheduler
 const { startRevertScheduler } = require('./services/revertScheduler');
 
+// Import action scheduler (future-dated and recurring actions)
+const { startActionScheduler } = require('./services/actionScheduler');
+
+// Import competitor watcher (rate shopping + rate-change alerts)
+const { startCompetitorWatcher } = require('./services/competitorWatcher');
+
 // Import routes
 const hotelsRouter = require('./routes/hotels');
 const bookingsRouter = require('./routes/bookings');
@@ -17,6 +29,10 @@ const copilotRouter = require('./routes/copilot');
 const uploadRouter = require('./routes/upload');
 const apiRouter = require('./routes/api');
 const pricingRouter = require('./routes/pricing');
+const eventsRouter = require('./routes/events');
+const availabilityRouter = require('./routes/availability');
+const competitorRatesRouter = require('./routes/competitorRates');
+const authRouter = require('./routes/auth');
 
 const app = express();
 const PORT = process.env.PORT || 4001;
@@ -28,12 +44,18 @@ app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Routes
+app.use('/api', authenticate);
+app.use('/api', hotelContext);
+app.use('/api/auth', authRouter);
 app.use('/api', apiRouter);
 app.use('/api/hotels', hotelsRouter);
 app.use('/api/bookings', bookingsRouter);
 app.use('/api/copilot', copilotRouter);
 app.use('/api/upload', uploadRouter);
 app.use('/api/pricing', pricingRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/availability', availabilityRouter);
+app.use('/api/competitor-rates', competitorRatesRouter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -60,18 +82,29 @@ async function startServer() {
       console.log(`  POST /api/copilot/apply    - Apply approved actions`);
       console.log(`  GET  /api/copilot/dashboard - Dashboard data`);
       console.log(`\n  Additional routes:`);
-      console.log(`  /api/copilot/actions/*     - Action management`);
+      console.log(`  /api/copilot/actions/*     - Action management, history and scheduled actions`);
       console.log(`  /api/copilot/data/*        - Data access`);
+      console.log(`  /api/copilot/metrics/latency - Per-stage latency percentiles`);
       console.log(`  /api/pricing/*             - Pricing analysis`);
+      console.log(`  /api/events                - Holidays & local events (CRUD, ICS import)`);
+      console.log(`  /api/availability          - Rooms left to sell, holds and overbooking`);
+      console.log(`  /api/competitor-rates      - Rate-shop observations (import, fetch, history, alerts)`);
       console.log(`  /api/bookings              - Bookings`);
-      console.log(`  /api/hotels                - Hotels`);
+      console.log(`  /api/hotels                - Properties (select one with X-Hotel-Id or ?hotelId=)`);
       console.log(`  /api/upload                - File upload`);
+      console.log(`  /api/auth                  - Accounts and sessions (Bearer token)`);
       console.log(`\n✓ Server ready!\n`);
 
       // Start the automatic revert scheduler (runs every hour)
       console.log('⏰ Starting temporary pricing revert scheduler...');
       startRevertScheduler(60 * 60 * 1000);
       console.log('✓ Revert scheduler started\n');
+
+      // Run scheduled actions that are due, catching up on any missed while stopped (runs every minute)
+      startActionScheduler(60 * 1000);
+
+      // Shop competitor rates and raise rate-change alerts (runs every hour)
+      startCompetitorWatcher(60 * 60 * 1000);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
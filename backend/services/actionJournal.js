@@ -0,0 +1,347 @@
+/**
+ * Action Journal
+ * Append-only history of applied pricing actions with exact before/after snapshots
+ *
+ * Every action executed through the copilot (and every scheduled revert run)
+ * is wrapped by record(): the pricing collections of the action store
+ * (including the base rate plans) are captured before and after it runs, and
+ * the difference is stored as one journal entry. Entries are never changed
+ * afterwards.
+ *
+ * Kinds:
+ *   action - an applied action and the records it changed
+ *   revert - restores the "before" side of an action (targetId)
+ *   redo   - restores the "after" side of a reverted action (targetId)
+ *
+ * Actions the system applies on its own (scheduled reverts of expired offers)
+ * are journaled with undoable: false, so neither "undo" nor a revert from
+ * history can bring an expired offer back.
+ *
+ * An action's status is derived from the newest revert/redo entry that
+ * targets it. Reverting or redoing is refused when an action applied later
+ * and still in effect touched the same room type and dates (or the same
+ * competitor), unless forced.
+ */
+
+const actionStore = require('./actionStore');
+const { getCurrentHotelId } = require('../middleware/hotelContext');
+const { mapToHotelRoomType } = require('../copilot/roomMapping');
+
+const KINDS = ['action', 'revert', 'redo'];
+const STATUSES = ['applied', 'reverted'];
+
+// Pricing state captured around each action
+const TRACKED_COLLECTIONS = actionStore.COLLECTIONS.filter(name => !actionStore.NON_CONFIG_COLLECTIONS.has(name));
+
+// Offer metadata and revert jobs mirror the overrides they belong to
+const UNSCOPED_COLLECTIONS = new Set(['temporaryOffers', 'scheduledReverts']);
+
+/**
+ * Record contents with keys sorted and empty values dropped, for comparison
+ */
+function canonical(record) {
+  if (!record) return null;
+  return JSON.stringify(Object.keys(record).sort()
+    .filter(key => record[key] !== null && record[key] !== undefined)
+    .map(key => [key, record[key]]));
+}
+
+function captureState() {
+  const records = new Map();
+  for (const collection of TRACKED_COLLECTIONS) {
+    for (const record of actionStore.find(collection)) {
+      records.set(`${collection}\u0000${record.id}`, { collection, record });
+    }
+  }
+  return records;
+}
+
+/**
+ * Records that differ between two captured states
+ * @returns {Array} [{ collection, id, before, after }] - null before = inserted, null after = removed
+ */
+function diffState(before, after) {
+  const changes = [];
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const old = before.get(key);
+    const now = after.get(key);
+    if (canonical(old?.record) === canonical(now?.record)) continue;
+    const { collection, record } = old || now;
+    changes.push({ collection, id: record.id, before: old ? old.record : null, after: now ? now.record : null });
+  }
+  return changes;
+}
+
+/**
+ * Base rate changes an entry made: rate plan rows it added
+ */
+function rateChanges(changes) {
+  return changes
+    .filter(change => change.collection === 'ratePlans' && change.after && !change.before)
+    .map(({ after }) => ({ roomType: after.roomType, before: after.previousPrice, after: after.price, validFrom: after.validFrom }));
+}
+
+function roomKey(roomType) {
+  return mapToHotelRoomType(roomType).toLowerCase();
+}
+
+function dateOnly(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+/**
+ * Room types + date ranges and competitors an entry touched
+ * A null start/end date means the change applies to every date.
+ * @returns {object} { rooms: [{ roomType, startDate, endDate }], competitors: [] }
+ */
+function entryScope(changes) {
+  const rooms = new Map();
+  const competitors = new Set();
+  const addRoom = (roomType, startDate = null, endDate = null) => {
+    if (!roomType) return;
+    const room = { roomType: roomKey(roomType), startDate, endDate };
+    rooms.set(JSON.stringify(room), room);
+  };
+
+  for (const change of changes) {
+    if (UNSCOPED_COLLECTIONS.has(change.collection)) continue;
+    for (const record of [change.before, change.after].filter(Boolean)) {
+      if (record.competitorName) competitors.add(record.competitorName);
+
+      const startDate = dateOnly(record.date || record.firstNight || record.startDate || record.validFrom);
+      const endDate = dateOnly(record.date || record.lastNight || record.endDate || record.validTo);
+      const roomTypes = record.roomTypes || [record.mappedRoomType || record.roomType || record.roomId];
+      roomTypes.forEach(roomType => addRoom(roomType, startDate, endDate));
+    }
+  }
+
+  return { rooms: [...rooms.values()], competitors: [...competitors] };
+}
+
+function rangesOverlap(a, b) {
+  return (!a.startDate || !b.endDate || a.startDate <= b.endDate) &&
+    (!b.startDate || !a.endDate || b.startDate <= a.endDate);
+}
+
+function scopesOverlap(a, b) {
+  if (a.competitors.some(name => b.competitors.includes(name))) return true;
+  return a.rooms.some(ra => b.rooms.some(rb => ra.roomType === rb.roomType && rangesOverlap(ra, rb)));
+}
+
+/**
+ * Apply one side ("before" or "after") of a set of changes to the current state
+ */
+async function restoreSide(changes, side) {
+  await actionStore.transaction(tx => {
+    for (const change of changes) {
+      const target = change[side];
+      const current = actionStore.get(change.collection, change.id);
+      if (!target) {
+        if (current) tx.remove(change.collection, change.id);
+      } else if (!current) {
+        tx.insert(change.collection, target);
+      } else {
+        // Fields the target never had are cleared so the record matches the snapshot
+        const cleared = Object.fromEntries(Object.keys(current).filter(key => !(key in target)).map(key => [key, null]));
+        tx.update(change.collection, change.id, { ...cleared, ...target });
+      }
+    }
+  });
+}
+
+/**
+ * One-line description from the first two lines of the action's message
+ */
+function summarize(result, actionName) {
+  const lines = String(result?.message || '').split('\n').map(line => line.trim()).filter(Boolean);
+  return lines.length > 0 ? lines.slice(0, 2).join(' ').slice(0, 300) : actionName;
+}
+
+class ActionJournal {
+  constructor() {
+    // Journaled writes are serialized per property so snapshots never interleave
+    this.locks = new Map();
+  }
+
+  _exclusive(fn) {
+    const hotelId = getCurrentHotelId();
+    const run = (this.locks.get(hotelId) || Promise.resolve()).then(fn);
+    this.locks.set(hotelId, run.catch(() => {}));
+    return run;
+  }
+
+  /**
+   * Run an action and journal what it changed
+   * Nothing is journaled when the action fails or changes nothing.
+   * @param {string} actionName - Copilot action name
+   * @param {object} parameters - Action parameters
+   * @param {function} run - async () => action result { success, message, data }
+   * @param {object} options - { actor, proposalId, undoable } - undoable: false for system actions
+   * @returns {Promise<object>} The action result, with journalId when journaled
+   */
+  record(actionName, parameters, run, { actor = null, proposalId = null, undoable = true } = {}) {
+    return this._exclusive(async () => {
+      const before = captureState();
+      const result = await run();
+      if (!result?.success) return result;
+
+      const changes = diffState(before, captureState());
+      if (changes.length === 0) return result;
+
+      const entry = await actionStore.insert('journal', {
+        kind: 'action',
+        actionName,
+        parameters,
+        summary: summarize(result, actionName),
+        proposalId,
+        actor,
+        undoable,
+        changes,
+        scope: entryScope(changes),
+        createdAt: new Date().toISOString()
+      });
+      return { ...result, journalId: entry.id };
+    });
+  }
+
+  /**
+   * Journaled actions with their current status, newest first
+   * @param {object} options - { status, limit }
+   */
+  list({ status = null, limit = 50 } = {}) {
+    const actions = this._timeline().filter(entry => !status || entry.status === status);
+    return actions.reverse().slice(0, limit).map(({ changes, ...entry }) => ({
+      ...entry,
+      changeCount: changes.length,
+      rateChanges: rateChanges(changes)
+    }));
+  }
+
+  /**
+   * One journaled action with its snapshots and revert/redo history
+   * @returns {object|null}
+   */
+  get(id) {
+    return this._timeline().find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Actions in journal order, each with status, history and the sequence
+   * number of the entry that last put it into its current state
+   */
+  _timeline() {
+    const entries = actionStore.find('journal');
+    const latest = new Map();
+    entries.forEach((entry, seq) => {
+      if (entry.targetId) latest.set(entry.targetId, { entry, seq });
+    });
+
+    return entries
+      .map((entry, seq) => ({ entry, seq }))
+      .filter(({ entry }) => entry.kind === 'action')
+      .map(({ entry, seq }) => {
+        const last = latest.get(entry.id);
+        return {
+          ...entry,
+          status: last?.entry.kind === 'revert' ? 'reverted' : 'applied',
+          effectiveSeq: last ? last.seq : seq,
+          history: entries
+            .filter(e => e.targetId === entry.id)
+            .map(e => ({ id: e.id, kind: e.kind, actor: e.actor, forced: e.forced, createdAt: e.createdAt }))
+        };
+      });
+  }
+
+  /**
+   * Applied actions that took effect after the given one and overlap its scope
+   */
+  _conflicts(target, timeline) {
+    return timeline
+      .filter(entry => entry.id !== target.id && entry.status === 'applied' &&
+        entry.effectiveSeq > target.effectiveSeq && scopesOverlap(entry.scope, target.scope))
+      .map(entry => ({ id: entry.id, actionName: entry.actionName, summary: entry.summary, createdAt: entry.createdAt }));
+  }
+
+  /**
+   * Roll back one action to its exact "before" snapshot
+   * @param {string} id - Journal id of the action
+   * @param {object} options - { actor, force } - force reverts despite conflicts
+   * @returns {Promise<object>} { success, entry, target } or { success: false, error, notFound?, conflict?, conflicts? }
+   */
+  revert(id, options = {}) {
+    return this._transition(id, 'revert', options);
+  }
+
+  /**
+   * Re-apply a reverted action's exact "after" snapshot
+   * @param {string} id - Journal id of the action
+   * @param {object} options - { actor, force }
+   */
+  redo(id, options = {}) {
+    return this._transition(id, 'redo', options);
+  }
+
+  /**
+   * Revert the most recently effective action a user applied
+   */
+  async revertLatest(options = {}) {
+    const applied = this._timeline().filter(entry => entry.status === 'applied' && entry.undoable !== false);
+    if (applied.length === 0) {
+      return { success: false, error: 'No actions to undo' };
+    }
+    const latest = applied.reduce((a, b) => (b.effectiveSeq > a.effectiveSeq ? b : a));
+    return this.revert(latest.id, options);
+  }
+
+  _transition(id, kind, { actor = null, force = false } = {}) {
+    return this._exclusive(async () => {
+      const timeline = this._timeline();
+      const target = timeline.find(entry => entry.id === id);
+      if (!target) {
+        return { success: false, notFound: true, error: 'Action not found in history' };
+      }
+      if (target.undoable === false) {
+        return { success: false, error: `${target.summary} was applied by the system and can't be undone` };
+      }
+
+      const expected = kind === 'revert' ? 'applied' : 'reverted';
+      if (target.status !== expected) {
+        return { success: false, error: `Action is already ${target.status}` };
+      }
+
+      const conflicts = this._conflicts(target, timeline);
+      if (conflicts.length > 0 && !force) {
+        return {
+          success: false,
+          conflict: true,
+          conflicts,
+          error: `${conflicts.length} later action(s) changed the same rooms, dates or competitors: ` +
+            conflicts.map(c => c.summary).join('; ')
+        };
+      }
+
+      const before = captureState();
+      await restoreSide(target.changes, kind === 'revert' ? 'before' : 'after');
+      const changes = diffState(before, captureState());
+
+      const entry = await actionStore.insert('journal', {
+        kind,
+        targetId: target.id,
+        actionName: target.actionName,
+        summary: `${kind === 'revert' ? 'Reverted' : 'Redid'}: ${target.summary}`,
+        actor,
+        forced: conflicts.length > 0,
+        overridden: conflicts.map(c => c.id),
+        changes,
+        createdAt: new Date().toISOString()
+      });
+
+      console.log(`✓ [ActionJournal] ${entry.summary}`);
+      return { success: true, entry, target: this.get(target.id) };
+    });
+  }
+}
+
+module.exports = new ActionJournal();
+module.exports.KINDS = KINDS;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,62 @@
+// actionScheduler.js - Background job that runs scheduled (future-dated and recurring) pricing actions
+const scheduledActions = require('./scheduledActions');
+const hotelRegistry = require('./hotelRegistry');
+const { runWithHotel } = require('../middleware/hotelContext');
+const { invalidateOnAction } = require('../utils/cache');
+
+let running = false;
+
+async function runScheduledActions() {
+  // A slow action can outlast the interval; the next tick picks up anything left
+  if (running) return { success: true, ran: 0, skipped: true };
+  running = true;
+
+  try {
+    let ran = 0;
+    let failed = 0;
+
+    // Each property has its own scheduled actions
+    for (const hotel of hotelRegistry.list()) {
+      try {
+        const result = await runWithHotel(hotel.id, () => scheduledActions.runDue());
+        ran += result.ran;
+        failed += result.failed;
+        for (const { job, run } of result.results) {
+          const missed = run.missedRuns > 0 ? ` (caught up ${run.missedRuns} missed run(s))` : '';
+          console.log(`[ActionScheduler] ${hotel.id}: ${job.description}${missed} - ${run.success ? 'done' : `failed: ${run.message}`}`);
+        }
+      } catch (error) {
+        console.error(`[ActionScheduler] ${hotel.id}:`, error.message);
+      }
+    }
+
+    if (ran > failed) {
+      invalidateOnAction();
+    }
+    return { success: true, ran, failed };
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the scheduled action runner
+ * Runs every minute by default; the first run at startup catches up on runs missed while the server was down
+ * @param {number} intervalMs - Interval in milliseconds (default: 1 minute)
+ */
+function startActionScheduler(intervalMs = 60 * 1000) {
+  console.log(`[ActionScheduler] Starting scheduler (interval: ${intervalMs / 1000}s)`);
+
+  runScheduledActions();
+  const interval = setInterval(runScheduledActions, intervalMs);
+
+  return () => {
+    clearInterval(interval);
+    console.log('[ActionScheduler] Scheduler stopped');
+  };
+}
+
+module.exports = {
+  runScheduledActions,
+  startActionScheduler
+};
@@ -0,0 +1,605 @@
+/**
+ * Action Store
+ * Transactional local store for overrides, rate windows, clamps, stay
+ * restrictions, weights, differentials, adjustments, base rate plans, temporary
+ * offers, scheduled reverts and actions, approval proposals, chat sessions,
+ * calendar events, inventory holds, competitor rate observations and alerts,
+ * the action journal and the audit log
+ *
+ * Storage layout (backend/data/store by default):
+ *   snapshot.json - full state as of the last compaction (written to a temp file, then renamed)
+ *   actions.log   - append-only JSONL of committed transactions since the snapshot
+ *
+ * Every write is a transaction: its operations are appended as ONE log line and
+ * only then applied in memory, all under a single write lock. A torn final line
+ * (crash mid-write) is ignored on replay, so a transaction is either fully
+ * present or absent. The log is folded into the snapshot once it grows past
+ * STORE_COMPACT_THRESHOLD transactions.
+ *
+ * On first start the legacy actions-config.json and audit.json are imported.
+ *
+ * Each property has its own store: the default hotel uses the directory above,
+ * others use <dir>/hotels/<hotelId>. The exported object is scoped to the
+ * current request's hotel (see middleware/hotelContext).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const hotelRegistry = require('./hotelRegistry');
+const { getCurrentHotelId } = require('../middleware/hotelContext');
+
+const DATA_DIR = path.resolve(__dirname, '../data');
+const DEFAULT_STORE_DIR = path.join(DATA_DIR, 'store');
+const COMPACT_THRESHOLD = parseInt(process.env.STORE_COMPACT_THRESHOLD, 10) || 500;
+const MAX_AUDIT_ENTRIES = 1000;
+
+const COLLECTIONS = [
+  'overrides',
+  'rateWindows',
+  'clamps',
+  'restrictions',
+  'weights',
+  'differentials',
+  'adjustments',
+  'increases',
+  'ratePlans',
+  'temporaryOffers',
+  'scheduledReverts',
+  'scheduledActions',
+  'proposals',
+  'sessions',
+  'messages',
+  'events',
+  'holds',
+  'competitorRates',
+  'competitorAlerts',
+  'journal',
+  'audit'
+];
+
+// Collections kept alongside the pricing actions but left out of getConfig()
+const NON_CONFIG_COLLECTIONS = new Set(['scheduledActions', 'proposals', 'sessions', 'messages', 'events', 'holds', 'competitorRates', 'competitorAlerts', 'journal', 'audit']);
+
+// Fields with an in-memory index (field value -> Set of record ids)
+const INDEXED_FIELDS = {
+  overrides: ['date', 'mappedRoomType', 'roomId', 'tempOfferId'],
+  rateWindows: ['tempOfferId'],
+  clamps: ['roomType'],
+  restrictions: ['roomType'],
+  ratePlans: ['roomType'],
+  weights: ['competitorName'],
+  differentials: ['competitorName'],
+  temporaryOffers: ['tempOfferId'],
+  scheduledReverts: ['tempOfferId', 'status'],
+  scheduledActions: ['status'],
+  proposals: ['status', 'sessionId'],
+  sessions: ['userId'],
+  messages: ['sessionId'],
+  events: ['uid'],
+  holds: ['roomType'],
+  competitorRates: ['stayDate', 'key'],
+  competitorAlerts: ['key', 'status'],
+  journal: ['kind', 'targetId'],
+  audit: ['intent']
+};
+
+class ActionStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory for snapshot and log
+   * @param {string} options.legacyDir - Directory holding actions-config.json / audit.json to import (null to skip)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.ACTION_STORE_DIR || DEFAULT_STORE_DIR;
+    this.legacyDir = options.legacyDir !== undefined ? options.legacyDir : DATA_DIR;
+    this.snapshotPath = path.join(this.dir, 'snapshot.json');
+    this.logPath = path.join(this.dir, 'actions.log');
+
+    this.loaded = false;
+    this.collections = {};
+    this.indexes = {};
+    this.positions = {};
+    this.insertCount = 0;
+    this.nextId = 1;
+    this.logSize = 0;
+    this.lock = Promise.resolve();
+    // Writes applied per collection, so readers can tell when their inputs changed
+    this.revisions = {};
+  }
+
+  // ---------------------------------------------------------------------------
+  // Loading
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Load snapshot + log on first use (synchronous so reads never wait)
+   */
+  ensureLoaded() {
+    if (this.loaded) return;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this._reset();
+
+    const hasSnapshot = fs.existsSync(this.snapshotPath);
+    const hasLog = fs.existsSync(this.logPath);
+
+    if (hasSnapshot) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      this.nextId = snapshot.nextId || 1;
+      for (const name of COLLECTIONS) {
+        for (const record of snapshot.collections?.[name] || []) {
+          this._insertRecord(name, record);
+        }
+      }
+    }
+
+    if (hasLog) {
+      this._replayLog();
+    }
+
+    if (!hasSnapshot && !hasLog) {
+      this._importLegacy();
+    }
+
+    this.loaded = true;
+  }
+
+  _reset() {
+    for (const name of COLLECTIONS) {
+      this.collections[name] = new Map();
+      this.positions[name] = new Map();
+      this.indexes[name] = {};
+      for (const field of INDEXED_FIELDS[name] || []) {
+        this.indexes[name][field] = new Map();
+      }
+    }
+    this.nextId = 1;
+    this.logSize = 0;
+  }
+
+  _replayLog() {
+    const lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+    const committed = [];
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let tx;
+      try {
+        tx = JSON.parse(line);
+      } catch {
+        // Torn write from a crash: the transaction never committed
+        skipped++;
+        continue;
+      }
+      this._applyOps(tx.ops || []);
+      if (tx.nextId) this.nextId = Math.max(this.nextId, tx.nextId);
+      this.logSize++;
+      committed.push(line);
+    }
+
+    if (skipped > 0) {
+      // Drop the torn bytes so the next append starts on a clean line
+      fs.writeFileSync(this.logPath, committed.map(line => line + '\n').join(''));
+      console.warn(`[ActionStore] Ignored ${skipped} incomplete log line(s)`);
+    }
+  }
+
+  /**
+   * Import actions-config.json and audit.json, then write the first snapshot
+   */
+  _importLegacy() {
+    if (!this.legacyDir) return;
+
+    const configPath = path.join(this.legacyDir, 'actions-config.json');
+    const auditPath = path.join(this.legacyDir, 'audit.json');
+    let imported = 0;
+
+    if (fs.existsSync(configPath)) {
+      try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        for (const name of COLLECTIONS) {
+          for (const record of config[name] || []) {
+            this._insertRecord(name, { ...record, id: record.id || this._generateId(name) });
+            imported++;
+          }
+        }
+      } catch (err) {
+        console.error('[ActionStore] Failed to import actions-config.json:', err.message);
+      }
+    }
+
+    if (fs.existsSync(auditPath)) {
+      try {
+        const auditLog = JSON.parse(fs.readFileSync(auditPath, 'utf8'));
+        for (const entry of (Array.isArray(auditLog) ? auditLog : []).slice(-MAX_AUDIT_ENTRIES)) {
+          this._insertRecord('audit', { ...entry, id: entry.id || this._generateId('audit') });
+          imported++;
+        }
+      } catch (err) {
+        console.error('[ActionStore] Failed to import audit.json:', err.message);
+      }
+    }
+
+    this._writeSnapshotSync();
+
+    for (const legacyPath of [configPath, auditPath]) {
+      if (fs.existsSync(legacyPath)) {
+        fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+      }
+    }
+
+    if (imported > 0) {
+      console.log(`✓ [ActionStore] Imported ${imported} records from legacy JSON files`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // In-memory state
+  // ---------------------------------------------------------------------------
+
+  _generateId(collection) {
+    return `${collection}_${(this.nextId++).toString(36)}`;
+  }
+
+  _indexAdd(collection, record) {
+    for (const [field, index] of Object.entries(this.indexes[collection])) {
+      const value = record[field];
+      if (value === undefined || value === null) continue;
+      if (!index.has(value)) index.set(value, new Set());
+      index.get(value).add(record.id);
+    }
+  }
+
+  _indexRemove(collection, record) {
+    for (const [field, index] of Object.entries(this.indexes[collection])) {
+      const ids = index.get(record[field]);
+      if (!ids) continue;
+      ids.delete(record.id);
+      if (ids.size === 0) index.delete(record[field]);
+    }
+  }
+
+  _insertRecord(collection, record) {
+    const existing = this.collections[collection].get(record.id);
+    if (existing) this._indexRemove(collection, existing);
+    this.collections[collection].set(record.id, record);
+    if (!this.positions[collection].has(record.id)) {
+      this.positions[collection].set(record.id, this.insertCount++);
+    }
+    this._indexAdd(collection, record);
+  }
+
+  _applyOps(ops) {
+    for (const op of ops) {
+      const records = this.collections[op.collection];
+      if (!records) continue;
+      this.revisions[op.collection] = (this.revisions[op.collection] || 0) + 1;
+
+      if (op.type === 'insert') {
+        this._insertRecord(op.collection, op.record);
+      } else if (op.type === 'update') {
+        const existing = records.get(op.id);
+        if (!existing) continue;
+        this._indexRemove(op.collection, existing);
+        const updated = { ...existing, ...op.changes, id: existing.id };
+        records.set(op.id, updated);
+        this._indexAdd(op.collection, updated);
+      } else if (op.type === 'delete') {
+        for (const id of op.ids) {
+          const existing = records.get(id);
+          if (!existing) continue;
+          this._indexRemove(op.collection, existing);
+          records.delete(id);
+          this.positions[op.collection].delete(id);
+        }
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reads
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Query a collection by field equality; indexed fields are looked up directly
+   * @param {string} collection - Collection name
+   * @param {object|function} filter - { field: value } or predicate(record)
+   * @returns {Array} Matching records in insertion order
+   */
+  find(collection, filter = {}) {
+    this.ensureLoaded();
+    const records = this.collections[collection];
+    if (!records) throw new Error(`Unknown collection: ${collection}`);
+
+    if (typeof filter === 'function') {
+      return [...records.values()].filter(filter).map(record => ({ ...record }));
+    }
+
+    const entries = Object.entries(filter);
+    const indexed = entries.find(([field]) => this.indexes[collection][field]);
+
+    let candidates;
+    if (indexed) {
+      const ids = this.indexes[collection][indexed[0]].get(indexed[1]);
+      if (!ids) return [];
+      // Updates re-add ids to the index, so restore insertion order explicitly
+      const positions = this.positions[collection];
+      candidates = [...ids]
+        .sort((a, b) => positions.get(a) - positions.get(b))
+        .map(id => records.get(id));
+    } else {
+      candidates = [...records.values()];
+    }
+
+    return candidates
+      .filter(record => entries.every(([field, value]) => record[field] === value))
+      .map(record => ({ ...record }));
+  }
+
+  /**
+   * Get a record by id
+   * Reads return shallow copies; change records through a transaction.
+   */
+  get(collection, id) {
+    this.ensureLoaded();
+    const record = this.collections[collection]?.get(id);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Most recently inserted record of a collection
+   */
+  last(collection) {
+    this.ensureLoaded();
+    let lastRecord = null;
+    for (const record of this.collections[collection].values()) lastRecord = record;
+    return lastRecord ? { ...lastRecord } : null;
+  }
+
+  /**
+   * Whole action configuration in the legacy actions-config.json shape
+   * @returns {object} { overrides: [], clamps: [], ... }
+   */
+  getConfig() {
+    this.ensureLoaded();
+    const config = {};
+    for (const name of COLLECTIONS) {
+      if (NON_CONFIG_COLLECTIONS.has(name)) continue;
+      config[name] = [...this.collections[name].values()].map(record => ({ ...record }));
+    }
+    return config;
+  }
+
+  /**
+   * Number of writes applied to some collections since the store was loaded
+   * Unchanged means nothing in them changed, so results computed from them still hold.
+   * @param {Array<string>} collections - Defaults to every collection
+   * @returns {number}
+   */
+  revision(collections = COLLECTIONS) {
+    this.ensureLoaded();
+    return collections.reduce((sum, name) => sum + (this.revisions[name] || 0), 0);
+  }
+
+  /**
+   * Audit entries, oldest first
+   * @param {number} limit - Only the most recent N entries
+   */
+  getAuditLog(limit = undefined) {
+    this.ensureLoaded();
+    const entries = [...this.collections.audit.values()];
+    return (limit ? entries.slice(-limit) : entries).map(entry => ({ ...entry }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Writes
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Run fn under the write lock and commit its operations atomically.
+   * Reads inside fn see committed state only (staged writes apply at commit).
+   * @param {function} fn - async (tx) => result; tx has insert/update/upsert/remove
+   * @returns {Promise<any>} fn's return value
+   */
+  transaction(fn) {
+    const run = this.lock.then(async () => {
+      this.ensureLoaded();
+
+      const ops = [];
+      const tx = {
+        insert: (collection, record) => {
+          this._assertCollection(collection);
+          const stored = { ...record, id: record.id || this._generateId(collection) };
+          ops.push({ type: 'insert', collection, record: stored });
+          return stored;
+        },
+        update: (collection, id, changes) => {
+          this._assertCollection(collection);
+          ops.push({ type: 'update', collection, id, changes });
+        },
+        remove: (collection, ids) => {
+          this._assertCollection(collection);
+          const list = (Array.isArray(ids) ? ids : [ids]).filter(Boolean);
+          if (list.length > 0) ops.push({ type: 'delete', collection, ids: list });
+        },
+        upsert: (collection, keyField, record) => {
+          const existing = this.find(collection, { [keyField]: record[keyField] });
+          if (existing.length > 0) {
+            tx.remove(collection, existing.map(r => r.id));
+          }
+          return tx.insert(collection, record);
+        }
+      };
+
+      const result = await fn(tx);
+      await this._commit(ops);
+      return result;
+    });
+
+    // Keep the lock chain alive after a failed transaction
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  _assertCollection(collection) {
+    if (!this.collections[collection]) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+  }
+
+  async _commit(ops) {
+    if (ops.length === 0) return;
+
+    const line = JSON.stringify({ ts: new Date().toISOString(), nextId: this.nextId, ops }) + '\n';
+    const handle = await fs.promises.open(this.logPath, 'a');
+    try {
+      await handle.write(line);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    this._applyOps(ops);
+    this.logSize++;
+
+    if (this.logSize >= COMPACT_THRESHOLD) {
+      await this._compact();
+    }
+  }
+
+  /**
+   * Insert one record
+   * @returns {Promise<object>} Stored record (with id)
+   */
+  insert(collection, record) {
+    return this.transaction(tx => tx.insert(collection, record));
+  }
+
+  /**
+   * Replace the record whose keyField matches, or insert it
+   */
+  upsert(collection, keyField, record) {
+    return this.transaction(tx => tx.upsert(collection, keyField, record));
+  }
+
+  /**
+   * Merge changes into a record
+   */
+  update(collection, id, changes) {
+    return this.transaction(tx => tx.update(collection, id, changes));
+  }
+
+  /**
+   * Delete records by id
+   */
+  remove(collection, ids) {
+    return this.transaction(tx => tx.remove(collection, ids));
+  }
+
+  /**
+   * Append an audit entry, keeping the most recent MAX_AUDIT_ENTRIES
+   * @returns {Promise<object>} Stored entry
+   */
+  appendAudit(entry) {
+    return this.transaction(tx => {
+      const stored = tx.insert('audit', entry);
+      const overflow = this.collections.audit.size + 1 - MAX_AUDIT_ENTRIES;
+      if (overflow > 0) {
+        tx.remove('audit', [...this.collections.audit.keys()].slice(0, overflow));
+      }
+      return stored;
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Compaction
+  // ---------------------------------------------------------------------------
+
+  _serialize() {
+    const collections = {};
+    for (const name of COLLECTIONS) {
+      collections[name] = [...this.collections[name].values()];
+    }
+    return JSON.stringify({ version: 1, nextId: this.nextId, compactedAt: new Date().toISOString(), collections });
+  }
+
+  _writeSnapshotSync() {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tmpPath, this._serialize());
+    fs.renameSync(tmpPath, this.snapshotPath);
+  }
+
+  /**
+   * Fold the log into a fresh snapshot. Runs inside the write lock.
+   * If the process dies between the rename and the truncate, the old log is
+   * replayed over the new snapshot on restart; every op is idempotent by id.
+   */
+  async _compact() {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      await handle.write(this._serialize());
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpPath, this.snapshotPath);
+    await fs.promises.writeFile(this.logPath, '');
+    console.log(`[ActionStore] Compacted ${this.logSize} transactions into snapshot`);
+    this.logSize = 0;
+  }
+}
+
+/**
+ * One ActionStore per property, scoped to the current request's hotel
+ */
+class HotelActionStores {
+  constructor() {
+    this.rootDir = process.env.ACTION_STORE_DIR || DEFAULT_STORE_DIR;
+    this.stores = new Map();
+  }
+
+  /**
+   * @param {string} hotelId - Defaults to the current request's hotel
+   * @returns {ActionStore}
+   */
+  forHotel(hotelId = getCurrentHotelId()) {
+    let store = this.stores.get(hotelId);
+    if (!store) {
+      // The default hotel keeps the original location (and legacy import)
+      store = hotelId === hotelRegistry.defaultId
+        ? new ActionStore({ dir: this.rootDir })
+        : new ActionStore({ dir: path.join(this.rootDir, 'hotels', hotelId), legacyDir: null });
+      this.stores.set(hotelId, store);
+    }
+    return store;
+  }
+}
+
+// Everything delegates to the current hotel's store
+[
+  'ensureLoaded',
+  'find',
+  'get',
+  'last',
+  'getConfig',
+  'revision',
+  'getAuditLog',
+  'transaction',
+  'insert',
+  'upsert',
+  'update',
+  'remove',
+  'appendAudit'
+].forEach(method => {
+  HotelActionStores.prototype[method] = function (...args) {
+    return this.forHotel()[method](...args);
+  };
+});
+
+// Export singleton instance
+module.exports = new HotelActionStores();
+module.exports.ActionStore = ActionStore;
+module.exports.COLLECTIONS = COLLECTIONS;
+module.exports.NON_CONFIG_COLLECTIONS = NON_CONFIG_COLLECTIONS;
@@ -0,0 +1,189 @@
+/**
+ * Approval Queue
+ * Persistent queue of proposed pricing actions and their approvals
+ *
+ * Proposals live in the action store's "proposals" collection, so each
+ * property has its own queue and every state change is a transaction.
+ *
+ * States:
+ *   proposed - waiting for approvals (requiredApprovals comes from the approval policy)
+ *   approved - enough distinct approvers signed off; the action was executed
+ *   rejected - turned down by a user, or the action failed when executed
+ *   expired  - not approved within expiresAfterHours, or replaced by a newer proposal
+ */
+
+const actionStore = require('./actionStore');
+const { evaluateApprovalPolicy } = require('../utils/approvalPolicy');
+
+const STATUSES = ['proposed', 'approved', 'rejected', 'expired'];
+
+function isExpired(proposal, now = Date.now()) {
+  return proposal.status === 'proposed' && new Date(proposal.expiresAt).getTime() <= now;
+}
+
+class ApprovalQueue {
+  /**
+   * Add a proposal; earlier untouched proposals from the same chat session are expired
+   * @param {object} actionProposal - { actionName, parameters, description }
+   * @param {object} options - { sessionId, proposedBy }
+   * @returns {Promise<object>} Stored proposal
+   */
+  propose(actionProposal, { sessionId = null, proposedBy = null } = {}) {
+    const { actionName, parameters = {}, description = '' } = actionProposal;
+    const policy = evaluateApprovalPolicy(actionName, parameters);
+    const now = new Date();
+
+    return actionStore.transaction(tx => {
+      if (sessionId) {
+        const stale = actionStore.find('proposals', { sessionId, status: 'proposed' })
+          .filter(p => p.approvals.length === 0);
+        for (const p of stale) {
+          tx.update('proposals', p.id, { status: 'expired', decidedAt: now.toISOString(), expiredReason: 'superseded' });
+        }
+      }
+
+      return tx.insert('proposals', {
+        actionName,
+        parameters,
+        description,
+        status: 'proposed',
+        sessionId,
+        proposedBy,
+        requiredApprovals: policy.requiredApprovals,
+        policyReasons: policy.reasons,
+        approvals: [],
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + policy.expiresAfterHours * 3600 * 1000).toISOString()
+      });
+    });
+  }
+
+  /**
+   * Mark proposals past their expiry as expired
+   * @returns {Promise<number>} Number of proposals expired
+   */
+  async expireStale() {
+    const now = Date.now();
+    const stale = actionStore.find('proposals', { status: 'proposed' }).filter(p => isExpired(p, now));
+    if (stale.length === 0) return 0;
+
+    await actionStore.transaction(tx => {
+      for (const p of stale) {
+        tx.update('proposals', p.id, { status: 'expired', decidedAt: new Date(now).toISOString(), expiredReason: 'timeout' });
+      }
+    });
+    return stale.length;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    await this.expireStale();
+    return actionStore.get('proposals', id);
+  }
+
+  /**
+   * Proposals, newest first
+   * @param {object} options - { status, limit }
+   * @returns {Promise<Array>}
+   */
+  async list({ status, limit = 100 } = {}) {
+    await this.expireStale();
+    const proposals = status
+      ? actionStore.find('proposals', { status })
+      : actionStore.find('proposals');
+    return proposals.reverse().slice(0, limit);
+  }
+
+  /**
+   * Latest open proposal for a chat session (synchronous, for the approval flow)
+   * @param {string} sessionId
+   * @returns {object|null}
+   */
+  pendingForSession(sessionId) {
+    const open = actionStore.find('proposals', { sessionId, status: 'proposed' }).filter(p => !isExpired(p));
+    return open.length > 0 ? open[open.length - 1] : null;
+  }
+
+  /**
+   * Record one approval. When the proposal has enough distinct approvers it
+   * moves to approved and `ready` is true - the caller then executes it.
+   * @param {string} id
+   * @param {object} approver - Audit identity { operator, operatorName, operatorId, operatorRole }
+   * @returns {Promise<object>} { success, proposal?, ready?, error?, notFound?, conflict? }
+   */
+  recordApproval(id, approver) {
+    return actionStore.transaction(tx => {
+      const proposal = actionStore.get('proposals', id);
+      if (!proposal) return { success: false, error: 'Proposal not found', notFound: true };
+
+      if (isExpired(proposal)) {
+        tx.update('proposals', id, { status: 'expired', decidedAt: new Date().toISOString(), expiredReason: 'timeout' });
+        return { success: false, error: 'Proposal has expired', conflict: true };
+      }
+      if (proposal.status !== 'proposed') {
+        return { success: false, error: `Proposal is already ${proposal.status}`, conflict: true };
+      }
+      if (proposal.approvals.some(a => a.operatorId === approver.operatorId)) {
+        return { success: false, error: 'You already approved this proposal; it needs a different approver', conflict: true };
+      }
+
+      const approvals = [...proposal.approvals, { ...approver, at: new Date().toISOString() }];
+      const ready = approvals.length >= proposal.requiredApprovals;
+      const changes = ready
+        ? { approvals, status: 'approved', decidedAt: new Date().toISOString() }
+        : { approvals };
+
+      tx.update('proposals', id, changes);
+      return { success: true, ready, proposal: { ...proposal, ...changes } };
+    });
+  }
+
+  /**
+   * Store the execution result; a failed action moves the proposal to rejected
+   * @param {string} id
+   * @param {object} result - Action result { success, message }
+   */
+  recordResult(id, result) {
+    const changes = {
+      result: { success: result.success, message: result.message },
+      executedAt: new Date().toISOString()
+    };
+    if (!result.success) {
+      changes.status = 'rejected';
+      changes.rejection = { reason: `Execution failed: ${result.message}`, at: changes.executedAt };
+    }
+    return actionStore.update('proposals', id, changes);
+  }
+
+  /**
+   * Reject a proposal
+   * @param {string} id
+   * @param {object} rejecter - Audit identity
+   * @param {string} reason
+   * @returns {Promise<object>} { success, proposal?, error?, notFound?, conflict? }
+   */
+  reject(id, rejecter, reason = '') {
+    return actionStore.transaction(tx => {
+      const proposal = actionStore.get('proposals', id);
+      if (!proposal) return { success: false, error: 'Proposal not found', notFound: true };
+      if (proposal.status !== 'proposed') {
+        return { success: false, error: `Proposal is already ${proposal.status}`, conflict: true };
+      }
+
+      const changes = {
+        status: 'rejected',
+        decidedAt: new Date().toISOString(),
+        rejection: { ...(rejecter || {}), reason, at: new Date().toISOString() }
+      };
+      tx.update('proposals', id, changes);
+      return { success: true, proposal: { ...proposal, ...changes } };
+    });
+  }
+}
+
+module.exports = new ApprovalQueue();
+module.exports.ApprovalQueue = ApprovalQueue;
+module.exports.STATUSES = STATUSES;
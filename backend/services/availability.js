@@ -0,0 +1,245 @@
+/**
+ * Availability
+ * Rooms left to sell per room type per night, and how far to overbook them
+ *
+ * For each night:
+ *   totalRooms   - inventory from the property config
+ *   outOfOrder   - rooms on maintenance holds (cannot be sold at all)
+ *   blocked      - rooms held in group/allotment blocks
+ *   sold         - reservations staying that night (cancelled and no-show excluded)
+ *   available    - totalRooms - outOfOrder - blocked - sold (never below 0)
+ *   oversold     - rooms sold beyond what was sellable
+ *   overbooking  - recommended allowance from pricing/overbooking, and the
+ *                  sell limit (sellable + allowance) it implies
+ *
+ * Holds are stored in the action store's "holds" collection:
+ *   { id, holdType: 'maintenance'|'block', roomType, rooms, startDate, endDate (inclusive), reason }
+ */
+
+const actionStore = require('./actionStore');
+const { getCurrentHotel } = require('../middleware/hotelContext');
+const { mapToHotelRoomType } = require('../copilot/roomMapping');
+const { listNights, matchesRoomType, MAX_NIGHTS } = require('../pricing/rateResolver');
+const { estimateShowRates, showProbability, recommendAllowance, DEFAULT_RISK_TOLERANCE } = require('../pricing/overbooking');
+const { getToday, isValidDate, addDays, toISODate, daysBetween } = require('../utils/dateUtils');
+
+const HOLD_TYPES = ['maintenance', 'block'];
+const EXCLUDED_STATUSES = ['cancelled', 'canceled', 'no show', 'no-show', 'noshow'];
+
+function roomsOf(room) {
+  return {
+    roomType: room.room_type || room['Room Type'],
+    totalRooms: parseInt(room.total_rooms || room['Total Rooms']) || 0
+  };
+}
+
+/**
+ * Rooms sold per room type per night
+ * @returns {object} { [roomType]: { [YYYY-MM-DD]: count } }
+ */
+function countRoomsSold(reservations, roomTypes, from, to) {
+  const sold = {};
+  for (const roomType of roomTypes) sold[roomType] = {};
+
+  for (const res of reservations) {
+    const status = (res.status || res.Status || '').toLowerCase();
+    if (EXCLUDED_STATUSES.includes(status)) continue;
+
+    const roomType = roomTypes.find(rt => rt === (res.room_type || '').split('(')[0].trim());
+    const checkIn = toISODate(res.check_in_date || res['Check In Date']);
+    if (!roomType || !checkIn || checkIn > to) continue;
+
+    const checkOut = toISODate(res.check_out_date || res['Check Out Date']);
+    const nights = checkOut ? Math.max(1, daysBetween(checkIn, checkOut)) : (res.nights || 1);
+    const start = checkIn < from ? from : checkIn;
+    const end = addDays(checkIn, nights - 1);
+    if (end < from) continue;
+
+    for (const date of listNights(start, end < to ? end : to)) {
+      sold[roomType][date] = (sold[roomType][date] || 0) + 1;
+    }
+  }
+  return sold;
+}
+
+class Availability {
+  /**
+   * Holds overlapping a date range
+   * @param {object} options - { from, to, roomType, holdType }
+   * @returns {Array} Holds sorted by start date
+   */
+  listHolds({ from = null, to = null, roomType = null, holdType = null } = {}) {
+    return actionStore.find('holds', hold =>
+      (!from || hold.endDate >= from) &&
+      (!to || hold.startDate <= to) &&
+      (!roomType || matchesRoomType(roomType, hold.roomType)) &&
+      (!holdType || hold.holdType === holdType)
+    ).sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  getHold(id) {
+    return actionStore.get('holds', id);
+  }
+
+  /**
+   * Add a maintenance hold or group block
+   * @param {object} input - { holdType, roomType, rooms, startDate, endDate?, reason? }
+   * @param {object} meta - { createdBy }
+   * @returns {Promise<object>} { success, hold } or { success: false, error, notFound? }
+   */
+  async createHold(input = {}, { createdBy = null } = {}) {
+    const result = this.validateHold(input);
+    if (!result.valid) return { success: false, error: result.error, notFound: result.notFound };
+
+    const hold = await actionStore.insert('holds', {
+      ...result.hold,
+      createdBy,
+      createdAt: new Date().toISOString()
+    });
+    return { success: true, hold };
+  }
+
+  /**
+   * Release a hold
+   * @returns {Promise<boolean>} false when there is no such hold
+   */
+  async removeHold(id) {
+    if (!this.getHold(id)) return false;
+    await actionStore.remove('holds', id);
+    return true;
+  }
+
+  /**
+   * Validate and normalize a hold; holds on one night cannot add up to more rooms than exist
+   * @returns {object} { valid, error?, notFound?, hold? }
+   */
+  validateHold(input) {
+    if (!HOLD_TYPES.includes(input.holdType)) {
+      return { valid: false, error: `holdType must be one of: ${HOLD_TYPES.join(', ')}` };
+    }
+
+    const hotel = getCurrentHotel();
+    const mapped = mapToHotelRoomType(String(input.roomType || ''));
+    const roomConfig = hotel?.roomTypes.find(rt => rt.name.toLowerCase() === String(mapped).toLowerCase());
+    if (!roomConfig) {
+      return { valid: false, notFound: true, error: `Room type "${input.roomType}" not found` };
+    }
+
+    const rooms = Number(input.rooms);
+    if (!Number.isInteger(rooms) || rooms < 1 || rooms > roomConfig.totalRooms) {
+      return { valid: false, error: `rooms must be a whole number between 1 and ${roomConfig.totalRooms}` };
+    }
+
+    const startDate = input.startDate;
+    const endDate = input.endDate || startDate;
+    if (!isValidDate(startDate)) {
+      return { valid: false, error: `Invalid startDate "${startDate}" (expected YYYY-MM-DD)` };
+    }
+    if (!isValidDate(endDate)) {
+      return { valid: false, error: `Invalid endDate "${endDate}" (expected YYYY-MM-DD)` };
+    }
+    if (endDate < startDate) {
+      return { valid: false, error: 'endDate must be on or after startDate' };
+    }
+    if (daysBetween(startDate, endDate) + 1 > MAX_NIGHTS) {
+      return { valid: false, error: `Holds can span at most ${MAX_NIGHTS} nights` };
+    }
+
+    const existing = this.listHolds({ from: startDate, to: endDate, roomType: roomConfig.name });
+    for (const date of listNights(startDate, endDate)) {
+      const held = existing
+        .filter(h => h.startDate <= date && h.endDate >= date)
+        .reduce((sum, h) => sum + h.rooms, 0);
+      if (held + rooms > roomConfig.totalRooms) {
+        return {
+          valid: false,
+          error: `${roomConfig.name} has ${roomConfig.totalRooms - held} of ${roomConfig.totalRooms} rooms free of holds on ${date}`
+        };
+      }
+    }
+
+    return {
+      valid: true,
+      hold: {
+        holdType: input.holdType,
+        roomType: roomConfig.name,
+        rooms,
+        startDate,
+        endDate,
+        reason: input.reason !== undefined ? String(input.reason) : null
+      }
+    };
+  }
+
+  /**
+   * Nightly availability and overbooking recommendation per room type
+   * @param {object} options - { from, to, roomType, riskTolerance, asOf }
+   *   asOf: the day bookings are read as of (default: today), which sets how far out each night is
+   * @param {object} data - { rooms, reservations }
+   * @returns {object} { from, to, asOf, riskTolerance, showRates, roomTypes: [{ roomType, totalRooms, nights }] }
+   */
+  nightly({ from, to, roomType = null, riskTolerance = DEFAULT_RISK_TOLERANCE, asOf = null }, { rooms = [], reservations = [] }) {
+    const today = asOf || getToday();
+    const selected = rooms
+      .map(roomsOf)
+      .filter(room => room.roomType && room.totalRooms > 0 && (!roomType || matchesRoomType(roomType, room.roomType)));
+    const roomTypes = selected.map(room => room.roomType);
+
+    const nights = listNights(from, to);
+    const sold = countRoomsSold(reservations, roomTypes, from, to);
+    const holds = this.listHolds({ from, to });
+    const showRates = estimateShowRates(reservations, roomTypes);
+
+    return {
+      from,
+      to,
+      asOf: today,
+      riskTolerance,
+      showRates: showRates.roomTypes,
+      roomTypes: selected.map(({ roomType: type, totalRooms }) => {
+        const rates = showRates.roomTypes[type];
+        const typeHolds = holds.filter(h => h.roomType === type);
+
+        return {
+          roomType: type,
+          totalRooms,
+          nights: nights.map(date => {
+            const onNight = typeHolds.filter(h => h.startDate <= date && h.endDate >= date);
+            const outOfOrder = onNight.filter(h => h.holdType === 'maintenance').reduce((sum, h) => sum + h.rooms, 0);
+            const blocked = onNight.filter(h => h.holdType === 'block').reduce((sum, h) => sum + h.rooms, 0);
+            const sellable = Math.max(0, totalRooms - outOfOrder - blocked);
+            const roomsSold = sold[type][date] || 0;
+            const daysOut = daysBetween(today, date);
+
+            // Past nights have already happened; nothing left to overbook
+            const showProb = daysOut >= 0 ? showProbability(rates, daysOut) : null;
+            const overbooking = showProb !== null
+              ? { showProbability: Math.round(showProb * 1000) / 1000, ...recommendAllowance(sellable, showProb, riskTolerance) }
+              : null;
+
+            return {
+              date,
+              totalRooms,
+              outOfOrder,
+              blocked,
+              sold: roomsSold,
+              available: Math.max(0, sellable - roomsSold),
+              oversold: Math.max(0, roomsSold - sellable),
+              overbooking: overbooking && {
+                ...overbooking,
+                sellLimit: sellable + overbooking.allowance,
+                remaining: Math.max(0, sellable + overbooking.allowance - roomsSold)
+              },
+              holdIds: onNight.map(h => h.id)
+            };
+          })
+        };
+      })
+    };
+  }
+}
+
+module.exports = new Availability();
+module.exports.Availability = Availability;
+module.exports.countRoomsSold = countRoomsSold;
+module.exports.HOLD_TYPES = HOLD_TYPES;
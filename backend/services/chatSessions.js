@@ -0,0 +1,138 @@
+/**
+ * Chat Sessions
+ * Durable copilot conversations: session records plus their message history
+ *
+ * Stored in the action store ("sessions" and "messages" collections), so
+ * conversations survive restarts and each property keeps its own. The
+ * pending proposal of a session lives in the approval queue, keyed by the
+ * session id (see services/approvalQueue).
+ */
+
+const crypto = require('crypto');
+const actionStore = require('./actionStore');
+const approvalQueue = require('./approvalQueue');
+
+const TITLE_LENGTH = 60;
+
+class ChatSessions {
+  /**
+   * Start a session
+   * @param {string|null} userId - Owner (null for anonymous chats)
+   * @returns {Promise<object>} Session record
+   */
+  create(userId = null) {
+    const now = new Date().toISOString();
+    return actionStore.insert('sessions', {
+      // Random ids: a session id is all an anonymous client needs to read it back
+      id: crypto.randomUUID(),
+      userId,
+      title: '',
+      messageCount: 0,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    return actionStore.get('sessions', id);
+  }
+
+  /**
+   * Whether a user may read or write a session
+   * @param {object} session
+   * @param {object|null} user - req.user
+   */
+  canAccess(session, user) {
+    return !session.userId || session.userId === user?.id;
+  }
+
+  /**
+   * Sessions owned by a user, most recently active first
+   * @param {string} userId
+   * @returns {Array}
+   */
+  list(userId) {
+    return actionStore.find('sessions', { userId })
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Messages of a session, oldest first
+   * @param {string} sessionId
+   * @param {number} limit - Only the most recent N messages
+   * @returns {Array} [{ role, content, actionProposal, at }]
+   */
+  getMessages(sessionId, limit = undefined) {
+    const messages = actionStore.find('messages', { sessionId })
+      .map(({ role, content, actionProposal, at }) => ({ role, content, actionProposal: actionProposal || null, at }));
+    return limit ? messages.slice(-limit) : messages;
+  }
+
+  /**
+   * Append messages and bump the session's activity time
+   * @param {string} sessionId
+   * @param {Array} messages - [{ role, content, actionProposal? }]
+   */
+  appendMessages(sessionId, messages) {
+    return actionStore.transaction(tx => {
+      const session = actionStore.get('sessions', sessionId);
+      if (!session) return null;
+
+      const at = new Date().toISOString();
+      for (const message of messages) {
+        tx.insert('messages', {
+          sessionId,
+          role: message.role,
+          content: message.content,
+          actionProposal: message.actionProposal || null,
+          at
+        });
+      }
+
+      const firstUserMessage = messages.find(m => m.role === 'user');
+      tx.update('sessions', sessionId, {
+        title: session.title || (firstUserMessage ? firstUserMessage.content.slice(0, TITLE_LENGTH) : ''),
+        messageCount: session.messageCount + messages.length,
+        updatedAt: at
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Session with its messages and the open proposal awaiting approval (if any)
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async load(id) {
+    const session = this.get(id);
+    if (!session) return null;
+
+    // Drops proposals past their expiry before we report the pending one
+    await approvalQueue.expireStale();
+
+    return {
+      ...session,
+      messages: this.getMessages(id),
+      pendingProposal: approvalQueue.pendingForSession(id)
+    };
+  }
+
+  /**
+   * Delete a session and its messages
+   * @param {string} id
+   */
+  remove(id) {
+    return actionStore.transaction(tx => {
+      tx.remove('messages', actionStore.find('messages', { sessionId: id }).map(m => m.id));
+      tx.remove('sessions', id);
+    });
+  }
+}
+
+module.exports = new ChatSessions();
+module.exports.ChatSessions = ChatSessions;
@@ -0,0 +1,290 @@
+/**
+ * Competitor Rate Alerts
+ * Compares the latest competitor rate observations (services/competitorRates)
+ * with our effective nightly rate and raises an alert when a competitor moves
+ * its price sharply or undercuts us, e.g.
+ *   "Margaritaville Beach Hotel dropped Saturday, Mar 15 rates 18% and now undercuts Pilar by $40"
+ *
+ * Alerts are stored in the action store's "competitorAlerts" collection:
+ *   { key, competitor, roomType, stayDate, kind: 'drop'|'rise'|'undercut', price, previousPrice,
+ *     changePct, ourRate, gap, weight, threshold, message, observedAt, status: 'open'|'dismissed', proposalId }
+ * `key` is the observation's key, so each observation raises at most one alert.
+ *
+ * Thresholds depend on the competitor's weight: heavier competitors alert on
+ * smaller moves. Per property in hotel.competitorAlerts:
+ *   { lookaheadDays, responseDifferential, thresholds: [{ minWeight, changePercent, undercutAmount }] }
+ *
+ * Each alert on a competitor from competitors.csv comes with an approval-queue
+ * proposal built by buildCompetitorAdjustmentProposal (price responseDifferential
+ * below that competitor), so it can be approved in one click from the dashboard or chat.
+ */
+
+const actionStore = require('./actionStore');
+const approvalQueue = require('./approvalQueue');
+const competitorRates = require('./competitorRates');
+const dataLoader = require('./dataLoader');
+const { getCurrentHotel } = require('../middleware/hotelContext');
+const { resolveNightlyRate } = require('../pricing/rateResolver');
+const { sameCompetitor } = require('../pricing/competitorPricing');
+const { buildCompetitorAdjustmentProposal } = require('../utils/proposalBuilders');
+const { getToday, addDays } = require('../utils/dateUtils');
+
+const STATUSES = ['open', 'dismissed'];
+const MAX_ALERTS_PER_SCAN = 50;
+
+// Proposals raised by the watcher carry this identity instead of a user's
+const WATCHER_IDENTITY = { operator: 'competitor-watcher', operatorName: 'Competitor Watcher', operatorId: null, operatorRole: null };
+
+const DEFAULT_SETTINGS = {
+  lookaheadDays: 30,
+  responseDifferential: 5,
+  // The first tier (by descending minWeight) the competitor's weight reaches applies
+  thresholds: [
+    { minWeight: 0.35, changePercent: 10, undercutAmount: 20 },
+    { minWeight: 0.2, changePercent: 15, undercutAmount: 30 },
+    { minWeight: 0, changePercent: 25, undercutAmount: 50 }
+  ]
+};
+
+/**
+ * Alert settings for the current property, defaults filled in
+ * @returns {object} { lookaheadDays, responseDifferential, thresholds } (thresholds by descending minWeight)
+ */
+function getAlertSettings() {
+  const configured = getCurrentHotel()?.competitorAlerts || {};
+  const thresholds = Array.isArray(configured.thresholds) && configured.thresholds.length > 0
+    ? configured.thresholds
+    : DEFAULT_SETTINGS.thresholds;
+
+  return {
+    lookaheadDays: parseInt(configured.lookaheadDays, 10) || DEFAULT_SETTINGS.lookaheadDays,
+    responseDifferential: parseFloat(configured.responseDifferential) || DEFAULT_SETTINGS.responseDifferential,
+    thresholds: thresholds
+      .map(t => ({
+        minWeight: parseFloat(t.minWeight) || 0,
+        changePercent: parseFloat(t.changePercent),
+        undercutAmount: parseFloat(t.undercutAmount)
+      }))
+      .sort((a, b) => b.minWeight - a.minWeight)
+  };
+}
+
+/**
+ * Threshold tier for a competitor weight
+ * @param {number} weight - 0.0 to 1.0
+ * @param {Array} thresholds - Tiers by descending minWeight
+ */
+function thresholdFor(weight, thresholds) {
+  return thresholds.find(t => weight >= t.minWeight) || thresholds[thresholds.length - 1];
+}
+
+/**
+ * Weight of a competitor in pricing: a stored weight change wins over the
+ * property config, which wins over the competitors.csv column (in percent)
+ * @returns {number} 0.0 to 1.0
+ */
+function competitorWeight(name, { weights = [], hotel = null, competitors = [] } = {}) {
+  const stored = weights.find(w => w.competitorName && sameCompetitor(w.competitorName, name));
+  if (stored) return parseFloat(stored.newWeight) || 0;
+
+  const configured = (hotel?.competitors || []).find(c => c.name && sameCompetitor(c.name, name));
+  if (configured?.weight) return configured.weight;
+
+  const row = competitors.find(c => sameCompetitor(c.competitor_name || c['Competitor Name'] || '', name));
+  const csvWeight = parseFloat(row?.weight);
+  if (!csvWeight) return 0;
+  return csvWeight > 1 ? csvWeight / 100 : csvWeight;
+}
+
+/**
+ * Does a competitor price move call for an alert?
+ * @param {object} input - { price, previousPrice, ourRate, threshold: { changePercent, undercutAmount } }
+ * @returns {object} { triggered, kind, changePct, gap } - gap > 0: the competitor is that much below our rate
+ */
+function detectRateChange({ price, previousPrice = null, ourRate, threshold }) {
+  const changePct = previousPrice ? Math.round((price - previousPrice) / previousPrice * 1000) / 10 : null;
+  const gap = Math.round(ourRate - price);
+  const moved = changePct !== null && Math.abs(changePct) >= threshold.changePercent;
+  // An undercut that was already there at the previous observation isn't news
+  const newlyUndercuts = gap >= threshold.undercutAmount &&
+    (!previousPrice || ourRate - previousPrice < threshold.undercutAmount);
+
+  let kind = null;
+  if (moved) kind = changePct < 0 ? 'drop' : 'rise';
+  else if (newlyUndercuts) kind = 'undercut';
+  return { triggered: kind !== null, kind, changePct, gap };
+}
+
+/**
+ * One-line alert text
+ */
+function describeAlert({ competitor, roomType, stayDate, kind, price, changePct, ourRate, gap }) {
+  const night = new Date(`${stayDate}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long', month: 'short', day: 'numeric', timeZone: 'UTC'
+  });
+  const pct = Math.round(Math.abs(changePct));
+
+  if (kind === 'drop') {
+    if (gap > 0) return `${competitor} dropped ${night} rates ${pct}% and now undercuts ${roomType} by $${gap}`;
+    if (gap === 0) return `${competitor} dropped ${night} rates ${pct}% and now matches our ${roomType} rate ($${price})`;
+    return `${competitor} dropped ${night} ${roomType} rates ${pct}% to $${price}, still $${-gap} above ours`;
+  }
+  if (kind === 'rise') {
+    return `${competitor} raised ${night} ${roomType} rates ${pct}% to $${price}` +
+      (gap < 0 ? `, now $${-gap} above our $${ourRate}` : `, still $${gap} below our $${ourRate}`);
+  }
+  return `${competitor} undercuts ${roomType} by $${gap} on ${night} ($${price} vs our $${ourRate})`;
+}
+
+class CompetitorAlerts {
+  /**
+   * Alerts, soonest stay date first
+   * @param {object} options - { status, from, to, limit } (from defaults to today)
+   * @returns {Promise<Array>} Alerts with the status of their proposal (proposalStatus)
+   */
+  async list({ status = 'open', from = null, to = null, limit = 100 } = {}) {
+    // Expire stale proposals so proposalStatus is current
+    await approvalQueue.expireStale();
+
+    const start = from || getToday();
+    const alerts = actionStore.find('competitorAlerts', alert =>
+      (!status || alert.status === status) &&
+      alert.stayDate >= start &&
+      (!to || alert.stayDate <= to)
+    );
+
+    return alerts
+      .sort((a, b) => a.stayDate.localeCompare(b.stayDate) || b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(alert => {
+        const proposal = alert.proposalId ? actionStore.get('proposals', alert.proposalId) : null;
+        return { ...alert, proposal: proposal || null, proposalStatus: proposal?.status || null };
+      });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    return actionStore.get('competitorAlerts', id);
+  }
+
+  /**
+   * Dismiss an alert (its proposal stays in the approval queue)
+   * @param {string} id
+   * @param {object} by - Audit identity
+   * @returns {Promise<object>} { success, alert?, error?, notFound? }
+   */
+  async dismiss(id, by = null) {
+    const alert = this.get(id);
+    if (!alert) return { success: false, error: `Alert "${id}" not found`, notFound: true };
+
+    const updated = await actionStore.update('competitorAlerts', id, {
+      status: 'dismissed',
+      dismissedAt: new Date().toISOString(),
+      dismissedBy: by?.operatorName || null
+    });
+    return { success: true, alert: updated };
+  }
+
+  /**
+   * Compare the latest observations for upcoming nights with our effective rates
+   * and raise alerts for the ones past their competitor's thresholds
+   * @param {object} options - { from, to } stay dates (default: today plus lookaheadDays)
+   * @returns {Promise<object>} { success, checked, raised, alerts }
+   */
+  async scan({ from = null, to = null } = {}) {
+    const hotel = getCurrentHotel();
+    const settings = getAlertSettings();
+    const start = from || getToday();
+    const end = to || addDays(start, settings.lookaheadDays - 1);
+
+    const config = actionStore.getConfig();
+    const rooms = dataLoader.rooms || [];
+    const competitors = dataLoader.competitors || [];
+    const latest = competitorRates.list({ from: start, to: end, latest: true })
+      .filter(obs => actionStore.find('competitorAlerts', { key: obs.key }).length === 0);
+
+    const candidates = [];
+    for (const obs of latest) {
+      const room = rooms.find(r => (r.room_type || r['Room Type']) === obs.roomType);
+      if (!room) continue;
+
+      const basePrice = parseFloat(room.base_price || room['Base Price'] || 0);
+      const ourRate = resolveNightlyRate({ roomType: obs.roomType, basePrice }, obs.stayDate, config).price;
+      const history = competitorRates.history({ competitor: obs.competitor, roomType: obs.roomType, stayDate: obs.stayDate });
+      const previousPrice = history.length > 1 ? history[history.length - 2].price : null;
+
+      const weight = competitorWeight(obs.competitor, { weights: config.weights, hotel, competitors });
+      const threshold = thresholdFor(weight, settings.thresholds);
+      const detection = detectRateChange({ price: obs.price, previousPrice, ourRate, threshold });
+      if (!detection.triggered) continue;
+
+      candidates.push({
+        key: obs.key,
+        competitor: obs.competitor,
+        roomType: obs.roomType,
+        stayDate: obs.stayDate,
+        kind: detection.kind,
+        price: obs.price,
+        previousPrice,
+        changePct: detection.changePct,
+        ourRate,
+        gap: detection.gap,
+        weight,
+        threshold,
+        observedAt: obs.observedAt
+      });
+    }
+
+    // Biggest moves first when a scan finds more than we keep
+    candidates.sort((a, b) => Math.abs(b.changePct || 0) + Math.max(b.gap, 0) - Math.abs(a.changePct || 0) - Math.max(a.gap, 0));
+
+    const raised = [];
+    for (const candidate of candidates.slice(0, MAX_ALERTS_PER_SCAN)) {
+      const proposal = await this._proposalFor(candidate.competitor, competitors, settings);
+      raised.push(await actionStore.insert('competitorAlerts', {
+        ...candidate,
+        message: describeAlert(candidate),
+        status: 'open',
+        proposalId: proposal?.id || null,
+        createdAt: new Date().toISOString()
+      }));
+    }
+
+    return { success: true, checked: latest.length, raised: raised.length, alerts: raised };
+  }
+
+  /**
+   * Open watcher proposal for a competitor, or a new one
+   * Alerts on the same competitor share a proposal: the differential is per competitor.
+   * @returns {Promise<object|null>} Stored proposal; null for competitors not in competitors.csv
+   */
+  async _proposalFor(competitor, competitors, settings) {
+    const row = competitors.find(c => sameCompetitor(competitor, c.competitor_name || c['Competitor Name'] || ''));
+    const name = row && (row.competitor_name || row['Competitor Name']);
+    if (!name) return null;
+
+    const open = await approvalQueue.list({ status: 'proposed', limit: Infinity });
+    const existing = open.find(p =>
+      p.actionName === 'updateCompetitorDifferential' &&
+      p.parameters.competitorName === name &&
+      p.proposedBy?.operator === WATCHER_IDENTITY.operator
+    );
+    if (existing) return existing;
+
+    const actionProposal = buildCompetitorAdjustmentProposal(`price $${settings.responseDifferential} below ${name.toLowerCase()}`, competitors);
+    if (actionProposal.parameters.competitorName !== name) return null;
+    return approvalQueue.propose(actionProposal, { proposedBy: WATCHER_IDENTITY });
+  }
+}
+
+module.exports = new CompetitorAlerts();
+module.exports.CompetitorAlerts = CompetitorAlerts;
+module.exports.STATUSES = STATUSES;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+module.exports.getAlertSettings = getAlertSettings;
+module.exports.detectRateChange = detectRateChange;
+module.exports.describeAlert = describeAlert;
+module.exports.competitorWeight = competitorWeight;
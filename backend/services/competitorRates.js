@@ -0,0 +1,274 @@
+/**
+ * Competitor Rate Store
+ * Dated competitor rate observations (rate shopping), one per competitor,
+ * room type, stay date and observation time, so a competitor's price for a
+ * night can be followed as it moves.
+ *
+ * Observations are stored in the action store's "competitorRates" collection:
+ *   { competitor, roomType, stayDate, price, observedAt, source: 'import'|'fetch'|'manual', key }
+ * `key` (competitor|roomType|stayDate|observedAt) makes re-importing the same
+ * export a no-op.
+ *
+ * They come from CSV/JSON rate-shop exports (importCSV / record) or from the
+ * property's configured fetcher (fetch; see services/rateShopping). Pricing
+ * reads the latest observation per competitor for a stay date through
+ * pricing/competitorPricing applyLatestObservations; competitors.csv prices
+ * remain the fallback for nights nobody has shopped.
+ */
+
+const { Readable } = require('stream');
+const csvParser = require('csv-parser');
+const actionStore = require('./actionStore');
+const { createFetcher } = require('./rateShopping');
+const { getCurrentHotel } = require('../middleware/hotelContext');
+const { mapToHotelRoomType } = require('../copilot/roomMapping');
+const { getToday, isValidDate, addDays } = require('../utils/dateUtils');
+
+const SOURCES = ['import', 'fetch', 'manual'];
+const MAX_OBSERVATIONS = 20000;
+const MAX_FETCH_NIGHTS = 120;
+
+// Rate-shop export column names (lowercased, letters only) -> observation field
+const CSV_COLUMNS = {
+  competitor: 'competitor',
+  competitorname: 'competitor',
+  hotel: 'competitor',
+  hotelname: 'competitor',
+  property: 'competitor',
+  roomtype: 'roomType',
+  room: 'roomType',
+  staydate: 'stayDate',
+  date: 'stayDate',
+  arrivaldate: 'stayDate',
+  checkindate: 'stayDate',
+  price: 'price',
+  rate: 'price',
+  avgprice: 'price',
+  observedat: 'observedAt',
+  shopdate: 'observedAt',
+  extractedat: 'observedAt',
+  extractiondate: 'observedAt'
+};
+
+/**
+ * Parse a rate-shop CSV export into observation inputs
+ * @param {string} text - CSV with a header row (competitor, room_type, stay_date, price, observed_at?)
+ * @returns {Promise<Array>} [{ competitor, roomType, stayDate, price, observedAt? }]
+ */
+function parseRateShopCSV(text) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([String(text || '')])
+      .pipe(csvParser({
+        mapHeaders: ({ header }) => CSV_COLUMNS[header.toLowerCase().replace(/[^a-z]/g, '')] || null
+      }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Validate and normalize one observation
+ * @param {object} input - { competitor, roomType, stayDate, price, observedAt? }
+ * @param {string} defaultObservedAt - Used when the observation has no time of its own
+ * @returns {object} { valid, error?, observation? }
+ */
+function validateObservation(input = {}, defaultObservedAt = new Date().toISOString()) {
+  const competitor = typeof input.competitor === 'string' ? input.competitor.trim() : '';
+  if (!competitor) return { valid: false, error: 'competitor is required' };
+
+  const hotel = getCurrentHotel();
+  const mapped = mapToHotelRoomType(String(input.roomType || ''));
+  const roomConfig = hotel?.roomTypes.find(rt => rt.name.toLowerCase() === String(mapped).toLowerCase());
+  if (!roomConfig) return { valid: false, error: `Room type "${input.roomType}" not found` };
+
+  const stayDate = String(input.stayDate || '').trim();
+  if (!isValidDate(stayDate)) {
+    return { valid: false, error: `Invalid stayDate "${input.stayDate}" (expected YYYY-MM-DD)` };
+  }
+
+  const price = typeof input.price === 'number' ? input.price : parseFloat(String(input.price || '').replace(/[$,]/g, ''));
+  if (!Number.isFinite(price) || price <= 0 || price > 100000) {
+    return { valid: false, error: `Invalid price "${input.price}" for ${competitor} on ${stayDate}` };
+  }
+
+  const observed = new Date(input.observedAt || defaultObservedAt);
+  if (isNaN(observed.getTime())) {
+    return { valid: false, error: `Invalid observedAt "${input.observedAt}"` };
+  }
+
+  const observedAt = observed.toISOString();
+  return {
+    valid: true,
+    observation: {
+      competitor,
+      roomType: roomConfig.name,
+      stayDate,
+      price: Math.round(price * 100) / 100,
+      observedAt,
+      key: [competitor.toLowerCase(), roomConfig.name, stayDate, observedAt].join('|')
+    }
+  };
+}
+
+class CompetitorRates {
+  /**
+   * Observations for a range of stay dates
+   * @param {object} options - { competitor, roomType, from, to, latest }
+   *   latest: only the most recent observation per competitor, room type and stay date
+   * @returns {Array} Observations sorted by stay date, competitor, then observation time
+   */
+  list({ competitor = null, roomType = null, from = null, to = null, latest = false } = {}) {
+    const observations = actionStore.find('competitorRates', obs =>
+      (!from || obs.stayDate >= from) &&
+      (!to || obs.stayDate <= to) &&
+      (!roomType || obs.roomType === roomType) &&
+      (!competitor || obs.competitor.toLowerCase() === competitor.toLowerCase())
+    );
+
+    const sorted = observations.sort((a, b) =>
+      a.stayDate.localeCompare(b.stayDate) ||
+      a.competitor.localeCompare(b.competitor) ||
+      a.roomType.localeCompare(b.roomType) ||
+      a.observedAt.localeCompare(b.observedAt)
+    );
+    if (!latest) return sorted;
+
+    const byNight = new Map();
+    for (const obs of sorted) byNight.set(`${obs.competitor.toLowerCase()}|${obs.roomType}|${obs.stayDate}`, obs);
+    return [...byNight.values()];
+  }
+
+  /**
+   * Observations on one stay date (indexed lookup, for pricing)
+   * @param {string} stayDate - YYYY-MM-DD
+   * @returns {Array} Observations, any competitor and room type
+   */
+  forStayDate(stayDate) {
+    return actionStore.find('competitorRates', { stayDate });
+  }
+
+  /**
+   * How a competitor's price for one night moved, oldest observation first
+   * @param {object} options - { competitor, roomType, stayDate }
+   * @returns {Array} [{ observedAt, price, change, changePct, source }]
+   */
+  history({ competitor, roomType, stayDate }) {
+    const observations = this.list({ competitor, roomType, from: stayDate, to: stayDate });
+    return observations.map((obs, i) => {
+      const previous = observations[i - 1];
+      const change = previous ? Math.round((obs.price - previous.price) * 100) / 100 : null;
+      return {
+        observedAt: obs.observedAt,
+        price: obs.price,
+        change,
+        changePct: previous ? Math.round(change / previous.price * 1000) / 10 : null,
+        source: obs.source
+      };
+    });
+  }
+
+  /**
+   * Store observations; duplicates of ones already stored are skipped
+   * @param {Array} inputs - [{ competitor, roomType, stayDate, price, observedAt? }]
+   * @param {object} meta - { source, createdBy }
+   * @returns {Promise<object>} { success, imported, duplicates, skipped: [reason] } or { success: false, error }
+   */
+  async record(inputs, { source = 'import', createdBy = null } = {}) {
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      return { success: false, error: 'No rate observations to import' };
+    }
+    if (inputs.length > MAX_OBSERVATIONS) {
+      return { success: false, error: `Too many observations (max ${MAX_OBSERVATIONS} per import)` };
+    }
+    if (!SOURCES.includes(source)) {
+      return { success: false, error: `source must be one of: ${SOURCES.join(', ')}` };
+    }
+
+    // Observations without a time of their own share the import's timestamp
+    const now = new Date().toISOString();
+    const skipped = [];
+    const valid = new Map();
+    inputs.forEach((input, i) => {
+      const result = validateObservation(input, now);
+      if (result.valid) valid.set(result.observation.key, result.observation);
+      else skipped.push(`Row ${i + 1}: ${result.error}`);
+    });
+
+    if (valid.size === 0) {
+      return { success: false, error: skipped[0] || 'No valid rate observations' };
+    }
+
+    const counts = await actionStore.transaction(tx => {
+      let imported = 0, duplicates = 0;
+      for (const observation of valid.values()) {
+        if (actionStore.find('competitorRates', { key: observation.key }).length > 0) {
+          duplicates++;
+          continue;
+        }
+        tx.insert('competitorRates', { ...observation, source, createdBy, createdAt: now });
+        imported++;
+      }
+      return { imported, duplicates: duplicates + (inputs.length - skipped.length - valid.size) };
+    });
+
+    return { success: true, ...counts, skipped };
+  }
+
+  /**
+   * Import a rate-shop CSV export
+   * @param {string} text - CSV content
+   * @param {object} meta - { createdBy }
+   * @returns {Promise<object>} See record()
+   */
+  async importCSV(text, { createdBy = null } = {}) {
+    const rows = await parseRateShopCSV(text);
+    if (rows.length > 0 && !['competitor', 'roomType', 'stayDate', 'price'].every(field => field in rows[0])) {
+      return { success: false, error: 'CSV needs competitor, room_type, stay_date and price columns' };
+    }
+    return this.record(rows, { source: 'import', createdBy });
+  }
+
+  /**
+   * Pull observations from the property's rate-shop fetcher
+   * @param {object} options - { from, to } stay dates (default: the next 30 nights)
+   * @param {object} meta - { createdBy }
+   * @returns {Promise<object>} See record(), plus { fetcher, from, to }; { notConfigured: true } without a fetcher
+   */
+  async fetch({ from = null, to = null } = {}, { createdBy = null } = {}) {
+    const hotel = getCurrentHotel();
+    const fetcher = createFetcher(hotel);
+    if (!fetcher) {
+      return { success: false, notConfigured: true, error: 'No rate-shop fetcher configured (set rateShop in the property config or RATE_SHOP_URL)' };
+    }
+
+    const start = from || getToday();
+    const end = to || addDays(start, 29);
+    for (const [name, value] of [['from', start], ['to', end]]) {
+      if (!isValidDate(value)) {
+        return { success: false, error: `Invalid ${name} date "${value}" (expected YYYY-MM-DD)` };
+      }
+    }
+    if (start > end) {
+      return { success: false, error: '"from" must be on or before "to"' };
+    }
+    if ((new Date(`${end}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / 86400000 + 1 > MAX_FETCH_NIGHTS) {
+      return { success: false, error: `Date range too long (max ${MAX_FETCH_NIGHTS} nights per fetch)` };
+    }
+
+    const observations = await fetcher.fetchRates({
+      from: start,
+      to: end,
+      roomTypes: (hotel?.roomTypes || []).map(rt => rt.name),
+      competitors: (hotel?.competitors || []).map(c => c.name).filter(Boolean)
+    });
+    const result = await this.record(observations, { source: 'fetch', createdBy });
+    return { ...result, fetcher: fetcher.name, from: start, to: end };
+  }
+}
+
+module.exports = new CompetitorRates();
+module.exports.CompetitorRates = CompetitorRates;
+module.exports.parseRateShopCSV = parseRateShopCSV;
+module.exports.validateObservation = validateObservation;
@@ -0,0 +1,56 @@
+// competitorWatcher.js - Background job that shops competitor rates and raises rate-change alerts
+const competitorRates = require('./competitorRates');
+const competitorAlerts = require('./competitorAlerts');
+const hotelRegistry = require('./hotelRegistry');
+const { createFetcher } = require('./rateShopping');
+const { runWithHotel } = require('../middleware/hotelContext');
+
+async function runCompetitorWatch() {
+  console.log('[CompetitorWatcher] Checking competitor rates...');
+
+  let raised = 0;
+  // Each property has its own rate shop, observations and alerts
+  for (const hotel of hotelRegistry.list()) {
+    try {
+      await runWithHotel(hotel.id, async () => {
+        if (createFetcher(hotel)) {
+          const fetched = await competitorRates.fetch();
+          if (!fetched.success) console.error(`[CompetitorWatcher] ${hotel.id}: ${fetched.error}`);
+        }
+        const result = await competitorAlerts.scan();
+        raised += result.raised;
+      });
+    } catch (error) {
+      console.error(`[CompetitorWatcher] ${hotel.id}:`, error.message);
+    }
+  }
+
+  if (raised > 0) {
+    console.log(`[CompetitorWatcher] ✓ Raised ${raised} competitor alerts`);
+  } else {
+    console.log('[CompetitorWatcher] No competitor rate changes past thresholds');
+  }
+  return { success: true, raised };
+}
+
+/**
+ * Start the competitor watcher
+ * Runs every hour by default
+ * @param {number} intervalMs - Interval in milliseconds (default: 1 hour)
+ */
+function startCompetitorWatcher(intervalMs = 60 * 60 * 1000) {
+  console.log(`[CompetitorWatcher] Starting watcher (interval: ${intervalMs / 1000}s)`);
+
+  runCompetitorWatch();
+  const interval = setInterval(runCompetitorWatch, intervalMs);
+
+  return () => {
+    clearInterval(interval);
+    console.log('[CompetitorWatcher] Watcher stopped');
+  };
+}
+
+module.exports = {
+  runCompetitorWatch,
+  startCompetitorWatcher
+};
@@ -1,10 +1,34 @@
+/**
+ * Data Loader
+ * Rooms, reservations and competitor rates for each property
+ *
+ * The exported object is scoped to the current request's hotel (see
+ * middleware/hotelContext), so `dataLoader.rooms` always means "rooms of the
+ * hotel this request is for". Use forHotel(id) to reach another property.
+ *
+ * Source files are read-only imports. Base rate changes live in the rate plans
+ * (see pricing/ratePlans), which `rooms` applies for today.
+ */
+
 const fs = require('fs');
 const path = require('path');
 const csvParser = require('csv-parser');
+const hotelRegistry = require('./hotelRegistry');
+const { getCurrentHotelId } = require('../middleware/hotelContext');
+const { countRoomsSold } = require('./availability');
+const competitorRates = require('./competitorRates');
+const { applyLatestObservations } = require('../pricing/competitorPricing');
+const actionStore = require('./actionStore');
+const { baseRateFor } = require('../pricing/ratePlans');
+const { getToday, toISODate } = require('../utils/dateUtils');
 
 class DataLoader {
-  constructor() {
-    this.rooms = [];
+  /**
+   * @param {object} hotel - Property configuration from hotelRegistry
+   */
+  constructor(hotel) {
+    this.hotel = hotel;
+    this.importedRooms = [];
     this.reservations = [];
     this.competitors = [];
     this.loaded = false;
@@ -21,14 +45,27 @@ class DataLoader {
     });
   }
 
+  /**
+   * Load a CSV that a new property may not have uploaded yet
+   * @returns {Promise<Array>} Rows, or [] when the file doesn't exist
+   */
+  async loadOptionalCSV(filePath) {
+    if (!fs.existsSync(filePath)) {
+      console.log(`  - ${path.basename(filePath)} not found, starting empty`);
+      return [];
+    }
+    return this.loadCSV(filePath);
+  }
+
   async loadAllData() {
     try {
-      const dataDir = path.resolve(__dirname, '../data/csv');
+      const hotel = this.hotel;
+      const dataDir = hotelRegistry.getDataDir(hotel);
 
-      // Load reservations from Lily Hall Reservations.csv
-      const rawReservations = await this.loadCSV(path.join(dataDir, 'Lily Hall Reservations.csv'));
+      // Load reservations (PMS export format)
+      const rawReservations = await this.loadOptionalCSV(path.join(dataDir, hotel.reservationsFile));
 
-      // Map Lily Hall CSV columns to our format
+      // Map PMS CSV columns to our format
       this.reservations = rawReservations.map(res => {
         // Parse dates from MM/DD/YYYY format
         const parseDate = (dateStr) => {
@@ -62,14 +99,16 @@ class DataLoader {
           nights: nights,
           status: res['Status'] || '',
           booking_date: parseDate(res['Reservation Date']),
+          cancellation_date: parseDate(res['Cancelation Date']),
           source: res['Source'] || '',
+          origin: res['Origin'] || '',
           adults: parseInt(res['Adults']) || 1,
           children: parseInt(res['Children']) || 0
         };
       }).filter(res => res.room_type && res.check_in_date);
 
-      // Valid base room types for Lily Hall
-      const validRoomTypes = ['Bernard', 'LaRua', 'Santiago', 'Pilar', 'Mariana'];
+      // Valid base room types for this property
+      const validRoomTypes = hotel.roomTypes.map(rt => rt.name);
 
       // Extract room types and calculate base prices from reservation data
       const roomTypeStats = {};
@@ -93,20 +132,12 @@ class DataLoader {
       });
 
       // Create rooms array with calculated base prices
-      // Use fixed room counts and ensure all 5 room types exist
-      const roomDefaults = {
-        'Bernard': { totalRooms: 8, defaultPrice: 165 },
-        'LaRua': { totalRooms: 6, defaultPrice: 195 },
-        'Santiago': { totalRooms: 10, defaultPrice: 215 },
-        'Pilar': { totalRooms: 5, defaultPrice: 240 },
-        'Mariana': { totalRooms: 4, defaultPrice: 399 }
-      };
-
-      this.rooms = validRoomTypes.map(roomType => {
+      // Inventory comes from the property config; every configured room type exists
+      this.importedRooms = hotel.roomTypes.map(roomConfig => {
+        const roomType = roomConfig.name;
         const stats = roomTypeStats[roomType];
-        const defaults = roomDefaults[roomType];
 
-        let basePrice = defaults.defaultPrice;
+        let basePrice = roomConfig.basePrice;
         if (stats && stats.prices.length > 0) {
           // Use median price as base price (more stable than average)
           const sortedPrices = stats.prices.sort((a, b) => a - b);
@@ -115,26 +146,29 @@ class DataLoader {
 
         return {
           room_type: roomType,
-          total_rooms: defaults.totalRooms,
+          total_rooms: roomConfig.totalRooms,
           base_price: basePrice,
-          rate_floor: Math.round(basePrice * 0.8),
-          rate_ceiling: Math.round(basePrice * 1.5)
+          imported_price: basePrice,
+          rate_floor: roomConfig.rateFloor || Math.round(basePrice * 0.8),
+          rate_ceiling: roomConfig.rateCeiling || Math.round(basePrice * 1.5)
         };
       });
 
       // Sort rooms by price (cheapest first)
-      this.rooms.sort((a, b) => a.base_price - b.base_price);
+      this.importedRooms.sort((a, b) => a.base_price - b.base_price);
 
-      // Load competitors
-      this.competitors = await this.loadCSV(path.join(dataDir, 'competitors.csv'));
-      this.competitors = this.competitors.map(comp => ({
-        ...comp,
-        avg_price: parseFloat(comp.avg_price)
-      }));
+      // Load competitors; without a CSV, use the rates entered during onboarding
+      const rawCompetitors = await this.loadOptionalCSV(path.join(dataDir, hotel.competitorsFile));
+      this.competitors = rawCompetitors.length > 0
+        ? rawCompetitors.map(comp => ({
+          ...comp,
+          avg_price: parseFloat(comp.avg_price)
+        }))
+        : this.competitorsFromConfig();
 
       this.loaded = true;
-      console.log('✓ CSV data loaded successfully');
-      console.log(`  - Rooms: ${this.rooms.length} types`);
+      console.log(`✓ CSV data loaded successfully (${hotel.id})`);
+      console.log(`  - Rooms: ${this.importedRooms.length} types`);
       console.log(`  - Reservations: ${this.reservations.length} bookings`);
       console.log(`  - Competitors: ${this.competitors.length} entries`);
 
@@ -145,25 +179,54 @@ class DataLoader {
     }
   }
 
+  /**
+   * Room types with today's base rate from the rate plans;
+   * imported_price is the base price from the source data
+   */
+  get rooms() {
+    const store = actionStore.forHotel(this.hotel.id);
+    const today = getToday();
+    return this.importedRooms.map(room => ({
+      ...room,
+      base_price: baseRateFor(room.room_type, room.imported_price, today, store)
+    }));
+  }
+
+  /**
+   * Competitor rows (same shape as competitors.csv) from the property config
+   */
+  competitorsFromConfig() {
+    const rows = [];
+    for (const comp of this.hotel.competitors || []) {
+      if (!comp.avgPrice) continue;
+      for (const room of this.hotel.roomTypes) {
+        rows.push({
+          competitor_name: comp.name,
+          room_type: room.name,
+          avg_price: comp.avgPrice,
+          weight: comp.weight * 100,
+          differential: comp.differential * 100
+        });
+      }
+    }
+    return rows;
+  }
+
   getTotalRooms() {
     return this.rooms.reduce((sum, room) => sum + room.total_rooms, 0);
   }
 
+  /**
+   * Rooms occupied tonight, counted per room type and capped at its inventory
+   * (cancelled and no-show reservations excluded; see services/availability)
+   */
   getRoomsBookedToday() {
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-
-    return this.reservations.filter(res => {
-      const status = (res.status || res.Status || '').toLowerCase();
-      // Include 'confirmed' and 'in-house' as active bookings
-      if (status !== 'confirmed' && status !== 'in-house') return false;
+    const today = getToday();
+    const roomTypes = this.rooms.map(room => room.room_type);
+    const sold = countRoomsSold(this.reservations, roomTypes, today, today);
 
-      const checkIn = res.check_in_date || res['Check In Date'] || res.checkInDate;
-      const checkOut = res.check_out_date || res['Check Out Date'] || res.checkOutDate;
-      if (!checkIn || !checkOut) return false;
-
-      // Check if reservation spans today (check-in <= today < check-out)
-      return checkIn <= today && checkOut > today;
-    }).length;
+    return this.rooms.reduce((sum, room) =>
+      sum + Math.min(parseInt(room.total_rooms) || 0, sold[room.room_type][today] || 0), 0);
   }
 
   getOccupancyRate() {
@@ -173,15 +236,15 @@ class DataLoader {
   }
 
   getRevenueToday() {
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    const today = getToday();
 
     return this.reservations
       .filter(res => {
         const status = (res.status || res.Status || '').toLowerCase();
         if (status !== 'confirmed' && status !== 'in-house') return false;
 
-        const checkIn = res.check_in_date || res['Check In Date'] || res.checkInDate;
-        const checkOut = res.check_out_date || res['Check Out Date'] || res.checkOutDate;
+        const checkIn = toISODate(res.check_in_date || res['Check In Date'] || res.checkInDate);
+        const checkOut = toISODate(res.check_out_date || res['Check Out Date'] || res.checkOutDate);
         if (!checkIn || !checkOut) return false;
 
         return checkIn <= today && checkOut > today;
@@ -204,7 +267,7 @@ class DataLoader {
   }
 
   getBookingsByRoomType() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getToday();
     const bookings = {};
 
     this.reservations
@@ -212,8 +275,8 @@ class DataLoader {
         const status = (res.status || res.Status || '').toLowerCase();
         if (status !== 'confirmed' && status !== 'in-house') return false;
 
-        const checkIn = res.check_in_date || res['Check In Date'] || res.checkInDate;
-        const checkOut = res.check_out_date || res['Check Out Date'] || res.checkOutDate;
+        const checkIn = toISODate(res.check_in_date || res['Check In Date'] || res.checkInDate);
+        const checkOut = toISODate(res.check_out_date || res['Check Out Date'] || res.checkOutDate);
         if (!checkIn || !checkOut) return false;
 
         // Only count reservations active today
@@ -228,12 +291,20 @@ class DataLoader {
     return bookings;
   }
 
-  getCompetitorPricing(roomType) {
-    return this.competitors
+  /**
+   * Competitor prices for a room type; with a stay date, each competitor's
+   * latest rate-shop observation for that night (see services/competitorRates)
+   */
+  getCompetitorPricing(roomType, stayDate = null) {
+    const competitors = stayDate
+      ? applyLatestObservations(this.competitors, competitorRates.forStayDate(stayDate), stayDate)
+      : this.competitors;
+    return competitors
       .filter(comp => comp.room_type === roomType)
       .map(comp => ({
         name: comp.competitor_name,
-        price: comp.avg_price
+        price: comp.avg_price,
+        ...(stayDate && { observedAt: comp.observed_at })
       }));
   }
 
@@ -305,18 +376,78 @@ class DataLoader {
       return day >= 1 && day <= 4;
     });
   }
+}
 
-  updateRoomPrice(roomType, newPrice) {
-    const room = this.rooms.find(r => r.room_type === roomType);
-    if (room) {
-      room.base_price = newPrice;
-      return true;
+/**
+ * One DataLoader per property, scoped to the current request's hotel
+ */
+class HotelDataLoaders {
+  constructor() {
+    this.loaders = new Map();
+  }
+
+  /**
+   * Loader for a property (created empty; call loadAllData to fill it)
+   * @param {string} hotelId - Defaults to the current request's hotel
+   * @returns {DataLoader}
+   */
+  forHotel(hotelId = getCurrentHotelId()) {
+    const hotel = hotelRegistry.get(hotelId);
+    if (!hotel) {
+      throw new Error(`Unknown hotel "${hotelId}"`);
+    }
+
+    let loader = this.loaders.get(hotelId);
+    if (!loader) {
+      loader = new DataLoader(hotel);
+      this.loaders.set(hotelId, loader);
     }
-    return false;
+    // Pick up config edits (room types, inventory) on the next load
+    loader.hotel = hotel;
+    return loader;
   }
+
+  /**
+   * Load data for every registered property
+   */
+  async loadAllData() {
+    for (const hotel of hotelRegistry.list()) {
+      await this.forHotel(hotel.id).loadAllData();
+    }
+    return true;
+  }
+
+  get hotel() { return this.forHotel().hotel; }
+  get rooms() { return this.forHotel().rooms; }
+  get reservations() { return this.forHotel().reservations; }
+  get competitors() { return this.forHotel().competitors; }
+  get loaded() { return this.forHotel().loaded; }
 }
 
+// Everything else delegates to the current hotel's loader
+[
+  'loadCSV',
+  'getTotalRooms',
+  'getRoomsBookedToday',
+  'getOccupancyRate',
+  'getRevenueToday',
+  'getTotalRevenue',
+  'getBookingsByRoomType',
+  'getCompetitorPricing',
+  'getAverageCompetitorPrice',
+  'getSummary',
+  'getBookingsInDateRange',
+  'getBookingsForDate',
+  'getWeekendBookings',
+  'getWeekdayBookings'
+].forEach(method => {
+  HotelDataLoaders.prototype[method] = function (...args) {
+    return this.forHotel()[method](...args);
+  };
+});
+
 // Create singleton instance
-const dataLoader = new DataLoader();
+const dataLoader = new HotelDataLoaders();
 
-module.exports = dataLoader;
\ No newline at end of file
+module.exports = dataLoader;
+module.exports.DataLoader = DataLoader;
\ No newline at end of file
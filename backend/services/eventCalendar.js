@@ -0,0 +1,410 @@
+/**
+ * Event Calendar
+ * Holidays and local events that move demand, for pricing, forecasting and chat
+ *
+ * Three sources, merged per property:
+ *   holiday  - US holidays (utils/dateUtils) plus Black Friday and Valentine's Day, every year
+ *   property - the property's own events file (<dataDir>/<eventsFile>, ICS, read-only)
+ *   manual / ics - events added through the API or an ICS import, stored in the
+ *                  action store's "events" collection
+ *
+ * Each event covers startDate..endDate (inclusive), has an expected impact tier
+ * (a key of the pricing config's holidayPremiums, or "none") with an optional
+ * premium of its own, and applies to the listed room types (empty = all).
+ * On a night with both, stored events take precedence over the built-in
+ * sources, so a premium can be raised, lowered or switched off for a date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const actionStore = require('./actionStore');
+const hotelRegistry = require('./hotelRegistry');
+const { getCurrentHotel } = require('../middleware/hotelContext');
+const { mapToHotelRoomType } = require('../copilot/roomMapping');
+const { getUSHolidays, isValidDate, addDays, toISODate } = require('../utils/dateUtils');
+
+const IMPACT_TIERS = ['major', 'longWeekend', 'localEvent', 'none'];
+const STORED_SOURCES = ['manual', 'ics'];
+const MAX_EVENT_DAYS = 31;
+const MAX_IMPORT_EVENTS = 500;
+
+// Expected impact of each built-in holiday (anything not listed is informational)
+const HOLIDAY_TIERS = {
+  "New Year's Day": 'major',
+  'Martin Luther King Jr. Day': 'longWeekend',
+  "Presidents' Day": 'longWeekend',
+  'Memorial Day': 'longWeekend',
+  'Independence Day': 'major',
+  'Labor Day': 'longWeekend',
+  'Thanksgiving': 'major',
+  'Black Friday': 'longWeekend',
+  "Valentine's Day": 'longWeekend',
+  'Christmas Eve': 'major',
+  'Christmas Day': 'major',
+  "New Year's Eve": 'major'
+};
+
+/**
+ * Built-in holidays for one year
+ */
+function holidayEvents(year) {
+  const holidays = getUSHolidays(year);
+  const thanksgiving = holidays.find(h => h.name === 'Thanksgiving').date;
+  holidays.push(
+    { name: 'Black Friday', date: addDays(thanksgiving, 1) },
+    { name: "Valentine's Day", date: `${year}-02-14` }
+  );
+
+  return holidays.map(h => ({
+    id: `holiday-${h.date}`,
+    name: h.name,
+    startDate: h.date,
+    endDate: h.date,
+    tier: HOLIDAY_TIERS[h.name] || 'none',
+    premium: null,
+    roomTypes: [],
+    source: 'holiday'
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// ICS
+// ---------------------------------------------------------------------------
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+/**
+ * DTSTART/DTEND value -> { date, allDay, midnight }
+ */
+function parseICSDate(value, params) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, y, m, d, hh] = match;
+  const allDay = params.includes('VALUE=DATE') || hh === undefined;
+  return {
+    date: `${y}-${m}-${d}`,
+    allDay,
+    midnight: allDay || `${match[4]}${match[5]}${match[6]}` === '000000'
+  };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar file
+ * Reads SUMMARY, DTSTART, DTEND (exclusive, as in RFC 5545), UID and the
+ * optional X-IMPACT-TIER, X-PREMIUM and X-ROOM-TYPES properties.
+ * @param {string} text - ICS content
+ * @returns {object} { events: [{ uid, name, startDate, endDate, tier?, premium?, roomTypes? }], errors: [] }
+ */
+function parseICS(text) {
+  // Unfold continuation lines (a line starting with a space or tab continues the previous one)
+  const lines = String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  const errors = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) {
+        const index = events.length + errors.length + 1;
+        if (!current.name || !current.start) {
+          errors.push(`Event ${index} has no SUMMARY or DTSTART`);
+        } else {
+          let endDate = current.start.date;
+          if (current.end) {
+            // DTEND is exclusive for all-day events and for events ending at midnight
+            endDate = current.end.midnight ? addDays(current.end.date, -1) : current.end.date;
+            if (endDate < current.start.date) endDate = current.start.date;
+          }
+          events.push({
+            uid: current.uid || `${current.start.date}-${current.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+            name: current.name,
+            startDate: current.start.date,
+            endDate,
+            ...(current.tier && { tier: current.tier }),
+            ...(current.premium !== undefined && { premium: current.premium }),
+            ...(current.roomTypes && { roomTypes: current.roomTypes })
+          });
+        }
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const [name, ...params] = line.slice(0, colon).toUpperCase().split(';');
+    const value = line.slice(colon + 1);
+
+    if (name === 'SUMMARY') current.name = unescapeText(value);
+    else if (name === 'UID') current.uid = value.trim();
+    else if (name === 'DTSTART') current.start = parseICSDate(value, params);
+    else if (name === 'DTEND') current.end = parseICSDate(value, params);
+    else if (name === 'X-IMPACT-TIER') current.tier = value.trim();
+    else if (name === 'X-PREMIUM') current.premium = parseFloat(value);
+    else if (name === 'X-ROOM-TYPES') current.roomTypes = value.split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  return { events, errors };
+}
+
+// ---------------------------------------------------------------------------
+// Calendar
+// ---------------------------------------------------------------------------
+
+class EventCalendar {
+  constructor() {
+    // events file path -> { mtimeMs, events }
+    this.fileCache = new Map();
+  }
+
+  /**
+   * Events from the property's events file (re-read when the file changes)
+   */
+  propertyEvents(hotel = getCurrentHotel()) {
+    if (!hotel) return [];
+    const filePath = path.join(hotelRegistry.getDataDir(hotel), hotel.eventsFile);
+
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (err) {
+      return [];
+    }
+
+    const cached = this.fileCache.get(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.events;
+
+    const { events, errors } = parseICS(fs.readFileSync(filePath, 'utf8'));
+    if (errors.length > 0) {
+      console.warn(`[Events] ${path.basename(filePath)}: ${errors.join('; ')}`);
+    }
+    const normalized = events.map(event => ({
+      id: `property-${event.uid}`,
+      name: event.name,
+      startDate: event.startDate,
+      endDate: event.endDate,
+      tier: IMPACT_TIERS.includes(event.tier) ? event.tier : 'localEvent',
+      premium: Number.isFinite(event.premium) ? event.premium : null,
+      roomTypes: event.roomTypes || [],
+      source: 'property'
+    }));
+    this.fileCache.set(filePath, { mtimeMs: stat.mtimeMs, events: normalized });
+    return normalized;
+  }
+
+  /**
+   * Events overlapping a date range, sorted by start date
+   * @param {object} options - { from, to, roomType, source }
+   * @returns {Array} Events
+   */
+  list({ from, to, roomType = null, source = null } = {}) {
+    const events = [];
+    for (let year = parseInt(from.slice(0, 4)); year <= parseInt(to.slice(0, 4)); year++) {
+      events.push(...holidayEvents(year));
+    }
+    events.push(...this.propertyEvents());
+    events.push(...actionStore.find('events'));
+
+    return events
+      .filter(event => event.startDate <= to && event.endDate >= from)
+      .filter(event => !source || event.source === source)
+      .filter(event => !roomType || appliesTo(event, roomType))
+      .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Events on one night that apply to a room type
+   * @param {string|Date} date
+   * @param {string} roomType - Optional; without it every event on the night is returned
+   * @returns {Array} Events
+   */
+  eventsOn(date, roomType = null) {
+    const day = toISODate(date);
+    if (!day) return [];
+    return this.list({ from: day, to: day, roomType });
+  }
+
+  /**
+   * Stored event by id
+   */
+  get(id) {
+    return actionStore.get('events', id);
+  }
+
+  /**
+   * Add an event
+   * @param {object} input - { name, startDate, endDate?, tier?, premium?, roomTypes?, notes? }
+   * @param {object} meta - { source, createdBy }
+   * @returns {Promise<object>} { success, event } or { success: false, error }
+   */
+  async create(input, { source = 'manual', createdBy = null } = {}) {
+    const result = validateEvent(input);
+    if (!result.valid) return { success: false, error: result.error };
+
+    const event = await actionStore.insert('events', {
+      ...result.event,
+      uid: input.uid || null,
+      source,
+      createdBy,
+      createdAt: new Date().toISOString()
+    });
+    return { success: true, event };
+  }
+
+  /**
+   * Change a stored event
+   * @returns {Promise<object>} { success, event } or { success: false, error, notFound? }
+   */
+  async update(id, changes, { updatedBy = null } = {}) {
+    const existing = this.get(id);
+    if (!existing) return { success: false, notFound: true, error: `Event "${id}" not found` };
+
+    const result = validateEvent({ ...existing, ...changes });
+    if (!result.valid) return { success: false, error: result.error };
+
+    await actionStore.update('events', id, { ...result.event, updatedBy, updatedAt: new Date().toISOString() });
+    return { success: true, event: this.get(id) };
+  }
+
+  /**
+   * Delete a stored event
+   * @returns {Promise<boolean>} false when there is no such event
+   */
+  async remove(id) {
+    if (!this.get(id)) return false;
+    await actionStore.remove('events', id);
+    return true;
+  }
+
+  /**
+   * Import the events of an ICS file; events already imported (same UID) are replaced
+   * @param {string} text - ICS content
+   * @param {object} defaults - { tier, roomTypes, createdBy } for events that don't set them
+   * @returns {Promise<object>} { success, imported, updated, skipped: [reason] } or { success: false, error }
+   */
+  async importICS(text, { tier = 'localEvent', roomTypes = [], createdBy = null } = {}) {
+    const { events, errors } = parseICS(text);
+    if (events.length === 0) {
+      return { success: false, error: errors[0] || 'No VEVENT entries found in the calendar' };
+    }
+    if (events.length > MAX_IMPORT_EVENTS) {
+      return { success: false, error: `Too many events (max ${MAX_IMPORT_EVENTS} per import)` };
+    }
+
+    const skipped = [...errors];
+    const valid = [];
+    for (const parsed of events) {
+      const result = validateEvent({ tier, roomTypes, ...parsed });
+      if (result.valid) valid.push({ ...result.event, uid: parsed.uid });
+      else skipped.push(`${parsed.name}: ${result.error}`);
+    }
+
+    const now = new Date().toISOString();
+    const counts = await actionStore.transaction(tx => {
+      let imported = 0, updated = 0;
+      for (const event of valid) {
+        const existing = actionStore.find('events', { uid: event.uid });
+        if (existing.length > 0) updated++;
+        else imported++;
+        tx.upsert('events', 'uid', {
+          ...event,
+          id: existing[0]?.id,
+          source: 'ics',
+          createdBy,
+          createdAt: existing[0]?.createdAt || now,
+          ...(existing.length > 0 && { updatedAt: now })
+        });
+      }
+      return { imported, updated };
+    });
+
+    return { success: true, ...counts, skipped };
+  }
+}
+
+/**
+ * Whether an event applies to a room type (empty roomTypes = every room)
+ */
+function appliesTo(event, roomType) {
+  if (!event.roomTypes || event.roomTypes.length === 0) return true;
+  const mapped = mapToHotelRoomType(roomType);
+  return event.roomTypes.some(rt => rt.toLowerCase() === String(mapped).toLowerCase());
+}
+
+/**
+ * Validate and normalize an event
+ * @returns {object} { valid, error?, event? }
+ */
+function validateEvent(input = {}) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) return { valid: false, error: 'name is required' };
+
+  const startDate = input.startDate;
+  const endDate = input.endDate || startDate;
+  if (!isValidDate(startDate)) {
+    return { valid: false, error: `Invalid startDate "${startDate}" (expected YYYY-MM-DD)` };
+  }
+  if (!isValidDate(endDate)) {
+    return { valid: false, error: `Invalid endDate "${endDate}" (expected YYYY-MM-DD)` };
+  }
+  if (endDate < startDate) {
+    return { valid: false, error: 'endDate must be on or after startDate' };
+  }
+  if ((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / 86400000 + 1 > MAX_EVENT_DAYS) {
+    return { valid: false, error: `Events can span at most ${MAX_EVENT_DAYS} days` };
+  }
+
+  const tier = input.tier || 'localEvent';
+  if (!IMPACT_TIERS.includes(tier)) {
+    return { valid: false, error: `tier must be one of: ${IMPACT_TIERS.join(', ')}` };
+  }
+
+  // premium null = use the tier's premium from the pricing config
+  const event = { name, startDate, endDate, tier, premium: null };
+
+  if (input.premium !== undefined && input.premium !== null) {
+    const premium = Number(input.premium);
+    if (!Number.isFinite(premium) || premium < -0.5 || premium > 1) {
+      return { valid: false, error: 'premium must be a fraction between -0.5 and 1 (0.2 = +20%)' };
+    }
+    event.premium = premium;
+  }
+
+  if (input.roomTypes !== undefined && !Array.isArray(input.roomTypes)) {
+    return { valid: false, error: 'roomTypes must be a list of room types' };
+  }
+  const hotel = getCurrentHotel();
+  const roomTypes = [];
+  for (const roomType of input.roomTypes || []) {
+    const mapped = mapToHotelRoomType(String(roomType));
+    const known = hotel?.roomTypes.find(rt => rt.name.toLowerCase() === String(mapped).toLowerCase());
+    if (!known) return { valid: false, error: `Room type "${roomType}" not found` };
+    if (!roomTypes.includes(known.name)) roomTypes.push(known.name);
+  }
+  event.roomTypes = roomTypes;
+
+  if (input.notes !== undefined) event.notes = String(input.notes);
+
+  return { valid: true, event };
+}
+
+/**
+ * Whether an event was added through the API or an import (rather than built in)
+ */
+function isStored(event) {
+  return STORED_SOURCES.includes(event.source);
+}
+
+module.exports = new EventCalendar();
+module.exports.EventCalendar = EventCalendar;
+module.exports.parseICS = parseICS;
+module.exports.validateEvent = validateEvent;
+module.exports.isStored = isStored;
+module.exports.IMPACT_TIERS = IMPACT_TIERS;
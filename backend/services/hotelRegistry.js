@@ -0,0 +1,284 @@
+/**
+ * Hotel Registry
+ * Per-property configuration: room types, inventory, aliases, floors/ceilings,
+ * competitor sets, the approval policy and the time zone scheduled actions run in
+ *
+ * One JSON file per property in backend/data/hotels (HOTEL_CONFIG_DIR).
+ * Properties created through onboarding keep their uploaded CSVs in
+ * backend/data/hotels/<id>/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isValidTimeZone } = require('../utils/timeZones');
+
+const DATA_DIR = path.resolve(__dirname, '../data');
+const CONFIG_DIR = process.env.HOTEL_CONFIG_DIR || path.join(DATA_DIR, 'hotels');
+const DEFAULT_HOTEL_ID = process.env.DEFAULT_HOTEL_ID || 'lily-hall';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+/**
+ * Turn a hotel name into an id ("Lily Hall" -> "lily-hall")
+ */
+function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 64);
+}
+
+/**
+ * Validate and normalize a property configuration
+ * @param {object} config - Raw configuration (from onboarding or disk)
+ * @returns {object} { valid, errors, hotel }
+ */
+function normalizeHotelConfig(config) {
+  const errors = [];
+
+  if (!config.hotelName || typeof config.hotelName !== 'string') {
+    errors.push('hotelName is required');
+  }
+
+  const roomTypes = Array.isArray(config.roomTypes) ? config.roomTypes : [];
+  if (roomTypes.length === 0) {
+    errors.push('At least one room type is required');
+  }
+
+  const seen = new Set();
+  const normalizedRooms = roomTypes.map((rt, i) => {
+    const name = typeof rt.name === 'string' ? rt.name.trim() : '';
+    const totalRooms = parseInt(rt.totalRooms, 10);
+    const basePrice = parseFloat(rt.basePrice);
+
+    if (!name) errors.push(`roomTypes[${i}].name is required`);
+    if (seen.has(name.toLowerCase())) errors.push(`Duplicate room type "${name}"`);
+    seen.add(name.toLowerCase());
+    if (!(totalRooms > 0)) errors.push(`roomTypes[${i}].totalRooms must be a positive integer`);
+    if (!(basePrice > 0)) errors.push(`roomTypes[${i}].basePrice must be a positive number`);
+
+    const room = {
+      name,
+      displayName: rt.displayName || name,
+      totalRooms,
+      basePrice,
+      aliases: Array.isArray(rt.aliases) ? rt.aliases.filter(a => typeof a === 'string' && a.trim()) : []
+    };
+    if (rt.rateFloor !== undefined) room.rateFloor = parseFloat(rt.rateFloor);
+    if (rt.rateCeiling !== undefined) room.rateCeiling = parseFloat(rt.rateCeiling);
+    if (room.rateFloor && room.rateCeiling && room.rateFloor > room.rateCeiling) {
+      errors.push(`roomTypes[${i}] rateFloor is above rateCeiling`);
+    }
+    return room;
+  });
+
+  const competitors = (Array.isArray(config.competitors) ? config.competitors : []).map((c, i) => {
+    if (!c.name) errors.push(`competitors[${i}].name is required`);
+    const competitor = {
+      name: c.name,
+      weight: c.weight !== undefined ? parseFloat(c.weight) : 0,
+      differential: c.differential !== undefined ? parseFloat(c.differential) : 0
+    };
+    if (c.avgPrice !== undefined) competitor.avgPrice = parseFloat(c.avgPrice);
+    return competitor;
+  });
+
+  const pricing = { ...(config.pricing || {}) };
+  if (pricing.rateFloor && pricing.rateCeiling && pricing.rateFloor > pricing.rateCeiling) {
+    errors.push('pricing.rateFloor is above pricing.rateCeiling');
+  }
+
+  const approvalPolicy = config.approvalPolicy ? { ...config.approvalPolicy } : undefined;
+  if (approvalPolicy) {
+    if (approvalPolicy.maxChangePercent !== undefined && approvalPolicy.maxChangePercent !== null &&
+        !(parseFloat(approvalPolicy.maxChangePercent) >= 0)) {
+      errors.push('approvalPolicy.maxChangePercent must be a non-negative number (or null to disable)');
+    }
+    if (approvalPolicy.actions !== undefined && !Array.isArray(approvalPolicy.actions)) {
+      errors.push('approvalPolicy.actions must be a list of action names');
+    }
+    if (approvalPolicy.expiresAfterHours !== undefined && !(parseFloat(approvalPolicy.expiresAfterHours) > 0)) {
+      errors.push('approvalPolicy.expiresAfterHours must be a positive number');
+    }
+  }
+
+  if (config.timezone !== undefined && !isValidTimeZone(config.timezone)) {
+    errors.push(`timezone "${config.timezone}" is not a known IANA time zone (e.g. America/Chicago)`);
+  }
+
+  const competitorAlerts = config.competitorAlerts ? { ...config.competitorAlerts } : undefined;
+  if (competitorAlerts?.thresholds !== undefined) {
+    if (!Array.isArray(competitorAlerts.thresholds)) {
+      errors.push('competitorAlerts.thresholds must be a list of { minWeight, changePercent, undercutAmount }');
+    } else {
+      competitorAlerts.thresholds.forEach((t, i) => {
+        if (!(parseFloat(t.changePercent) > 0) || !(parseFloat(t.undercutAmount) > 0)) {
+          errors.push(`competitorAlerts.thresholds[${i}] needs a positive changePercent and undercutAmount`);
+        }
+      });
+    }
+  }
+
+  const hotel = {
+    id: config.id,
+    hotelName: config.hotelName,
+    websiteUrl: config.websiteUrl || '',
+    pricingObjective: config.pricingObjective || '',
+    targetMarket: config.targetMarket || 'general',
+    timezone: config.timezone || 'UTC',
+    competitorUrls: config.competitorUrls || [],
+    dataDir: config.dataDir,
+    reservationsFile: config.reservationsFile || 'reservations.csv',
+    competitorsFile: config.competitorsFile || 'competitors.csv',
+    eventsFile: config.eventsFile || 'events.ics',
+    roomTypes: normalizedRooms,
+    competitors,
+    pricing,
+    approvalPolicy,
+    rateShop: config.rateShop ? { ...config.rateShop } : undefined,
+    competitorAlerts,
+    createdAt: config.createdAt,
+    updatedAt: config.updatedAt
+  };
+
+  return { valid: errors.length === 0, errors, hotel };
+}
+
+class HotelRegistry {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory holding <id>.json property files
+   * @param {string} options.defaultId - Property used when a request doesn't name one
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || CONFIG_DIR;
+    this.defaultId = options.defaultId || DEFAULT_HOTEL_ID;
+    this.hotels = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Read every property file (synchronous so lookups never wait)
+   */
+  ensureLoaded() {
+    if (this.loaded) return;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const raw = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        const { valid, errors, hotel } = normalizeHotelConfig({ id: path.basename(file, '.json'), ...raw });
+        if (!valid) {
+          console.error(`[Hotels] Skipping ${file}: ${errors.join('; ')}`);
+          continue;
+        }
+        this.hotels.set(hotel.id, hotel);
+      } catch (err) {
+        console.error(`[Hotels] Failed to load ${file}:`, err.message);
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * @param {string} hotelId
+   * @returns {object|null} Property configuration
+   */
+  get(hotelId) {
+    this.ensureLoaded();
+    return this.hotels.get(hotelId) || null;
+  }
+
+  /**
+   * @returns {Array} All properties, default first
+   */
+  list() {
+    this.ensureLoaded();
+    return [...this.hotels.values()].sort((a, b) =>
+      (b.id === this.defaultId) - (a.id === this.defaultId) || a.hotelName.localeCompare(b.hotelName)
+    );
+  }
+
+  /**
+   * Absolute directory holding a property's CSV files
+   */
+  getDataDir(hotel) {
+    return path.resolve(DATA_DIR, hotel.dataDir || path.join('hotels', hotel.id));
+  }
+
+  /**
+   * Create a property from onboarding settings
+   * @param {object} settings - hotelName, roomTypes, competitors, pricing, ...
+   * @returns {Promise<object>} { success, hotel } or { success: false, errors }
+   */
+  async create(settings) {
+    this.ensureLoaded();
+
+    let id = settings.id || slugify(settings.hotelName);
+    if (!ID_PATTERN.test(id)) {
+      return { success: false, errors: ['Hotel id must be lowercase letters, digits and dashes'] };
+    }
+    if (!settings.id) {
+      // Generated ids get a numeric suffix instead of clashing
+      const baseId = id;
+      for (let n = 2; this.hotels.has(id); n++) id = `${baseId}-${n}`;
+    } else if (this.hotels.has(id)) {
+      return { success: false, errors: [`Hotel "${id}" already exists`] };
+    }
+
+    const now = new Date().toISOString();
+    const { valid, errors, hotel } = normalizeHotelConfig({ ...settings, id, createdAt: now, updatedAt: now });
+    if (!valid) {
+      return { success: false, errors };
+    }
+
+    await this._write(hotel);
+    await fs.promises.mkdir(this.getDataDir(hotel), { recursive: true });
+    console.log(`[Hotels] ✓ Created property ${hotel.id} (${hotel.roomTypes.length} room types)`);
+    return { success: true, hotel };
+  }
+
+  /**
+   * Update an existing property; omitted fields keep their current values
+   * @returns {Promise<object>} { success, hotel } or { success: false, errors }
+   */
+  async update(hotelId, changes) {
+    const current = this.get(hotelId);
+    if (!current) {
+      return { success: false, errors: [`Hotel "${hotelId}" not found`] };
+    }
+
+    const { valid, errors, hotel } = normalizeHotelConfig({
+      ...current,
+      ...changes,
+      id: current.id,
+      dataDir: current.dataDir,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+    if (!valid) {
+      return { success: false, errors };
+    }
+
+    await this._write(hotel);
+    return { success: true, hotel };
+  }
+
+  async _write(hotel) {
+    const { id, ...config } = hotel;
+    const filePath = path.join(this.dir, `${id}.json`);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(config, null, 2) + '\n');
+    await fs.promises.rename(tmpPath, filePath);
+    this.hotels.set(id, hotel);
+  }
+}
+
+// Export singleton instance
+module.exports = new HotelRegistry();
+module.exports.HotelRegistry = HotelRegistry;
+module.exports.normalizeHotelConfig = normalizeHotelConfig;
+module.exports.DEFAULT_HOTEL_ID = DEFAULT_HOTEL_ID;
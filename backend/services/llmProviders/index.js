@@ -0,0 +1,55 @@
+/**
+ * LLM Provider Factory
+ * Selects the provider behind LLMService from environment configuration
+ *
+ * LLM_PROVIDER     openai (default) | mock
+ * LLM_BASE_URL     OpenAI-compatible base URL (default https://api.openai.com/v1)
+ * LLM_TIMEOUT_MS   Per-attempt timeout (default 30000)
+ * LLM_MAX_RETRIES  Retries on timeouts, 429 and 5xx (default 2)
+ * LLM_RETRY_BASE_MS  Initial backoff delay, doubled per retry (default 500)
+ * LLM_FIXTURES_PATH  Fixture file for the mock provider
+ * LLM_MOCK_DELAY_MS  Simulated mock latency (default 0)
+ * LLM_MOCK_TOKEN_DELAY_MS  Simulated delay between streamed mock fragments (default 0)
+ */
+
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Create the configured provider
+ * @param {object} env - Environment variables (defaults to process.env)
+ */
+function createProvider(env = process.env) {
+  const providerName = (env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  if (providerName === 'mock') {
+    return new MockProvider({
+      fixturesPath: env.LLM_FIXTURES_PATH,
+      delayMs: readInt(env.LLM_MOCK_DELAY_MS, 0),
+      tokenDelayMs: readInt(env.LLM_MOCK_TOKEN_DELAY_MS, 0)
+    });
+  }
+
+  if (providerName !== 'openai') {
+    console.warn(`[LLM] Unknown LLM_PROVIDER "${providerName}", using openai`);
+  }
+
+  return new OpenAIProvider({
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+    baseUrl: env.LLM_BASE_URL,
+    timeoutMs: readInt(env.LLM_TIMEOUT_MS, 30000),
+    maxRetries: readInt(env.LLM_MAX_RETRIES, 2),
+    retryBaseMs: readInt(env.LLM_RETRY_BASE_MS, 500)
+  });
+}
+
+module.exports = {
+  createProvider,
+  OpenAIProvider,
+  MockProvider
+};
@@ -0,0 +1,181 @@
+/**
+ * Mock LLM Provider
+ * Replays canned completions from a fixtures file so the copilot
+ * can be exercised end-to-end without network access
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_PATH = path.resolve(__dirname, '../../data/llm-fixtures.json');
+
+/**
+ * Sleep helper for simulated latency
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Load fixture completions from disk
+ * @param {string} fixturesPath - Path to fixtures JSON
+ * @returns {Array} Fixture entries [{ name, match, content }]
+ */
+function loadFixtures(fixturesPath = DEFAULT_FIXTURES_PATH) {
+  try {
+    const data = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    return data.completions || [];
+  } catch (err) {
+    console.error(`[LLM] Failed to load fixtures from ${fixturesPath}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Pick the fixture whose keywords appear in the latest user message.
+ * Entries are checked in file order; the first entry without keywords is the fallback.
+ * @param {Array} fixtures - Fixture entries
+ * @param {Array} messages - Chat messages [{role, content}]
+ * @returns {object|null} Matching fixture
+ */
+function findFixture(fixtures, messages) {
+  const lastUser = [...(messages || [])].reverse().find(m => m.role === 'user');
+  const text = (lastUser?.content || '').toLowerCase();
+
+  const match = fixtures.find(f =>
+    Array.isArray(f.match) && f.match.length > 0 &&
+    f.match.some(keyword => text.includes(keyword.toLowerCase()))
+  );
+
+  return match || fixtures.find(f => !f.match || f.match.length === 0) || null;
+}
+
+/**
+ * Build an OpenAI-shaped completion payload for a fixture
+ * @param {object} fixture - Fixture entry
+ * @param {string} model - Model name to echo back
+ */
+function toCompletionPayload(fixture, model) {
+  return {
+    id: `mock-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: model || 'mock',
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: fixture.content },
+      finish_reason: 'stop'
+    }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    fixture: fixture.name
+  };
+}
+
+/**
+ * Split fixture text into word-sized fragments for simulated streaming
+ * @param {string} content - Full completion text
+ * @returns {Array<string>} Fragments that concatenate back to content
+ */
+function splitIntoChunks(content) {
+  return (content || '').match(/\s*\S+/g) || [];
+}
+
+/**
+ * Build an OpenAI-shaped streaming chunk payload
+ * @param {string} delta - Text fragment (omit for the final chunk)
+ * @param {string} model - Model name to echo back
+ */
+function toChunkPayload(delta, model) {
+  return {
+    id: `mock-${Date.now()}`,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: model || 'mock',
+    choices: [{
+      index: 0,
+      delta: delta !== undefined ? { content: delta } : {},
+      finish_reason: delta !== undefined ? null : 'stop'
+    }]
+  };
+}
+
+class MockProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.fixturesPath - Path to fixtures JSON
+   * @param {number} options.delayMs - Simulated response latency (time to first token when streaming)
+   * @param {number} options.tokenDelayMs - Simulated delay between streamed fragments
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.fixturesPath = options.fixturesPath || DEFAULT_FIXTURES_PATH;
+    this.delayMs = options.delayMs || 0;
+    this.tokenDelayMs = options.tokenDelayMs || 0;
+    this.fixtures = loadFixtures(this.fixturesPath);
+  }
+
+  isConfigured() {
+    return this.fixtures.length > 0;
+  }
+
+  /**
+   * Return the matching canned completion
+   * @param {object} request - { model, messages }
+   */
+  async complete({ model, messages }) {
+    if (this.delayMs > 0) {
+      await sleep(this.delayMs);
+    }
+
+    const fixture = findFixture(this.fixtures, messages);
+    if (!fixture) {
+      return { ok: false, error: `No mock fixture matched (${this.fixturesPath})`, attempts: 1 };
+    }
+
+    return {
+      ok: true,
+      content: fixture.content,
+      raw: toCompletionPayload(fixture, model),
+      attempts: 1
+    };
+  }
+
+  /**
+   * Replay the matching canned completion fragment by fragment
+   * @param {object} request - { messages, signal }
+   * @param {function} onDelta - Called with each text fragment
+   */
+  async stream({ messages, signal }, onDelta) {
+    if (this.delayMs > 0) {
+      await sleep(this.delayMs);
+    }
+
+    const fixture = findFixture(this.fixtures, messages);
+    if (!fixture) {
+      return { ok: false, error: `No mock fixture matched (${this.fixturesPath})`, attempts: 1 };
+    }
+
+    let content = '';
+    for (const chunk of splitIntoChunks(fixture.content)) {
+      if (signal?.aborted) {
+        return { ok: false, error: 'aborted by client', content, attempts: 1 };
+      }
+      content += chunk;
+      onDelta(chunk);
+      if (this.tokenDelayMs > 0) {
+        await sleep(this.tokenDelayMs);
+      }
+    }
+
+    return { ok: true, content, attempts: 1 };
+  }
+}
+
+module.exports = MockProvider;
+module.exports.loadFixtures = loadFixtures;
+module.exports.findFixture = findFixture;
+module.exports.toCompletionPayload = toCompletionPayload;
+module.exports.toChunkPayload = toChunkPayload;
+module.exports.splitIntoChunks = splitIntoChunks;
+module.exports.DEFAULT_FIXTURES_PATH = DEFAULT_FIXTURES_PATH;
@@ -0,0 +1,117 @@
+/**
+ * Local OpenAI-Compatible Mock Server
+ * Serves POST /v1/chat/completions from the fixtures file so the real
+ * HTTP provider path (timeouts, retries, parsing) can be exercised offline.
+ *
+ * Usage:
+ *   node backend/services/llmProviders/mockServer.js
+ *   LLM_BASE_URL=http://localhost:4010/v1 node backend/server.js
+ *
+ * LLM_MOCK_PORT      Port to listen on (default 4010)
+ * LLM_MOCK_DELAY_MS  Simulated latency per completion (default 0)
+ * LLM_MOCK_FAIL_RATE Fraction of requests answered with 503 to test retries (default 0)
+ * LLM_MOCK_TOKEN_DELAY_MS Delay between chunks for "stream": true requests (default 0)
+ */
+
+const http = require('http');
+const { loadFixtures, findFixture, toCompletionPayload, toChunkPayload, splitIntoChunks, DEFAULT_FIXTURES_PATH } = require('./mockProvider');
+
+/**
+ * Create (but don't start) the mock server
+ * @param {object} options - { fixturesPath, delayMs, failRate, tokenDelayMs }
+ * @returns {http.Server}
+ */
+function createMockServer(options = {}) {
+  const fixturesPath = options.fixturesPath || DEFAULT_FIXTURES_PATH;
+  const delayMs = options.delayMs || 0;
+  const failRate = options.failRate || 0;
+  const tokenDelayMs = options.tokenDelayMs || 0;
+  const fixtures = loadFixtures(fixturesPath);
+
+  const sendJson = (res, status, payload) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  };
+
+  // Write the fixture as OpenAI-style SSE chunks, then the [DONE] sentinel
+  const sendStream = (res, fixture, model) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    const chunks = splitIntoChunks(fixture.content);
+    let index = 0;
+
+    const writeNext = () => {
+      if (res.destroyed) return;
+      if (index < chunks.length) {
+        res.write(`data: ${JSON.stringify(toChunkPayload(chunks[index++], model))}\n\n`);
+        setTimeout(writeNext, tokenDelayMs);
+        return;
+      }
+      res.write(`data: ${JSON.stringify(toChunkPayload(undefined, model))}\n\n`);
+      res.end('data: [DONE]\n\n');
+    };
+
+    writeNext();
+  };
+
+  return http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/health') {
+      return sendJson(res, 200, { status: 'ok', fixtures: fixtures.length });
+    }
+
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      return sendJson(res, 404, { error: { message: `No mock route for ${req.method} ${req.url}` } });
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body || '{}');
+      } catch {
+        return sendJson(res, 400, { error: { message: 'Invalid JSON body' } });
+      }
+
+      setTimeout(() => {
+        if (failRate > 0 && Math.random() < failRate) {
+          return sendJson(res, 503, { error: { message: 'Mock server simulated outage' } });
+        }
+
+        const fixture = findFixture(fixtures, payload.messages);
+        if (!fixture) {
+          return sendJson(res, 500, { error: { message: 'No mock fixture matched' } });
+        }
+
+        if (payload.stream) {
+          return sendStream(res, fixture, payload.model);
+        }
+
+        sendJson(res, 200, toCompletionPayload(fixture, payload.model));
+      }, delayMs);
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.LLM_MOCK_PORT, 10) || 4010;
+  const server = createMockServer({
+    fixturesPath: process.env.LLM_FIXTURES_PATH,
+    delayMs: parseInt(process.env.LLM_MOCK_DELAY_MS, 10) || 0,
+    failRate: parseFloat(process.env.LLM_MOCK_FAIL_RATE) || 0,
+    tokenDelayMs: parseInt(process.env.LLM_MOCK_TOKEN_DELAY_MS, 10) || 0
+  });
+
+  server.listen(port, () => {
+    console.log(`🧪 Mock LLM server listening on http://localhost:${port}/v1`);
+  });
+}
+
+module.exports = { createMockServer };
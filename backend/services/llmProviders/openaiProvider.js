@@ -0,0 +1,310 @@
+/**
+ * OpenAI-Compatible Provider
+ * Talks to any server exposing POST {baseUrl}/chat/completions
+ * (api.openai.com, local model servers, the bundled mock server)
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Sleep helper for retry backoff
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class OpenAIProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - Bearer token (optional for local servers)
+   * @param {string} options.baseUrl - Base URL including version path (e.g. http://localhost:4010/v1)
+   * @param {number} options.timeoutMs - Per-attempt request timeout
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.retryBaseMs - Base delay for exponential backoff
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey;
+    this.baseUrl = new URL(options.baseUrl || DEFAULT_BASE_URL);
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+    this.retryBaseMs = options.retryBaseMs || 500;
+  }
+
+  /**
+   * Hosted OpenAI needs a key; local OpenAI-compatible servers usually don't
+   * @returns {boolean}
+   */
+  isConfigured() {
+    if (this.apiKey) return true;
+    return this.baseUrl.hostname !== 'api.openai.com';
+  }
+
+  /**
+   * Request a chat completion, retrying transient failures with backoff
+   * @param {object} request - { model, messages, maxTokens, temperature }
+   * @returns {Promise<{ok: boolean, content?: string, raw?: object, error?: string, attempts: number}>}
+   */
+  async complete(request) {
+    let lastResult = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.retryBaseMs * Math.pow(2, attempt - 1) + Math.round(Math.random() * 100);
+        console.log(`[LLM] Retry ${attempt}/${this.maxRetries} in ${delay}ms (${lastResult.error})`);
+        await sleep(delay);
+      }
+
+      lastResult = await this._send(request);
+      if (lastResult.ok || !lastResult.retryable) {
+        return { ...lastResult, attempts: attempt + 1 };
+      }
+    }
+
+    return { ...lastResult, attempts: this.maxRetries + 1 };
+  }
+
+  /**
+   * Stream a chat completion, calling onDelta for every content fragment.
+   * Retries only happen while nothing has been streamed yet, so callers never see duplicated text.
+   * @param {object} request - { model, messages, maxTokens, temperature, signal }
+   * @param {function} onDelta - Called with each text fragment
+   * @returns {Promise<{ok: boolean, content?: string, error?: string, attempts: number}>}
+   */
+  async stream(request, onDelta) {
+    let lastResult = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.retryBaseMs * Math.pow(2, attempt - 1) + Math.round(Math.random() * 100);
+        console.log(`[LLM] Stream retry ${attempt}/${this.maxRetries} in ${delay}ms (${lastResult.error})`);
+        await sleep(delay);
+      }
+
+      lastResult = await this._sendStream(request, onDelta);
+      if (lastResult.ok || !lastResult.retryable || lastResult.streamed) {
+        return { ...lastResult, attempts: attempt + 1 };
+      }
+    }
+
+    return { ...lastResult, attempts: this.maxRetries + 1 };
+  }
+
+  /**
+   * Build request options shared by streaming and non-streaming calls
+   * @param {string} body - Serialized request body
+   */
+  _requestOptions(body) {
+    const basePath = this.baseUrl.pathname.replace(/\/$/, '');
+    const options = {
+      hostname: this.baseUrl.hostname,
+      port: this.baseUrl.port || undefined,
+      path: `${basePath}/chat/completions`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    };
+    if (this.apiKey) {
+      options.headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return options;
+  }
+
+  /**
+   * Single streaming HTTP attempt; parses `data: {...}` server-sent events
+   * @param {object} request - { model, messages, maxTokens, temperature, signal }
+   * @param {function} onDelta - Called with each text fragment
+   */
+  _sendStream({ model, messages, maxTokens, temperature, signal }, onDelta) {
+    const body = JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      messages,
+      temperature,
+      stream: true
+    });
+
+    const transport = this.baseUrl.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve) => {
+      let content = '';
+      let streamed = false;
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        resolve({ ...result, content, streamed });
+      };
+
+      const request = transport.request(this._requestOptions(body), (response) => {
+        if (response.statusCode !== 200) {
+          let errorBody = '';
+          response.on('data', chunk => { errorBody += chunk; });
+          response.on('end', () => {
+            let message = `LLM API returned status ${response.statusCode}`;
+            try {
+              message = JSON.parse(errorBody).error?.message || message;
+            } catch {
+              // Non-JSON error body
+            }
+            console.error('LLM API stream error:', message);
+            finish({
+              ok: false,
+              error: message,
+              retryable: response.statusCode === 429 || response.statusCode >= 500
+            });
+          });
+          return;
+        }
+
+        let buffer = '';
+        response.setEncoding('utf8');
+
+        response.on('data', chunk => {
+          buffer += chunk;
+          const events = buffer.split('\n\n');
+          buffer = events.pop();
+
+          for (const event of events) {
+            for (const line of event.split('\n')) {
+              if (!line.startsWith('data:')) continue;
+              const data = line.slice(5).trim();
+              if (data === '[DONE]') continue;
+
+              try {
+                const parsed = JSON.parse(data);
+                const delta = parsed.choices?.[0]?.delta?.content;
+                if (delta) {
+                  content += delta;
+                  streamed = true;
+                  onDelta(delta);
+                }
+              } catch {
+                console.warn('[LLM] Skipping malformed stream event:', data.slice(0, 100));
+              }
+            }
+          }
+        });
+
+        response.on('end', () => {
+          if (!content) {
+            finish({ ok: false, error: 'No content in LLM stream', retryable: false });
+            return;
+          }
+          finish({ ok: true });
+        });
+
+        response.on('error', (err) => {
+          finish({ ok: false, error: `LLM stream interrupted: ${err.message}`, retryable: true });
+        });
+      });
+
+      // Idle timeout: resets whenever a chunk arrives
+      request.setTimeout(this.timeoutMs, () => {
+        request.destroy(new Error(`timed out after ${this.timeoutMs}ms without data`));
+      });
+
+      if (signal) {
+        if (signal.aborted) {
+          request.destroy(new Error('aborted by client'));
+        } else {
+          signal.addEventListener('abort', () => request.destroy(new Error('aborted by client')), { once: true });
+        }
+      }
+
+      request.on('error', (err) => {
+        console.error('LLM API stream request error:', err.message);
+        finish({
+          ok: false,
+          error: `LLM API request failed: ${err.message}`,
+          retryable: !signal?.aborted
+        });
+      });
+
+      request.write(body);
+      request.end();
+    });
+  }
+
+  /**
+   * Single HTTP attempt
+   * @param {object} request - { model, messages, maxTokens, temperature }
+   */
+  _send({ model, messages, maxTokens, temperature }) {
+    const body = JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      messages,
+      temperature
+    });
+
+    const transport = this.baseUrl.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve) => {
+      const request = transport.request(this._requestOptions(body), (response) => {
+        let data = '';
+
+        response.on('data', chunk => {
+          data += chunk;
+        });
+
+        response.on('end', () => {
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch (err) {
+            console.error('Failed to parse LLM response:', err, data);
+            resolve({
+              ok: false,
+              error: 'Failed to parse LLM API response',
+              retryable: response.statusCode >= 500
+            });
+            return;
+          }
+
+          if (response.statusCode !== 200) {
+            console.error('LLM API error:', parsed);
+            resolve({
+              ok: false,
+              error: parsed.error?.message || `LLM API returned status ${response.statusCode}`,
+              retryable: response.statusCode === 429 || response.statusCode >= 500
+            });
+            return;
+          }
+
+          const content = parsed.choices?.[0]?.message?.content;
+          if (!content) {
+            resolve({ ok: false, error: 'No content in LLM response', retryable: false });
+            return;
+          }
+
+          resolve({ ok: true, content, raw: parsed });
+        });
+      });
+
+      request.setTimeout(this.timeoutMs, () => {
+        request.destroy(new Error(`timed out after ${this.timeoutMs}ms`));
+      });
+
+      request.on('error', (err) => {
+        console.error('LLM API request error:', err.message);
+        resolve({
+          ok: false,
+          error: `LLM API request failed: ${err.message}`,
+          retryable: true
+        });
+      });
+
+      request.write(body);
+      request.end();
+    });
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -1,4 +1,7 @@
-const https = require('https');
+const { performance } = require('perf_hooks');
+const { createProvider } = require('./llmProviders');
+const { recordSpan } = require('../utils/latencyTracker');
+
 function stripMarkdown(text) {
   if (!text) return text;
 
@@ -87,17 +90,17 @@ function formatLists(text) {
 /**
  * LLM Service - OpenAI GPT Integration
  * Hotel revenue analysis using GPT-4.1-turbo
+ * Requests go through a pluggable provider (see ./llmProviders)
  */
 
 class LLMService {
-  constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.model = process.env.OPENAI_MODEL || 'gpt-4-turbo';
-    this.baseURL = 'api.openai.com';
+  constructor(provider = createProvider()) {
+    this.provider = provider;
+    this.model = process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4-turbo';
   }
 
   /**
-   * Send a prompt to OpenAI and get a response
+   * Send a prompt to the configured provider and get a response
    * @param {string} systemPrompt - System instructions for GPT
    * @param {string} userPrompt - User's question/request
    * @param {number} maxTokens - Maximum tokens in response
@@ -105,14 +108,109 @@ class LLMService {
    * @returns {Promise<{ok: boolean, text: string, error?: string}>}
    */
   async chat(systemPrompt, userPrompt, maxTokens = 1024, conversationHistory = null) {
-    if (!this.apiKey) {
+    if (!this.provider.isConfigured()) {
+      return {
+        ok: false,
+        error: 'OPENAI_API_KEY not configured. Set environment variable (or LLM_PROVIDER=mock) to enable AI features.'
+      };
+    }
+
+    const messages = this.buildMessages(systemPrompt, userPrompt, conversationHistory);
+
+    const start = performance.now();
+    const result = await this.provider.complete({
+      model: this.model,
+      messages,
+      maxTokens,
+      temperature: 0.3
+    });
+    recordSpan('llm', performance.now() - start, {
+      provider: this.provider.name,
+      attempts: result.attempts,
+      ok: result.ok
+    });
+
+    if (!result.ok) {
+      return { ok: false, error: result.error };
+    }
+
+    return {
+      ok: true,
+      // Strip markdown formatting from LLM response
+      text: stripMarkdown(result.content),
+      raw: result.raw,
+      attempts: result.attempts
+    };
+  }
+
+  /**
+   * Stream a response from the configured provider.
+   * Raw fragments are passed to onDelta as they arrive; the resolved text is the
+   * full completion with markdown stripped, matching chat().
+   * @param {string} systemPrompt - System instructions for GPT
+   * @param {string} userPrompt - User's question/request
+   * @param {object} options - { maxTokens, conversationHistory, signal, onDelta }
+   * @returns {Promise<{ok: boolean, text: string, error?: string, streamed?: boolean}>}
+   */
+  async chatStream(systemPrompt, userPrompt, options = {}) {
+    const { maxTokens = 1024, conversationHistory = null, signal, onDelta = () => {} } = options;
+
+    if (!this.provider.isConfigured()) {
       return {
         ok: false,
-        error: 'OPENAI_API_KEY not configured. Set environment variable to enable AI features.'
+        error: 'OPENAI_API_KEY not configured. Set environment variable (or LLM_PROVIDER=mock) to enable AI features.'
       };
     }
 
-    // Build messages array with conversation history if provided
+    const messages = this.buildMessages(systemPrompt, userPrompt, conversationHistory);
+    const request = { model: this.model, messages, maxTokens, temperature: 0.3, signal };
+
+    const start = performance.now();
+    let firstToken = true;
+    const timedDelta = (text) => {
+      if (firstToken) {
+        firstToken = false;
+        recordSpan('llmFirstToken', performance.now() - start, { provider: this.provider.name });
+      }
+      onDelta(text);
+    };
+
+    // Providers without streaming support deliver the whole completion as one delta
+    const result = typeof this.provider.stream === 'function'
+      ? await this.provider.stream(request, timedDelta)
+      : await this.provider.complete(request);
+
+    recordSpan('llm', performance.now() - start, {
+      provider: this.provider.name,
+      attempts: result.attempts,
+      ok: result.ok,
+      stream: true
+    });
+
+    if (result.ok && typeof this.provider.stream !== 'function') {
+      timedDelta(result.content);
+    }
+
+    if (!result.ok) {
+      return { ok: false, error: result.error, streamed: Boolean(result.content) };
+    }
+
+    return {
+      ok: true,
+      text: stripMarkdown(result.content),
+      streamed: true,
+      attempts: result.attempts
+    };
+  }
+
+  /**
+   * Build messages array with conversation history if provided
+   * @param {string} systemPrompt - System instructions
+   * @param {string} userPrompt - Current user message
+   * @param {Array} conversationHistory - Previous messages, ending with the current prompt
+   * @returns {Array} OpenAI chat messages
+   */
+  buildMessages(systemPrompt, userPrompt, conversationHistory) {
     const messages = [
       {
         role: 'system',
@@ -122,93 +220,19 @@ class LLMService {
 
     // Add conversation history (excluding the current user message which is in userPrompt)
     if (conversationHistory && Array.isArray(conversationHistory) && conversationHistory.length > 0) {
-      // Add all but the last message (which is the current prompt)
-      const history = conversationHistory.slice(0, -1);
+      // Add all but the last message (which is the current prompt); keep only role/content
+      const history = conversationHistory.slice(0, -1)
+        .filter(m => m && m.role && typeof m.content === 'string')
+        .map(m => ({ role: m.role, content: m.content }));
       messages.push(...history);
     }
 
-    // Add current user message
     messages.push({
       role: 'user',
       content: userPrompt
     });
 
-    const body = JSON.stringify({
-      model: this.model,
-      max_tokens: maxTokens,
-      messages: messages,
-      temperature: 0.3
-    });
-
-    const options = {
-      hostname: this.baseURL,
-      path: '/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      }
-    };
-
-    return new Promise((resolve, reject) => {
-      const request = https.request(options, (response) => {
-        let data = '';
-
-        response.on('data', chunk => {
-          data += chunk;
-        });
-
-        response.on('end', () => {
-          try {
-            const parsed = JSON.parse(data);
-
-            if (response.statusCode !== 200) {
-              console.error('OpenAI API error:', parsed);
-              resolve({
-                ok: false,
-                error: parsed.error?.message || `OpenAI API returned status ${response.statusCode}`
-              });
-              return;
-            }
-
-            const content = parsed.choices?.[0]?.message?.content;
-            if (!content) {
-              resolve({
-                ok: false,
-                error: 'No content in OpenAI response'
-              });
-              return;
-            }
-
-            // Strip markdown formatting from LLM response
-            const cleanContent = stripMarkdown(content);
-
-            resolve({
-              ok: true,
-              text: cleanContent,
-              raw: parsed
-            });
-          } catch (err) {
-            console.error('Failed to parse OpenAI response:', err, data);
-            resolve({
-              ok: false,
-              error: 'Failed to parse OpenAI API response'
-            });
-          }
-        });
-      });
-
-      request.on('error', (err) => {
-        console.error('OpenAI API request error:', err);
-        resolve({
-          ok: false,
-          error: `OpenAI API request failed: ${err.message}`
-        });
-      });
-
-      request.write(body);
-      request.end();
-    });
+    return messages;
   }
 
   /**
@@ -216,7 +240,7 @@ class LLMService {
    * @returns {boolean}
    */
   isAvailable() {
-    return !!this.apiKey;
+    return this.provider.isConfigured();
   }
 
   /**
@@ -226,7 +250,16 @@ class LLMService {
   getModel() {
     return this.model;
   }
+
+  /**
+   * Get the active provider name (openai, mock)
+   * @returns {string}
+   */
+  getProviderName() {
+    return this.provider.name;
+  }
 }
 
 // Export singleton instance
 module.exports = new LLMService();
+module.exports.LLMService = LLMService;
@@ -0,0 +1,111 @@
+/**
+ * Local Rate-Shop Fixture Server
+ * Serves GET /rates?from=&to= from the fixtures file so the http fetcher and
+ * the competitor rate store can be exercised offline.
+ *
+ * Usage:
+ *   node backend/services/rateShopping/fixtureServer.js
+ *   RATE_SHOP_URL=http://localhost:4020/rates node backend/server.js
+ *
+ * RATE_SHOP_MOCK_PORT      Port to listen on (default 4020)
+ * RATE_SHOP_FIXTURES_PATH  Fixture file (default backend/data/rate-shop-fixtures.json)
+ * RATE_SHOP_MOCK_JITTER    Random move applied to every rate per request, as a fraction
+ *                          (0.1 = up to ±10%), to simulate competitors changing prices (default 0)
+ * RATE_SHOP_MOCK_FAIL_RATE Fraction of requests answered with 503 (default 0)
+ *
+ * Fixture format: { weekendPremium, competitors: [{ competitor, rates: { [roomType]: price } }] };
+ * Friday and Saturday nights get the weekend premium.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_FIXTURES_PATH = path.resolve(__dirname, '../../data/rate-shop-fixtures.json');
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_NIGHTS = 366;
+
+/**
+ * Observations the fixtures produce for a range of stay dates
+ * @param {object} fixtures - Parsed fixture file
+ * @param {object} options - { from, to, roomTypes, competitors, jitter, random }
+ * @returns {Array} [{ competitor, roomType, stayDate, price }]
+ */
+function buildRates(fixtures, { from, to, roomTypes = [], competitors = [], jitter = 0, random = Math.random }) {
+  const rates = [];
+  const day = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  for (let n = 0; day <= end && n < MAX_NIGHTS; n++) {
+    const stayDate = day.toISOString().split('T')[0];
+    const weekend = [5, 6].includes(day.getUTCDay());
+
+    for (const comp of fixtures.competitors || []) {
+      if (competitors.length > 0 && !competitors.includes(comp.competitor)) continue;
+      for (const [roomType, basePrice] of Object.entries(comp.rates || {})) {
+        if (roomTypes.length > 0 && !roomTypes.includes(roomType)) continue;
+        const move = jitter > 0 ? (random() * 2 - 1) * jitter : 0;
+        const price = basePrice * (weekend ? 1 + (fixtures.weekendPremium || 0) : 1) * (1 + move);
+        rates.push({ competitor: comp.competitor, roomType, stayDate, price: Math.round(price) });
+      }
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return rates;
+}
+
+/**
+ * Create (but don't start) the fixture server
+ * @param {object} options - { fixturesPath, jitter, failRate }
+ * @returns {http.Server}
+ */
+function createFixtureServer(options = {}) {
+  const fixtures = JSON.parse(fs.readFileSync(options.fixturesPath || DEFAULT_FIXTURES_PATH, 'utf8'));
+  const jitter = options.jitter || 0;
+  const failRate = options.failRate || 0;
+
+  const sendJson = (res, status, payload) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      return sendJson(res, 200, { status: 'ok', competitors: (fixtures.competitors || []).length });
+    }
+    if (req.method !== 'GET' || url.pathname !== '/rates') {
+      return sendJson(res, 404, { error: `No fixture route for ${req.method} ${url.pathname}` });
+    }
+    if (failRate > 0 && Math.random() < failRate) {
+      return sendJson(res, 503, { error: 'Fixture server simulated outage' });
+    }
+
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to') || from;
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to) || from > to) {
+      return sendJson(res, 400, { error: 'from and to must be YYYY-MM-DD dates, from on or before to' });
+    }
+
+    const list = name => (url.searchParams.get(name) || '').split(',').map(s => s.trim()).filter(Boolean);
+    sendJson(res, 200, {
+      observedAt: new Date().toISOString(),
+      rates: buildRates(fixtures, { from, to, roomTypes: list('roomTypes'), competitors: list('competitors'), jitter })
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.RATE_SHOP_MOCK_PORT, 10) || 4020;
+  const server = createFixtureServer({
+    fixturesPath: process.env.RATE_SHOP_FIXTURES_PATH,
+    jitter: parseFloat(process.env.RATE_SHOP_MOCK_JITTER) || 0,
+    failRate: parseFloat(process.env.RATE_SHOP_MOCK_FAIL_RATE) || 0
+  });
+
+  server.listen(port, () => {
+    console.log(`🧪 Rate-shop fixture server listening on http://localhost:${port}/rates`);
+  });
+}
+
+module.exports = { createFixtureServer, buildRates, DEFAULT_FIXTURES_PATH };
@@ -0,0 +1,79 @@
+/**
+ * HTTP Rate-Shop Fetcher
+ * Pulls competitor rates from any service answering
+ *   GET {url}?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * with either a JSON array of observations or { observedAt?, rates: [...] }
+ * (rate-shop vendors behind a small adapter, the bundled fixture server)
+ */
+
+const http = require('http');
+const https = require('https');
+
+class HttpRateShopFetcher {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Endpoint returning observations
+   * @param {string} options.apiKey - Bearer token (optional)
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor(options = {}) {
+    if (!options.url) throw new Error('Rate-shop url is required');
+    this.name = 'http';
+    this.url = new URL(options.url);
+    this.apiKey = options.apiKey;
+    this.timeoutMs = options.timeoutMs || 15000;
+  }
+
+  /**
+   * Fetch observations for a range of stay dates
+   * @param {object} request - { from, to, roomTypes, competitors }
+   * @returns {Promise<Array>} [{ competitor, roomType, stayDate, price, observedAt? }]
+   */
+  async fetchRates({ from, to, roomTypes = [], competitors = [] }) {
+    const url = new URL(this.url);
+    url.searchParams.set('from', from);
+    url.searchParams.set('to', to);
+    if (roomTypes.length > 0) url.searchParams.set('roomTypes', roomTypes.join(','));
+    if (competitors.length > 0) url.searchParams.set('competitors', competitors.join(','));
+
+    const payload = await this._getJson(url);
+    const rates = Array.isArray(payload) ? payload : payload?.rates;
+    if (!Array.isArray(rates)) {
+      throw new Error('Rate-shop response has no rates list');
+    }
+    // A batch-level timestamp applies to observations that don't carry their own
+    return rates.map(rate => ({ observedAt: payload.observedAt, ...rate }));
+  }
+
+  _getJson(url) {
+    const client = url.protocol === 'https:' ? https : http;
+    const headers = { Accept: 'application/json' };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+    return new Promise((resolve, reject) => {
+      const req = client.get(url, { headers }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          body += chunk;
+        });
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return reject(new Error(`Rate-shop request failed with HTTP ${res.statusCode}`));
+          }
+          try {
+            resolve(JSON.parse(body));
+          } catch {
+            reject(new Error('Rate-shop response is not valid JSON'));
+          }
+        });
+      });
+      req.setTimeout(this.timeoutMs, () => {
+        req.destroy(new Error(`Rate-shop request timed out after ${this.timeoutMs}ms`));
+      });
+      req.on('error', reject);
+    });
+  }
+}
+
+module.exports = HttpRateShopFetcher;
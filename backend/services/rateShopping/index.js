@@ -0,0 +1,61 @@
+/**
+ * Rate-Shop Fetchers
+ * A fetcher pulls dated competitor rate observations from an external
+ * rate-shopping service. Every fetcher has a name and implements
+ *   fetchRates({ from, to, roomTypes, competitors })
+ *     -> Promise<[{ competitor, roomType, stayDate, price, observedAt? }]>
+ * Observations are validated and stored by services/competitorRates.
+ *
+ * Selected per property with hotel.rateShop { fetcher, url, apiKey, timeoutMs },
+ * falling back to the environment:
+ *   RATE_SHOP_FETCHER     http (default when a url is set)
+ *   RATE_SHOP_URL         Endpoint for the http fetcher (e.g. the bundled fixture server)
+ *   RATE_SHOP_API_KEY     Bearer token for the http fetcher
+ *   RATE_SHOP_TIMEOUT_MS  Request timeout (default 15000)
+ *
+ * Other integrations register a factory with registerFetcher(name, options => fetcher).
+ */
+
+const HttpRateShopFetcher = require('./httpFetcher');
+
+const factories = {
+  http: options => new HttpRateShopFetcher(options)
+};
+
+/**
+ * Make a fetcher available under a name
+ * @param {string} name - Value of rateShop.fetcher / RATE_SHOP_FETCHER
+ * @param {function} factory - (options) => fetcher
+ */
+function registerFetcher(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Create the fetcher configured for a property
+ * @param {object} hotel - Property config (uses hotel.rateShop)
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object|null} Fetcher, or null when rate shopping isn't configured
+ */
+function createFetcher(hotel = null, env = process.env) {
+  const config = hotel?.rateShop || {};
+  const options = {
+    url: config.url || env.RATE_SHOP_URL,
+    apiKey: config.apiKey || env.RATE_SHOP_API_KEY,
+    timeoutMs: parseInt(config.timeoutMs || env.RATE_SHOP_TIMEOUT_MS, 10) || undefined
+  };
+  const name = config.fetcher || env.RATE_SHOP_FETCHER || (options.url ? 'http' : null);
+  if (!name) return null;
+
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown rate-shop fetcher "${name}" (available: ${Object.keys(factories).join(', ')})`);
+  }
+  return factory({ ...config, ...options });
+}
+
+module.exports = {
+  createFetcher,
+  registerFetcher,
+  HttpRateShopFetcher
+};
@@ -1,18 +1,38 @@
 // revertScheduler.js - Background job to process scheduled price reverts
 const actions = require('../copilot/actions');
+const actionJournal = require('./actionJournal');
+const hotelRegistry = require('./hotelRegistry');
+const { runWithHotel } = require('../middleware/hotelContext');
+
+// Journal identity for reverts the scheduler applies; they are not undoable,
+// or "undo" would bring back the offer that just expired
+const SCHEDULER_ACTOR = { operator: 'system', operatorName: 'Revert scheduler' };
+
 async function runScheduledReverts() {
   console.log('[RevertScheduler] Checking for scheduled reverts...');
 
   try {
-    const result = await actions.processScheduledReverts();
+    let processed = 0;
+
+    // Each property has its own store of scheduled reverts
+    for (const hotel of hotelRegistry.list()) {
+      const result = await runWithHotel(hotel.id, () => actionJournal.record(
+        'processScheduledReverts', {}, () => actions.processScheduledReverts(), { actor: SCHEDULER_ACTOR, undoable: false }
+      ));
+      if (!result.success) {
+        console.error(`[RevertScheduler] ${hotel.id}: ${result.message}`);
+        continue;
+      }
+      processed += result.processed;
+    }
 
-    if (result.processed > 0) {
-      console.log(`[RevertScheduler] ✓ Processed ${result.processed} reverts`);
+    if (processed > 0) {
+      console.log(`[RevertScheduler] ✓ Processed ${processed} reverts`);
     } else {
       console.log('[RevertScheduler] No reverts to process');
     }
 
-    return result;
+    return { success: true, processed };
   } catch (error) {
     console.error('[RevertScheduler] Error processing reverts:', error);
     return { success: false, error: error.message };
@@ -0,0 +1,287 @@
+/**
+ * Scheduled Actions
+ * Pricing actions that take effect later, once or on a recurring schedule
+ *
+ * Jobs live in the action store's "scheduledActions" collection:
+ *   { actionName, parameters, parametersAsOf, description, label, cron, runAt,
+ *     timezone, status, nextRunAt, lastRunAt, runCount, runs, proposalId,
+ *     createdBy, createdAt }
+ * A job has either `runAt` (runs once) or `cron` (recurring, see utils/cron).
+ * Both are read on the property's wall clock (hotel.timezone, default UTC).
+ *
+ * States:
+ *   scheduled - waiting for nextRunAt
+ *   completed - a one-off job ran (or a recurring schedule has no runs left)
+ *   failed    - a one-off job ran and its action failed
+ *   cancelled - cancelled before its next run
+ *
+ * Jobs are approved when they are scheduled, so each run executes directly and
+ * is journaled under the scheduler's identity. The top-level date, startDate and
+ * endDate parameters move with the run: they keep their distance from
+ * parametersAsOf (when the proposal was built), so a promotion proposed today
+ * to start "on March 1" starts on March 1.
+ *
+ * When runs were missed (the server was down), a job runs once as soon as it
+ * can and records how many runs it missed. Recurring jobs do not replay every
+ * missed run, so percentage changes don't compound after an outage.
+ */
+
+const actionStore = require('./actionStore');
+const { executeAction } = require('../copilot/actionExecutor');
+const { createAuditEntry, saveAuditEntry } = require('../utils/approvalFlow');
+const { validateActionName } = require('../middleware/validation');
+const { parseCron, nextCronRun } = require('../utils/cron');
+const { wallClock, parseZonedDateTime } = require('../utils/timeZones');
+const { getHotelTimeZone, addDays } = require('../utils/dateUtils');
+
+const STATUSES = ['scheduled', 'completed', 'failed', 'cancelled'];
+
+// Actions that only make sense right away
+const UNSCHEDULABLE_ACTIONS = ['undoLastAction', 'scheduleAction'];
+
+const DATE_PARAMETERS = ['date', 'startDate', 'endDate'];
+const MAX_RUNS_KEPT = 20;
+const MAX_MISSED_COUNTED = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Runs are executed and audited under this identity instead of a user's
+const SCHEDULER_IDENTITY = { operator: 'action-scheduler', operatorName: 'Action Scheduler', operatorId: null, operatorRole: null };
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function localDayNumber(instant, timeZone) {
+  const wall = wallClock(instant, timeZone);
+  return Date.UTC(wall.year, wall.month - 1, wall.day) / DAY_MS;
+}
+
+/**
+ * Parameters with their dates moved by the time between parametersAsOf and the run
+ * Calendar dates move by whole days on the property's wall clock; timestamps by the exact time.
+ */
+function shiftDates(parameters, asOf, runTime, timeZone) {
+  const elapsedMs = runTime.getTime() - asOf.getTime();
+  const elapsedDays = localDayNumber(runTime, timeZone) - localDayNumber(asOf, timeZone);
+  const shifted = { ...parameters };
+
+  for (const key of DATE_PARAMETERS) {
+    const value = parameters[key];
+    if (typeof value !== 'string') continue;
+    if (DATE_ONLY.test(value)) {
+      shifted[key] = addDays(value, elapsedDays);
+    } else if (!isNaN(Date.parse(value))) {
+      shifted[key] = new Date(Date.parse(value) + elapsedMs).toISOString();
+    }
+  }
+  return shifted;
+}
+
+/**
+ * Cron runs after `from` up to and including `until`
+ */
+function countMissedRuns(cron, from, until, timeZone) {
+  let missed = 0;
+  let cursor = from;
+  while (missed < MAX_MISSED_COUNTED) {
+    const next = nextCronRun(cron, cursor, timeZone);
+    if (!next || next > until) break;
+    missed++;
+    cursor = next;
+  }
+  return missed;
+}
+
+/**
+ * "Mar 1, 2027, 12:00 AM" on the job's wall clock
+ */
+function formatRunTime(iso, timeZone) {
+  return new Date(iso).toLocaleString('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * How a job's schedule reads in messages ("every Friday at 6:00 PM", or the cron expression)
+ */
+function describeSchedule(job) {
+  if (job.label) return job.label;
+  return job.cron ? `on cron "${job.cron}" (${job.timezone})` : `on ${formatRunTime(job.nextRunAt, job.timezone)}`;
+}
+
+class ScheduledActions {
+  /**
+   * Schedule an action to run once (runAt) or on a cron schedule
+   * @param {object} job - { actionName, parameters, description, label, cron, runAt, parametersAsOf }
+   * @param {object} options - { actor, proposalId }
+   * @returns {Promise<object>} { success, job?, error? }
+   */
+  async schedule({ actionName, parameters = {}, description = '', label = null, cron = null, runAt = null, parametersAsOf = null } = {}, { actor = null, proposalId = null } = {}) {
+    if (UNSCHEDULABLE_ACTIONS.includes(actionName) || !validateActionName(actionName).valid) {
+      return { success: false, error: `Cannot schedule action "${actionName}"` };
+    }
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+      return { success: false, error: 'parameters must be an object' };
+    }
+    if (Boolean(cron) === Boolean(runAt)) {
+      return { success: false, error: 'Provide either cron (recurring) or runAt (once)' };
+    }
+
+    const timezone = getHotelTimeZone();
+    const now = new Date();
+
+    let nextRun;
+    if (cron) {
+      const parsed = parseCron(cron);
+      if (!parsed.valid) return { success: false, error: parsed.error };
+      nextRun = nextCronRun(cron, now, timezone);
+      if (!nextRun) return { success: false, error: `Cron expression "${cron}" never runs` };
+    } else {
+      // "YYYY-MM-DD[THH:MM]" on the property's wall clock, or an ISO timestamp
+      nextRun = parseZonedDateTime(runAt, timezone);
+      if (!nextRun) return { success: false, error: `Invalid runAt "${runAt}" (expected YYYY-MM-DDTHH:MM or an ISO timestamp)` };
+      if (nextRun <= now) return { success: false, error: `runAt "${runAt}" is in the past` };
+    }
+
+    const asOf = parametersAsOf && !isNaN(Date.parse(parametersAsOf)) ? new Date(parametersAsOf) : now;
+
+    const job = await actionStore.insert('scheduledActions', {
+      actionName,
+      parameters,
+      parametersAsOf: asOf.toISOString(),
+      description: description || actionName,
+      label,
+      cron,
+      runAt,
+      timezone,
+      status: 'scheduled',
+      nextRunAt: nextRun.toISOString(),
+      lastRunAt: null,
+      runCount: 0,
+      runs: [],
+      proposalId,
+      createdBy: actor,
+      createdAt: now.toISOString()
+    });
+    return { success: true, job };
+  }
+
+  /**
+   * Jobs, newest first
+   * @param {object} options - { status, limit }
+   * @returns {Array}
+   */
+  list({ status = null, limit = 100 } = {}) {
+    const jobs = status
+      ? actionStore.find('scheduledActions', { status })
+      : actionStore.find('scheduledActions');
+    return jobs.reverse().slice(0, limit);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    return actionStore.get('scheduledActions', id);
+  }
+
+  /**
+   * Cancel a job's future runs
+   * @param {string} id
+   * @param {object} by - Audit identity
+   * @returns {Promise<object>} { success, job?, error?, notFound?, conflict? }
+   */
+  cancel(id, by = null) {
+    return actionStore.transaction(tx => {
+      const job = this.get(id);
+      if (!job) return { success: false, error: `Scheduled action "${id}" not found`, notFound: true };
+      if (job.status !== 'scheduled') {
+        return { success: false, error: `Scheduled action is already ${job.status}`, conflict: true };
+      }
+
+      const changes = {
+        status: 'cancelled',
+        nextRunAt: null,
+        cancelledAt: new Date().toISOString(),
+        cancelledBy: by
+      };
+      tx.update('scheduledActions', id, changes);
+      return { success: true, job: { ...job, ...changes } };
+    });
+  }
+
+  /**
+   * Run every job whose nextRunAt has passed (missed runs included, once per job)
+   * @param {Date} now
+   * @returns {Promise<object>} { success, ran, failed, results: [{ job, run }] }
+   */
+  async runDue(now = new Date()) {
+    const due = actionStore.find('scheduledActions', { status: 'scheduled' })
+      .filter(job => new Date(job.nextRunAt) <= now);
+
+    const results = [];
+    for (const job of due) {
+      results.push(await this._run(job, now));
+    }
+    return {
+      success: true,
+      ran: results.length,
+      failed: results.filter(r => !r.run.success).length,
+      results
+    };
+  }
+
+  async _run(job, now) {
+    const missedRuns = job.cron ? countMissedRuns(job.cron, new Date(job.nextRunAt), now, job.timezone) : 0;
+    const parameters = shiftDates(job.parameters, new Date(job.parametersAsOf), now, job.timezone);
+
+    let result;
+    try {
+      result = await executeAction(job.actionName, parameters, { actor: SCHEDULER_IDENTITY, proposalId: job.proposalId });
+    } catch (err) {
+      console.error(`[ScheduledActions] ${job.id} failed:`, err);
+      result = { success: false, message: err.message };
+    }
+
+    const run = {
+      at: now.toISOString(),
+      scheduledFor: job.nextRunAt,
+      success: Boolean(result?.success),
+      message: String(result?.message || '').split('\n')[0],
+      journalId: result?.journalId || null,
+      missedRuns
+    };
+
+    const next = job.cron ? nextCronRun(job.cron, now, job.timezone) : null;
+    const updated = await actionStore.transaction(tx => {
+      // Cancelled while the action was running: keep it cancelled
+      const current = this.get(job.id);
+      const status = current.status === 'cancelled' ? 'cancelled'
+        : job.cron ? (next ? 'scheduled' : 'completed')
+          : run.success ? 'completed' : 'failed';
+
+      const changes = {
+        status,
+        nextRunAt: status === 'scheduled' ? next.toISOString() : null,
+        lastRunAt: run.at,
+        runCount: current.runCount + 1,
+        runs: [...current.runs, run].slice(-MAX_RUNS_KEPT)
+      };
+      tx.update('scheduledActions', job.id, changes);
+      return { ...current, ...changes };
+    });
+
+    await saveAuditEntry({
+      ...createAuditEntry({ actionName: job.actionName, parameters, description: job.description }, result || {}, SCHEDULER_IDENTITY.operator, `Scheduled: ${job.description} (${describeSchedule(job)})`),
+      ...SCHEDULER_IDENTITY,
+      proposalId: job.proposalId,
+      scheduledActionId: job.id
+    });
+
+    return { job: updated, run };
+  }
+}
+
+module.exports = new ScheduledActions();
+module.exports.ScheduledActions = ScheduledActions;
+module.exports.STATUSES = STATUSES;
+module.exports.UNSCHEDULABLE_ACTIONS = UNSCHEDULABLE_ACTIONS;
+module.exports.describeSchedule = describeSchedule;
+module.exports.formatRunTime = formatRunTime;
@@ -0,0 +1,200 @@
+/**
+ * User Store
+ * Server-side accounts with scrypt-hashed passwords and roles
+ *
+ * Users live in backend/data/users.json (USERS_FILE). The first account
+ * created becomes a revenue manager so a fresh install can be administered;
+ * later sign-ups start as viewers until a revenue manager promotes them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const USERS_FILE = process.env.USERS_FILE || path.resolve(__dirname, '../data/users.json');
+
+const ROLES = ['viewer', 'analyst', 'revenue_manager'];
+const DEFAULT_ROLE = 'viewer';
+const MIN_PASSWORD_LENGTH = 6;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>" (hex)
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derived) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Check a password against a stored hash (constant-time compare)
+ * @param {string} password
+ * @param {string} stored - Value produced by hashPassword
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return Promise.resolve(false);
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derived) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+    });
+  });
+}
+
+/**
+ * User record without the password hash
+ */
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+class UserStore {
+  constructor(filePath = USERS_FILE) {
+    this.filePath = filePath;
+    this.users = null;
+    this.lock = Promise.resolve();
+  }
+
+  ensureLoaded() {
+    if (this.users) return;
+    try {
+      this.users = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('[Auth] ❌ Failed to read users file:', err.message);
+      }
+      this.users = [];
+    }
+  }
+
+  /**
+   * Serialize writes so concurrent sign-ups can't overwrite each other
+   */
+  _withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async _save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(this.users, null, 2) + '\n');
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  get(id) {
+    this.ensureLoaded();
+    return this.users.find(u => u.id === id) || null;
+  }
+
+  findByEmail(email) {
+    this.ensureLoaded();
+    const normalized = String(email || '').trim().toLowerCase();
+    return this.users.find(u => u.email === normalized) || null;
+  }
+
+  list() {
+    this.ensureLoaded();
+    return this.users.map(publicUser);
+  }
+
+  /**
+   * Create an account
+   * @param {object} details - { email, password, firstName, lastName }
+   * @returns {Promise<object>} { success, user?, error? }
+   */
+  create({ email, password, firstName, lastName }) {
+    return this._withLock(async () => {
+      this.ensureLoaded();
+      const normalized = String(email || '').trim().toLowerCase();
+
+      if (!EMAIL_PATTERN.test(normalized)) {
+        return { success: false, error: 'A valid email is required' };
+      }
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return { success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+      }
+      if (this.findByEmail(normalized)) {
+        return { success: false, error: 'An account with this email already exists', conflict: true };
+      }
+
+      const user = {
+        id: crypto.randomUUID(),
+        email: normalized,
+        firstName: String(firstName || '').trim(),
+        lastName: String(lastName || '').trim(),
+        role: this.users.length === 0 ? 'revenue_manager' : DEFAULT_ROLE,
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString()
+      };
+
+      this.users.push(user);
+      await this._save();
+      console.log(`[Auth] ✓ Created ${user.role} account ${user.email}`);
+      return { success: true, user: publicUser(user) };
+    });
+  }
+
+  /**
+   * Check credentials and record the login
+   * @returns {Promise<object|null>} Public user, or null when the email/password don't match
+   */
+  authenticate(email, password) {
+    return this._withLock(async () => {
+      const user = this.findByEmail(email);
+      if (!user || !(await verifyPassword(String(password || ''), user.passwordHash))) {
+        return null;
+      }
+      user.lastLoginAt = new Date().toISOString();
+      await this._save();
+      return publicUser(user);
+    });
+  }
+
+  /**
+   * Update profile fields or role
+   * @param {string} id
+   * @param {object} changes - { firstName?, lastName?, role? }
+   * @returns {Promise<object>} { success, user?, error? }
+   */
+  update(id, changes) {
+    return this._withLock(async () => {
+      const user = this.get(id);
+      if (!user) return { success: false, error: 'User not found', notFound: true };
+
+      if (changes.role !== undefined && !ROLES.includes(changes.role)) {
+        return { success: false, error: `role must be one of: ${ROLES.join(', ')}` };
+      }
+
+      for (const field of ['firstName', 'lastName']) {
+        if (changes[field] !== undefined) user[field] = String(changes[field]).trim();
+      }
+      if (changes.role !== undefined) user.role = changes.role;
+      user.updatedAt = new Date().toISOString();
+
+      await this._save();
+      return { success: true, user: publicUser(user) };
+    });
+  }
+}
+
+module.exports = new UserStore();
+module.exports.UserStore = UserStore;
+module.exports.ROLES = ROLES;
+module.exports.publicUser = publicUser;
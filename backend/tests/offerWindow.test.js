@@ -0,0 +1,52 @@
+/**
+ * When a temporary offer asked for in chat runs, for a property on Chicago time
+ * Stated lengths cap the nights of a week or month, and a time window that
+ * is already over moves to the next day.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractOfferWindow, parseDuration } = require('../utils/intentDetection');
+const { runWithHotel } = require('../middleware/hotelContext');
+
+const HOTEL_ID = 'lily-hall';
+
+function windowAt(iso, prompt) {
+  mock.timers.setTime(Date.parse(iso));
+  const lower = prompt.toLowerCase();
+  return runWithHotel(HOTEL_ID, () => extractOfferWindow(lower, parseDuration(lower)));
+}
+
+describe('extractOfferWindow', () => {
+  before(() => mock.timers.enable({ apis: ['Date'] }));
+  after(() => mock.timers.reset());
+
+  // 10 AM on Mon Oct 19 in Chicago
+  const MORNING = '2026-10-19T15:00:00Z';
+
+  it('caps the nights of a month at a stated length', () => {
+    const offer = windowAt(MORNING, 'discount this month for 2 days');
+    assert.equal(offer.startDate, '2026-10-19');
+    assert.equal(offer.endDate, '2026-10-20');
+    assert.equal(offer.label, '2 days');
+  });
+
+  it('keeps every remaining night of the month without a stated length', () => {
+    const offer = windowAt(MORNING, 'discount this month');
+    assert.equal(offer.startDate, '2026-10-19');
+    assert.equal(offer.endDate, '2026-10-31');
+  });
+
+  it('moves a window that is already over today to tomorrow', () => {
+    // 1 AM to 4 AM today ended before 10 AM
+    const offer = windowAt(MORNING, '3 hour sale today at 1am');
+    assert.equal(offer.startDate, '2026-10-20T06:00:00.000Z');
+    assert.equal(offer.endDate, '2026-10-20T09:00:00.000Z');
+  });
+
+  it('keeps a window for today that is still running', () => {
+    const offer = windowAt(MORNING, '3 hour sale today at 9am');
+    assert.equal(offer.startDate, '2026-10-19T14:00:00.000Z');
+    assert.equal(offer.endDate, '2026-10-19T17:00:00.000Z');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * When temporary offers revert, for a property on Chicago time
+ * Day offers revert at midnight on the property's clock after their last
+ * night, across DST changes; hour windows revert at their exact end.
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOTEL_ID = 'lily-hall';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduled-reverts-'));
+const hotelsDir = path.join(tmpDir, 'hotels');
+fs.cpSync(path.join(__dirname, '..', 'data', 'hotels'), hotelsDir, { recursive: true });
+const hotelFile = path.join(hotelsDir, `${HOTEL_ID}.json`);
+fs.writeFileSync(hotelFile, JSON.stringify({ ...JSON.parse(fs.readFileSync(hotelFile, 'utf8')), timezone: 'America/Chicago' }, null, 2));
+
+// Read when the store and registry load
+process.env.HOTEL_CONFIG_DIR = hotelsDir;
+process.env.ACTION_STORE_DIR = path.join(tmpDir, 'store');
+
+const actions = require('../copilot/actions');
+const actionStore = require('../services/actionStore');
+const { runWithHotel } = require('../middleware/hotelContext');
+
+function at(iso) {
+  mock.timers.setTime(Date.parse(iso));
+}
+
+async function applyOffer(startDate, endDate) {
+  const result = await runWithHotel(HOTEL_ID, () => actions.applyTemporaryPricing(
+    [{ roomType: 'Pilar', currentPrice: 189, newPrice: 150 }], startDate, endDate, 'Test offer'
+  ));
+  assert.equal(result.success, true, result.message);
+  return result.data;
+}
+
+async function revertStatusAt(iso, tempOfferId) {
+  at(iso);
+  await runWithHotel(HOTEL_ID, () => actions.processScheduledReverts());
+  return runWithHotel(HOTEL_ID, () => actionStore.find('scheduledReverts', { tempOfferId })[0].status);
+}
+
+describe('scheduled reverts on the property calendar', () => {
+  before(() => {
+    mock.timers.enable({ apis: ['Date'] });
+    // The actions log every offer; that much output garbles node --test's reporting
+    mock.method(console, 'log', () => {});
+  });
+  after(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+  // Every offer is booked ahead of time, a minute apart so offer ids differ;
+  // the tests run in date order, so earlier offers have already reverted
+  let bookedAt = Date.parse('2026-01-05T18:00:00Z');
+  beforeEach(() => mock.timers.setTime(bookedAt += 60 * 1000));
+
+  it('reverts a day offer at local midnight after spring-forward', async () => {
+    // Nights of Mar 7 and 8; the clocks change early on the 8th
+    const offer = await applyOffer('2026-03-07', '2026-03-08');
+    assert.equal(offer.revertDate, '2026-03-09');
+
+    // Midnight on the 9th is 05:00Z (CDT), not 06:00Z as it was a day earlier
+    assert.equal(await revertStatusAt('2026-03-09T04:59:00Z', offer.tempOfferId), 'scheduled');
+    assert.equal(await revertStatusAt('2026-03-09T05:00:00Z', offer.tempOfferId), 'completed');
+  });
+
+  it('reverts a day offer at local midnight, not UTC midnight', async () => {
+    const offer = await applyOffer('2026-10-19', '2026-10-19');
+    assert.equal(offer.revertDate, '2026-10-20');
+
+    // Already Oct 20 in UTC, still the evening of Oct 19 in Chicago
+    assert.equal(await revertStatusAt('2026-10-20T01:30:00Z', offer.tempOfferId), 'scheduled');
+    assert.equal(await revertStatusAt('2026-10-20T04:59:00Z', offer.tempOfferId), 'scheduled');
+    assert.equal(await revertStatusAt('2026-10-20T05:00:00Z', offer.tempOfferId), 'completed');
+  });
+
+  it('reverts an hour window that runs past midnight at its exact end', async () => {
+    // 10 PM Oct 21 to 2 AM Oct 22, Chicago time
+    const offer = await applyOffer('2026-10-21T22:00', '2026-10-22T02:00');
+    assert.equal(offer.revertDate, '2026-10-22T07:00:00.000Z');
+
+    assert.equal(await revertStatusAt('2026-10-22T06:59:00Z', offer.tempOfferId), 'scheduled');
+    assert.equal(await revertStatusAt('2026-10-22T07:00:00Z', offer.tempOfferId), 'completed');
+  });
+
+  it('reverts a day offer at local midnight after fall-back', async () => {
+    // Nights of Oct 31 and Nov 1; the clocks change early on Nov 1
+    const offer = await applyOffer('2026-10-31', '2026-11-01');
+    assert.equal(offer.revertDate, '2026-11-02');
+
+    // Midnight on Nov 2 is 06:00Z (CST)
+    assert.equal(await revertStatusAt('2026-11-02T05:59:00Z', offer.tempOfferId), 'scheduled');
+    assert.equal(await revertStatusAt('2026-11-02T06:00:00Z', offer.tempOfferId), 'completed');
+  });
+});
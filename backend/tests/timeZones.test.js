@@ -0,0 +1,89 @@
+/**
+ * Wall-clock conversions and the property calendar across DST changes
+ * America/Chicago springs forward on 2026-03-08 (02:00 CST → 03:00 CDT)
+ * and falls back on 2026-11-01 (02:00 CDT → 01:00 CST).
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { zonedTimeToUtc, zonedDate, parseZonedDateTime } = require('../utils/timeZones');
+const { getToday, addDays } = require('../utils/dateUtils');
+
+const CHICAGO = 'America/Chicago';
+
+describe('zonedTimeToUtc', () => {
+  it('reads standard and daylight time on either side of a change', () => {
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 7, hour: 12 }, CHICAGO).toISOString(), '2026-03-07T18:00:00.000Z');
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 9, hour: 12 }, CHICAGO).toISOString(), '2026-03-09T17:00:00.000Z');
+  });
+
+  it('moves a time skipped by spring-forward to just after the gap', () => {
+    // 02:30 never shows on the clock; 08:30Z is 03:30 CDT
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, CHICAGO).toISOString(), '2026-03-08T08:30:00.000Z');
+  });
+
+  it('takes the first occurrence of a time repeated by fall-back', () => {
+    // 01:30 CDT (06:30Z) comes before 01:30 CST (07:30Z)
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, CHICAGO).toISOString(), '2026-11-01T06:30:00.000Z');
+  });
+
+  it('finds local midnight on the change days', () => {
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 8 }, CHICAGO).toISOString(), '2026-03-08T06:00:00.000Z');
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 9 }, CHICAGO).toISOString(), '2026-03-09T05:00:00.000Z');
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 11, day: 1 }, CHICAGO).toISOString(), '2026-11-01T05:00:00.000Z');
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 11, day: 2 }, CHICAGO).toISOString(), '2026-11-02T06:00:00.000Z');
+  });
+
+  it('parses local "YYYY-MM-DDTHH:MM" on the zone\'s clock and keeps explicit offsets', () => {
+    assert.equal(parseZonedDateTime('2026-03-08T02:30', CHICAGO).toISOString(), '2026-03-08T08:30:00.000Z');
+    assert.equal(parseZonedDateTime('2026-03-08T02:30:00Z', CHICAGO).toISOString(), '2026-03-08T02:30:00.000Z');
+    assert.equal(parseZonedDateTime('not a date', CHICAGO), null);
+  });
+});
+
+describe('zonedDate', () => {
+  it('changes day at local midnight, not UTC midnight', () => {
+    assert.equal(zonedDate(new Date('2026-03-09T04:59:00Z'), CHICAGO), '2026-03-08');
+    assert.equal(zonedDate(new Date('2026-03-09T05:00:00Z'), CHICAGO), '2026-03-09');
+    assert.equal(zonedDate(new Date('2026-11-02T05:59:00Z'), CHICAGO), '2026-11-01');
+    assert.equal(zonedDate(new Date('2026-11-02T06:00:00Z'), CHICAGO), '2026-11-02');
+  });
+
+  it('keeps the repeated fall-back hour on the same day', () => {
+    assert.equal(zonedDate(new Date('2026-11-01T06:30:00Z'), CHICAGO), '2026-11-01');
+    assert.equal(zonedDate(new Date('2026-11-01T07:30:00Z'), CHICAGO), '2026-11-01');
+  });
+});
+
+describe('getToday', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['Date'] }));
+  afterEach(() => mock.timers.reset());
+
+  const todayAt = (iso, timeZone = CHICAGO) => {
+    mock.timers.setTime(Date.parse(iso));
+    return getToday(timeZone);
+  };
+
+  it('rolls over at local midnight after spring-forward', () => {
+    assert.equal(todayAt('2026-03-09T04:59:00Z'), '2026-03-08');
+    assert.equal(todayAt('2026-03-09T05:00:00Z'), '2026-03-09');
+  });
+
+  it('rolls over at local midnight after fall-back', () => {
+    assert.equal(todayAt('2026-11-02T05:59:00Z'), '2026-11-01');
+    assert.equal(todayAt('2026-11-02T06:00:00Z'), '2026-11-02');
+  });
+
+  it('is still yesterday when UTC has already passed midnight', () => {
+    assert.equal(todayAt('2026-10-20T01:30:00Z'), '2026-10-19');
+    assert.equal(todayAt('2026-10-20T01:30:00Z', 'UTC'), '2026-10-20');
+  });
+});
+
+describe('addDays', () => {
+  it('steps calendar days through a 23-hour and a 25-hour day', () => {
+    assert.equal(addDays('2026-03-07', 1), '2026-03-08');
+    assert.equal(addDays('2026-03-08', 1), '2026-03-09');
+    assert.equal(addDays('2026-11-01', 1), '2026-11-02');
+  });
+});
@@ -5,8 +5,9 @@
  */
 
 const { detectIntent, extractRoomType, extractPrice, extractPercentage, parseDuration, isMultiplePromotionRequest, isImpactAnalysisRequest } = require('./intentDetection');
-const { buildPriceOverrideProposal, buildTemporaryPricingProposal, buildRateClampProposal, buildPriceIncreaseProposal, buildCompetitorAdjustmentProposal, buildAnalysisResponse, buildUndoProposal, buildHelpResponse } = require('./proposalBuilders');
+const { buildPriceOverrideProposal, buildTemporaryPricingProposal, buildRateClampProposal, buildStayRestrictionProposal, buildPriceIncreaseProposal, buildCompetitorAdjustmentProposal, buildScheduledActionProposal, buildAnalysisResponse, buildUndoProposal, buildHelpResponse } = require('./proposalBuilders');
 const { buildMultiplePromotionProposals, buildPromotionImpactAnalysis } = require('./promotionProposals');
+const { buildBacktestResponse } = require('./backtestProposals');
 
 /**
  * Build an action proposal from user intent and context
@@ -27,12 +28,18 @@ function buildActionProposal(prompt, context = {}) {
       return buildTemporaryPricingProposal(lower, rooms, competitors, reservations);
     case 'rate_clamp':
       return buildRateClampProposal(lower, rooms);
+    case 'stay_restriction':
+      return buildStayRestrictionProposal(lower, rooms, reservations);
     case 'price_increase':
       return buildPriceIncreaseProposal(lower, rooms, competitors, reservations);
     case 'competitor_adjustment':
       return buildCompetitorAdjustmentProposal(lower, competitors);
+    case 'scheduled_action':
+      return buildScheduledActionProposal(buildActionProposal(intent.schedule.remainder, context), intent.schedule);
     case 'analysis':
       return buildAnalysisResponse(rooms, reservations);
+    case 'backtest':
+      return buildBacktestResponse(lower, context);
     case 'undo':
       return buildUndoProposal();
     default:
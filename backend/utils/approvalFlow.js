@@ -1,9 +1,8 @@
-const fs = require('fs').promises;
-const path = require('path');
-
-const AUDIT_PATH = path.resolve(__dirname, '../data/audit.json');
-
-const pendingActions = new Map();
+const actionStore = require('../services/actionStore');
+const approvalQueue = require('../services/approvalQueue');
+const { executeAction } = require('../copilot/actionExecutor');
+const { mapToHotelRoomType, getRoomKeywords } = require('../copilot/roomMapping');
+const { getToday } = require('./dateUtils');
 
 /**
  * Check if user message is an approval
@@ -47,33 +46,11 @@ function extractRoomsFromMessage(message) {
   const lower = message.toLowerCase();
   const foundRooms = [];
 
-  // Check for Lily Hall room names
-  const roomMap = {
-    'bernard': 'Bernard',
-    'larua': 'LaRua',
-    'santiago': 'Santiago',
-    'pilar': 'Pilar',
-    'mariana': 'Mariana'
-  };
-
-  for (const [key, value] of Object.entries(roomMap)) {
-    if (lower.includes(key) && !foundRooms.includes(value)) {
-      foundRooms.push(value);
-    }
-  }
-
-  // Check for AI room names (only if not already found by direct name)
-  const aiRoomMap = {
-    'standard': 'Bernard',
-    'deluxe': 'LaRua',
-    'executive': 'Santiago',
-    'premium': 'Pilar',
-    'presidential': 'Mariana'
-  };
-
-  for (const [key, value] of Object.entries(aiRoomMap)) {
-    if (lower.includes(key) && !foundRooms.includes(value)) {
-      foundRooms.push(value);
+  // Room type names and aliases for this property (e.g. "bernard", "standard")
+  for (const keyword of getRoomKeywords()) {
+    const roomType = mapToHotelRoomType(keyword);
+    if (lower.includes(keyword) && !foundRooms.includes(roomType)) {
+      foundRooms.push(roomType);
     }
   }
 
@@ -96,16 +73,31 @@ function isRejectionMessage(message) {
 }
 
 /**
- * Store a pending action for approval
- * @param {string} sessionId - User session ID
+ * Action proposal as sent to the client, tagged with its queue entry
  * @param {object} actionProposal - The proposed action
+ * @param {object} proposal - Approval queue record
+ * @returns {object}
  */
-function storePendingAction(sessionId, actionProposal) {
-  pendingActions.set(sessionId, {
+function withApprovalInfo(actionProposal, proposal) {
+  return {
     ...actionProposal,
-    createdAt: new Date().toISOString(),
-    status: 'pending'
-  });
+    proposalId: proposal.id,
+    requiredApprovals: proposal.requiredApprovals,
+    policyReasons: proposal.policyReasons
+  };
+}
+
+/**
+ * Store a pending action in the approval queue
+ * @param {string} sessionId - User session ID
+ * @param {object} actionProposal - The proposed action
+ * @param {object} proposedBy - Audit identity of the user who asked for it (null when anonymous)
+ * @returns {Promise<object>} Action proposal tagged with proposalId, requiredApprovals and policyReasons
+ */
+async function storePendingAction(sessionId, actionProposal, proposedBy = null) {
+  const { proposalId, requiredApprovals, policyReasons, ...action } = actionProposal;
+  const proposal = await approvalQueue.propose(action, { sessionId, proposedBy });
+  return withApprovalInfo(action, proposal);
 }
 
 /**
@@ -114,15 +106,76 @@ function storePendingAction(sessionId, actionProposal) {
  * @returns {object|null}
  */
 function getPendingAction(sessionId) {
-  return pendingActions.get(sessionId) || null;
+  const proposal = approvalQueue.pendingForSession(sessionId);
+  if (!proposal) return null;
+
+  const { actionName, parameters, description } = proposal;
+  return withApprovalInfo({ actionName, parameters, description }, proposal);
 }
 
 /**
- * Clear pending action for a session
+ * Reject the pending action for a session
  * @param {string} sessionId - User session ID
+ * @param {object} rejectedBy - Audit identity (null when anonymous)
  */
-function clearPendingAction(sessionId) {
-  pendingActions.delete(sessionId);
+async function clearPendingAction(sessionId, rejectedBy = null) {
+  const proposal = approvalQueue.pendingForSession(sessionId);
+  if (proposal) {
+    await approvalQueue.reject(proposal.id, rejectedBy, 'Rejected in chat');
+  }
+}
+
+/**
+ * Chat reply when the user approves a pending action
+ */
+function approvalMessage(pendingAction) {
+  if (pendingAction.requiredApprovals > 1) {
+    const reasons = pendingAction.policyReasons.map(r => `• ${r}`).join('\n');
+    return `${pendingAction.description}\n\nThis change needs a second approver:\n${reasons}\n\nApplying it records your approval and sends it to the approval queue.`;
+  }
+  return `Approval received. Executing: ${pendingAction.description}`;
+}
+
+/**
+ * Approve a queued proposal; once it has enough distinct approvers the action
+ * is executed and written to the audit log
+ * @param {string} proposalId - Approval queue id
+ * @param {object} approver - Audit identity { operator, operatorName, operatorId, operatorRole }
+ * @param {string} prompt - Original prompt (for the audit entry)
+ * @returns {Promise<object>} { success, executed, proposal, result?, audit?, error?, notFound?, conflict? }
+ */
+async function approveProposal(proposalId, approver, prompt = '') {
+  const approval = await approvalQueue.recordApproval(proposalId, approver);
+  if (!approval.success) return approval;
+
+  const { proposal } = approval;
+  if (!approval.ready) {
+    return { success: true, executed: false, proposal };
+  }
+
+  let result;
+  try {
+    result = await executeAction(proposal.actionName, proposal.parameters, { actor: approver, proposalId: proposal.id });
+  } catch (err) {
+    console.error('Action execution error:', err);
+    result = { success: false, message: err.message };
+  }
+  await approvalQueue.recordResult(proposal.id, result);
+
+  const audit = {
+    ...createAuditEntry(proposal, result, approver.operator, prompt || `Action: ${proposal.actionName}`, proposal.approvals),
+    ...approver,
+    proposalId: proposal.id
+  };
+  await saveAuditEntry(audit);
+
+  return {
+    success: true,
+    executed: true,
+    proposal: await approvalQueue.get(proposal.id),
+    result,
+    audit
+  };
 }
 
 /**
@@ -182,12 +235,14 @@ function filterActionToRooms(actionProposal, roomNames) {
       const roomDescriptions = roomPricing.map(rp => `${rp.roomType}: $${rp.currentPrice} → $${rp.newPrice}`).join(', ');
       const reason = filteredPromotions[0].reason || '10% promotion';
 
+      // Without dates of its own the offer covers tonight on the property's calendar;
+      // timestamps would make it an hour window instead of a night
       return {
         actionName: 'applyTemporaryPricing',
         parameters: {
           roomPricing,
-          startDate: filteredPromotions[0].startDate || new Date().toISOString(),
-          endDate: filteredPromotions[0].endDate || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          startDate: filteredPromotions[0].startDate || getToday(),
+          endDate: filteredPromotions[0].endDate || getToday(),
           reason
         },
         description: `Apply ${reason} to ${roomPricing.length} room(s): ${roomDescriptions}`,
@@ -247,28 +302,23 @@ function isSimpleConfirmation(message) {
 /**
  * Process approval flow
  * @param {string} message - User message
- * @param {string} sessionId - Session ID
- * @param {Array} conversationHistory - Previous messages
- * @returns {object} Flow result
+ * @param {string} sessionId - Session ID (the pending action is the session's open proposal in the approval queue)
+ * @param {object} user - Audit identity of the chat user (null when anonymous)
+ * @returns {Promise<object>} Flow result
  */
-function processApprovalFlow(message, sessionId, conversationHistory = []) {
+async function processApprovalFlow(message, sessionId, user = null) {
   // Extract ALL rooms mentioned (not just first one)
   const specificRooms = extractRoomsFromMessage(message);
   const hasRooms = specificRooms.length > 0;
 
   // Case 1: User says "apply [room(s)]" - show confirmation for those specific rooms
   if (isSpecificRoomApplyRequest(message) && hasRooms) {
-    let pendingAction = getPendingAction(sessionId);
-    if (!pendingAction) {
-      pendingAction = findPendingActionFromHistory(conversationHistory);
-    }
+    const pendingAction = getPendingAction(sessionId);
 
     if (pendingAction) {
       // Filter to ALL specified rooms (not just first one)
-      const filteredAction = filterActionToRooms(pendingAction, specificRooms);
-
-      // Store the filtered action for next confirmation
-      storePendingAction(sessionId, filteredAction);
+      // and queue the filtered action for the next confirmation
+      const filteredAction = await storePendingAction(sessionId, filterActionToRooms(pendingAction, specificRooms), user);
 
       const roomLabel = specificRooms.length === 1 ? specificRooms[0] : `${specificRooms.length} rooms (${specificRooms.join(', ')})`;
 
@@ -288,24 +338,19 @@ function processApprovalFlow(message, sessionId, conversationHistory = []) {
     };
   }
 
-  // Case 2: Simple confirmation (yes, ok, confirm) - execute the pending action
+  // Case 2: Simple confirmation (yes, ok, confirm) - approve the pending action
+  // (it stays queued until applied; large changes still need a second approver)
   if (isSimpleConfirmation(message)) {
-    let pendingAction = getPendingAction(sessionId);
-
-    if (!pendingAction) {
-      pendingAction = findPendingActionFromHistory(conversationHistory);
-    }
+    const pendingAction = getPendingAction(sessionId);
 
     if (pendingAction) {
-      clearPendingAction(sessionId);
-
       return {
         type: 'APPROVAL',
         actionProposal: {
           ...pendingAction,
           requiresApproval: false
         },
-        message: `Approval received. Executing: ${pendingAction.description}`
+        message: approvalMessage(pendingAction)
       };
     }
 
@@ -317,22 +362,16 @@ function processApprovalFlow(message, sessionId, conversationHistory = []) {
 
   // Case 3: Generic approval message (apply, approve, etc.) without specific room - apply all
   if (isApprovalMessage(message) && !hasRooms) {
-    let pendingAction = getPendingAction(sessionId);
-
-    if (!pendingAction) {
-      pendingAction = findPendingActionFromHistory(conversationHistory);
-    }
+    const pendingAction = getPendingAction(sessionId);
 
     if (pendingAction) {
-      clearPendingAction(sessionId);
-
       return {
         type: 'APPROVAL',
         actionProposal: {
           ...pendingAction,
           requiresApproval: false
         },
-        message: `Approval received. Executing: ${pendingAction.description}`
+        message: approvalMessage(pendingAction)
       };
     }
 
@@ -344,7 +383,7 @@ function processApprovalFlow(message, sessionId, conversationHistory = []) {
 
   // Case 4: Rejection
   if (isRejectionMessage(message)) {
-    clearPendingAction(sessionId);
+    await clearPendingAction(sessionId, user);
     return {
       type: 'REJECTION',
       message: 'Action cancelled. What else can I help you with?'
@@ -364,9 +403,11 @@ function processApprovalFlow(message, sessionId, conversationHistory = []) {
  * @param {object} result - Execution result
  * @param {string} operator - Who approved it
  * @param {string} prompt - Original prompt
+ * @param {Array} approvals - Approvals from the approval queue (default: operator alone)
  * @returns {object} Audit entry
  */
-function createAuditEntry(action, result, operator = 'system', prompt = '') {
+function createAuditEntry(action, result, operator = 'system', prompt = '', approvals = null) {
+  const approvedBy = approvals || [{ operator, at: new Date().toISOString() }];
   return {
     time: new Date().toISOString(),
     operator,
@@ -374,12 +415,14 @@ function createAuditEntry(action, result, operator = 'system', prompt = '') {
     prompt,
     intent: action.actionName,
     actionProposal: action,
-    approvals: [{
+    approvals: approvedBy.map(approval => ({
       actionName: action.actionName,
       parameters: action.parameters,
       approved: true,
-      timestamp: new Date().toISOString()
-    }],
+      operator: approval.operator,
+      operatorName: approval.operatorName,
+      timestamp: approval.at
+    })),
     applied: [{
       success: result.success,
       message: result.message,
@@ -387,32 +430,18 @@ function createAuditEntry(action, result, operator = 'system', prompt = '') {
       actionName: action.actionName,
       parameters: action.parameters,
       timestamp: new Date().toISOString()
-    }]
+    }],
+    isTemporary: action.actionName === 'applyTemporaryPricing'
   };
 }
 
 /**
- * Save audit entry to file
+ * Save audit entry to the action store (keeps the last 1000 entries)
  * @param {object} entry - Audit entry
  */
 async function saveAuditEntry(entry) {
   try {
-    let auditLog = [];
-    try {
-      const data = await fs.readFile(AUDIT_PATH, 'utf8');
-      auditLog = JSON.parse(data);
-    } catch {
-      // File doesn't exist or is empty
-    }
-
-    auditLog.push(entry);
-
-    // Keep last 1000 entries
-    if (auditLog.length > 1000) {
-      auditLog = auditLog.slice(-1000);
-    }
-
-    await fs.writeFile(AUDIT_PATH, JSON.stringify(auditLog, null, 2), 'utf8');
+    await actionStore.appendAudit(entry);
     return true;
   } catch (err) {
     console.error('Failed to save audit entry:', err);
@@ -426,13 +455,7 @@ async function saveAuditEntry(entry) {
  * @returns {Array}
  */
 async function getRecentAuditEntries(limit = 10) {
-  try {
-    const data = await fs.readFile(AUDIT_PATH, 'utf8');
-    const auditLog = JSON.parse(data);
-    return auditLog.slice(-limit).reverse();
-  } catch {
-    return [];
-  }
+  return actionStore.getAuditLog(limit).reverse();
 }
 
 /**
@@ -476,6 +499,7 @@ module.exports = {
   clearPendingAction,
   findPendingActionFromHistory,
   processApprovalFlow,
+  approveProposal,
   createAuditEntry,
   saveAuditEntry,
   getRecentAuditEntries,
@@ -0,0 +1,160 @@
+/**
+ * Approval Policy
+ * Decides how many approvers a proposed action needs
+ *
+ * Configured per property as hotel.approvalPolicy:
+ *   maxChangePercent  - price moves larger than this need a second approver (default 15)
+ *   belowFloor        - prices or floors below the room's configured floor need a second approver (default true)
+ *   actions           - action names that always need a second approver (default none)
+ *   expiresAfterHours - unapproved proposals expire after this long (default 24)
+ *
+ * A scheduleAction is judged by the action it schedules, at today's prices.
+ */
+
+const dataLoader = require('../services/dataLoader');
+const actionStore = require('../services/actionStore');
+const { getCurrentHotel } = require('../middleware/hotelContext');
+const { mapToHotelRoomType } = require('../copilot/roomMapping');
+const { resolveNightlyRate } = require('../pricing/rateResolver');
+const { normalizeChannel } = require('../pricing/channels');
+const { hasTimeOfDay } = require('../pricing/rateWindows');
+const { getToday, toHotelDate, hotelTime } = require('./dateUtils');
+
+const DEFAULT_APPROVAL_POLICY = {
+  maxChangePercent: 15,
+  belowFloor: true,
+  actions: [],
+  expiresAfterHours: 24
+};
+
+/**
+ * Approval policy for the current property
+ * @returns {object}
+ */
+function getApprovalPolicy() {
+  return { ...DEFAULT_APPROVAL_POLICY, ...(getCurrentHotel()?.approvalPolicy || {}) };
+}
+
+function findRoom(roomType) {
+  const mapped = mapToHotelRoomType(roomType);
+  return (dataLoader.rooms || []).find(r => r.room_type === mapped) || null;
+}
+
+/**
+ * First night a temporary offer prices (today when its start can't be read)
+ */
+function offerFirstNight(startDate) {
+  const value = String(startDate || '');
+  if (hasTimeOfDay(value)) {
+    const start = hotelTime(value);
+    return start ? toHotelDate(start) : getToday();
+  }
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : getToday();
+}
+
+/**
+ * Price moves an action would make
+ * @param {string} actionName
+ * @param {object} parameters
+ * @returns {Array} [{ roomType, currentPrice, newPrice }]
+ */
+function describePriceChanges(actionName, parameters = {}) {
+  switch (actionName) {
+    case 'applyPriceOverride': {
+      const room = findRoom(parameters.roomId);
+      if (!room) return [];
+      const night = resolveNightlyRate(
+        { roomType: room.room_type, basePrice: room.base_price },
+        parameters.date,
+        actionStore.getConfig(),
+        normalizeChannel(parameters.channel)
+      );
+      return [{ roomType: room.room_type, currentPrice: night.price, newPrice: parseInt(parameters.newPrice) }];
+    }
+    case 'applyPriceIncrease':
+    case 'applyWeekendRateIncrease':
+      return (parameters.roomTypes || []).map(findRoom).filter(Boolean).map(room => ({
+        roomType: room.room_type,
+        currentPrice: room.base_price,
+        newPrice: Math.round(room.base_price * (1 + (parseFloat(parameters.percentage) || 0) / 100))
+      }));
+    // Current prices come from the server, never from the proposal: a caller
+    // could otherwise inflate currentPrice to make a large cut look small
+    case 'applyTemporaryPricing': {
+      const firstNight = offerFirstNight(parameters.startDate);
+      const config = actionStore.getConfig();
+      return (parameters.roomPricing || []).map(rp => {
+        const room = findRoom(rp.roomType);
+        if (!room) return null;
+        const night = resolveNightlyRate(
+          { roomType: room.room_type, basePrice: room.base_price },
+          firstNight,
+          config,
+          normalizeChannel(parameters.channel)
+        );
+        return { roomType: room.room_type, currentPrice: night.price, newPrice: parseInt(rp.newPrice) };
+      }).filter(Boolean);
+    }
+    case 'applyMultiplePromotions':
+      // Promotions are rebased from the room's base price
+      return (parameters.promotions || []).map(promo => {
+        const room = findRoom(promo.roomType);
+        return room ? { roomType: room.room_type, currentPrice: room.base_price, newPrice: parseInt(promo.newPrice) } : null;
+      }).filter(Boolean);
+    case 'scheduleAction':
+      return describePriceChanges(parameters.actionName, parameters.parameters);
+    case 'adjustRateClamp': {
+      const room = findRoom(parameters.roomType);
+      if (!room) return [];
+      const current = parameters.clampType === 'ceiling' ? room.rate_ceiling : room.rate_floor;
+      return [{ roomType: room.room_type, currentPrice: current, newPrice: parseInt(parameters.newValue) }];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Evaluate an action against the current property's approval policy
+ * @param {string} actionName
+ * @param {object} parameters
+ * @returns {object} { requiredApprovals, reasons, expiresAfterHours }
+ */
+function evaluateApprovalPolicy(actionName, parameters = {}) {
+  const policy = getApprovalPolicy();
+  const reasons = [];
+
+  const scheduled = actionName === 'scheduleAction' ? parameters.actionName : null;
+  for (const name of [actionName, scheduled].filter(Boolean)) {
+    if (policy.actions.includes(name)) {
+      reasons.push(`${name} always needs a second approver`);
+    }
+  }
+
+  for (const change of describePriceChanges(actionName, parameters)) {
+    if (!(change.currentPrice > 0) || !Number.isFinite(change.newPrice)) continue;
+
+    const changePercent = Math.abs(change.newPrice - change.currentPrice) / change.currentPrice * 100;
+    if (policy.maxChangePercent !== null && changePercent > policy.maxChangePercent) {
+      reasons.push(`${change.roomType}: $${change.currentPrice} → $${change.newPrice} is a ${changePercent.toFixed(1)}% change (limit ${policy.maxChangePercent}%)`);
+    }
+
+    const floor = findRoom(change.roomType)?.rate_floor;
+    if (policy.belowFloor && floor && change.newPrice < floor) {
+      reasons.push(`${change.roomType}: $${change.newPrice} is below the $${floor} floor`);
+    }
+  }
+
+  return {
+    requiredApprovals: reasons.length > 0 ? 2 : 1,
+    reasons,
+    expiresAfterHours: policy.expiresAfterHours
+  };
+}
+
+module.exports = {
+  DEFAULT_APPROVAL_POLICY,
+  getApprovalPolicy,
+  describePriceChanges,
+  evaluateApprovalPolicy
+};
@@ -0,0 +1,75 @@
+/**
+ * Auth Tokens
+ * Minimal HS256 JSON Web Tokens signed with AUTH_SECRET
+ *
+ * Without AUTH_SECRET a random secret is generated at startup, so tokens
+ * stop working whenever the server restarts.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_TTL_HOURS = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('[Auth] AUTH_SECRET not set - using a random secret, sessions end on restart');
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a token for a user
+ * @param {object} user - Public user record
+ * @returns {object} { token, expiresAt }
+ */
+function issueToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + Math.round(TOKEN_TTL_HOURS * 3600);
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ sub: user.id, role: user.role, iat: now, exp }));
+
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token
+ * @returns {object|null} Payload ({ sub, role, iat, exp }) or null if invalid
+ */
+function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (alg !== 'HS256' || !claims.sub) return null;
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  issueToken,
+  verifyToken
+};
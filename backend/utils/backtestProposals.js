@@ -0,0 +1,206 @@
+/**
+ * Backtest Analysis Builder
+ * Turns "what would February have been if weekend premiums were 20%?" into a backtest run
+ */
+
+const { runBacktest, lastHistoricalArrival } = require('../pricing/backtest');
+const { getRoomKeywords, mapToHotelRoomType } = require('../copilot/roomMapping');
+const { toISODate, addDays } = require('./dateUtils');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = new RegExp(`\\b(${MONTHS.map(m => `${m}|${m.slice(0, 3)}`).join('|')})\\b(?:\\s+(\\d{4}))?`);
+const WEEKEND_DAYS = [5, 6];
+
+function lastDayOfMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).toISOString().split('T')[0];
+}
+
+function formatMoney(value) {
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+function formatSigned(value, suffix = '') {
+  return `${value >= 0 ? '+' : '−'}${Math.abs(value)}${suffix}`;
+}
+
+function formatSignedMoney(value) {
+  return `${value >= 0 ? '+' : '−'}${formatMoney(Math.abs(value))}`;
+}
+
+/**
+ * Backtest window named in the prompt, or {} for the default window
+ * Relative periods ("last month") and month names without a year are anchored
+ * on the last historical arrival, not today.
+ */
+function parsePeriod(lower, reservations) {
+  const explicit = lower.match(/(\d{4}-\d{2}-\d{2})\s*(?:to|-|through|until)\s*(\d{4}-\d{2}-\d{2})/);
+  if (explicit) return { from: explicit[1], to: explicit[2] };
+
+  const latestArrival = lastHistoricalArrival(reservations) || toISODate(new Date());
+
+  const lastDays = lower.match(/\b(?:last|past)\s+(\d+)\s+(day|week)s?\b/);
+  if (lastDays) {
+    const nights = parseInt(lastDays[1]) * (lastDays[2] === 'week' ? 7 : 1);
+    return { from: addDays(latestArrival, -(nights - 1)), to: latestArrival };
+  }
+
+  if (lower.match(/\blast month\b/)) {
+    const [year, month] = latestArrival.split('-').map(Number);
+    const start = new Date(Date.UTC(year, month - 2, 1));
+    return { from: toISODate(start), to: lastDayOfMonth(start.getUTCFullYear(), start.getUTCMonth()) };
+  }
+
+  const monthMatch = lower.match(MONTH_PATTERN);
+  if (monthMatch) {
+    const monthIndex = MONTHS.findIndex(m => m.startsWith(monthMatch[1]));
+    const monthNumber = String(monthIndex + 1).padStart(2, '0');
+    let year = monthMatch[2] ? parseInt(monthMatch[2]) : parseInt(latestArrival.slice(0, 4));
+    if (!monthMatch[2] && `${year}-${monthNumber}-01` > latestArrival) year--;
+    return { from: `${year}-${monthNumber}-01`, to: lastDayOfMonth(year, monthIndex) };
+  }
+
+  return {};
+}
+
+/**
+ * Room types mentioned in the prompt (names or aliases)
+ */
+function mentionedRoomTypes(lower) {
+  const keywords = getRoomKeywords().filter(keyword => new RegExp(`\\b${keyword}\\b`).test(lower));
+  return [...new Set(keywords.map(keyword => mapToHotelRoomType(keyword)))];
+}
+
+/**
+ * Candidate rules and overrides named in the prompt
+ * @returns {object} { config, overrides, changes } - changes are human-readable labels
+ */
+function parseScenario(lower) {
+  const config = {};
+  const overrides = [];
+  const changes = [];
+  const roomTypes = mentionedRoomTypes(lower);
+  const forRooms = (entry) => roomTypes.length > 0 ? roomTypes.map(roomType => ({ roomType, ...entry })) : [entry];
+
+  const weekendPremium = lower.match(/weekend\s+(?:premium|uplift|markup)s?\s*(?:were|was|of|at|to|is|=)?\s*(\d+(?:\.\d+)?)%/);
+  if (weekendPremium) {
+    config.dayOfWeekRules = { weekend: { adjustment: parseFloat(weekendPremium[1]) / 100 } };
+    changes.push(`weekend premium ${weekendPremium[1]}%`);
+  }
+
+  const holidayPremium = lower.match(/holiday\s+(?:premium|uplift|markup)s?\s*(?:were|was|of|at|to|is|=)?\s*(\d+(?:\.\d+)?)%/);
+  if (holidayPremium) {
+    config.holidayPremiums = { major: parseFloat(holidayPremium[1]) / 100 };
+    changes.push(`major holiday premium ${holidayPremium[1]}%`);
+  }
+
+  for (const [name, key] of [['floor', 'rateFloor'], ['ceiling', 'rateCeiling']]) {
+    const match = lower.match(new RegExp(`${name}\\s*(?:were|was|of|at|to|is|=)?\\s*\\$(\\d+)`));
+    if (match) {
+      config[key] = parseInt(match[1]);
+      changes.push(`rate ${name} $${match[1]}`);
+    }
+  }
+
+  // "weekend prices 10% higher", "rates were 5% lower", "raised Bernard by 8%"
+  const percentChange = lower.match(/(\d+(?:\.\d+)?)%\s*(higher|lower|more|less|cheaper)/) ||
+                        lower.match(/\b(raised|increased|lowered|cut|reduced|decreased)\b[^%]*?\bby\s+(\d+(?:\.\d+)?)%/);
+  if (percentChange && !weekendPremium && !holidayPremium) {
+    const [value, direction] = /\d/.test(percentChange[1])
+      ? [parseFloat(percentChange[1]), percentChange[2]]
+      : [parseFloat(percentChange[2]), percentChange[1]];
+    const percentage = ['lower', 'less', 'cheaper', 'lowered', 'cut', 'reduced', 'decreased'].includes(direction) ? -value : value;
+    const weekendOnly = /\bweekends?\b/.test(lower);
+    overrides.push(...forRooms(weekendOnly ? { percentage, days: WEEKEND_DAYS } : { percentage }));
+    changes.push(`${roomTypes.length > 0 ? roomTypes.join(', ') : 'all room'} ${weekendOnly ? 'weekend ' : ''}rates ${formatSigned(percentage, '%')}`);
+  }
+
+  // "Bernard at $200"
+  const fixedPrice = roomTypes.length > 0 && !config.rateFloor && !config.rateCeiling &&
+                     lower.match(/\b(?:at|was|were|for|to)\s+\$(\d+)/);
+  if (fixedPrice && overrides.length === 0) {
+    overrides.push(...forRooms({ price: parseInt(fixedPrice[1]) }));
+    changes.push(`${roomTypes.join(', ')} at $${fixedPrice[1]}`);
+  }
+
+  return { config, overrides, changes, roomTypes };
+}
+
+/**
+ * Build the chat response for a backtest question
+ * @param {string} lower - Lowercase prompt
+ * @param {object} context - { rooms, competitors, reservations }
+ * @returns {object} Analysis response (no action) with the backtest attached
+ */
+function buildBacktestResponse(lower, context = {}) {
+  const { rooms = [], competitors = [], reservations = [] } = context;
+  const scenario = parseScenario(lower);
+
+  if (scenario.changes.length === 0) {
+    return {
+      actionName: null,
+      parameters: {},
+      description: 'I can replay past reservations under different pricing rules. Tell me what to change, for example a weekend premium, a rate floor, or a price change for a room type.',
+      reasoning: 'This is a backtest question without a pricing change to test.',
+      confidence: 0.5,
+      suggestions: [
+        'Try: "What would February revenue have been if weekend premiums were 20%?"',
+        'Try: "Backtest last month with Bernard prices 10% higher"'
+      ]
+    };
+  }
+
+  const options = { ...parsePeriod(lower, reservations), config: scenario.config, overrides: scenario.overrides };
+  // Only narrow the report to mentioned rooms when the change itself is room-specific
+  if (scenario.roomTypes.length === 1 && scenario.overrides.length > 0) options.roomType = scenario.roomTypes[0];
+
+  const result = runBacktest(options, { rooms, competitors, reservations });
+  const { actual, simulated, delta } = result.total;
+
+  if (actual.roomNightsSold === 0) {
+    return {
+      actionName: null,
+      parameters: {},
+      description: `There are no booked nights between ${result.from} and ${result.to} to replay. Try a month with reservation history.`,
+      reasoning: 'This is a backtest over historical reservations - no action required.',
+      confidence: 0.8,
+      backtest: result
+    };
+  }
+
+  let text = `Backtest ${result.from} to ${result.to} (${result.nights} nights) with ${scenario.changes.join(', ')}:\n`;
+  text += `• Revenue: ${formatMoney(actual.revenue)} → ${formatMoney(simulated.revenue)} (${formatSignedMoney(delta.revenue)}, ${formatSigned(delta.revenuePct, '%')})\n`;
+  text += `• ADR: $${actual.adr.toFixed(2)} → $${simulated.adr.toFixed(2)}\n`;
+  text += `• Occupancy: ${actual.occupancy}% → ${simulated.occupancy}%\n`;
+  text += `• RevPAR: $${actual.revpar.toFixed(2)} → $${simulated.revpar.toFixed(2)}\n`;
+
+  const byRoom = result.roomTypes.filter(rt => rt.repricedNights > 0);
+  if (byRoom.length > 0) {
+    text += '\nBy room type:\n';
+    byRoom.forEach(rt => {
+      text += `• ${rt.roomType}: ${formatMoney(rt.actual.revenue)} → ${formatMoney(rt.simulated.revenue)} (${formatSigned(rt.delta.revenuePct, '%')}, ${rt.repricedNights} nights repriced)\n`;
+    });
+  } else {
+    text += '\nNo booked nights in this period would have been priced differently.\n';
+  }
+  const fittedRooms = (byRoom.length > 0 ? byRoom : result.roomTypes).filter(rt => rt.elasticity);
+  if (fittedRooms.length > 0) {
+    text += `\nDemand response uses elasticity fitted from booking history (${fittedRooms.map(rt => `${rt.roomType} ${rt.elasticity.elasticity}`).join(', ')}); nights with no bookings stay empty.`;
+  } else if (result.elasticity) {
+    text += `\nAssumes ${result.elasticity.increase}% fewer bookings per 1% price increase and ${result.elasticity.decrease}% more per 1% decrease; nights with no bookings stay empty.`;
+  }
+
+  return {
+    actionName: null,
+    parameters: {},
+    description: text,
+    reasoning: 'This is a backtest over historical reservations - no action required.',
+    confidence: 0.8,
+    backtest: result
+  };
+}
+
+module.exports = {
+  buildBacktestResponse,
+  parseScenario,
+  parsePeriod
+};
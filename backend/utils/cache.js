@@ -8,6 +8,10 @@
  * - Promotion simulations / previews
  */
 
+const { performance } = require('perf_hooks');
+const { recordSpan } = require('./latencyTracker');
+const { getCurrentHotelId } = require('../middleware/hotelContext');
+
 class TTLCache {
   constructor(defaultTTL = 300000) { // Default 5 minutes
     this.cache = new Map();
@@ -18,14 +22,14 @@ class TTLCache {
   }
 
   /**
-   * Generate cache key from request parameters
+   * Generate cache key from request parameters (scoped to the current hotel)
    * @param {string} type - Cache type (analysis, competitor, simulation)
    * @param {object} params - Request parameters
    * @returns {string} Cache key
    */
   generateKey(type, params) {
     const normalized = JSON.stringify(params, Object.keys(params).sort());
-    return `${type}:${this._hash(normalized)}`;
+    return `${getCurrentHotelId()}:${type}:${this._hash(normalized)}`;
   }
 
   /**
@@ -47,15 +51,17 @@ class TTLCache {
    * @returns {any|null} Cached value or null
    */
   get(key) {
+    const start = performance.now();
     const entry = this.cache.get(key);
-    if (!entry) return null;
 
-    if (Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
+    if (!entry || Date.now() > entry.expiresAt) {
+      if (entry) this.cache.delete(key);
+      recordSpan('cacheLookup', performance.now() - start, { hit: false });
       return null;
     }
 
     entry.hits++;
+    recordSpan('cacheLookup', performance.now() - start, { hit: true });
     return entry.value;
   }
 
@@ -99,12 +105,12 @@ class TTLCache {
   }
 
   /**
-   * Clear cache entries by type prefix
-   * @param {string} type - Cache type prefix
+   * Clear cache entries of one type (for every hotel)
+   * @param {string} type - Cache type
    */
   clearByType(type) {
     for (const key of this.cache.keys()) {
-      if (key.startsWith(`${type}:`)) {
+      if (key.split(':')[1] === type) {
         this.cache.delete(key);
       }
     }
@@ -143,7 +149,7 @@ class TTLCache {
     };
 
     for (const [key, entry] of this.cache.entries()) {
-      const type = key.split(':')[0];
+      const type = key.split(':')[1];
       stats.byType[type] = (stats.byType[type] || 0) + 1;
       stats.totalHits += entry.hits;
 
@@ -0,0 +1,152 @@
+/**
+ * Cron Expressions
+ * Five-field schedules ("minute hour day-of-month month day-of-week")
+ * evaluated on the wall clock of an IANA time zone
+ *
+ * Fields accept *, numbers, lists (1,15), ranges (1-5), steps (0-59/15, 9-17/2)
+ * and month/day names (JAN, FRI). Day of week is 0-7; 0 and 7 are Sunday.
+ * As in standard cron, when both day of month and day of week are restricted,
+ * a day matching either one runs.
+ */
+
+const { wallClock, zonedTimeToUtc } = require('./timeZones');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Schedules that never match (e.g. "0 0 31 2 *") stop being searched after this long
+const MAX_SEARCH_MS = 5 * 366 * DAY_MS;
+
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  if (named !== -1) return named + field.offset;
+  return /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+}
+
+/**
+ * Values a cron field allows
+ * @returns {Set|null} null when the field is invalid
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) return null;
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < field.min || end > field.max || start > end) {
+      return null;
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. "0 18 * * FRI"
+ * @returns {object} { valid, error, fields: { minute, hour, dayOfMonth, month, dayOfWeek, dayOfMonthRestricted, dayOfWeekRestricted } }
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    return { valid: false, error: `Invalid cron expression "${expression}" (expected 5 fields: minute hour day-of-month month day-of-week)` };
+  }
+
+  const sets = [];
+  for (let i = 0; i < FIELDS.length; i++) {
+    const values = parseField(parts[i], FIELDS[i]);
+    if (!values) {
+      return { valid: false, error: `Invalid ${FIELDS[i].name} "${parts[i]}" in cron expression "${expression}"` };
+    }
+    sets.push(values);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = sets;
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+  return {
+    valid: true,
+    fields: {
+      minute,
+      hour,
+      dayOfMonth,
+      month,
+      dayOfWeek,
+      dayOfMonthRestricted: parts[2] !== '*',
+      dayOfWeekRestricted: parts[4] !== '*'
+    }
+  };
+}
+
+/**
+ * Next time a cron expression fires strictly after an instant
+ * @param {string} expression - Five-field cron expression
+ * @param {Date|number} after - Search start (exclusive)
+ * @param {string} timeZone - Zone whose wall clock the expression describes (default UTC)
+ * @returns {Date|null} null when the expression is invalid or never fires
+ */
+function nextCronRun(expression, after, timeZone = 'UTC') {
+  const parsed = parseCron(expression);
+  if (!parsed.valid) return null;
+  const f = parsed.fields;
+
+  const dayMatches = (date) => {
+    const dom = f.dayOfMonth.has(date.getUTCDate());
+    const dow = f.dayOfWeek.has(date.getUTCDay());
+    if (f.dayOfMonthRestricted && f.dayOfWeekRestricted) return dom || dow;
+    return dom && dow;
+  };
+
+  // Walk the wall clock as if it were UTC, jumping over non-matching months, days and hours
+  const afterMs = new Date(after).getTime();
+  const start = wallClock(afterMs, timeZone);
+  let t = Date.UTC(start.year, start.month - 1, start.day, start.hour, start.minute + 1);
+  const limit = t + MAX_SEARCH_MS;
+
+  while (t < limit) {
+    const d = new Date(t);
+    if (!f.month.has(d.getUTCMonth() + 1)) {
+      t = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+    } else if (!dayMatches(d)) {
+      t = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+    } else if (!f.hour.has(d.getUTCHours())) {
+      t = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours() + 1);
+    } else if (!f.minute.has(d.getUTCMinutes())) {
+      t += MINUTE_MS;
+    } else {
+      const run = zonedTimeToUtc({
+        year: d.getUTCFullYear(),
+        month: d.getUTCMonth() + 1,
+        day: d.getUTCDate(),
+        hour: d.getUTCHours(),
+        minute: d.getUTCMinutes()
+      }, timeZone);
+      // After a DST fall-back the same wall time can map to an instant already passed
+      if (run.getTime() > afterMs) return run;
+      t += MINUTE_MS;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextCronRun
+};
@@ -1,12 +1,86 @@
 /**
  * Date Utilities for Hotel Revenue Management
+ *
+ * Stay dates, reverts and reports are calendar dates (YYYY-MM-DD) on the
+ * property's wall clock (hotel.timezone, default UTC), not in UTC or the
+ * server's zone: at 8pm in Chicago "today" is still today, not tomorrow.
+ * "Today" is read in the current hotel's zone (see middleware/hotelContext);
+ * everything after that is calendar arithmetic on the date strings, so DST
+ * changes never shift a day.
  */
 
+const { getCurrentHotel } = require('../middleware/hotelContext');
+const { zonedDate, parseZonedDateTime } = require('./timeZones');
+
+/**
+ * IANA time zone of the current property
+ */
+function getHotelTimeZone() {
+  return getCurrentHotel()?.timezone || 'UTC';
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) an instant falls on at the property
+ * @param {Date|number|string} instant - Default now
+ * @param {string} timeZone - Default the current property's
+ */
+function toHotelDate(instant = new Date(), timeZone = getHotelTimeZone()) {
+  return zonedDate(instant, timeZone);
+}
+
+/**
+ * Instant for "YYYY-MM-DD[THH:MM]" on the property's wall clock (or an ISO timestamp)
+ * @returns {Date|null} null when the value isn't a date
+ */
+function hotelTime(value, timeZone = getHotelTimeZone()) {
+  return parseZonedDateTime(value, timeZone);
+}
+
+/**
+ * Get today's date at the property in YYYY-MM-DD format
+ * @param {string} timeZone - Default the current property's
+ */
+function getToday(timeZone = getHotelTimeZone()) {
+  return toHotelDate(new Date(), timeZone);
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
 /**
- * Get today's date in YYYY-MM-DD format
+ * Whether a value is a YYYY-MM-DD calendar date
  */
-function getToday() {
-  return new Date().toISOString().split('T')[0];
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_ONLY.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+/**
+ * YYYY-MM-DD of a stored date value (CSV dates, Date objects) as written, not
+ * shifted to the property's zone - use toHotelDate for instants
+ * @param {Date|string} value
+ * @returns {string|null} null when the value isn't a date
+ */
+function toISODate(value) {
+  if (!value) return null;
+  const d = value instanceof Date ? value : new Date(value);
+  return isNaN(d.getTime()) ? null : d.toISOString().split('T')[0];
+}
+
+/**
+ * Calendar date N days after a YYYY-MM-DD date
+ * @param {string} date
+ * @param {number} days - Negative for earlier dates
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Day of week of a YYYY-MM-DD date (0 = Sunday)
+ */
+function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
 }
 
 /**
@@ -14,22 +88,16 @@ function getToday() {
  * @param {number} days - Number of days (positive = future, negative = past)
  */
 function getDateFromToday(days) {
-  const date = new Date();
-  date.setDate(date.getDate() + days);
-  return date.toISOString().split('T')[0];
+  return addDays(getToday(), days);
 }
 
 /**
  * Get the next occurrence of a day of week
- * @param {number} dayOfWeek - 0 = Sunday, 6 = Saturday
+ * @param {number} day - 0 = Sunday, 6 = Saturday
  */
-function getNextDayOfWeek(dayOfWeek) {
-  const today = new Date();
-  const todayDay = today.getDay();
-  const daysUntil = (dayOfWeek - todayDay + 7) % 7 || 7;
-  const target = new Date(today);
-  target.setDate(today.getDate() + daysUntil);
-  return target.toISOString().split('T')[0];
+function getNextDayOfWeek(day) {
+  const today = getToday();
+  return addDays(today, (day - dayOfWeek(today) + 7) % 7 || 7);
 }
 
 /**
@@ -37,11 +105,9 @@ function getNextDayOfWeek(dayOfWeek) {
  */
 function getNextWeekend() {
   const saturday = getNextDayOfWeek(6);
-  const sundayDate = new Date(saturday);
-  sundayDate.setDate(sundayDate.getDate() + 1);
   return {
     saturday,
-    sunday: sundayDate.toISOString().split('T')[0]
+    sunday: addDays(saturday, 1)
   };
 }
 
@@ -49,8 +115,7 @@ function getNextWeekend() {
  * Check if a date is a weekend
  */
 function isWeekend(dateStr) {
-  const date = new Date(dateStr);
-  const day = date.getDay();
+  const day = dayOfWeek(String(dateStr).slice(0, 10));
   return day === 0 || day === 6;
 }
 
@@ -58,14 +123,11 @@ function isWeekend(dateStr) {
  * Get date range for "this week"
  */
 function getThisWeek() {
-  const today = new Date();
-  const start = new Date(today);
-  start.setDate(today.getDate() - today.getDay());
-  const end = new Date(start);
-  end.setDate(start.getDate() + 6);
+  const today = getToday();
+  const start = addDays(today, -dayOfWeek(today));
   return {
-    start: start.toISOString().split('T')[0],
-    end: end.toISOString().split('T')[0]
+    start,
+    end: addDays(start, 6)
   };
 }
 
@@ -73,14 +135,11 @@ function getThisWeek() {
  * Get date range for "next week"
  */
 function getNextWeek() {
-  const today = new Date();
-  const start = new Date(today);
-  start.setDate(today.getDate() + (7 - today.getDay()));
-  const end = new Date(start);
-  end.setDate(start.getDate() + 6);
+  const today = getToday();
+  const start = addDays(today, 7 - dayOfWeek(today));
   return {
-    start: start.toISOString().split('T')[0],
-    end: end.toISOString().split('T')[0]
+    start,
+    end: addDays(start, 6)
   };
 }
 
@@ -88,12 +147,10 @@ function getNextWeek() {
  * Get date range for "this month"
  */
 function getThisMonth() {
-  const today = new Date();
-  const start = new Date(today.getFullYear(), today.getMonth(), 1);
-  const end = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+  const [year, month] = getToday().split('-').map(Number);
   return {
-    start: start.toISOString().split('T')[0],
-    end: end.toISOString().split('T')[0]
+    start: `${year}-${String(month).padStart(2, '0')}-01`,
+    end: new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0]
   };
 }
 
@@ -143,12 +200,15 @@ function parseDateReference(text) {
  * Format date for display
  */
 function formatDate(dateStr, format = 'short') {
-  const date = new Date(dateStr);
+  // A bare YYYY-MM-DD is a calendar date, not midnight UTC shown in the server's zone
+  const calendarDate = DATE_ONLY.test(dateStr);
+  const date = new Date(calendarDate ? `${dateStr}T00:00:00Z` : dateStr);
+  const timeZone = calendarDate ? 'UTC' : getHotelTimeZone();
   if (format === 'short') {
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone });
   }
   if (format === 'long') {
-    return date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    return date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone });
   }
   return dateStr;
 }
@@ -157,13 +217,60 @@ function formatDate(dateStr, format = 'short') {
  * Get days between two dates
  */
 function daysBetween(startDate, endDate) {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  return Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+  const start = new Date(`${String(startDate).slice(0, 10)}T00:00:00Z`);
+  const end = new Date(`${String(endDate).slice(0, 10)}T00:00:00Z`);
+  return Math.round((end - start) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Nth weekday of a month (UTC), or the last one when n is -1
+ * @param {number} year
+ * @param {number} month - 0 = January
+ * @param {number} dayOfWeek - 0 = Sunday
+ * @param {number} n - 1-based occurrence, -1 for the last
+ */
+function nthWeekdayOfMonth(year, month, dayOfWeek, n) {
+  if (n === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - dayOfWeek + 7) % 7));
+    return last.toISOString().split('T')[0];
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  first.setUTCDate(1 + ((dayOfWeek - first.getUTCDay() + 7) % 7) + (n - 1) * 7);
+  return first.toISOString().split('T')[0];
+}
+
+/**
+ * Major US holidays in a year
+ * @param {number} year
+ * @returns {Array} [{ name, date }] in date order
+ */
+function getUSHolidays(year) {
+  return [
+    { name: "New Year's Day", date: `${year}-01-01` },
+    { name: 'Martin Luther King Jr. Day', date: nthWeekdayOfMonth(year, 0, 1, 3) }, // 3rd Monday of January
+    { name: "Presidents' Day", date: nthWeekdayOfMonth(year, 1, 1, 3) },            // 3rd Monday of February
+    { name: 'Memorial Day', date: nthWeekdayOfMonth(year, 4, 1, -1) },              // Last Monday of May
+    { name: 'Independence Day', date: `${year}-07-04` },
+    { name: 'Labor Day', date: nthWeekdayOfMonth(year, 8, 1, 1) },                  // 1st Monday of September
+    { name: 'Columbus Day', date: nthWeekdayOfMonth(year, 9, 1, 2) },               // 2nd Monday of October
+    { name: 'Veterans Day', date: `${year}-11-11` },
+    { name: 'Thanksgiving', date: nthWeekdayOfMonth(year, 10, 4, 4) },              // 4th Thursday of November
+    { name: 'Christmas Eve', date: `${year}-12-24` },
+    { name: 'Christmas Day', date: `${year}-12-25` },
+    { name: "New Year's Eve", date: `${year}-12-31` }
+  ];
 }
 
 module.exports = {
+  getHotelTimeZone,
+  toHotelDate,
+  hotelTime,
   getToday,
+  isValidDate,
+  toISODate,
+  addDays,
+  dayOfWeek,
   getDateFromToday,
   getNextDayOfWeek,
   getNextWeekend,
@@ -173,5 +280,6 @@ module.exports = {
   getThisMonth,
   parseDateReference,
   formatDate,
-  daysBetween
+  daysBetween,
+  getUSHolidays
 };
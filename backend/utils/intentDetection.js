@@ -3,10 +3,57 @@
  * Lightweight module for parsing user intents from natural language
  */
 
+const { getRoomKeywords, mapToHotelRoomType } = require('../copilot/roomMapping');
+const { normalizeChannel } = require('../pricing/channels');
+const { getToday, addDays, hotelTime, parseDateReference, getNextWeekend, formatDate } = require('./dateUtils');
+
+// Generic room words understood for every property
+const GENERIC_ROOM_KEYWORDS = ['standard', 'deluxe', 'executive', 'premium', 'presidential', 'suite'];
+
+// Intents whose proposals can be scheduled for later ("every Friday at 6pm", "on March 1")
+const SCHEDULABLE_INTENTS = ['price_override', 'temporary_pricing', 'rate_clamp', 'stay_restriction', 'price_increase', 'competitor_adjustment'];
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAY_PATTERN = '(?:sun|mon|tues|wednes|thurs|fri|satur)days?';
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+/**
+ * Generic room words plus the current hotel's room names and aliases
+ */
+function roomKeywordsForHotel() {
+  return [...new Set([...GENERIC_ROOM_KEYWORDS, ...getRoomKeywords()])];
+}
+
 /**
  * Detect user intent from prompt
  */
 function detectIntent(lower) {
+  // Scheduled action ("raise Santiago 10% every Friday at 6pm") - the rest of the prompt is the action
+  const schedule = extractSchedule(lower);
+  if (schedule) {
+    const scheduled = detectIntent(schedule.remainder);
+    if (SCHEDULABLE_INTENTS.includes(scheduled.type)) {
+      return { type: 'scheduled_action', schedule, scheduled };
+    }
+  }
+
+  // Backtest ("what would February have been if...") - before pricing intents, which share its words
+  if (isBacktestRequest(lower)) {
+    return { type: 'backtest' };
+  }
+
+  // Stay restrictions ("3-night minimum", "closed to arrival") - before clamps, which share min/max
+  if (extractStayRestriction(lower)) {
+    return { type: 'stay_restriction' };
+  }
+
+  // Price recommendation ("what should Deluxe cost tomorrow?") - an override at the pricing pipeline's price
+  if (lower.match(/\b(recommend|suggest)\w*\b.*\b(price|rate)\b/) ||
+      lower.match(/\bwhat should\b.*\b(charge|cost|price|rate)\b/)) {
+    return { type: 'price_override' };
+  }
+
   // Temporary/flash pricing
   if (lower.match(/\b(temporary|temp|flash|promotion|promo)\b/) ||
       lower.match(/\d+[- ]?(hour|day|week|month)s?\b/) ||
@@ -29,6 +76,7 @@ function detectIntent(lower) {
 
   // Price increase/decrease
   if (lower.match(/\b(increase|raise|boost|decrease|lower|reduce).*price/i) ||
+      lower.match(/\b(increase|raise|boost|decrease|lower|reduce)\b.*\d+\s*%/) ||
       lower.match(/\d+%\s*(increase|raise|off|discount)/)) {
     return { type: 'price_increase' };
   }
@@ -55,13 +103,14 @@ function detectIntent(lower) {
  * Extract room type from prompt (returns first match)
  */
 function extractRoomType(lower, rooms) {
-  const roomKeywords = ['standard', 'deluxe', 'executive', 'premium', 'presidential', 'suite', 'bernard', 'larua', 'santiago', 'pilar', 'mariana'];
+  const roomKeywords = roomKeywordsForHotel();
 
   for (const keyword of roomKeywords) {
     if (lower.includes(keyword)) {
+      const hotelType = mapToHotelRoomType(keyword).toLowerCase();
       const match = rooms.find(r => {
         const type = (r.room_type || r['Room Type'] || '').toLowerCase();
-        return type.includes(keyword);
+        return type.includes(keyword) || type === hotelType;
       });
       if (match) {
         return match.room_type || match['Room Type'];
@@ -78,14 +127,15 @@ function extractRoomType(lower, rooms) {
  * Used when user mentions multiple rooms like "apply to Pilar and Mariana"
  */
 function extractRoomTypes(lower, rooms) {
-  const roomKeywords = ['standard', 'deluxe', 'executive', 'premium', 'presidential', 'suite', 'bernard', 'larua', 'santiago', 'pilar', 'mariana'];
+  const roomKeywords = roomKeywordsForHotel();
   const foundRooms = [];
 
   for (const keyword of roomKeywords) {
     if (lower.includes(keyword)) {
+      const hotelType = mapToHotelRoomType(keyword).toLowerCase();
       const match = rooms.find(r => {
         const type = (r.room_type || r['Room Type'] || '').toLowerCase();
-        return type.includes(keyword);
+        return type.includes(keyword) || type === hotelType;
       });
       if (match) {
         const roomName = match.room_type || match['Room Type'];
@@ -187,6 +237,258 @@ function isMultiplePromotionRequest(prompt) {
   ) || lower.match(/\boffers?\b.*\bapply\b/) || lower.match(/\bpromotions?\b.*\bnow\b/);
 }
 
+/**
+ * Check if user is asking how past revenue would have looked under different pricing
+ */
+function isBacktestRequest(prompt) {
+  const lower = prompt.toLowerCase();
+  return Boolean(
+    lower.match(/\bback-?test/) ||
+    lower.match(/\bwhat would\b.*\bhave (been|earned|made|looked)\b/) ||
+    (lower.match(/\b(replay|simulate)\b/) && lower.match(/\b(history|historical|last|past|january|february|march|april|may|june|july|august|september|october|november|december)\b/))
+  );
+}
+
+/**
+ * Extract a length-of-stay or arrival/departure restriction from prompt
+ * @returns {object|null} { restrictionType, nights, lift } or null when none is mentioned;
+ *   nights is null when no number was given, lift is true for "lift", "remove", "reopen"...
+ */
+function extractStayRestriction(lower) {
+  const lift = Boolean(lower.match(/\b(lift|remove|clear|drop|reopen|open up|no longer)\b/));
+  const nightsMatch = lower.match(/(\d+)[- ]?nights?\b/) ||
+    lower.match(/\b(?:min|max)(?:imum)?[- ](?:los|length of stay|stay)\s*(?:of|to|at|=)?\s*(\d+)\b/);
+  const nights = nightsMatch ? parseInt(nightsMatch[1]) : null;
+
+  if (lower.match(/\b(close[ds]? (\w+ ){0,3}?to arrivals?|cta|no (arrivals|check-?ins))\b/)) {
+    return { restrictionType: 'closedToArrival', nights: null, lift };
+  }
+  if (lower.match(/\b(close[ds]? (\w+ ){0,3}?to departures?|ctd|no (departures|check-?outs))\b/)) {
+    return { restrictionType: 'closedToDeparture', nights: null, lift };
+  }
+  if (lower.match(/\bmin(imum)?[- ](los|length of stay|stay)\b/) || lower.match(/\d+[- ]?nights? (min|minimum)\b/)) {
+    return { restrictionType: 'minLOS', nights, lift };
+  }
+  if (lower.match(/\bmax(imum)?[- ](los|length of stay|stay)\b/) || lower.match(/\d+[- ]?nights? (max|maximum)\b/)) {
+    return { restrictionType: 'maxLOS', nights, lift };
+  }
+  return null;
+}
+
+/**
+ * Extract the booking channel a pricing change is limited to ("on Expedia", "for direct bookings")
+ * @returns {string|null} Channel id (see pricing/channels) or null when the change is for every channel
+ */
+function extractChannel(lower) {
+  const match = lower.match(/\b(?:on|for|via|through|in)\s+(?:the\s+)?(expedia|hotels\.com|booking\.com|airbnb|vrbo|hopper|direct|(?:our )?website|booking engine)\b/);
+  if (!match) return null;
+  const name = match[1].replace(/^our /, '');
+  return name === 'direct' ? 'direct' : normalizeChannel(name);
+}
+
+/**
+ * "6:00 PM"
+ */
+function formatTimeOfDay(hour, minute) {
+  return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Extract a time of day ("at 6pm", "at 6:30 am", "at 18:00", "at noon")
+ * @returns {object|null} { hour, minute, text }
+ */
+function extractTimeOfDay(lower) {
+  const match = lower.match(/\bat\s+(?:(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\b\.?|(\d{1,2}):(\d{2})\b|(noon|midnight)\b)/);
+  if (!match) return null;
+
+  let hour;
+  let minute;
+  if (match[6]) {
+    hour = match[6] === 'noon' ? 12 : 0;
+    minute = 0;
+  } else if (match[3]) {
+    hour = parseInt(match[1]) % 12 + (match[3] === 'p' ? 12 : 0);
+    minute = parseInt(match[2] || '0');
+    if (parseInt(match[1]) > 12) return null;
+  } else {
+    hour = parseInt(match[4]);
+    minute = parseInt(match[5]);
+  }
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute, text: match[0] };
+}
+
+/**
+ * Extract when an action should run: a recurrence ("every Friday at 6pm",
+ * "daily at 9am", "every month on the 1st") or, with a start verb, a future
+ * date ("start the spring promo on March 1")
+ * Times are on the property's clock; without one, runs are at midnight.
+ * @param {string} lower - Lower-cased prompt
+ * @param {string} today - YYYY-MM-DD (default today), to pick the year for "March 1"
+ * @returns {object|null} { cron, label, remainder } or { runAt: 'YYYY-MM-DDTHH:MM', label, remainder };
+ *   remainder is the prompt without the schedule words
+ */
+function extractSchedule(lower, today = getToday()) {
+  const time = extractTimeOfDay(lower);
+  const hour = time ? time.hour : 0;
+  const minute = time ? time.minute : 0;
+  const at = `at ${formatTimeOfDay(hour, minute)}`;
+
+  const remainderWithout = (...phrases) => phrases
+    .filter(Boolean)
+    .reduce((text, phrase) => text.replace(phrase, ' '), lower)
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // Recurring
+  let recurrence = null;
+  const dayList = lower.match(new RegExp(`\\bevery\\s+(${WEEKDAY_PATTERN}(?:\\s*(?:,|and|&)\\s*${WEEKDAY_PATTERN})*)`));
+  const monthly = lower.match(/\b(?:every\s+month|monthly)\s+on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?\b/) ||
+    lower.match(/\bon\s+the\s+(\d{1,2})(?:st|nd|rd|th)?\s+of\s+every\s+month\b/);
+  const daily = lower.match(/\b(?:every\s*day|daily|each\s+day|every\s+night|nightly)\b/);
+  const weekdays = lower.match(/\bevery\s+weekday\b/);
+
+  if (dayList) {
+    const days = dayList[1].match(new RegExp(WEEKDAY_PATTERN, 'g'))
+      .map(name => WEEKDAY_NAMES.findIndex(day => name.startsWith(day.slice(0, 3))));
+    const unique = [...new Set(days)].sort((a, b) => a - b);
+    const names = unique.map(d => WEEKDAY_NAMES[d].charAt(0).toUpperCase() + WEEKDAY_NAMES[d].slice(1));
+    recurrence = { phrase: dayList[0], cron: `${minute} ${hour} * * ${unique.join(',')}`, label: `every ${names.join(' and ')} ${at}` };
+  } else if (weekdays) {
+    recurrence = { phrase: weekdays[0], cron: `${minute} ${hour} * * 1-5`, label: `every weekday ${at}` };
+  } else if (monthly) {
+    const day = parseInt(monthly[1]);
+    if (day < 1 || day > 31) return null;
+    const suffix = day % 10 === 1 && day !== 11 ? 'st' : day % 10 === 2 && day !== 12 ? 'nd' : day % 10 === 3 && day !== 13 ? 'rd' : 'th';
+    recurrence = { phrase: monthly[0], cron: `${minute} ${hour} ${day} * *`, label: `on the ${day}${suffix} of every month ${at}` };
+  } else if (daily) {
+    recurrence = { phrase: daily[0], cron: `${minute} ${hour} * * *`, label: `every day ${at}` };
+  }
+
+  if (recurrence) {
+    return { cron: recurrence.cron, label: recurrence.label, remainder: remainderWithout(recurrence.phrase, time?.text) };
+  }
+
+  // One-off: needs a start verb so stay dates ("set LaRua to $200 on Dec 25") aren't mistaken for schedules
+  if (!lower.match(/\b(start|starting|begin|launch|kick off|schedule|go live|take effect)\b/)) {
+    return null;
+  }
+
+  let date = null;
+  let phrase = null;
+  const named = lower.match(new RegExp(`\\bon\\s+${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`));
+  const iso = lower.match(/\bon\s+(\d{4}-\d{2}-\d{2})\b/);
+  const tomorrow = lower.match(/\btomorrow\b/);
+
+  if (named) {
+    const month = MONTH_NAMES.findIndex(name => name.startsWith(named[1].slice(0, 3))) + 1;
+    const day = parseInt(named[2]);
+    const year = parseInt(today.slice(0, 4));
+    const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    date = `${monthDay < today.slice(5) ? year + 1 : year}-${monthDay}`;
+    phrase = named[0];
+  } else if (iso) {
+    date = iso[1];
+    phrase = iso[0];
+  } else if (tomorrow) {
+    date = addDays(today, 1);
+    phrase = tomorrow[0];
+  } else {
+    return null;
+  }
+
+  // Reject dates that don't exist ("February 30")
+  const check = new Date(`${date}T00:00:00Z`);
+  if (isNaN(check.getTime()) || check.toISOString().split('T')[0] !== date) return null;
+
+  const dateLabel = check.toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' });
+  return {
+    runAt: `${date}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`,
+    label: `on ${dateLabel} ${at}`,
+    remainder: remainderWithout(phrase, time?.text)
+  };
+}
+
+/**
+ * When a temporary offer runs, from the prompt and its duration (see parseDuration)
+ * With a start time ("at 9pm", "tomorrow at 6:30 am") or an hours-long duration
+ * the offer is an exact window on the property's clock, starting now when no
+ * time is given; a window already over by the time it is asked for moves to the
+ * next day. Otherwise it covers whole nights: the weekend, week or month named,
+ * at most as many nights as a stated length ("this month for 2 days"), or
+ * duration.days nights from the day named (default today).
+ * @param {string} lower - Lower-cased prompt
+ * @param {object} duration - From parseDuration: { hours, days, label }
+ * @returns {object} { startDate, endDate, label, when } - YYYY-MM-DD nights or ISO timestamps;
+ *   label is the offer's length ("3 hours", "next weekend"), when its dates for display
+ */
+function extractOfferWindow(lower, duration) {
+  const time = extractTimeOfDay(lower);
+  const dateRef = parseDateReference(lower);
+
+  // A weekend, week or month is a set of nights whatever the duration says
+  const weekend = lower.match(/\bweekend\b/) ? getNextWeekend() : null;
+  const range = dateRef.type === 'range'
+    ? dateRef
+    : weekend && { startDate: weekend.saturday, endDate: weekend.sunday, label: 'Weekend' };
+  if (range) {
+    // Nights of "this week" or "this month" already gone are left out
+    const startDate = range.startDate < getToday() ? getToday() : range.startDate;
+    let endDate = range.endDate;
+    let label = range.label.toLowerCase();
+    // A length given in days, weeks or months caps the nights; the default duration doesn't
+    if (duration.days > 0 && lower.match(/\b\d+[- ]?(?:days?|weeks?|months?)\b/)) {
+      const lastNight = addDays(startDate, duration.days - 1);
+      if (lastNight < endDate) {
+        endDate = lastNight;
+        label = duration.label;
+      }
+    }
+    return {
+      startDate,
+      endDate,
+      label,
+      when: endDate === startDate
+        ? `the night of ${formatDate(startDate)}`
+        : `nights of ${formatDate(startDate)} – ${formatDate(endDate)}`
+    };
+  }
+
+  if (time || duration.days === 0) {
+    let start = new Date();
+    if (time) {
+      const at = `T${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
+      start = hotelTime(`${dateRef.date}${at}`);
+      const now = new Date();
+      const ended = start.getTime() + duration.hours * 60 * 60 * 1000 <= now.getTime();
+      // "at 9pm" said after 9pm, with no day named, means tomorrow; so does
+      // "today at 1am for 3 hours" said at 5am, as that window is already over
+      if (ended || (start <= now && !lower.match(/\b(today|tomorrow)\b/))) {
+        start = hotelTime(`${addDays(dateRef.date, 1)}${at}`);
+      }
+    }
+    const startDate = start.toISOString();
+    return {
+      startDate,
+      endDate: new Date(start.getTime() + duration.hours * 60 * 60 * 1000).toISOString(),
+      label: duration.label,
+      when: time
+        ? `from ${formatDate(startDate)} at ${formatTimeOfDay(time.hour, time.minute)} for ${duration.label}`
+        : `from now for ${duration.label}`
+    };
+  }
+
+  const lastNight = addDays(dateRef.date, Math.max(duration.days, 1) - 1);
+  return {
+    startDate: dateRef.date,
+    endDate: lastNight,
+    label: duration.label,
+    when: lastNight === dateRef.date
+      ? `the night of ${formatDate(dateRef.date)}`
+      : `nights of ${formatDate(dateRef.date)} – ${formatDate(lastNight)}`
+  };
+}
+
 /**
  * Check if user is asking to see impact analysis
  */
@@ -208,6 +510,11 @@ module.exports = {
   extractPrice,
   extractPercentage,
   parseDuration,
+  extractOfferWindow,
   isMultiplePromotionRequest,
-  isImpactAnalysisRequest
+  isImpactAnalysisRequest,
+  isBacktestRequest,
+  extractStayRestriction,
+  extractChannel,
+  extractSchedule
 };
@@ -0,0 +1,233 @@
+/**
+ * Request Latency Tracker
+ * Request-scoped timing spans for copilot requests
+ *
+ * - latencyMiddleware opens a trace per request (AsyncLocalStorage keeps it
+ *   available to nested service calls without threading it through arguments)
+ * - timeSpan / recordSpan add stage timings to the active trace
+ * - Finished traces are appended to a rolling JSONL file and kept in memory
+ *   for percentile queries
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+
+const LOG_PATH = process.env.LATENCY_LOG_PATH || path.resolve(__dirname, '../data/latency-spans.jsonl');
+const MAX_ENTRIES = parseInt(process.env.LATENCY_LOG_MAX_ENTRIES, 10) || 5000;
+
+const storage = new AsyncLocalStorage();
+
+// Most recent finished traces, oldest first
+let entries = [];
+let entriesOnDisk = 0;
+let writeQueue = Promise.resolve();
+
+/**
+ * Load previously persisted traces so percentiles survive restarts
+ */
+function loadEntries() {
+  try {
+    const lines = fs.readFileSync(LOG_PATH, 'utf8').split('\n').filter(Boolean);
+    entries = lines.slice(-MAX_ENTRIES).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+    entriesOnDisk = lines.length;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[Latency] Failed to load span log:', err.message);
+    }
+    entries = [];
+    entriesOnDisk = 0;
+  }
+}
+
+loadEntries();
+
+/**
+ * Append a finished trace; once the file holds twice the retention limit
+ * it is rewritten with only the retained entries
+ */
+function persistEntry(entry) {
+  writeQueue = writeQueue.then(async () => {
+    try {
+      if (entriesOnDisk >= MAX_ENTRIES * 2) {
+        const retained = entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+        await fs.promises.writeFile(LOG_PATH, retained);
+        entriesOnDisk = entries.length;
+        return;
+      }
+      await fs.promises.appendFile(LOG_PATH, JSON.stringify(entry) + '\n');
+      entriesOnDisk++;
+    } catch (err) {
+      console.error('[Latency] Failed to persist spans:', err.message);
+    }
+  });
+}
+
+/**
+ * Get the trace for the current request, if any
+ * @returns {object|undefined}
+ */
+function getCurrentTrace() {
+  return storage.getStore();
+}
+
+/**
+ * Record a finished span on the active trace (no-op outside a request)
+ * @param {string} stage - Stage name (approvalFlow, actionProposal, systemPrompt, cacheLookup, llm, ...)
+ * @param {number} durationMs - Elapsed time
+ * @param {object} meta - Optional details (cache hit, attempts, ...)
+ */
+function recordSpan(stage, durationMs, meta = undefined) {
+  const trace = storage.getStore();
+  if (!trace) return;
+
+  const span = { stage, ms: Math.round(durationMs * 100) / 100 };
+  if (meta) span.meta = meta;
+  trace.spans.push(span);
+}
+
+/**
+ * Time a sync or async function as a named stage
+ * @param {string} stage - Stage name
+ * @param {function} fn - Work to time
+ * @returns {any} Whatever fn returns (a promise if fn is async)
+ */
+function timeSpan(stage, fn) {
+  if (!storage.getStore()) return fn();
+
+  const start = performance.now();
+  const result = fn();
+
+  if (result && typeof result.then === 'function') {
+    return result.finally(() => recordSpan(stage, performance.now() - start));
+  }
+
+  recordSpan(stage, performance.now() - start);
+  return result;
+}
+
+/**
+ * Express middleware: open a trace for the request and persist it when the response closes
+ */
+function latencyMiddleware(req, res, next) {
+  // Internal re-dispatches (e.g. /llm -> /chat) stay in the outer trace
+  if (storage.getStore()) return next();
+
+  const trace = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    method: req.method,
+    path: (req.originalUrl || req.url).split('?')[0],
+    startedAt: new Date().toISOString(),
+    spans: []
+  };
+  const start = performance.now();
+
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+
+    const entry = {
+      ...trace,
+      status: res.statusCode,
+      totalMs: Math.round((performance.now() - start) * 100) / 100
+    };
+
+    entries.push(entry);
+    if (entries.length > MAX_ENTRIES) {
+      entries = entries.slice(-MAX_ENTRIES);
+    }
+    persistEntry(entry);
+  };
+
+  res.on('finish', finish);
+  res.on('close', finish);
+
+  storage.run(trace, next);
+}
+
+/**
+ * Nearest-rank percentile of a sorted array
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Summarise a list of durations
+ */
+function summarize(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const sum = sorted.reduce((acc, ms) => acc + ms, 0);
+  const round = value => value === null ? null : Math.round(value * 100) / 100;
+
+  return {
+    count: sorted.length,
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    avg: round(sorted.length ? sum / sorted.length : null),
+    max: round(sorted.length ? sorted[sorted.length - 1] : null)
+  };
+}
+
+/**
+ * Per-stage latency percentiles over recent requests
+ * @param {object} options - { limit: most recent N requests, path: only requests whose path contains this }
+ * @returns {object} { requests, from, to, stages: { [stage]: { count, p50, p95, p99, avg, max } } }
+ */
+function getLatencyStats(options = {}) {
+  let selected = entries;
+
+  if (options.path) {
+    selected = selected.filter(e => e.path.includes(options.path));
+  }
+  if (options.limit) {
+    selected = selected.slice(-options.limit);
+  }
+
+  const byStage = { total: [] };
+  for (const entry of selected) {
+    byStage.total.push(entry.totalMs);
+
+    // A stage can run several times per request (e.g. cache lookups); sum them per request
+    const perRequest = {};
+    for (const span of entry.spans) {
+      perRequest[span.stage] = (perRequest[span.stage] || 0) + span.ms;
+    }
+    for (const [stage, ms] of Object.entries(perRequest)) {
+      if (!byStage[stage]) byStage[stage] = [];
+      byStage[stage].push(ms);
+    }
+  }
+
+  const stages = {};
+  for (const [stage, durations] of Object.entries(byStage)) {
+    stages[stage] = summarize(durations);
+  }
+
+  return {
+    requests: selected.length,
+    from: selected[0]?.startedAt || null,
+    to: selected[selected.length - 1]?.startedAt || null,
+    stages
+  };
+}
+
+module.exports = {
+  latencyMiddleware,
+  timeSpan,
+  recordSpan,
+  getCurrentTrace,
+  getLatencyStats,
+  LOG_PATH
+};
@@ -4,14 +4,118 @@
  */
 
 const { calculateOccupancy } = require('./revenueCalculations');
+const { resolveRates, resolveStayRestrictions, listNights } = require('../pricing/rateResolver');
+const { estimateElasticities } = require('../pricing/elasticity');
+const { getCurrentHotel, getCurrentHotelId } = require('../middleware/hotelContext');
+const eventCalendar = require('../services/eventCalendar');
+const actionStore = require('../services/actionStore');
+const { getPropertyPricingConfig, recommendRoomPrice } = require('../pricing/pricingPipeline');
+const { getToday, addDays, formatDate, getHotelTimeZone } = require('./dateUtils');
+
+const RATE_LABELS = { override: 'override', promotion: 'promotion', revert: 'reverted', rule: 'minimum price' };
+
+// Store collections a recommendation reads: rate plans, pricing actions, events and rate shops.
+// Chat history, the approval queue and the logs change every turn and never move a price.
+const PRICING_COLLECTIONS = actionStore.COLLECTIONS.filter(name =>
+  !['proposals', 'sessions', 'messages', 'journal', 'audit', 'competitorAlerts'].includes(name));
+
+// Tonight's recommendation lines per hotel, with the inputs they were priced from
+const recommendedRatesCache = new Map();
+
+/**
+ * Holidays and events from the event calendar, one line each
+ * @returns {Array} e.g. "2025-02-21 to 2025-02-23: Pensacon (localEvent, +20%)"
+ */
+function buildUpcomingEventsSummary(todayISO, days, limit = 8) {
+  const premiums = getPropertyPricingConfig().holidayPremiums;
+
+  return eventCalendar.list({ from: todayISO, to: addDays(todayISO, days) })
+    .slice(0, limit)
+    .map(event => {
+      const dates = event.endDate === event.startDate ? event.startDate : `${event.startDate} to ${event.endDate}`;
+      const premium = event.premium ?? premiums[event.tier] ?? 0;
+      const impact = premium !== 0 ? `, ${premium > 0 ? '+' : ''}${Math.round(premium * 100)}%` : '';
+      const rooms = event.roomTypes.length > 0 ? ` [${event.roomTypes.join(', ')} only]` : '';
+      return `${dates}: ${event.name} (${event.tier === 'none' ? 'no premium' : event.tier}${impact})${rooms}`;
+    });
+}
+
+/**
+ * Effective prices for the next 7 nights where something other than the base price applies
+ * @returns {string} One line per room type, or '' when every night is at base price
+ */
+function buildEffectiveRatesSummary(rooms, actionConfig, todayISO) {
+  const rates = resolveRates({ from: todayISO, to: addDays(todayISO, 6) }, { rooms, config: actionConfig });
+
+  return rates.map(room => {
+    const changed = room.nights.filter(night =>
+      night.provenance.some(step => step.source !== 'base' && step.applied !== false)
+    );
+    if (changed.length === 0) return null;
+
+    const nights = changed.map(night => {
+      const sources = night.provenance
+        .filter(step => step.source !== 'base' && step.applied !== false)
+        .map(step => step.source === 'clamp' ? step.clampType : RATE_LABELS[step.source]);
+      return `${night.date} $${night.price} (${sources.join(' + ')})`;
+    });
+    return `- ${room.roomType} (base $${room.basePrice}): ${nights.join(', ')}`;
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * Tonight's pricing pipeline recommendation per room type - the same prices the dashboard suggests
+ * Pricing every room is too slow for each chat turn, so the lines are kept per hotel
+ * until the day, the loaded data or a pricing collection of the store changes.
+ * @returns {string} One line per room type
+ */
+function buildRecommendedRatesSummary(rooms, competitors, reservations, todayISO) {
+  const hotelId = getCurrentHotelId();
+  const revision = actionStore.revision(PRICING_COLLECTIONS);
+  const cached = recommendedRatesCache.get(hotelId);
+  if (cached && cached.date === todayISO && cached.revision === revision &&
+      cached.competitors === competitors && cached.reservations === reservations) {
+    return cached.summary;
+  }
+
+  const summary = rooms.map(room => {
+    const rec = recommendRoomPrice(room, { competitors, reservations, date: todayISO });
+    return `- ${rec.roomType}: $${rec.currentPrice} → $${rec.suggestedPrice} (${rec.action}, ${rec.priceChange}) - ${rec.reasoning}`;
+  }).join('\n');
+  recommendedRatesCache.set(hotelId, { date: todayISO, revision, competitors, reservations, summary });
+  return summary;
+}
+
+/**
+ * Stay restrictions in force over the next 7 nights
+ * @returns {string} One line per room type, or '' when nothing is restricted
+ */
+function buildStayRestrictionsSummary(rooms, actionConfig, todayISO) {
+  const nights = listNights(todayISO, addDays(todayISO, 6));
+
+  return rooms.map(room => {
+    const roomType = room.room_type || room['Room Type'];
+    const restricted = nights.map(date => {
+      const r = resolveStayRestrictions(roomType, date, actionConfig);
+      const labels = [
+        r.minLOS > 1 ? `min ${r.minLOS} nights` : null,
+        r.maxLOS ? `max ${r.maxLOS} nights` : null,
+        r.closedToArrival ? 'closed to arrival' : null,
+        r.closedToDeparture ? 'closed to departure' : null
+      ].filter(Boolean);
+      return labels.length > 0 ? `${date} (${labels.join(', ')})` : null;
+    }).filter(Boolean);
+    return restricted.length > 0 ? `- ${roomType}: ${restricted.join(', ')}` : null;
+  }).filter(Boolean).join('\n');
+}
 
 /**
  * Build system prompt with hotel context
  */
 function buildSystemPrompt(contextData) {
-  const now = new Date();
-  const todayISO = now.toISOString().split('T')[0];
-  const dateStr = now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+  // Today on the property's calendar, not the server's
+  const todayISO = getToday();
+  const dateStr = formatDate(todayISO, 'long');
 
   const rooms = contextData.rooms || [];
   const reservations = contextData.reservations || [];
@@ -25,6 +129,15 @@ function buildSystemPrompt(contextData) {
     return `${type}: ${total} rooms at $${price} (${occupancy.percentage}% occupancy${occupancy.isHistorical ? ' avg' : ''})`;
   }).join(', ');
 
+  const elasticitySummary = estimateElasticities(reservations, rooms.map(r => r.room_type || r['Room Type']))
+    .map(e => `${e.roomType}: ${e.elasticity} (95% CI ${e.lower} to ${e.upper}${e.source === 'default' ? ', default' : ''})`)
+    .join(', ');
+
+  const hotelName = getCurrentHotel()?.hotelName || 'Lily Hall';
+  const effectiveRates = buildEffectiveRatesSummary(rooms, contextData.actionConfig || {}, todayISO);
+  const stayRestrictions = buildStayRestrictionsSummary(rooms, contextData.actionConfig || {}, todayISO);
+  const recommendedRates = buildRecommendedRatesSummary(rooms, contextData.competitors || [], reservations, todayISO);
+
   const totalRooms = rooms.reduce((sum, r) =>
     sum + (parseInt(r.total_rooms || r['Total Rooms']) || 0), 0) || 33;
 
@@ -80,9 +193,7 @@ function buildSystemPrompt(contextData) {
 
   const upcomingDates = [];
   for (let i = 0; i < 14; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() + i);
-    const dateKey = date.toISOString().split('T')[0];
+    const dateKey = addDays(todayISO, i);
     const dayReservations = reservationsByDate[dateKey] || [];
     if (dayReservations.length > 0) {
       const checkIns = dayReservations.filter(r => r.type === 'check-in').length;
@@ -100,12 +211,12 @@ function buildSystemPrompt(contextData) {
     return `${guest} | ${roomType} | ${checkIn} to ${checkOut} | ${status}`;
   }).join('\n');
 
-  // Get US holidays for pricing context
-  const usHolidays = getUpcomingUSHolidays();
+  // Holidays and local events in the next 90 days, with the premium pricing applies
+  const upcomingEvents = buildUpcomingEventsSummary(todayISO, 90);
 
-  return `You are an AI hotel revenue assistant for Lily Hall Hotel. Connected to LIVE database.
+  return `You are an AI hotel revenue assistant for ${hotelName} Hotel. Connected to LIVE database.
 
-=== TODAY: ${dateStr} (${todayISO}) ===
+=== TODAY: ${dateStr} (${todayISO}, property time zone ${getHotelTimeZone()}) ===
 
 RULES:
 - You HAVE live data access. NEVER say "I don't have access".
@@ -116,108 +227,33 @@ RULES:
 
 ROOMS (${totalRooms} total): ${roomSummary || 'Bernard: 8, LaRua: 6, Santiago: 10, Pilar: 5, Mariana: 4'}
 
-CURRENT STATUS: ${todayCheckIns} check-ins today, ${occupiedToday}/${totalRooms} currently occupied (${Math.round(occupiedToday/totalRooms*100)}%)
+${effectiveRates ? 'EFFECTIVE RATES NEXT 7 NIGHTS (quote these, not base prices, for these nights):\n' + effectiveRates + '\n\n' : ''}${recommendedRates ? 'RECOMMENDED RATES TONIGHT (from the pricing rules - use these when suggesting a price, do not invent one):\n' + recommendedRates + '\n\n' : ''}${stayRestrictions ? 'STAY RESTRICTIONS NEXT 7 NIGHTS (mention these when quoting availability):\n' + stayRestrictions + '\n\n' : ''}${contextData.analysis ? 'ANALYSIS FOR THIS QUESTION (already computed from historical data - report these figures, do not re-estimate):\n' + contextData.analysis + '\n\n' : ''}CURRENT STATUS: ${todayCheckIns} check-ins today, ${occupiedToday}/${totalRooms} currently occupied (${Math.round(occupiedToday/totalRooms*100)}%)
 HISTORICAL AVG OCCUPANCY: ${Math.round(avgOccupancy * 100)}% (use this for future projections)
 
 NEXT 14 DAYS:
 ${upcomingDates.length > 0 ? upcomingDates.join('\n') : 'No scheduled reservations - use historical average ('+Math.round(avgOccupancy * 100)+'%) for projections'}
 
-${usHolidays.length > 0 ? 'UPCOMING US HOLIDAYS:\n' + usHolidays.join('\n') + '\n' : ''}
+${upcomingEvents.length > 0 ? 'UPCOMING HOLIDAYS & EVENTS (premiums are applied by the pricing rules):\n' + upcomingEvents.join('\n') + '\n' : ''}
 RESERVATIONS:
 ${allReservations || 'No current reservations - use historical occupancy data for estimates'}
 
 COMPETITORS: ${competitorSummary || 'Hilton: $225, Margaritaville: $190, Hampton Inn: $165'}
 
 REVENUE PROJECTION FORMULA:
-- For price increase X%: Occupancy decreases by ~1.5X% (demand elasticity)
+- Demand elasticity fitted from booking history: ${elasticitySummary || 'none available, use -1.5'}
+- For price change X%: Projected Occupancy = Current Occupancy × (1 + X/100)^elasticity
 - Projected Revenue = New Price × Rooms × Projected Occupancy × Days
 - Always show 30-day revenue impact
 
-ACTIONS: applyPriceOverride, applyTemporaryPricing, adjustRateClamp, applyPriceIncrease, updateCompetitorDifferential
+ACTIONS: applyPriceOverride, applyTemporaryPricing, adjustRateClamp, setMinLengthOfStay, setMaxLengthOfStay, setClosedToArrival, setClosedToDeparture, applyPriceIncrease, updateCompetitorDifferential
+CHANNELS: applyPriceOverride, applyTemporaryPricing and adjustRateClamp take an optional channel (direct, expedia, booking, airbnb, vrbo...) to price one booking channel only
+SCHEDULING: any of these can run later, once ("start the spring promo on March 1") or recurring ("raise Santiago 10% every Friday at 6pm"), on the property's clock until cancelled
 
 DURATION: "2 weeks" = 14 days, "1 month" = 30 days, "weekend" = 2 days, "flash" = 4 hours
 
 Be concise and data-driven. Always provide specific numbers and estimates.`;
 }
 
-/**
- * Get upcoming US holidays for the next 90 days
- */
-function getUpcomingUSHolidays() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const nextYear = year + 1;
-
-  // Major US holidays with dates
-  const holidays = [
-    { name: "New Year's Day", date: `${nextYear}-01-01` },
-    { name: "Martin Luther King Jr. Day", date: getThirdMonday(nextYear, 0) }, // 3rd Monday of January
-    { name: "Presidents' Day", date: getThirdMonday(nextYear, 1) }, // 3rd Monday of February
-    { name: "Memorial Day", date: getLastMonday(year, 4) }, // Last Monday of May
-    { name: "Independence Day", date: `${year}-07-04` },
-    { name: "Labor Day", date: getFirstMonday(year, 8) }, // 1st Monday of September
-    { name: "Columbus Day", date: getSecondMonday(year, 9) }, // 2nd Monday of October
-    { name: "Veterans Day", date: `${year}-11-11` },
-    { name: "Thanksgiving", date: getFourthThursday(year, 10) }, // 4th Thursday of November
-    { name: "Christmas Eve", date: `${year}-12-24` },
-    { name: "Christmas Day", date: `${year}-12-25` },
-    { name: "New Year's Eve", date: `${year}-12-31` },
-  ];
-
-  const todayISO = now.toISOString().split('T')[0];
-  const futureDate = new Date(now);
-  futureDate.setDate(futureDate.getDate() + 90);
-  const futureISO = futureDate.toISOString().split('T')[0];
-
-  return holidays
-    .filter(h => h.date >= todayISO && h.date <= futureISO)
-    .map(h => `${h.date}: ${h.name}`)
-    .slice(0, 5);
-}
-
-// Helper functions for calculating holiday dates
-function getFirstMonday(year, month) {
-  const date = new Date(year, month, 1);
-  while (date.getDay() !== 1) date.setDate(date.getDate() + 1);
-  return date.toISOString().split('T')[0];
-}
-
-function getSecondMonday(year, month) {
-  const date = new Date(year, month, 1);
-  let count = 0;
-  while (count < 2) {
-    if (date.getDay() === 1) count++;
-    if (count < 2) date.setDate(date.getDate() + 1);
-  }
-  return date.toISOString().split('T')[0];
-}
-
-function getThirdMonday(year, month) {
-  const date = new Date(year, month, 1);
-  let count = 0;
-  while (count < 3) {
-    if (date.getDay() === 1) count++;
-    if (count < 3) date.setDate(date.getDate() + 1);
-  }
-  return date.toISOString().split('T')[0];
-}
-
-function getFourthThursday(year, month) {
-  const date = new Date(year, month, 1);
-  let count = 0;
-  while (count < 4) {
-    if (date.getDay() === 4) count++;
-    if (count < 4) date.setDate(date.getDate() + 1);
-  }
-  return date.toISOString().split('T')[0];
-}
-
-function getLastMonday(year, month) {
-  const date = new Date(year, month + 1, 0); // Last day of month
-  while (date.getDay() !== 1) date.setDate(date.getDate() - 1);
-  return date.toISOString().split('T')[0];
-}
-
 /**
  * Build response text from action proposal
  */
@@ -4,6 +4,7 @@
  */
 
 const { calculateOccupancy, calculateCompetitorAverage, estimateRevenueImpact } = require('./revenueCalculations');
+const { getElasticity } = require('../pricing/elasticity');
 
 /**
  * Build multiple promotional proposals for all rooms
@@ -59,7 +60,7 @@ function buildMultiplePromotionProposals(context = {}) {
       description = `Weekend Boost: ${roomType} $${currentPrice} → $${newPrice} (+5%)`;
     }
 
-    const impact = estimateRevenueImpact(currentPrice, newPrice, occupancy.rate, totalRooms, 30);
+    const impact = estimateRevenueImpact(currentPrice, newPrice, occupancy.rate, totalRooms, 30, getElasticity(reservations, roomType));
 
     proposals.push({
       roomType, promotionType, currentPrice, newPrice,
@@ -87,7 +88,8 @@ function buildMultiplePromotionProposals(context = {}) {
     description: `Apply ${proposals.length} promotional strategies across all room types`,
     reasoning: `Based on current occupancy and competitor analysis, I recommend the following promotions for maximum revenue impact.`,
     proposals, totalRevenueImpact, confidence: 0.85,
-    requiresApproval: false,
+    // Queued like any proposal, so "apply <room>" picks its offer from the queue
+    requiresApproval: true,
     needsImpactAnalysis: true,
     promptForImpact: 'Would you like to see the estimated revenue impact, Occupancy Impact, RevPAR Impact and Risk Assessment for these promotions before applying?'
   };
@@ -135,16 +137,13 @@ function buildPromotionImpactAnalysis(context = {}) {
       reason = `Stable occupancy (${occupancy.percentage}%)`;
     }
 
-    const impact = estimateRevenueImpact(currentPrice, newPrice, occupancy.rate, totalRooms, 30);
-
-    // Price elasticity
+    // Occupancy response from the room type's fitted price elasticity
+    const elasticity = getElasticity(reservations, roomType);
+    const impact = estimateRevenueImpact(currentPrice, newPrice, occupancy.rate, totalRooms, 30, elasticity);
     const priceChange = (newPrice - currentPrice) / currentPrice;
-    const elasticity = -1.5;
-    const occupancyChangePercent = priceChange * elasticity * 100;
-    const projectedOccupancy = Math.min(100, Math.max(0, occupancy.percentage + occupancyChangePercent));
-
-    const projectedDailyRevenue = newPrice * (projectedOccupancy / 100) * totalRooms;
-    const projectedRevenue30Days = projectedDailyRevenue * 30;
+    const projectedOccupancy = impact.projectedOccupancy;
+    const occupancyChangePercent = projectedOccupancy - occupancy.percentage;
+    const projectedRevenue30Days = impact.projectedRevenue;
 
     const currentRevPARRoom = currentPrice * occupancy.rate;
     const projectedRevPARRoom = newPrice * (projectedOccupancy / 100);
@@ -165,6 +164,10 @@ function buildPromotionImpactAnalysis(context = {}) {
       riskFactors.push('Moderate price change (10-15%) may affect bookings');
     }
 
+    if (elasticity.source === 'default' && Math.abs(priceChange) > 0.05) {
+      riskFactors.push('Too little booking history to estimate price sensitivity - occupancy projection uses a rule of thumb');
+    }
+
     if (promotionType === 'flash_sale' && occupancy.percentage > 30) {
       riskFactors.push('Discount on room with moderate occupancy may reduce profit margins');
     }
@@ -183,8 +186,10 @@ function buildPromotionImpactAnalysis(context = {}) {
       percentage: Math.round((newPrice - currentPrice) / currentPrice * 100),
       reason,
       currentOccupancy: occupancy.percentage,
-      projectedOccupancy: Math.round(projectedOccupancy),
+      projectedOccupancy,
+      projectedOccupancyRange: impact.projectedOccupancyRange,
       occupancyChange: Math.round(occupancyChangePercent),
+      elasticity: impact.elasticity,
       currentRevenue30Days: Math.round(currentPrice * occupancy.rate * totalRooms * 30),
       projectedRevenue30Days: Math.round(projectedRevenue30Days),
       revenueImpact: Math.round(impact.revenueDelta),
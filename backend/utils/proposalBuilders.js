@@ -3,9 +3,19 @@
  * Creates specific action proposals for different pricing actions
  */
 
-const { calculateOccupancy, calculateCompetitorAverage, suggestOptimalPrice, estimateRevenueImpact, findUnderperformingRooms } = require('./revenueCalculations');
-const { parseDateReference, formatDate, getToday } = require('./dateUtils');
-const { extractRoomType, extractRoomTypes, extractPrice, extractPercentage, parseDuration } = require('./intentDetection');
+const { calculateOccupancy, calculateCompetitorAverage, estimateRevenueImpact, findUnderperformingRooms } = require('./revenueCalculations');
+const { recommendRoomPrice } = require('../pricing/pricingPipeline');
+const { parseDateReference, formatDate, getToday, getDateFromToday } = require('./dateUtils');
+const { extractRoomType, extractRoomTypes, extractPrice, extractPercentage, parseDuration, extractOfferWindow, extractStayRestriction, extractChannel } = require('./intentDetection');
+const { getElasticity } = require('../pricing/elasticity');
+const { channelName } = require('../pricing/channels');
+
+/**
+ * " on Expedia" when the request names a channel
+ */
+function channelLabel(channel) {
+  return channel ? ` on ${channelName(channel)}` : '';
+}
 
 /**
  * Build price override proposal
@@ -14,6 +24,7 @@ function buildPriceOverrideProposal(lower, rooms, competitors, reservations) {
   const roomType = extractRoomType(lower, rooms);
   const newPrice = extractPrice(lower);
   const dateRef = parseDateReference(lower);
+  const channel = extractChannel(lower);
 
   const room = rooms.find(r => (r.room_type || r['Room Type']) === roomType);
   const currentPrice = room ? parseFloat(room.base_price || room['Base Price'] || 150) : 150;
@@ -22,23 +33,27 @@ function buildPriceOverrideProposal(lower, rooms, competitors, reservations) {
   const occupancy = calculateOccupancy(reservations, roomType, totalRooms, dateRef.date);
   const competitorData = calculateCompetitorAverage(competitors, roomType);
 
-  const targetPrice = newPrice || suggestOptimalPrice(
-    { base_price: currentPrice },
-    occupancy.rate,
-    competitorData.average || currentPrice
-  ).suggestedPrice;
+  // Without an explicit price, suggest the pricing pipeline's price for that night
+  const recommendation = !newPrice && room
+    ? recommendRoomPrice(room, { competitors, reservations, date: dateRef.date })
+    : null;
+  const targetPrice = newPrice || recommendation?.suggestedPrice || currentPrice;
 
-  const impact = estimateRevenueImpact(currentPrice, targetPrice, occupancy.rate, totalRooms, 30);
+  // A single night is priced, so use that weekday's demand response
+  const dayOfWeek = new Date(`${dateRef.date}T00:00:00Z`).getUTCDay();
+  const elasticity = getElasticity(reservations, roomType, isNaN(dayOfWeek) ? null : dayOfWeek);
+  const impact = estimateRevenueImpact(currentPrice, targetPrice, occupancy.rate, totalRooms, 30, elasticity);
 
   return {
     actionName: 'applyPriceOverride',
     parameters: {
       roomId: roomType.toLowerCase().replace(/\s+/g, '-'),
       date: dateRef.date,
-      newPrice: targetPrice
+      newPrice: targetPrice,
+      ...(channel ? { channel } : {})
     },
-    description: `Set ${roomType} to $${targetPrice} on ${dateRef.label}`,
-    reasoning: `Current price: $${currentPrice}. Occupancy: ${occupancy.percentage}%. Competitor avg: $${competitorData.average || 'N/A'}. Projected revenue impact: ${impact.revenueDeltaPct > 0 ? '+' : ''}${impact.revenueDeltaPct}%`,
+    description: `Set ${roomType} to $${targetPrice}${channelLabel(channel)} on ${dateRef.label}`,
+    reasoning: `Current price: $${currentPrice}. Occupancy: ${occupancy.percentage}%. Competitor avg: $${recommendation?.competitorAvg || competitorData.average || 'N/A'}. ${recommendation ? `Pricing rules: ${recommendation.reasoning}. ` : ''}Projected revenue impact: ${impact.revenueDeltaPct > 0 ? '+' : ''}${impact.revenueDeltaPct}% (elasticity ${elasticity.elasticity}, ${elasticity.source})`,
     confidence: newPrice ? 0.9 : 0.75,
     impact: {
       currentPrice,
@@ -62,9 +77,11 @@ function buildTemporaryPricingProposal(lower, rooms, competitors, reservations)
   const explicitPrice = extractPrice(lower);
 
   const duration = parseDuration(lower);
+  const channel = extractChannel(lower);
   void competitors;
 
-  const isDiscount = lower.includes('discount') || lower.includes('off') || lower.includes('decrease') || lower.includes('lower');
+  const isDiscount = lower.includes('discount') || lower.includes('off') || lower.includes('decrease') || lower.includes('lower') ||
+    /\b(promo|promotion|sale)\b/.test(lower);
 
   // Build roomPricing array for all mentioned rooms
   const roomPricing = roomTypes.map(roomType => {
@@ -85,9 +102,9 @@ function buildTemporaryPricingProposal(lower, rooms, competitors, reservations)
     return { roomType, currentPrice, newPrice };
   });
 
-  const now = new Date();
-  const startDate = now.toISOString();
-  const endDate = new Date(now.getTime() + duration.hours * 60 * 60 * 1000).toISOString();
+  // Read on the property's clock: exact windows for timed or hours-long offers, nights otherwise
+  const offerWindow = extractOfferWindow(lower, duration);
+  const { startDate, endDate } = offerWindow;
 
   // Unused: reservations parameter kept for API compatibility
   void reservations;
@@ -95,9 +112,9 @@ function buildTemporaryPricingProposal(lower, rooms, competitors, reservations)
   // Build reason string with duration and percentage if provided
   let reason;
   if (percentage) {
-    reason = `${duration.label} ${percentage}% ${isDiscount ? 'discount' : 'increase'}`;
+    reason = `${offerWindow.label} ${percentage}% ${isDiscount ? 'discount' : 'increase'}`;
   } else {
-    reason = isDiscount ? `${duration.label} flash sale` : `${duration.label} surge pricing`;
+    reason = isDiscount ? `${offerWindow.label} flash sale` : `${offerWindow.label} surge pricing`;
   }
 
   // Build description showing all rooms
@@ -110,15 +127,16 @@ function buildTemporaryPricingProposal(lower, rooms, competitors, reservations)
       roomPricing,
       startDate,
       endDate,
-      reason
+      reason,
+      ...(channel ? { channel } : {})
     },
-    description: `Apply ${reason}: ${roomDescriptions}`,
-    reasoning: `Temporary ${isDiscount ? 'discount' : 'increase'} for ${duration.label} on ${roomTypes.length} room(s): ${roomNamesList}. Will auto-revert after ${duration.label}.`,
+    description: `Apply ${reason}${channelLabel(channel)}: ${roomDescriptions}`,
+    reasoning: `Temporary ${isDiscount ? 'discount' : 'increase'} for ${offerWindow.label} on ${roomTypes.length} room(s): ${roomNamesList}. Runs ${offerWindow.when} (property time), then reverts automatically.`,
     confidence: 0.85,
     impact: {
       rooms: roomTypes,
       roomCount: roomTypes.length,
-      duration: duration.label,
+      duration: offerWindow.label,
       autoRevert: true,
       details: roomPricing
     },
@@ -133,6 +151,7 @@ function buildRateClampProposal(lower, rooms) {
   const roomType = extractRoomType(lower, rooms);
   const price = extractPrice(lower);
   const dateRef = parseDateReference(lower);
+  const channel = extractChannel(lower);
 
   const isFloor = lower.includes('floor') || lower.includes('minimum') || lower.includes('min');
   const clampType = isFloor ? 'floor' : 'ceiling';
@@ -148,15 +167,13 @@ function buildRateClampProposal(lower, rooms) {
     startDate = dateRef.startDate;
     endDate = dateRef.endDate;
   } else {
-    const end = new Date();
-    end.setDate(end.getDate() + 7);
-    endDate = end.toISOString().split('T')[0];
+    endDate = getDateFromToday(7);
   }
 
   return {
     actionName: 'adjustRateClamp',
-    parameters: { roomType, clampType, newValue: clampValue, startDate, endDate },
-    description: `Set ${clampType === 'floor' ? 'minimum' : 'maximum'} price of $${clampValue} for ${roomType}`,
+    parameters: { roomType, clampType, newValue: clampValue, startDate, endDate, ...(channel ? { channel } : {}) },
+    description: `Set ${clampType === 'floor' ? 'minimum' : 'maximum'} price of $${clampValue} for ${roomType}${channelLabel(channel)}`,
     reasoning: `${clampType === 'floor' ? 'Protect revenue with a minimum price' : 'Stay competitive with a price cap'}. Effective ${formatDate(startDate)} to ${formatDate(endDate)}.`,
     confidence: price ? 0.88 : 0.72,
     impact: { clampType, clampValue, currentPrice, dateRange: `${formatDate(startDate)} - ${formatDate(endDate)}` },
@@ -164,6 +181,82 @@ function buildRateClampProposal(lower, rooms) {
   };
 }
 
+const RESTRICTION_ACTIONS = {
+  minLOS: 'setMinLengthOfStay',
+  maxLOS: 'setMaxLengthOfStay',
+  closedToArrival: 'setClosedToArrival',
+  closedToDeparture: 'setClosedToDeparture'
+};
+
+/**
+ * Share of past stays in a room type that a length-of-stay limit would have turned away
+ */
+function staysOutsideLimit(reservations, roomType, restrictionType, nights) {
+  const lengths = reservations
+    .filter(r => (r.room_type || '').split('(')[0].trim() === roomType &&
+      !['cancelled', 'canceled'].includes((r.status || '').toLowerCase()))
+    .map(r => parseInt(r.nights) || Math.round((new Date(r.check_out_date) - new Date(r.check_in_date)) / 86400000))
+    .filter(n => n > 0);
+  if (lengths.length === 0) return null;
+
+  const outside = lengths.filter(n => restrictionType === 'minLOS' ? n < nights : n > nights).length;
+  return Math.round(outside / lengths.length * 100);
+}
+
+/**
+ * Build stay restriction proposal (min/max length of stay, closed to arrival/departure)
+ */
+function buildStayRestrictionProposal(lower, rooms, reservations) {
+  const roomType = extractRoomType(lower, rooms);
+  const { restrictionType, nights: requestedNights, lift } = extractStayRestriction(lower);
+  const dateRef = parseDateReference(lower);
+
+  let startDate = getToday();
+  let endDate = getToday();
+  if (dateRef.type === 'range') {
+    startDate = dateRef.startDate;
+    endDate = dateRef.endDate;
+  } else {
+    endDate = getDateFromToday(7);
+  }
+
+  const isLOS = restrictionType === 'minLOS' || restrictionType === 'maxLOS';
+  // Lifting stores the neutral value; without a number, suggest a 2-night minimum or 14-night maximum
+  const nights = !isLOS ? null
+    : lift ? (restrictionType === 'minLOS' ? 1 : null)
+      : requestedNights || (restrictionType === 'minLOS' ? 2 : 14);
+  const parameters = isLOS
+    ? { roomType, nights, startDate, endDate }
+    : { roomType, startDate, endDate, closed: !lift };
+
+  const lifted = lift || (restrictionType === 'minLOS' && nights === 1);
+  const label = {
+    minLOS: lifted ? 'Remove the minimum stay' : `Require a ${nights}-night minimum stay`,
+    maxLOS: lifted ? 'Remove the maximum stay' : `Cap stays at ${nights} nights`,
+    closedToArrival: lifted ? 'Reopen to arrivals' : 'Close to arrival',
+    closedToDeparture: lifted ? 'Reopen to departures' : 'Close to departure'
+  }[restrictionType];
+  const affectedPct = isLOS && !lifted ? staysOutsideLimit(reservations || [], roomType, restrictionType, nights) : null;
+
+  return {
+    actionName: RESTRICTION_ACTIONS[restrictionType],
+    parameters,
+    description: `${label} for ${roomType}`,
+    reasoning: lifted
+      ? `Accept bookings on these dates without this restriction. Effective ${formatDate(startDate)} to ${formatDate(endDate)}.`
+      : `${isLOS ? 'Applies to stays arriving' : `Stays cannot ${restrictionType === 'closedToArrival' ? 'start' : 'end'}`} from ${formatDate(startDate)} to ${formatDate(endDate)}.` +
+        (affectedPct !== null ? ` ${affectedPct}% of past ${roomType} stays would not have met it.` : ''),
+    confidence: isLOS && !lift && !requestedNights ? 0.7 : 0.85,
+    impact: {
+      restrictionType,
+      value: isLOS ? nights : !lift,
+      dateRange: `${formatDate(startDate)} - ${formatDate(endDate)}`,
+      ...(affectedPct !== null ? { pastStaysAffectedPct: affectedPct } : {})
+    },
+    requiresApproval: true
+  };
+}
+
 /**
  * Build price increase/decrease proposal with full revenue impact analysis
  * Always shows simulation first, then recommendation, then requires approval for action
@@ -202,7 +295,7 @@ function buildPriceIncreaseProposal(lower, rooms, competitors, reservations) {
     const competitorData = calculateCompetitorAverage(competitors, roomType);
 
     // Calculate 30-day revenue impact
-    const impact = estimateRevenueImpact(currentPrice, newPrice, occupancy.rate, totalRooms, 30);
+    const impact = estimateRevenueImpact(currentPrice, newPrice, occupancy.rate, totalRooms, 30, getElasticity(reservations, roomType));
 
     return {
       roomType,
@@ -312,6 +405,39 @@ function buildCompetitorAdjustmentProposal(lower, competitors) {
   };
 }
 
+/**
+ * Wrap a proposal so it runs later, once or on a schedule (see services/scheduledActions)
+ * @param {object} proposal - Proposal built from the prompt without its schedule words
+ * @param {object} schedule - From extractSchedule: { cron | runAt, label }
+ */
+function buildScheduledActionProposal(proposal, schedule) {
+  // Help and analysis responses have nothing to schedule
+  if (!proposal.actionName) return proposal;
+
+  const { actionName, parameters, description } = proposal;
+  const when = schedule.cron
+    ? `Runs ${schedule.label} (property time) until cancelled; each run applies the change again.`
+    : `Runs once ${schedule.label} (property time).`;
+
+  return {
+    actionName: 'scheduleAction',
+    parameters: {
+      actionName,
+      parameters,
+      description,
+      label: schedule.label,
+      ...(schedule.cron ? { cron: schedule.cron } : { runAt: schedule.runAt }),
+      // Dates in the parameters move with each run, relative to now
+      parametersAsOf: new Date().toISOString()
+    },
+    description: `${description}, ${schedule.label}`,
+    reasoning: `${proposal.reasoning}\n\nSCHEDULE\n${when} Prices and dates are worked out from today and move with the run. Cancel it from the scheduled actions list any time before a run.`,
+    confidence: proposal.confidence,
+    impact: { ...proposal.impact, schedule: schedule.label },
+    requiresApproval: true
+  };
+}
+
 /**
  * Build analysis response
  */
@@ -355,7 +481,7 @@ function buildUndoProposal() {
     actionName: 'undoLastAction',
     parameters: {},
     description: 'Undo the last pricing action and revert to previous price.',
-    reasoning: 'This will remove the most recent pricing change and restore the original price.',
+    reasoning: 'This will revert the most recent pricing change still in effect and restore exactly what it replaced. Older actions can be reverted from Action History on the dashboard.',
     impact: { action: 'Revert last change', effect: 'Original price will be restored' },
     requiresApproval: true,
     confirmationMessage: 'Are you sure you want to undo the last pricing action?'
@@ -376,7 +502,10 @@ function buildHelpResponse() {
       'Set Standard Room to $180 tomorrow',
       'Apply 10% discount for 5 hours',
       'Set minimum price of $150 for Deluxe',
+      'Require a 2-night minimum stay for Deluxe this weekend',
+      'Close Standard Room to arrival next Saturday',
       'Increase Executive Suite by 15%',
+      'Raise Executive Suite 10% every Friday at 6pm',
       'Price $20 below competitors',
       'Which rooms are underperforming?'
     ]
@@ -387,8 +516,10 @@ module.exports = {
   buildPriceOverrideProposal,
   buildTemporaryPricingProposal,
   buildRateClampProposal,
+  buildStayRestrictionProposal,
   buildPriceIncreaseProposal,
   buildCompetitorAdjustmentProposal,
+  buildScheduledActionProposal,
   buildAnalysisResponse,
   buildUndoProposal,
   buildHelpResponse
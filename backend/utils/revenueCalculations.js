@@ -3,6 +3,9 @@
  * Clean, reusable business logic for hotel pricing
  */
 
+const { demandMultiplier, DEFAULT_ELASTICITY } = require('../pricing/elasticity');
+const { getToday } = require('./dateUtils');
+
 /**
  * Calculate occupancy rate for a room type
  * @param {Array} reservations - All reservations
@@ -12,7 +15,7 @@
  * @returns {object} Occupancy data
  */
 function calculateOccupancy(reservations, roomType, totalRooms, date = null) {
-  const targetDate = date || new Date().toISOString().split('T')[0];
+  const targetDate = date || getToday();
 
   // First try to get current occupancy for the target date
   const bookedRooms = reservations.filter(r => {
@@ -125,7 +128,7 @@ function calculateCompetitorAverage(competitors, roomType) {
  * @returns {object} Revenue metrics
  */
 function calculateRevenue(reservations, startDate = null, endDate = null) {
-  const start = startDate || new Date().toISOString().split('T')[0];
+  const start = startDate || getToday();
   const end = endDate || start;
 
   const filteredReservations = reservations.filter(r => {
@@ -171,65 +174,6 @@ function calculateRevPAR(adr, occupancyRate) {
   return Math.round(adr * occupancyRate);
 }
 
-/**
- * Suggest optimal price based on occupancy and competition
- * @param {object} room - Room data
- * @param {number} occupancyRate - Current occupancy (0-1)
- * @param {number} competitorAvg - Competitor average price
- * @returns {object} Pricing suggestion
- */
-function suggestOptimalPrice(room, occupancyRate, competitorAvg) {
-  const currentPrice = room.base_price || room['Base Price'] || room.currentPrice || 150;
-  const floorPrice = room.floor_price || room['Floor Price'] || currentPrice * 0.8;
-  const ceilingPrice = room.ceiling_price || room['Ceiling Price'] || currentPrice * 1.3;
-
-  let suggestedPrice = currentPrice;
-  let reasoning = [];
-  let action = 'maintain';
-
-  // High occupancy (>80%) - consider price increase
-  if (occupancyRate > 0.8) {
-    if (currentPrice < competitorAvg * 1.1) {
-      suggestedPrice = Math.min(currentPrice * 1.1, competitorAvg * 1.05, ceilingPrice);
-      reasoning.push(`High occupancy (${Math.round(occupancyRate * 100)}%) supports price increase`);
-      action = 'increase';
-    }
-  }
-  // Low occupancy (<50%) - consider price decrease
-  else if (occupancyRate < 0.5) {
-    if (currentPrice > competitorAvg * 0.95) {
-      suggestedPrice = Math.max(currentPrice * 0.95, competitorAvg * 0.9, floorPrice);
-      reasoning.push(`Low occupancy (${Math.round(occupancyRate * 100)}%) suggests price reduction to stimulate demand`);
-      action = 'decrease';
-    }
-  }
-
-  // Competitor positioning
-  const marketPosition = (currentPrice - competitorAvg) / competitorAvg * 100;
-  if (marketPosition > 15) {
-    reasoning.push(`Currently ${Math.round(marketPosition)}% above market - monitor conversion rates`);
-  } else if (marketPosition < -15) {
-    reasoning.push(`Currently ${Math.abs(Math.round(marketPosition))}% below market - opportunity to increase`);
-  }
-
-  suggestedPrice = Math.round(suggestedPrice);
-  const change = suggestedPrice - currentPrice;
-  const changePct = currentPrice > 0 ? (change / currentPrice) * 100 : 0;
-
-  return {
-    currentPrice,
-    suggestedPrice,
-    change,
-    changePct: Math.round(changePct * 10) / 10,
-    action,
-    reasoning: reasoning.length > 0 ? reasoning.join('. ') : 'Price is appropriately positioned',
-    competitorAvg,
-    occupancyRate: Math.round(occupancyRate * 100),
-    floorPrice: Math.round(floorPrice),
-    ceilingPrice: Math.round(ceilingPrice)
-  };
-}
-
 /**
  * Estimate revenue impact of a price change
  * @param {number} currentPrice - Current price
@@ -237,15 +181,17 @@ function suggestOptimalPrice(room, occupancyRate, competitorAvg) {
  * @param {number} currentOccupancy - Current occupancy rate (0-1)
  * @param {number} totalRooms - Total rooms available
  * @param {number} days - Number of days to project
+ * @param {object} elasticity - Fitted estimate from pricing/elasticity getElasticity (default -1.5)
  * @returns {object} Revenue impact estimate
  */
-function estimateRevenueImpact(currentPrice, newPrice, currentOccupancy, totalRooms, days = 30) {
+function estimateRevenueImpact(currentPrice, newPrice, currentOccupancy, totalRooms, days = 30, elasticity = null) {
   const priceChange = (newPrice - currentPrice) / currentPrice;
+  const estimate = elasticity || { elasticity: DEFAULT_ELASTICITY, lower: DEFAULT_ELASTICITY, upper: DEFAULT_ELASTICITY, source: 'default' };
 
-  // Simple demand elasticity: -1.5% occupancy per 1% price increase
-  const elasticity = -1.5;
-  const occupancyChange = priceChange * elasticity / 100;
-  const newOccupancy = Math.max(0.1, Math.min(0.98, currentOccupancy + (currentOccupancy * occupancyChange)));
+  const project = (e) => Math.max(0.1, Math.min(0.98, currentOccupancy * demandMultiplier(newPrice / currentPrice, e)));
+  const newOccupancy = project(estimate.elasticity);
+  // Either end of the confidence interval gives the occupancy range
+  const occupancyBounds = [project(estimate.lower), project(estimate.upper)];
 
   const currentRevenue = currentPrice * totalRooms * currentOccupancy * days;
   const projectedRevenue = newPrice * totalRooms * newOccupancy * days;
@@ -255,11 +201,21 @@ function estimateRevenueImpact(currentPrice, newPrice, currentOccupancy, totalRo
     currentRevenue: Math.round(currentRevenue),
     projectedRevenue: Math.round(projectedRevenue),
     revenueDelta: Math.round(revenueDelta),
-    revenueDeltaPct: Math.round((revenueDelta / currentRevenue) * 100 * 10) / 10,
+    revenueDeltaPct: currentRevenue > 0 ? Math.round((revenueDelta / currentRevenue) * 100 * 10) / 10 : 0,
     currentOccupancy: Math.round(currentOccupancy * 100),
     projectedOccupancy: Math.round(newOccupancy * 100),
+    projectedOccupancyRange: {
+      low: Math.round(Math.min(...occupancyBounds) * 100),
+      high: Math.round(Math.max(...occupancyBounds) * 100)
+    },
     occupancyDelta: Math.round((newOccupancy - currentOccupancy) * 100),
     priceChange: Math.round(priceChange * 100 * 10) / 10,
+    elasticity: {
+      value: estimate.elasticity,
+      lower: estimate.lower,
+      upper: estimate.upper,
+      source: estimate.source
+    },
     days,
     riskLevel: Math.abs(priceChange) > 0.15 ? 'high' : Math.abs(priceChange) > 0.08 ? 'medium' : 'low'
   };
@@ -291,7 +247,6 @@ module.exports = {
   calculateCompetitorAverage,
   calculateRevenue,
   calculateRevPAR,
-  suggestOptimalPrice,
   estimateRevenueImpact,
   findUnderperformingRooms
 };
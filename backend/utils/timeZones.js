@@ -0,0 +1,122 @@
+/**
+ * Time Zones
+ * Wall-clock conversions for IANA time zones (e.g. "America/Chicago")
+ *
+ * Each property keeps its calendar on its own wall clock (hotel.timezone),
+ * so a night, a schedule or a rate window is read in that zone rather than
+ * in UTC or the server's zone. Offsets come from Intl, so DST changes follow
+ * the runtime's time zone data.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Whether an IANA time zone name is known to this runtime
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {Date|number} instant
+ * @param {string} timeZone - IANA name, e.g. "America/New_York"
+ * @returns {object} { year, month (1-12), day, hour, minute, dayOfWeek (0 = Sunday) }
+ */
+function wallClock(instant, timeZone = 'UTC') {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(instant)).map(p => [p.type, p.value]));
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Milliseconds the zone's wall clock is ahead of UTC at an instant
+ */
+function zoneOffset(ms, timeZone) {
+  const wall = wallClock(ms, timeZone);
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute);
+  return asUtc - (ms - (ms % MINUTE_MS));
+}
+
+/**
+ * Instant at which a time zone's wall clock shows the given fields
+ * Wall times skipped by a DST change land just after the gap; repeated ones take the first.
+ * @param {object} wall - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone = 'UTC') {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // The offsets in force a day either side cover any single DST change
+  const earlier = asUtc - zoneOffset(asUtc - DAY_MS, timeZone);
+  const later = asUtc - zoneOffset(asUtc + DAY_MS, timeZone);
+  const shown = [earlier, later].filter(ms => {
+    const wall = wallClock(ms, timeZone);
+    return wall.day === day && wall.hour === hour && wall.minute === minute;
+  });
+  return new Date(shown.length > 0 ? Math.min(...shown) : earlier);
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) an instant falls on in a time zone
+ */
+function zonedDate(instant, timeZone = 'UTC') {
+  const wall = wallClock(instant, timeZone);
+  return `${wall.year}-${String(wall.month).padStart(2, '0')}-${String(wall.day).padStart(2, '0')}`;
+}
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/;
+
+/**
+ * Instant for "YYYY-MM-DD[THH:MM]" read on a time zone's wall clock, or for a
+ * full ISO timestamp with its own offset
+ * @param {string} value
+ * @param {string} timeZone
+ * @returns {Date|null} null when the value isn't a date
+ */
+function parseZonedDateTime(value, timeZone = 'UTC') {
+  const local = String(value || '').match(LOCAL_DATE_TIME);
+  if (local) {
+    const [, year, month, day, hour = '0', minute = '0'] = local;
+    return zonedTimeToUtc({ year: +year, month: +month, day: +day, hour: +hour, minute: +minute }, timeZone);
+  }
+  const date = new Date(value);
+  return value && !isNaN(date.getTime()) ? date : null;
+}
+
+module.exports = {
+  isValidTimeZone,
+  wallClock,
+  zonedTimeToUtc,
+  zonedDate,
+  parseZonedDateTime
+};
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 /*
-  Simple AI Copilot CLI (heuristic-based)
+  Simple AI Copilot CLI (rule-based, see backend/pricing/pricingPipeline.js)
   - Loads `hotels.json`
   - Explains current prices
   - Analyzes a user prompt and proposes changes
@@ -10,6 +10,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const readline = require('readline');
+const { priceNight, getPropertyPricingConfig } = require('./backend/pricing/pricingPipeline');
 
 const DATA_PATH = path.resolve(__dirname, 'hotels.json');
 
@@ -30,78 +31,18 @@ function analyzePrompt(prompt){
   return 'review';
 }
 
-// Suggest price for a room using heuristics
-// Simple linear regression trainer (gradient descent) to replace heuristic
-function trainModel(data){
-  // features: [1, currentPrice, occupancy, compAvg]
-  const X = [];
-  const y = [];
-  data.forEach(r => {
-    const compAvg = mean(r.competitorPrices);
-    // synthetic target: blend competitor avg and occupancy-driven uplift
-    const target = r.currentPrice + (compAvg - r.currentPrice) * 0.5 + (r.occupancy - 0.6) * r.currentPrice * 0.2;
-    X.push([1, r.currentPrice, r.occupancy, compAvg]);
-    y.push(target);
+// Suggest a price for a room through the backend pricing pipeline (same rules as the dashboard and chat)
+function suggestPrice(room){
+  const priced = priceNight({
+    basePrice: room.currentPrice,
+    competitorAvg: mean(room.competitorPrices) || null,
+    occupancyRate: room.occupancy,
+    config: getPropertyPricingConfig(null, room.currentPrice)
   });
-
-  // initialize weights
-  let w = [0, 0.5, 0.5, 0.2];
-  const lr = 0.0000005; // learning rate tuned for magnitudes
-  const epochs = 5000;
-  for(let it=0; it<epochs; it++){
-    const grads = [0,0,0,0];
-    let loss=0;
-    for(let i=0;i<X.length;i++){
-      const xi = X[i];
-      let pred = 0;
-      for(let j=0;j<w.length;j++) pred += w[j]*xi[j];
-      const err = pred - y[i];
-      loss += err*err;
-      for(let j=0;j<w.length;j++) grads[j] += (2*err*xi[j]);
-    }
-    for(let j=0;j<w.length;j++) w[j] -= lr * grads[j]/X.length;
-    if(loss < 1e-6) break;
-  }
-  return w; // weights
-}
-
-function predictWithModel(w, room){
-  const compAvg = mean(room.competitorPrices);
-  const features = [1, room.currentPrice, room.occupancy, compAvg];
-  let pred = 0;
-  for(let j=0;j<w.length;j++) pred += w[j]*features[j];
-  return pred;
-}
-
-function explainRoom(w, room, intent){
-  const compAvg = mean(room.competitorPrices);
-  const features = { intercept: 1, currentPrice: room.currentPrice, occupancy: room.occupancy, competitorAvg: compAvg };
-  const names = Object.keys(features);
-  const coeffs = w || [0,0,0,0];
-  const contrib = {};
-  let totalAbs = 0;
-  names.forEach((n,i)=>{ const c = coeffs[i]*features[n]; contrib[n] = { value: features[n], contribution: c }; totalAbs += Math.abs(c); });
-  const weights = {};
-  names.forEach(n => { weights[n] = { value: contrib[n].value, contribution: contrib[n].contribution, weight: totalAbs===0?0:contrib[n].contribution/totalAbs }; });
-  const modelPred = predictWithModel(w, room);
-  const rec = suggestPrice(room, intent, w);
-  const signalEntries = Object.entries(weights).map(([k,v])=>({ key:k, weight: Math.abs(v.weight), contrib: v.contribution }));
-  signalEntries.sort((a,b)=>Math.abs(b.contrib)-Math.abs(a.contrib));
-  const top = signalEntries.slice(0,2).map(s => `${s.key}:${(weights[s.key].weight*100).toFixed(0)}%`).join(', ');
-  const reason = `Model $${modelPred.toFixed(2)} — top signals: ${top}`;
-  const reasonSummary = top;
-  return { signals: features, signalWeights: weights, modelPrediction: modelPred, recommendation: rec, reason, reasonSummary };
-}
-
-function suggestPrice(room, intent, modelWeights){
-  const compAvg = mean(room.competitorPrices);
-  let base = modelWeights ? predictWithModel(modelWeights, room) : room.currentPrice;
-  // tiny intent nudge
-  if(intent === 'increase') base = base * 1.05;
-  if(intent === 'decrease') base = base * 0.95;
-  const suggested = Math.max(20, Math.round(base*100)/100);
+  const suggested = priced.finalPrice;
   const deltaPct = ((suggested - room.currentPrice)/room.currentPrice)*100;
-  return { suggested, deltaPct };
+  const reason = priced.adjustments.length > 0 ? priced.adjustments.map(a => a.reason).join('. ') : 'Price is appropriately positioned';
+  return { suggested, deltaPct, reason, adjustments: priced.adjustments, minAllowed: priced.constraints.floor, maxAllowed: priced.constraints.ceiling };
 }
 
 async function loadData(){
@@ -133,26 +74,21 @@ async function main(){
 
   const intent = analyzePrompt(prompt);
   console.log(`\nInterpreted intent: ${intent}\n`);
-  // Train model on current data and Build suggestions
-  const model = trainModel(data);
-
+  // Build suggestions
   const suggestions = data.map(room => {
-    const expl = explainRoom(model, room, intent);
-    const compAvg = mean(room.competitorPrices);
-    const minAllowed = Math.max(20, Math.round(room.currentPrice * 0.8 * 100)/100);
-    const maxAllowed = Math.round(room.currentPrice * 1.25 * 100)/100;
+    const rec = suggestPrice(room);
     return {
       id: room.id,
       name: room.name,
       currentPrice: room.currentPrice,
-      suggested: expl.recommendation.suggested,
-      deltaPct: expl.recommendation.deltaPct,
-      explanation: expl.reason,
-      competitorAvg: compAvg,
+      suggested: rec.suggested,
+      deltaPct: rec.deltaPct,
+      explanation: rec.reason,
+      competitorAvg: mean(room.competitorPrices),
       occupancy: room.occupancy,
-      minAllowed,
-      maxAllowed,
-      signalWeights: expl.signalWeights,
+      minAllowed: rec.minAllowed,
+      maxAllowed: rec.maxAllowed,
+      adjustments: rec.adjustments,
     };
   });
 
@@ -187,7 +123,7 @@ async function main(){
     const auditApprovals = suggestions.map(s => ({ id: s.id, approved: approvals[s.id]||false, suggested: s.suggested }));
     suggestions.forEach(s => {
       if(approvals[s.id]){
-        auditApplied.push({ id: s.id, name: s.name, proposed: s.suggested, approved: true, final: s.suggested, explanation: s.explanation, signalWeights: s.signalWeights, reasonSummary: s.reasonSummary });
+        auditApplied.push({ id: s.id, name: s.name, proposed: s.suggested, approved: true, final: s.suggested, explanation: s.explanation, adjustments: s.adjustments });
       }
     });
     const auditEntry = {
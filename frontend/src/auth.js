@@ -0,0 +1,25 @@
+// Signed-in session. The backend issues a Bearer token on login/signup and
+// checks the user's role before any pricing change.
+const TOKEN_KEY = 'autumnToken';
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function saveSession({ token, user }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem('autumnUser', JSON.stringify(user));
+  localStorage.setItem('autumnAuth', 'true');
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem('autumnUser');
+  localStorage.removeItem('autumnAuth');
+}
+
+// Merge the Authorization header into fetch headers
+export function authHeaders(headers = {}) {
+  const token = getToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
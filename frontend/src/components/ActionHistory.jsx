@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, RotateCcw, RotateCw } from 'lucide-react';
+import { hotelHeaders } from '../hotel';
+import { authHeaders } from '../auth';
+
+const STATUS_STYLES = {
+  applied: 'bg-green-100 text-green-800',
+  reverted: 'bg-gray-100 text-gray-600'
+};
+
+// Journal of applied pricing actions with per-action revert and redo
+export default function ActionHistory({ onChange }) {
+  const [actions, setActions] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  // Revert/redo refused because later actions overlap: { id, kind, conflicts }
+  const [pendingConflict, setPendingConflict] = useState(null);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const res = await fetch('http://localhost:4001/api/copilot/actions/history?limit=20', { headers: hotelHeaders() });
+      const json = await res.json();
+      if (res.ok) setActions(json.actions || []);
+    } catch (err) {
+      console.error('Action history fetch error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHistory();
+    const refreshInterval = setInterval(fetchHistory, 10000);
+    return () => clearInterval(refreshInterval);
+  }, [fetchHistory]);
+
+  const transition = async (action, kind, force = false) => {
+    setBusyId(action.id);
+    setError('');
+    setPendingConflict(null);
+    try {
+      const res = await fetch(`http://localhost:4001/api/copilot/actions/${action.id}/${kind}`, {
+        method: 'POST',
+        headers: authHeaders(hotelHeaders({ 'Content-Type': 'application/json' })),
+        body: JSON.stringify({ force })
+      });
+      const json = await res.json();
+      if (res.status === 409 && json.conflicts?.length > 0) {
+        setPendingConflict({ id: action.id, kind, conflicts: json.conflicts });
+      } else if (!res.ok) {
+        setError([json.error, json.details].filter(Boolean).join(' - '));
+      } else if (onChange) {
+        onChange();
+      }
+      await fetchHistory();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white border rounded-xl p-6 shadow">
+      <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
+        <History size={20} /> Action History
+      </h2>
+
+      {error && <div className="mb-3 text-sm text-red-600">{error}</div>}
+
+      {actions.length === 0 && (
+        <div className="text-center text-gray-400">No actions applied yet</div>
+      )}
+
+      <div className="space-y-3">
+        {actions.map(action => {
+          const kind = action.status === 'applied' ? 'revert' : 'redo';
+          const conflict = pendingConflict?.id === action.id ? pendingConflict : null;
+          return (
+            <div key={action.id} className="border rounded-lg p-3 text-sm">
+              <div className="flex justify-between items-start mb-1">
+                <div className={`font-semibold ${action.status === 'applied' ? 'text-purple-700' : 'text-gray-500 line-through'}`}>
+                  {action.summary}
+                </div>
+                <span className={`text-xs px-2 py-0.5 rounded ${STATUS_STYLES[action.status]}`}>{action.status.toUpperCase()}</span>
+              </div>
+              <div className="text-xs text-gray-500">
+                {new Date(action.createdAt).toLocaleString()}
+                {action.actor && ` • ${action.actor.operatorName}`}
+                {` • ${action.changeCount} record(s)`}
+                {action.rateChanges.map(r => ` • ${r.roomType} base $${r.before} → $${r.after} from ${r.validFrom}`).join('')}
+              </div>
+              {action.history.length > 0 && (
+                <div className="text-xs text-gray-600 mt-1">
+                  {action.history.map(h => `${h.kind === 'revert' ? 'Reverted' : 'Redone'}${h.forced ? ' (forced)' : ''} ${new Date(h.createdAt).toLocaleString()}${h.actor ? ` by ${h.actor.operatorName}` : ''}`).join(' • ')}
+                </div>
+              )}
+              {conflict && (
+                <div className="text-xs text-orange-700 mt-2">
+                  Later actions changed the same rooms and dates:
+                  <ul className="list-disc list-inside">
+                    {conflict.conflicts.map(c => <li key={c.id}>{c.summary}</li>)}
+                  </ul>
+                </div>
+              )}
+              {action.undoable !== false && (
+                <div className="flex gap-2 mt-2">
+                  <button
+                    onClick={() => transition(action, kind, Boolean(conflict))}
+                    disabled={busyId === action.id}
+                    className={`px-3 py-1 rounded font-medium flex items-center gap-1 disabled:opacity-50 ${
+                      conflict ? 'bg-orange-600 text-white hover:bg-orange-700' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                  >
+                    {kind === 'revert' ? <RotateCcw size={14} /> : <RotateCw size={14} />}
+                    {conflict ? `${kind === 'revert' ? 'Revert' : 'Redo'} anyway` : kind === 'revert' ? 'Revert' : 'Redo'}
+                  </button>
+                  {conflict && (
+                    <button
+                      onClick={() => setPendingConflict(null)}
+                      className="px-3 py-1 bg-gray-200 text-gray-700 rounded font-medium hover:bg-gray-300"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
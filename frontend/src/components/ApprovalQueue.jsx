@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { hotelHeaders } from '../hotel';
+import { authHeaders } from '../auth';
+
+const STATUS_STYLES = {
+  proposed: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-100 text-gray-600'
+};
+
+// Proposed actions waiting for sign-off, plus the latest decisions
+export default function ApprovalQueue({ onDecision }) {
+  const [proposals, setProposals] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      const res = await fetch('http://localhost:4001/api/copilot/approvals?limit=20', { headers: hotelHeaders() });
+      const json = await res.json();
+      if (res.ok) setProposals(json.proposals || []);
+    } catch (err) {
+      console.error('Approval queue fetch error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+    const refreshInterval = setInterval(fetchQueue, 10000);
+    return () => clearInterval(refreshInterval);
+  }, [fetchQueue]);
+
+  const decide = async (proposal, decision) => {
+    setBusyId(proposal.id);
+    setError('');
+    try {
+      const res = await fetch(`http://localhost:4001/api/copilot/approvals/${proposal.id}/${decision}`, {
+        method: 'POST',
+        headers: authHeaders(hotelHeaders({ 'Content-Type': 'application/json' })),
+        body: JSON.stringify({})
+      });
+      const json = await res.json();
+      if (!res.ok) {
+        setError([json.error, json.details].filter(Boolean).join(' - '));
+      } else if (json.result && !json.result.success) {
+        setError(`Action failed: ${json.result.message}`);
+      }
+      await fetchQueue();
+      if (json.executed && onDecision) onDecision();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const pending = proposals.filter(p => p.status === 'proposed');
+  const decided = proposals.filter(p => p.status !== 'proposed').slice(0, 5);
+
+  return (
+    <div className="bg-white border rounded-xl p-6 shadow">
+      <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
+        <ShieldCheck size={20} /> Approval Queue
+        {pending.length > 0 && (
+          <span className="text-xs bg-yellow-500 text-white px-2 py-0.5 rounded">{pending.length} waiting</span>
+        )}
+      </h2>
+
+      {error && <div className="mb-3 text-sm text-red-600">{error}</div>}
+
+      {pending.length === 0 && decided.length === 0 && (
+        <div className="text-center text-gray-400">No proposals</div>
+      )}
+
+      <div className="space-y-3">
+        {[...pending, ...decided].map(p => (
+          <div key={p.id} className="border rounded-lg p-3 text-sm">
+            <div className="flex justify-between items-start mb-1">
+              <div className="font-semibold text-purple-700">{p.description || p.actionName}</div>
+              <span className={`text-xs px-2 py-0.5 rounded ${STATUS_STYLES[p.status]}`}>{p.status.toUpperCase()}</span>
+            </div>
+            <div className="text-xs text-gray-500">
+              {new Date(p.createdAt).toLocaleString()}
+              {p.proposedBy && ` • Proposed by ${p.proposedBy.operatorName}`}
+              {` • ${p.approvals.length}/${p.requiredApprovals} approvals`}
+            </div>
+            {p.policyReasons.length > 0 && (
+              <ul className="text-xs text-orange-700 mt-1 list-disc list-inside">
+                {p.policyReasons.map((reason, i) => <li key={i}>{reason}</li>)}
+              </ul>
+            )}
+            {p.approvals.length > 0 && (
+              <div className="text-xs text-gray-600 mt-1">
+                Approved by: {p.approvals.map(a => a.operatorName).join(', ')}
+              </div>
+            )}
+            {p.rejection?.reason && (
+              <div className="text-xs text-red-600 mt-1">{p.rejection.reason}</div>
+            )}
+            {p.status === 'proposed' && (
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={() => decide(p, 'approve')}
+                  disabled={busyId === p.id}
+                  className="px-3 py-1 bg-green-600 text-white rounded font-medium hover:bg-green-700 disabled:opacity-50"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => decide(p, 'reject')}
+                  disabled={busyId === p.id}
+                  className="px-3 py-1 bg-red-600 text-white rounded font-medium hover:bg-red-700 disabled:opacity-50"
+                >
+                  Reject
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { Upload, FileText, CheckCircle, AlertCircle } from 'lucide-react';
+import { hotelHeaders } from '../hotel';
+import { authHeaders } from '../auth';
 
 export default function CSVUpload({ onUploadSuccess }) {
   const [file, setFile] = useState(null);
@@ -38,6 +40,7 @@ export default function CSVUpload({ onUploadSuccess }) {
 
       const response = await fetch('http://localhost:4001/api/upload/reservations', {
         method: 'POST',
+        headers: authHeaders(hotelHeaders()),
         body: formData
       });
 
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { TrendingDown, TrendingUp, AlertTriangle } from 'lucide-react';
+import { hotelHeaders } from '../hotel';
+import { authHeaders } from '../auth';
+
+const KIND_STYLES = {
+  drop: { label: 'RATE DROP', badge: 'bg-red-500', Icon: TrendingDown },
+  rise: { label: 'RATE RISE', badge: 'bg-green-600', Icon: TrendingUp },
+  undercut: { label: 'UNDERCUT', badge: 'bg-orange-500', Icon: AlertTriangle }
+};
+
+// Competitor rate-change alerts from the dashboard payload, each with a one-click proposal
+export default function CompetitorAlerts({ alerts = [], onChange }) {
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const post = async (alert, url) => {
+    setBusyId(alert.id);
+    setError('');
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: authHeaders(hotelHeaders({ 'Content-Type': 'application/json' })),
+        body: JSON.stringify({ prompt: `Approved from competitor alert: ${alert.message}` })
+      });
+      const json = await res.json();
+      if (!res.ok) {
+        setError([json.error, json.details].filter(Boolean).join(' - '));
+      } else if (json.result && !json.result.success) {
+        setError(`Action failed: ${json.result.message}`);
+      }
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const apply = alert => post(alert, `http://localhost:4001/api/copilot/approvals/${alert.proposalId}/approve`);
+  const dismiss = alert => post(alert, `http://localhost:4001/api/competitor-rates/alerts/${alert.id}/dismiss`);
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="bg-white border border-red-200 rounded-xl p-6 shadow">
+      <h2 className="text-xl font-bold mb-4 flex items-center gap-2 text-red-700">
+        <AlertTriangle size={20} /> Competitor Alerts
+        <span className="text-xs bg-red-500 text-white px-2 py-0.5 rounded">{alerts.length} open</span>
+      </h2>
+
+      {error && <div className="mb-3 text-sm text-red-600">{error}</div>}
+
+      <div className="space-y-3">
+        {alerts.map(alert => {
+          const style = KIND_STYLES[alert.kind] || KIND_STYLES.undercut;
+          const canApply = alert.proposalId && alert.proposalStatus === 'proposed';
+          return (
+            <div key={alert.id} className="border rounded-lg p-3 text-sm">
+              <div className="flex justify-between items-start mb-1">
+                <div className="font-semibold text-gray-800 flex items-center gap-2">
+                  <style.Icon size={16} /> {alert.message}
+                </div>
+                <span className={`text-xs text-white px-2 py-0.5 rounded ${style.badge}`}>{style.label}</span>
+              </div>
+              <div className="text-xs text-gray-500">
+                {alert.competitor} ${alert.previousPrice ?? '—'} → ${alert.price} • Our {alert.roomType} rate ${alert.ourRate}
+                {` • Weight ${Math.round(alert.weight * 100)}%`}
+                {` • Seen ${new Date(alert.observedAt).toLocaleString()}`}
+              </div>
+              {alert.proposal && (
+                <div className="text-xs text-purple-700 mt-1">
+                  Suggested: {alert.proposal.description}
+                  {alert.proposalStatus !== 'proposed' && ` (${alert.proposalStatus})`}
+                </div>
+              )}
+              <div className="flex gap-2 mt-2">
+                {canApply && (
+                  <button
+                    onClick={() => apply(alert)}
+                    disabled={busyId === alert.id}
+                    className="px-3 py-1 bg-green-600 text-white rounded font-medium hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Apply
+                  </button>
+                )}
+                <button
+                  onClick={() => dismiss(alert)}
+                  disabled={busyId === alert.id}
+                  className="px-3 py-1 bg-gray-200 text-gray-700 rounded font-medium hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
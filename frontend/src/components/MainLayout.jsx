@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { clearSession } from '../auth';
 
 export default function MainLayout({ children }) {
   const [sidebarOpen, setSidebarOpen] = useState(true);
@@ -9,8 +10,7 @@ export default function MainLayout({ children }) {
   const user = JSON.parse(localStorage.getItem('autumnUser') || '{}');
 
   const handleLogout = () => {
-    localStorage.removeItem('autumnAuth');
-    localStorage.removeItem('autumnUser');
+    clearSession();
     navigate('/auth');
   };
 
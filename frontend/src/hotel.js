@@ -0,0 +1,21 @@
+// Selected property. The backend scopes every /api request by the X-Hotel-Id
+// header and falls back to the default property when it is missing.
+const STORAGE_KEY = 'autumnHotelId';
+
+export function getHotelId() {
+  return localStorage.getItem(STORAGE_KEY);
+}
+
+export function setHotelId(hotelId) {
+  if (hotelId) {
+    localStorage.setItem(STORAGE_KEY, hotelId);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+// Merge the hotel header into fetch headers
+export function hotelHeaders(headers = {}) {
+  const hotelId = getHotelId();
+  return hotelId ? { ...headers, 'X-Hotel-Id': hotelId } : headers;
+}
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { Eye, EyeOff } from 'lucide-react';
+import { saveSession } from '../auth';
 
 export default function Auth({ initialMode = 'signup' }) {
   const navigate = useNavigate();
@@ -67,59 +68,31 @@ export default function Auth({ initialMode = 'signup' }) {
 
     setIsSubmitting(true);
 
-    // Simulated auth flow (local-only)
-    setTimeout(() => {
-      if (mode === 'signup') {
-        // Signup: save new user with name
-        const userProfile = {
-          firstName: formData.firstName,
-          lastName: formData.lastName,
-          email: formData.email.toLowerCase(), // Normalize email to lowercase
-          createdAt: new Date().toISOString()
-        };
-        localStorage.setItem('autumnUser', JSON.stringify(userProfile));
-
-        // Also add to users array so they can be found on next login
-        const allUsers = JSON.parse(localStorage.getItem('autumnUsers') || '[]');
-
-        // Check if user already exists (prevent duplicates)
-        const existingIndex = allUsers.findIndex(u => u.email.toLowerCase() === userProfile.email.toLowerCase());
-        if (existingIndex >= 0) {
-          // Update existing user instead of creating duplicate
-          allUsers[existingIndex] = userProfile;
-        } else {
-          // Add new user
-          allUsers.push(userProfile);
-        }
-        localStorage.setItem('autumnUsers', JSON.stringify(allUsers));
-      } else {
-        // Login: retrieve existing user by email and update lastLoginAt (case-insensitive)
-        const allUsers = JSON.parse(localStorage.getItem('autumnUsers') || '[]');
-        const existingUser = allUsers.find(u => u.email.toLowerCase() === formData.email.toLowerCase());
-
-        if (existingUser) {
-          existingUser.lastLoginAt = new Date().toISOString();
-          localStorage.setItem('autumnUser', JSON.stringify(existingUser));
-          localStorage.setItem('autumnUsers', JSON.stringify(allUsers));
-        } else {
-          // User doesn't exist in our records - create minimal profile
-          const userProfile = {
-            firstName: 'User',
-            lastName: '',
-            email: formData.email.toLowerCase(),
-            createdAt: new Date().toISOString(),
-            lastLoginAt: new Date().toISOString()
-          };
-          localStorage.setItem('autumnUser', JSON.stringify(userProfile));
-          allUsers.push(userProfile);
-          localStorage.setItem('autumnUsers', JSON.stringify(allUsers));
-        }
+    try {
+      const endpoint = mode === 'signup' ? 'signup' : 'login';
+      const body = mode === 'signup'
+        ? formData
+        : { email: formData.email, password: formData.password };
+
+      const response = await fetch(`http://localhost:4001/api/auth/${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setErrors({ form: data.error || 'Authentication failed' });
+        return;
       }
 
-      localStorage.setItem('autumnAuth', 'true');
-      setIsSubmitting(false);
+      saveSession(data);
       navigate('/chat', { replace: true });
-    }, 800);
+    } catch (err) {
+      setErrors({ form: 'Could not reach the server. Please try again.' });
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
   return (
@@ -274,6 +247,10 @@ export default function Auth({ initialMode = 'signup' }) {
               </div>
             </div>
 
+            {errors.form && (
+              <span style={styles.errorText}>{errors.form}</span>
+            )}
+
             {/* Submit Button */}
             <div style={styles.submitSection}>
               <button
@@ -12,6 +12,8 @@ import {
   LogOut,
   RefreshCw
 } from 'lucide-react';
+import { hotelHeaders } from '../hotel';
+import { clearSession } from '../auth';
 
 export default function CalendarPage() {
   const navigate = useNavigate();
@@ -24,7 +26,9 @@ export default function CalendarPage() {
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [user, setUser] = useState(null);
-  const [overrides, setOverrides] = useState([]);
+  const [rates, setRates] = useState({}); // { [roomType]: { [YYYY-MM-DD]: night } } from /api/pricing/rates
+  const [events, setEvents] = useState([]); // Holidays and local events from /api/events
+  const [availability, setAvailability] = useState({}); // { [roomType]: { [YYYY-MM-DD]: night } } from /api/availability
   const [viewMode, setViewMode] = useState('month'); // 'month' or 'day'
   const [selectedDayDate, setSelectedDayDate] = useState(null); // For day view
 
@@ -53,8 +57,7 @@ export default function CalendarPage() {
   }, []);
 
   const handleLogout = () => {
-    localStorage.removeItem('autumnUser');
-    localStorage.removeItem('autumnAuth');
+    clearSession();
     navigate('/');
   };
 
@@ -64,14 +67,14 @@ export default function CalendarPage() {
         // Fetch rooms data - try both endpoints
         let roomsData = [];
         try {
-          const roomsRes = await fetch('http://localhost:4001/api/copilot/rooms');
+          const roomsRes = await fetch('http://localhost:4001/api/copilot/rooms', { headers: hotelHeaders() });
           const roomsJson = await roomsRes.json();
           // Handle both array response and object with rooms property
           roomsData = Array.isArray(roomsJson) ? roomsJson : (roomsJson.rooms || roomsJson.data || []);
         } catch (e) {
           // Fallback to /api/rooms
           try {
-            const roomsRes = await fetch('http://localhost:4001/api/rooms');
+            const roomsRes = await fetch('http://localhost:4001/api/rooms', { headers: hotelHeaders() });
             const roomsJson = await roomsRes.json();
             roomsData = Array.isArray(roomsJson) ? roomsJson : (roomsJson.rooms || roomsJson.data || []);
           } catch (e2) {
@@ -102,24 +105,10 @@ export default function CalendarPage() {
 
         console.log('Room list created:', roomList.length, 'rooms');
         
-        // Fetch price overrides
-        let overridesData = [];
-        try {
-          const overridesRes = await fetch('http://localhost:4001/api/copilot/actions/config');
-          const overridesJson = await overridesRes.json();
-          // Handle different response structures
-          overridesData = overridesJson.data?.overrides || overridesJson.overrides || [];
-          console.log('Loaded overrides:', overridesData.length);
-        } catch (e) {
-          console.log('Overrides API not available:', e);
-          overridesData = [];
-        }
-        setOverrides(overridesData);
-
         // Fetch reservations data
         let reservationsRes, reservationsData = [];
         try {
-          reservationsRes = await fetch('http://localhost:4001/api/copilot/reservations');
+          reservationsRes = await fetch('http://localhost:4001/api/copilot/reservations', { headers: hotelHeaders() });
           const resData = await reservationsRes.json();
           reservationsData = resData.data || (Array.isArray(resData) ? resData : []);
         } catch (e) {
@@ -231,6 +220,99 @@ export default function CalendarPage() {
     return () => window.removeEventListener('focus', handleFocus);
   }, []);
 
+  // Effective nightly rates for the visible month (overrides, promotions, clamps already applied)
+  const visibleDate = viewMode === 'day' ? (selectedDayDate || currentDate) : currentDate;
+  const ratesFrom = new Date(visibleDate.getFullYear(), visibleDate.getMonth(), 1).toISOString().split('T')[0];
+  const ratesTo = new Date(visibleDate.getFullYear(), visibleDate.getMonth() + 1, 0).toISOString().split('T')[0];
+
+  useEffect(() => {
+    const loadRates = async () => {
+      try {
+        const ratesRes = await fetch(`http://localhost:4001/api/pricing/rates?from=${ratesFrom}&to=${ratesTo}`, { headers: hotelHeaders() });
+        const ratesJson = await ratesRes.json();
+        const byRoom = {};
+        (ratesJson.rates || []).forEach(room => {
+          byRoom[room.roomType.toLowerCase()] = Object.fromEntries(room.nights.map(n => [n.date, n]));
+        });
+        console.log('Loaded rates:', ratesFrom, '→', ratesTo);
+        setRates(byRoom);
+      } catch (e) {
+        console.log('Rates API not available:', e);
+        setRates({});
+      }
+    };
+
+    loadRates();
+    window.addEventListener('focus', loadRates);
+    return () => window.removeEventListener('focus', loadRates);
+  }, [ratesFrom, ratesTo]);
+
+  // Holidays and local events for the visible month (same calendar the pricing rules use)
+  useEffect(() => {
+    const loadEvents = async () => {
+      try {
+        const eventsRes = await fetch(`http://localhost:4001/api/events?from=${ratesFrom}&to=${ratesTo}`, { headers: hotelHeaders() });
+        const eventsJson = await eventsRes.json();
+        setEvents(eventsJson.events || []);
+      } catch (e) {
+        console.log('Events API not available:', e);
+        setEvents([]);
+      }
+    };
+
+    loadEvents();
+    window.addEventListener('focus', loadEvents);
+    return () => window.removeEventListener('focus', loadEvents);
+  }, [ratesFrom, ratesTo]);
+
+  // Rooms left to sell, holds and overbooking allowance for the visible month
+  useEffect(() => {
+    const loadAvailability = async () => {
+      try {
+        const availabilityRes = await fetch(`http://localhost:4001/api/availability?from=${ratesFrom}&to=${ratesTo}`, { headers: hotelHeaders() });
+        const availabilityJson = await availabilityRes.json();
+        const byRoom = {};
+        (availabilityJson.roomTypes || []).forEach(room => {
+          byRoom[room.roomType.toLowerCase()] = Object.fromEntries(room.nights.map(n => [n.date, n]));
+        });
+        setAvailability(byRoom);
+      } catch (e) {
+        console.log('Availability API not available:', e);
+        setAvailability({});
+      }
+    };
+
+    loadAvailability();
+    window.addEventListener('focus', loadAvailability);
+    return () => window.removeEventListener('focus', loadAvailability);
+  }, [ratesFrom, ratesTo]);
+
+  const getAvailability = (roomType, date) => {
+    const dateStr = date.toISOString().split('T')[0];
+    return availability[mapToHotelRoomType(roomType).toLowerCase()]?.[dateStr] || null;
+  };
+
+  // e.g. "3 left of 8 · 2 out of order · 1 blocked · overbook +1"
+  const describeAvailability = (night) => {
+    const parts = [`${night.available} left of ${night.totalRooms}`];
+    if (night.outOfOrder > 0) parts.push(`${night.outOfOrder} out of order`);
+    if (night.blocked > 0) parts.push(`${night.blocked} blocked`);
+    if (night.oversold > 0) parts.push(`${night.oversold} oversold`);
+    if (night.overbooking?.allowance > 0) parts.push(`overbook +${night.overbooking.allowance}`);
+    return parts.join(' · ');
+  };
+
+  const getEventsOnDate = (date) => {
+    const dateStr = date.toISOString().split('T')[0];
+    return events.filter(e => e.startDate <= dateStr && e.endDate >= dateStr);
+  };
+
+  // e.g. "Pensacon (+20%)"
+  const describeEvent = (event) => {
+    const pct = Math.round(event.effectivePremium * 100);
+    return pct !== 0 ? `${event.name} (${pct > 0 ? '+' : ''}${pct}%)` : event.name;
+  };
+
   const isDateInRange = (date, checkIn, checkOut) => {
     return date >= checkIn && date < checkOut;
   };
@@ -260,43 +342,54 @@ export default function CalendarPage() {
     return ROOM_TYPE_MAP[normalized] || input;
   };
 
-  const roomTypesMatch = (type1, type2) => {
-    if (!type1 || !type2) return false;
-    const hotel1 = mapToHotelRoomType(type1).toLowerCase();
-    const hotel2 = mapToHotelRoomType(type2).toLowerCase();
-    return hotel1 === hotel2;
-  };
-
-  // Helper to get override price for a room type and date (YYYY-MM-DD)
-  // Returns { price, isTemporary } or null
+  // Helper to get the resolved price for a room type and date
+  // Returns { price, isTemporary, tempOfferId, provenance } or null when the base price applies
   const getOverridePrice = (roomType, date) => {
     const dateStr = date.toISOString().split('T')[0];
+    const night = rates[mapToHotelRoomType(roomType).toLowerCase()]?.[dateStr];
+    if (!night) return null;
 
-    // Filter all matching overrides for this room type and date
-    const matchingOverrides = overrides.filter(o => {
-      if (o.date !== dateStr) return false;
-      // Check mappedRoomType first (more reliable), then fall back to roomId matching
-      if (o.mappedRoomType) {
-        return o.mappedRoomType.toLowerCase() === roomType.toLowerCase();
-      }
-      if (!o.roomId) return false;
-      return roomTypesMatch(o.roomId, roomType);
-    });
-
-    // Get the latest override by timestamp
-    if (matchingOverrides.length === 0) return null;
+    // Only the base step, or clamps that didn't bind - nothing to highlight
+    const changed = night.provenance.some(step => step.source !== 'base' && step.applied !== false);
+    if (!changed) return null;
 
-    const found = matchingOverrides.sort((a, b) =>
-      new Date(b.timestamp || 0) - new Date(a.timestamp || 0)
-    )[0];
+    const promotion = night.provenance.find(step => step.source === 'promotion');
 
     return {
-      price: found.newPrice,
-      isTemporary: found.isTemporary || false,
-      tempOfferId: found.tempOfferId || null
+      price: night.price,
+      isTemporary: night.isTemporary,
+      tempOfferId: promotion?.tempOfferId || null,
+      provenance: night.provenance
     };
   };
 
+  // One-line explanation of how a night's price was produced, e.g. "Base $150 → Promotion $120 → Floor $130"
+  const describeProvenance = (provenance = []) => {
+    const labels = { base: 'Base', override: 'Override', promotion: 'Promotion', revert: 'Reverted', rule: 'Minimum' };
+    return provenance
+      .filter(step => step.applied !== false)
+      .map(step => {
+        const label = step.source === 'clamp' ? (step.clampType === 'floor' ? 'Floor' : 'Ceiling') : labels[step.source] || step.source;
+        return `${label} $${step.price}`;
+      })
+      .join(' → ');
+  };
+
+  // Short label for the stay restrictions on a night, e.g. "Min 2 · CTA", or null when there are none
+  const getStayRestrictionLabel = (roomType, date) => {
+    const dateStr = date.toISOString().split('T')[0];
+    const restrictions = rates[mapToHotelRoomType(roomType).toLowerCase()]?.[dateStr]?.restrictions;
+    if (!restrictions) return null;
+
+    const labels = [
+      restrictions.minLOS > 1 && `Min ${restrictions.minLOS}`,
+      restrictions.maxLOS && `Max ${restrictions.maxLOS}`,
+      restrictions.closedToArrival && 'CTA',
+      restrictions.closedToDeparture && 'CTD'
+    ].filter(Boolean);
+    return labels.length > 0 ? labels.join(' · ') : null;
+  };
+
   const getRoomStatus = (roomType, date) => {
     // Mark 2 demo cells as Dirty
     if (dirtyCells.includes(roomType + '-' + date.toDateString())) return 'Dirty';
@@ -521,19 +614,56 @@ export default function CalendarPage() {
                   Room
                 </div>
                 <div className="flex flex-1">
-                  {calendarDates.map((date, idx) => (
-                    <div
-                      key={idx}
-                      className={`flex-1 min-w-20 px-2 py-3 text-center text-xs font-semibold border-r border-gray-200 ${
-                        date.toDateString() === today.toDateString()
-                          ? 'bg-purple-100 text-purple-900'
-                          : 'bg-gray-50 text-gray-700'
-                      }`}
-                    >
-                      <div className="font-medium">{date.toLocaleDateString('en-US', { weekday: 'short' })}</div>
-                      <div className="text-xs mt-1">{date.getDate()}</div>
-                    </div>
-                  ))}
+                  {calendarDates.map((date, idx) => {
+                    const dayEvents = getEventsOnDate(date);
+                    return (
+                      <div
+                        key={idx}
+                        className={`flex-1 min-w-20 px-2 py-3 text-center text-xs font-semibold border-r border-gray-200 ${
+                          date.toDateString() === today.toDateString()
+                            ? 'bg-purple-100 text-purple-900'
+                            : dayEvents.length > 0 ? 'bg-amber-50 text-gray-700' : 'bg-gray-50 text-gray-700'
+                        }`}
+                        title={dayEvents.length > 0 ? dayEvents.map(describeEvent).join('\n') : undefined}
+                      >
+                        <div className="font-medium">{date.toLocaleDateString('en-US', { weekday: 'short' })}</div>
+                        <div className="text-xs mt-1">{date.getDate()}</div>
+                        {dayEvents.length > 0 && (
+                          <div className="text-[10px] font-normal text-amber-700 truncate mt-1">{dayEvents[0].name}</div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {/* Rooms left to sell per night for the filtered room types */}
+              <div className="flex border-b border-gray-200 bg-gray-50">
+                <div className="w-24 px-3 py-2 text-xs font-semibold text-gray-700 border-r border-gray-200 flex-shrink-0">
+                  Left to sell
+                </div>
+                <div className="flex flex-1">
+                  {calendarDates.map((date, idx) => {
+                    const nights = roomTypes
+                      .filter(t => t !== 'All' && (roomFilter === 'All' || t === roomFilter))
+                      .map(t => ({ roomType: t, night: getAvailability(t, date) }))
+                      .filter(n => n.night);
+                    const left = nights.reduce((sum, n) => sum + n.night.available, 0);
+                    const allowance = nights.reduce((sum, n) => sum + (n.night.overbooking?.allowance || 0), 0);
+                    const oversold = nights.some(n => n.night.oversold > 0);
+                    return (
+                      <div
+                        key={idx}
+                        className={`flex-1 min-w-20 px-2 py-2 text-center text-[11px] border-r border-gray-200 ${
+                          oversold ? 'text-red-700 font-semibold' : left === 0 ? 'text-gray-400' : 'text-gray-700'
+                        }`}
+                        title={nights.map(n => `${n.roomType}: ${describeAvailability(n.night)}`).join('\n') || undefined}
+                      >
+                        {nights.length > 0 ? left : '–'}
+                        {allowance > 0 && <span className="ml-1 text-[9px] text-purple-700">+{allowance} OB</span>}
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
 
@@ -595,13 +725,24 @@ export default function CalendarPage() {
                               }
 
                               return (
-                                <div className={`text-[11px] font-semibold mb-0.5 ${priceColor}`}>
+                                <div
+                                  className={`text-[11px] font-semibold mb-0.5 ${priceColor}`}
+                                  title={!isLocked && override ? describeProvenance(override.provenance) : undefined}
+                                >
                                   ${price}
                                   {isLocked && <span className="ml-1 text-[9px]">🔒</span>}
                                   {isTemporary && <span className="ml-1 text-[9px]" title="Temporary pricing">⏱</span>}
                                 </div>
                               );
                             })()}
+                            {(() => {
+                              const restrictionLabel = getStayRestrictionLabel(room.type, date);
+                              return restrictionLabel && (
+                                <div className="text-[9px] font-medium text-red-600 mb-0.5" title="Stay restrictions (CTA: closed to arrival, CTD: closed to departure)">
+                                  {restrictionLabel}
+                                </div>
+                              );
+                            })()}
                             {booking && (
                               <button
                                 onClick={() => setSelectedBooking(booking)}
@@ -638,6 +779,19 @@ export default function CalendarPage() {
                   })}
                 </h2>
                 <p className="text-gray-500 mt-1">Room Availability by Type</p>
+                {getEventsOnDate(selectedDayDate || currentDate).length > 0 && (
+                  <div className="mt-3 flex flex-wrap justify-center gap-2">
+                    {getEventsOnDate(selectedDayDate || currentDate).map(event => (
+                      <span
+                        key={event.id}
+                        className="text-xs px-2 py-1 rounded-full bg-amber-100 text-amber-800"
+                        title={event.roomTypes.length > 0 ? `Only ${event.roomTypes.join(', ')}` : 'All room types'}
+                      >
+                        {describeEvent(event)}
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
 
               <div className="space-y-6">
@@ -649,6 +803,8 @@ export default function CalendarPage() {
                   const override = getOverridePrice(roomType, dayDate);
                   const basePrice = roomsOfType[0]?.price || 0;
                   const effectivePrice = override ? override.price : basePrice;
+                  const restrictionLabel = getStayRestrictionLabel(roomType, dayDate);
+                  const inventory = getAvailability(roomType, dayDate);
 
                   // Count stats for this room type
                   const available = roomsOfType.filter(r => getRoomStatus(r.type, dayDate) === 'Available').length;
@@ -665,10 +821,30 @@ export default function CalendarPage() {
                             <span className="text-green-600">● {available} Available</span>
                             <span className="text-orange-600">● {booked} Booked</span>
                             <span className="text-blue-600">● {occupied} Occupied</span>
+                            {restrictionLabel && (
+                              <span
+                                className="px-2 py-0.5 rounded-full bg-red-50 text-red-700 text-xs font-medium"
+                                title="Stay restrictions (CTA: closed to arrival, CTD: closed to departure)"
+                              >
+                                {restrictionLabel}
+                              </span>
+                            )}
                           </div>
+                          {inventory && (
+                            <div
+                              className={`mt-1 text-xs ${inventory.oversold > 0 ? 'text-red-700 font-semibold' : 'text-gray-600'}`}
+                              title={inventory.overbooking ? `${Math.round(inventory.overbooking.showProbability * 100)}% of bookings expected to arrive; ${Math.round(inventory.overbooking.walkRisk * 100)}% chance of walking a guest at the sell limit` : undefined}
+                            >
+                              {describeAvailability(inventory)}
+                              {inventory.overbooking && ` · sell up to ${inventory.overbooking.sellLimit}`}
+                            </div>
+                          )}
                         </div>
                         <div className="text-right">
-                          <div className={`text-2xl font-bold ${override?.isTemporary ? 'text-orange-600' : 'text-purple-700'}`}>
+                          <div
+                            className={`text-2xl font-bold ${override?.isTemporary ? 'text-orange-600' : 'text-purple-700'}`}
+                            title={override ? describeProvenance(override.provenance) : undefined}
+                          >
                             ${effectivePrice}
                             {override?.isTemporary && <span className="ml-1 text-sm">⏱</span>}
                           </div>
@@ -1,23 +1,110 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Mic, Send, LogOut, Settings, Calendar, LayoutDashboard, MessageSquare, ChevronLeft, ChevronRight, Plus, Trash2 } from 'lucide-react';
+import { hotelHeaders } from '../hotel';
+import { authHeaders, clearSession } from '../auth';
+
+// Read a text/event-stream response, calling onEvent(name, data) for each event
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      let eventName = 'message';
+      let data = '';
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (!data) continue;
+      try {
+        onEvent(eventName, JSON.parse(data));
+      } catch (err) {
+        console.error('Malformed stream event:', data);
+      }
+    }
+  }
+}
+
+const SESSIONS_URL = 'http://localhost:4001/api/copilot/sessions';
+const COMPETITOR_ALERTS_URL = 'http://localhost:4001/api/competitor-rates/alerts';
+const ALERT_POLL_MS = 60000;
+
+// Pending proposal of a stored session, in the shape the chat's approval card expects
+function toPendingAction(proposal) {
+  if (!proposal) return null;
+  return {
+    actionName: proposal.actionName,
+    parameters: proposal.parameters,
+    description: proposal.description,
+    proposalId: proposal.id,
+    requiredApprovals: proposal.requiredApprovals,
+    policyReasons: proposal.policyReasons
+  };
+}
 
 export default function Chat() {
   const navigate = useNavigate();
   const [input, setInput] = useState('');
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [streaming, setStreaming] = useState(false); // True once the first token has arrived
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [pendingAction, setPendingAction] = useState(null);
   const [user, setUser] = useState(null);
-  const [chatSessions, setChatSessions] = useState([]); // Store all chat sessions by date
-  const [currentSessionId, setCurrentSessionId] = useState(null); // Track current session
+  const [chatSessions, setChatSessions] = useState([]); // Sessions stored on the server, newest first
+  const [currentSessionId, setCurrentSessionId] = useState(null); // Null until the first message starts a session
+  const [sessionRestored, setSessionRestored] = useState(false); // Alerts wait until the last conversation is back
   const messagesEndRef = useRef(null);
   const recognitionRef = useRef(null);
   const [isRecording, setIsRecording] = useState(false);
   const [isSpeechSupported, setIsSpeechSupported] = useState(false);
 
-  // Load user details and chat sessions from localStorage on mount
+  // Session list from the server (only signed-in users have one)
+  const fetchSessions = async () => {
+    try {
+      const res = await fetch(SESSIONS_URL, { headers: authHeaders(hotelHeaders()) });
+      const data = await res.json();
+      if (res.ok) {
+        setChatSessions(data.sessions || []);
+        return data.sessions || [];
+      }
+    } catch (err) {
+      console.error('Error loading chat sessions:', err);
+    }
+    return [];
+  };
+
+  // Restore a conversation, including a proposal still waiting for approval
+  const loadChatSession = async (sessionId) => {
+    try {
+      const res = await fetch(`${SESSIONS_URL}/${sessionId}`, { headers: authHeaders(hotelHeaders()) });
+      if (!res.ok) {
+        localStorage.removeItem('autumnChatSessionId');
+        return false;
+      }
+      const session = await res.json();
+      setCurrentSessionId(session.id);
+      setMessages(session.messages.map(({ role, content, actionProposal }) => ({ role, content, actionProposal })));
+      setPendingAction(toPendingAction(session.pendingProposal));
+      localStorage.setItem('autumnChatSessionId', session.id);
+      return true;
+    } catch (err) {
+      console.error('Error loading chat session:', err);
+      return false;
+    }
+  };
+
+  // Load user details and resume the last conversation on mount
   useEffect(() => {
     const storedUser = localStorage.getItem('autumnUser');
     if (storedUser) {
@@ -29,72 +116,17 @@ export default function Chat() {
       }
     }
 
-    // Load chat sessions from localStorage
-    const storedSessions = localStorage.getItem('autumnChatSessions');
-    if (storedSessions) {
-      try {
-        const parsedSessions = JSON.parse(storedSessions);
-        setChatSessions(parsedSessions);
-
-        // Load the most recent session
-        if (parsedSessions.length > 0) {
-          const latestSession = parsedSessions[0];
-          setCurrentSessionId(latestSession.id);
-          setMessages(latestSession.messages);
-        } else {
-          // Create initial session if no sessions exist
-          const initialSession = {
-            id: Date.now().toString(),
-            messages: [],
-            createdAt: new Date().toISOString()
-          };
-          setChatSessions([initialSession]);
-          setCurrentSessionId(initialSession.id);
-        }
-      } catch (err) {
-        console.error('Error loading chat sessions:', err);
-        // Create initial session on error
-        const initialSession = {
-          id: Date.now().toString(),
-          messages: [],
-          createdAt: new Date().toISOString()
-        };
-        setChatSessions([initialSession]);
-        setCurrentSessionId(initialSession.id);
+    const resume = async () => {
+      const sessions = await fetchSessions();
+      const storedSessionId = localStorage.getItem('autumnChatSessionId');
+      if (!(storedSessionId && await loadChatSession(storedSessionId)) && sessions.length > 0) {
+        await loadChatSession(sessions[0].id);
       }
-    } else {
-      // No stored sessions, create initial session
-      const initialSession = {
-        id: Date.now().toString(),
-        messages: [],
-        createdAt: new Date().toISOString()
-      };
-      setChatSessions([initialSession]);
-      setCurrentSessionId(initialSession.id);
-    }
+      setSessionRestored(true);
+    };
+    resume();
   }, []);
 
-  // Update current session when messages change
-  useEffect(() => {
-    if (messages.length > 0 && currentSessionId) {
-      setChatSessions(prev => {
-        const updated = prev.map(session =>
-          session.id === currentSessionId ? { ...session, messages, updatedAt: new Date().toISOString() } : session
-        );
-        // Save immediately to localStorage
-        localStorage.setItem('autumnChatSessions', JSON.stringify(updated));
-        return updated;
-      });
-    }
-  }, [messages, currentSessionId]);
-
-  // Save chat sessions to localStorage whenever they change (backup)
-  useEffect(() => {
-    if (chatSessions.length > 0) {
-      localStorage.setItem('autumnChatSessions', JSON.stringify(chatSessions));
-    }
-  }, [chatSessions]);
-
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
@@ -113,87 +145,88 @@ export default function Chat() {
     const text = (textToSend || input || '').trim();
     if (!text || loading) return;
 
-    // Ensure we have a current session
-    if (!currentSessionId) {
-      const newSession = {
-        id: Date.now().toString(),
-        messages: [],
-        createdAt: new Date().toISOString()
-      };
-      setChatSessions(prev => [newSession, ...prev]);
-      setCurrentSessionId(newSession.id);
-    }
-
     const userMessage = { role: 'user', content: text };
     setMessages(prev => [...prev, userMessage]);
     setInput('');
     setLoading(true);
 
     try {
-      // Send conversation history for context (last 10 messages including current)
-      // Include actionProposal so backend can detect conversational approvals
-      const conversationHistory = [...messages, userMessage].slice(-10).map(msg => ({
-        role: msg.role,
-        content: msg.content,
-        actionProposal: msg.actionProposal || null
-      }));
-
-      // Get user info from localStorage
-      let operatorEmail = 'admin@hotel.com';
-      let operatorName = 'Admin';
-      try {
-        const storedUser = localStorage.getItem('autumnUser');
-        if (storedUser) {
-          const userObj = JSON.parse(storedUser);
-          if (userObj.email) operatorEmail = userObj.email;
-          if (userObj.firstName || userObj.lastName) {
-            operatorName = `${userObj.firstName || ''} ${userObj.lastName || ''}`.trim();
-          }
-        }
-      } catch (err) {
-        // fallback to default
-      }
-
-      const res = await fetch('http://localhost:4001/api/copilot/llm', {
+      // The server keeps the conversation history; a new session is started when we have none
+      const res = await fetch('http://localhost:4001/api/copilot/llm/stream', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders(hotelHeaders({ 'Content-Type': 'application/json' })),
         body: JSON.stringify({
           prompt: text,
-          conversationHistory: conversationHistory,
-          operator: operatorEmail,
-          operatorName: operatorName
+          sessionId: currentSessionId
         })
       });
 
-      const data = await res.json();
-
-      if (!res.ok || !data.ok) {
+      if (!res.ok || !res.body) {
+        const data = await res.json().catch(() => ({}));
         const fallback = `I couldn't process that request. ${data.error || 'Please ensure the backend is running with ANTHROPIC_API_KEY configured.'}`;
         setMessages(prev => [...prev, { role: 'assistant', content: fallback }]);
-      } else {
-        const assistantMessage = {
-          role: 'assistant',
-          content: data.text || 'No response.',
-          actionProposal: data.actionProposal
-        };
-        setMessages(prev => [...prev, assistantMessage]);
-
-        // Store pending action if there's a proposal
-        if (data.actionProposal && data.actionProposal.actionName) {
-          setPendingAction(data.actionProposal);
-        }
+        return;
+      }
+
+      // Append tokens to a single assistant message as they arrive
+      let started = false;
+      const updateAssistant = (update) => {
+        const isFirst = !started;
+        started = true;
+        setMessages(prev => {
+          if (isFirst) {
+            return [...prev, { role: 'assistant', content: '', ...update(null) }];
+          }
+          const last = prev[prev.length - 1];
+          return [...prev.slice(0, -1), { ...last, ...update(last) }];
+        });
+      };
+
+      let finalText = '';
+      let actionProposal = null;
+      let streamError = null;
 
-        // If the response contains "Action applied successfully" it means conversational approval was executed
-        if (data.text && data.text.includes('Action applied successfully')) {
-          // Trigger dashboard refresh
-          localStorage.setItem('dashboardRefreshNeeded', Date.now().toString());
+      await readEventStream(res, (event, data) => {
+        if (event === 'session') {
+          if (data.sessionId !== currentSessionId) {
+            setCurrentSessionId(data.sessionId);
+            localStorage.setItem('autumnChatSessionId', data.sessionId);
+          }
+        } else if (event === 'delta') {
+          if (!started) setStreaming(true);
+          updateAssistant(last => ({ content: (last?.content || '') + data.text }));
+        } else if (event === 'actionProposal') {
+          actionProposal = data.actionProposal;
+        } else if (event === 'done') {
+          finalText = data.text || '';
+          updateAssistant(() => ({ content: finalText || 'No response.', actionProposal }));
+        } else if (event === 'error') {
+          streamError = data.details || data.error;
         }
+      });
+
+      if (streamError) {
+        updateAssistant(last => ({ content: `${last?.content || ''}\n\n(Response interrupted: ${streamError})`.trim() }));
+        return;
+      }
+
+      // Store pending action if there's a proposal
+      if (actionProposal && actionProposal.actionName) {
+        setPendingAction(actionProposal);
+      }
+
+      // If the response contains "Action applied successfully" it means conversational approval was executed
+      if (finalText.includes('Action applied successfully')) {
+        // Trigger dashboard refresh
+        localStorage.setItem('dashboardRefreshNeeded', Date.now().toString());
       }
     } catch (err) {
       const errorMsg = `Error: ${err.message}. Check that backend is running on http://localhost:4001`;
       setMessages(prev => [...prev, { role: 'assistant', content: errorMsg }]);
     } finally {
       setLoading(false);
+      setStreaming(false);
+      fetchSessions();
     }
   };
 
@@ -203,37 +236,26 @@ export default function Chat() {
 
     setLoading(true);
     try {
-      // Get the real user email and name from localStorage (autumnUser)
-      let operatorEmail = 'admin@hotel.com';
-      let operatorName = 'Admin';
-      try {
-        const storedUser = localStorage.getItem('autumnUser');
-        if (storedUser) {
-          const userObj = JSON.parse(storedUser);
-          if (userObj.email) operatorEmail = userObj.email;
-          if (userObj.firstName || userObj.lastName) {
-            operatorName = `${userObj.firstName || ''} ${userObj.lastName || ''}`.trim();
-          }
-        }
-      } catch (err) {
-        // fallback to default
-      }
-
+      // The backend records the signed-in user from the session token
       const res = await fetch('http://localhost:4001/api/copilot/actions/execute', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders(hotelHeaders({ 'Content-Type': 'application/json' })),
         body: JSON.stringify({
           actionName: pendingAction.actionName,
           parameters: pendingAction.parameters,
-          operator: operatorEmail,
-          operatorName: operatorName,
+          proposalId: pendingAction.proposalId,
           prompt: 'User approved action'
         })
       });
 
       const data = await res.json();
       
-      if (data.success) {
+      if (data.pendingApproval) {
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          content: `Your approval was recorded. ${data.message}\n\nA second revenue manager can approve it from the Approval Queue on the Dashboard.`
+        }]);
+      } else if (data.success) {
         const successMessage = `Action applied successfully.\n\n${data.message || data.summary || 'Changes have been saved.'}\n\nTip: Navigate to the Dashboard to see the updated pricing immediately.`;
 
         setMessages(prev => [...prev, {
@@ -246,7 +268,7 @@ export default function Chat() {
       } else {
         setMessages(prev => [...prev, {
           role: 'assistant',
-          content: `❌ Failed to apply action: ${data.error || 'Unknown error'}\n\nPlease try again or rephrase your request.`
+          content: `❌ Failed to apply action: ${[data.error || 'Unknown error', data.details].filter(Boolean).join(' - ')}\n\nPlease try again or rephrase your request.`
         }]);
       }
 
@@ -261,11 +283,31 @@ export default function Chat() {
     }
   };
 
-  const handleReject = () => {
-    setMessages(prev => [...prev, { 
-      role: 'assistant', 
-      content: 'Action canceled. No changes were made.' 
-    }]);
+  const handleReject = async () => {
+    if (!pendingAction) return;
+
+    // Reject the queued proposal too, or a later "yes" in this session would still approve it
+    let content = 'Action canceled. No changes were made.';
+    if (pendingAction.proposalId) {
+      setLoading(true);
+      try {
+        const res = await fetch(`http://localhost:4001/api/copilot/approvals/${pendingAction.proposalId}/reject`, {
+          method: 'POST',
+          headers: authHeaders(hotelHeaders({ 'Content-Type': 'application/json' })),
+          body: JSON.stringify({ reason: 'Cancelled in chat' })
+        });
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          content = `No changes were made, but the proposal could not be rejected: ${data.error || res.statusText}`;
+        }
+      } catch (err) {
+        content = `No changes were made, but the proposal could not be rejected: ${err.message}`;
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    setMessages(prev => [...prev, { role: 'assistant', content }]);
     setPendingAction(null);
   };
 
@@ -274,13 +316,45 @@ export default function Chat() {
   };
 
   const handleLogout = () => {
-    localStorage.removeItem('autumnUser');
-    localStorage.removeItem('autumnAuth');
-    localStorage.removeItem('autumnChatHistory');
+    clearSession();
+    localStorage.removeItem('autumnChatSessionId');
     setMessages([]);
     navigate('/');
   };
 
+  // Competitor rate-change alerts arrive as proactive assistant messages, each offering its proposal
+  useEffect(() => {
+    if (!sessionRestored) return undefined;
+    const pollAlerts = async () => {
+      try {
+        const res = await fetch(`${COMPETITOR_ALERTS_URL}?limit=5`, { headers: authHeaders(hotelHeaders()) });
+        if (!res.ok) return;
+        const { alerts = [] } = await res.json();
+
+        const seen = new Set(JSON.parse(localStorage.getItem('autumnSeenCompetitorAlerts') || '[]'));
+        const fresh = alerts.filter(alert => !seen.has(alert.id));
+        if (fresh.length === 0) return;
+
+        fresh.forEach(alert => seen.add(alert.id));
+        localStorage.setItem('autumnSeenCompetitorAlerts', JSON.stringify([...seen].slice(-200)));
+
+        const offered = fresh.find(alert => alert.proposalStatus === 'proposed');
+        setMessages(prev => [...prev, ...fresh.map(alert => ({
+          role: 'assistant',
+          content: `Competitor alert: ${alert.message}.` +
+            (alert.proposal && alert.proposalStatus === 'proposed' ? `\n\nSuggested response: ${alert.proposal.description}.` : '')
+        }))]);
+        if (offered) setPendingAction(current => current || toPendingAction(offered.proposal));
+      } catch (err) {
+        console.error('Error loading competitor alerts:', err);
+      }
+    };
+
+    pollAlerts();
+    const alertInterval = setInterval(pollAlerts, ALERT_POLL_MS);
+    return () => clearInterval(alertInterval);
+  }, [sessionRestored]);
+
   // Setup Web Speech API for voice-to-text
   useEffect(() => {
     if (typeof window === 'undefined') return;
@@ -319,31 +393,28 @@ export default function Chat() {
     recognitionRef.current.start();
   };
 
+  // The session itself is created by the server with the first message
   const createNewChat = () => {
-    const newSession = {
-      id: Date.now().toString(),
-      messages: [],
-      createdAt: new Date().toISOString()
-    };
-    setChatSessions(prev => [newSession, ...prev]);
-    setCurrentSessionId(newSession.id);
+    setCurrentSessionId(null);
     setMessages([]);
+    setPendingAction(null);
+    localStorage.removeItem('autumnChatSessionId');
   };
 
-  const loadChatSession = (sessionId) => {
-    const session = chatSessions.find(s => s.id === sessionId);
-    if (session) {
-      setCurrentSessionId(sessionId);
-      setMessages(session.messages);
+  const deleteChatSession = async (sessionId) => {
+    try {
+      await fetch(`${SESSIONS_URL}/${sessionId}`, {
+        method: 'DELETE',
+        headers: authHeaders(hotelHeaders())
+      });
+    } catch (err) {
+      console.error('Error deleting chat session:', err);
     }
-  };
-
-  const deleteChatSession = (sessionId) => {
-    setChatSessions(prev => prev.filter(s => s.id !== sessionId));
+    const remaining = chatSessions.filter(s => s.id !== sessionId);
+    setChatSessions(remaining);
     if (currentSessionId === sessionId) {
-      if (chatSessions.length > 1) {
-        const nextSession = chatSessions.find(s => s.id !== sessionId);
-        loadChatSession(nextSession.id);
+      if (remaining.length > 0) {
+        loadChatSession(remaining[0].id);
       } else {
         createNewChat();
       }
@@ -374,8 +445,8 @@ export default function Chat() {
   };
 
   const getSessionPreview = (session) => {
-    const firstUserMsg = session.messages.find(m => m.role === 'user');
-    return firstUserMsg ? firstUserMsg.content.substring(0, 30) + (firstUserMsg.content.length > 30 ? '...' : '') : 'New Chat';
+    const title = session.title || '';
+    return title ? title.substring(0, 30) + (title.length > 30 ? '...' : '') : 'New Chat';
   };
 
   return (
@@ -558,7 +629,7 @@ export default function Chat() {
                     </div>
                   </div>
                 ))}
-                {loading && (
+                {loading && !streaming && (
                   <div className="flex justify-start">
                     <div className="max-w-xl px-4 py-3 rounded-2xl bg-white border border-gray-200">
                       <div className="flex items-center gap-2">
@@ -12,6 +12,10 @@ import {
   ComposedChart,
   Area
 } from "recharts";
+import { hotelHeaders } from "../hotel";
+import ApprovalQueue from "../components/ApprovalQueue";
+import CompetitorAlerts from "../components/CompetitorAlerts";
+import ActionHistory from "../components/ActionHistory";
 
 // Helper: Parse duration hours from reason/summary string
 function parseDurationFromText(text) {
@@ -150,7 +154,7 @@ export default function Dashboard() {
 
   const fetchData = useCallback(async () => {
     try {
-      const res = await fetch("http://localhost:4001/api/copilot/dashboard");
+      const res = await fetch("http://localhost:4001/api/copilot/dashboard", { headers: hotelHeaders() });
       const json = await res.json();
       if (json.ok) {
         setData(json);
@@ -174,7 +178,7 @@ export default function Dashboard() {
     return <div className="min-h-screen flex items-center justify-center">Loading…</div>;
   }
 
-  const { metrics, roomDetails = [], recentActions = [] } = data;
+  const { metrics, roomDetails = [], recentActions = [], competitorAlerts = [] } = data;
   const { avgDailyRate, occupancy, revPAR, totalBooked, totalRooms } = metrics;
 
   // Generate SMART alerts - analyze data intelligently using ACTUAL API data
@@ -608,6 +612,15 @@ export default function Dashboard() {
           </div>
         )}
 
+        {/* SECTION 2.55 — COMPETITOR ALERTS (RED) */}
+        <CompetitorAlerts alerts={competitorAlerts} onChange={fetchData} />
+
+        {/* SECTION 2.6 — APPROVAL QUEUE */}
+        <ApprovalQueue onDecision={fetchData} />
+
+        {/* SECTION 2.7 — ACTION HISTORY (REVERT / REDO) */}
+        <ActionHistory onChange={fetchData} />
+
         {/* SECTION 3 — REAL-TIME PRICE CHART */}
         <div className="bg-white border rounded-xl p-6 shadow">
           <div className="flex justify-between items-center mb-4">
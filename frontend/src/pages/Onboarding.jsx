@@ -1,5 +1,35 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { setHotelId } from '../hotel';
+import { authHeaders } from '../auth';
+import { TIME_ZONES, defaultTimeZone } from '../timeZones';
+
+// "Queen, 12, 129, standard | queen room" -> { name, totalRooms, basePrice, aliases }
+function parseRoomTypes(text) {
+  return text.split('\n').filter(line => line.trim()).map(line => {
+    const [name, totalRooms, basePrice, aliases = ''] = line.split(',').map(part => part.trim());
+    return {
+      name,
+      totalRooms: parseInt(totalRooms, 10),
+      basePrice: parseFloat(basePrice),
+      aliases: aliases.split('|').map(a => a.trim()).filter(Boolean)
+    };
+  });
+}
+
+// "Bayview Hotel, 150" -> { name, avgPrice, weight } with weights split evenly
+function parseCompetitors(text) {
+  const lines = text.split('\n').filter(line => line.trim());
+  return lines.map(line => {
+    const [name, avgPrice] = line.split(',').map(part => part.trim());
+    return {
+      name,
+      avgPrice: avgPrice ? parseFloat(avgPrice) : undefined,
+      weight: Math.round(100 / lines.length) / 100,
+      differential: 0
+    };
+  });
+}
 
 export default function Onboarding() {
   const navigate = useNavigate();
@@ -8,7 +38,10 @@ export default function Onboarding() {
     websiteUrl: '',
     pricingObjective: '',
     competitorUrls: '',
-    targetMarket: 'general'
+    targetMarket: 'general',
+    timezone: defaultTimeZone(),
+    roomTypes: '',
+    competitors: ''
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -30,26 +63,30 @@ export default function Onboarding() {
     try {
       const payload = {
         ...formData,
-        competitorUrls: formData.competitorUrls.split('\n').filter(url => url.trim())
+        competitorUrls: formData.competitorUrls.split('\n').filter(url => url.trim()),
+        roomTypes: parseRoomTypes(formData.roomTypes),
+        competitors: parseCompetitors(formData.competitors)
       };
 
       const response = await fetch('http://localhost:4001/api/upload/onboarding', {
         method: 'POST',
-        headers: {
+        headers: authHeaders({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify(payload)
       });
 
       const data = await response.json();
 
       if (response.ok && data.success) {
+        // Everything after onboarding works on the new property
+        setHotelId(data.hotelId);
         setSuccess(true);
         setTimeout(() => {
           navigate('/dashboard');
         }, 2000);
       } else {
-        setError(data.error || 'Failed to save hotel settings');
+        setError([data.error || 'Failed to save hotel settings', ...(data.details || [])].join(' - '));
       }
     } catch (err) {
       setError('Failed to connect to server: ' + err.message);
@@ -128,6 +165,41 @@ export default function Onboarding() {
             </p>
           </div>
 
+          <div style={styles.formGroup}>
+            <label style={styles.label}>
+              Room Types (one per line) <span style={styles.required}>*</span>
+            </label>
+            <textarea
+              name="roomTypes"
+              value={formData.roomTypes}
+              onChange={handleChange}
+              required
+              rows="4"
+              placeholder={'Queen, 12, 129, standard | queen room\nKing Suite, 4, 219, suite | king'}
+              style={styles.textarea}
+            />
+            <p style={styles.hint}>
+              Name, number of rooms, base price, then optional aliases separated by |
+            </p>
+          </div>
+
+          <div style={styles.formGroup}>
+            <label style={styles.label}>
+              Competitors (one per line)
+            </label>
+            <textarea
+              name="competitors"
+              value={formData.competitors}
+              onChange={handleChange}
+              rows="3"
+              placeholder={'Bayview Hotel, 150\nHarbor Suites, 185'}
+              style={styles.textarea}
+            />
+            <p style={styles.hint}>
+              Competitor name and their typical nightly rate
+            </p>
+          </div>
+
           <div style={styles.formGroup}>
             <label style={styles.label}>
               Competitor URLs (one per line)
@@ -163,6 +235,25 @@ export default function Onboarding() {
             </select>
           </div>
 
+          <div style={styles.formGroup}>
+            <label style={styles.label}>
+              Time Zone
+            </label>
+            <select
+              name="timezone"
+              value={formData.timezone}
+              onChange={handleChange}
+              style={styles.select}
+            >
+              {TIME_ZONES.map(tz => (
+                <option key={tz.value} value={tz.value}>{tz.label}</option>
+              ))}
+            </select>
+            <p style={styles.hint}>
+              Stay dates, scheduled changes and reports follow the hotel's local clock
+            </p>
+          </div>
+
           {error && (
             <div style={styles.errorBox}>
               {error}
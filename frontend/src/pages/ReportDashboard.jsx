@@ -2,11 +2,65 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import CSVUpload from '../components/CSVUpload';
 import { TrendingUp, DollarSign, Users, Calendar, Settings } from 'lucide-react';
+import { hotelHeaders } from '../hotel';
+
+const formatMoney = (value) => value === null || value === undefined
+  ? '—'
+  : `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+const formatPct = (value) => `${(value * 100).toFixed(1)}%`;
+
+const cellStyle = { padding: '10px 12px', borderBottom: '1px solid #F0EBF5', textAlign: 'right', whiteSpace: 'nowrap' };
+const headStyle = { ...cellStyle, fontSize: '12px', fontWeight: '600', color: '#6B6B6B', textTransform: 'uppercase' };
+
+// Channel mix from /api/pricing/channels: revenue by booking source, net of commission
+function ChannelMixPanel({ report }) {
+  if (!report || report.channels.length === 0) return null;
+
+  const columns = ['Bookings', 'Room nights', 'Revenue', 'ADR', 'Lead time', 'Cancelled', 'Commission', 'Net revenue', 'Net ADR'];
+  const renderRow = (row, name, key, bold = false) => (
+    <tr key={key} style={bold ? { fontWeight: '600' } : undefined}>
+      <td style={{ ...cellStyle, textAlign: 'left' }}>
+        {name}
+        {row.commissionRate > 0 && <span style={{ fontSize: '12px', color: '#6B6B6B' }}> · {formatPct(row.commissionRate)} commission</span>}
+      </td>
+      <td style={cellStyle}>{row.bookings}</td>
+      <td style={cellStyle}>{row.roomNights}</td>
+      <td style={cellStyle}>{formatMoney(row.revenue)} <span style={{ fontSize: '12px', color: '#6B6B6B' }}>({formatPct(row.revenueShare)})</span></td>
+      <td style={cellStyle}>{formatMoney(row.adr)}</td>
+      <td style={cellStyle}>{row.avgLeadDays === null ? '—' : `${row.avgLeadDays} d`}</td>
+      <td style={cellStyle}>{formatPct(row.cancellationRate)}</td>
+      <td style={cellStyle}>{formatMoney(row.commission)}</td>
+      <td style={cellStyle}>{formatMoney(row.netRevenue)}</td>
+      <td style={cellStyle}>{formatMoney(row.netAdr)}</td>
+    </tr>
+  );
+
+  return (
+    <div style={{ background: '#FFF', border: '1px solid #E0D4EB', borderRadius: '12px', padding: '24px', marginBottom: '24px', overflowX: 'auto' }}>
+      <h2 style={{ fontSize: '20px', fontWeight: '600', margin: '0 0 4px' }}>Channel Mix</h2>
+      <p style={{ fontSize: '14px', color: '#6B6B6B', margin: '0 0 16px' }}>Stays by check-in date, grouped by booking source. Net revenue is after channel commission.</p>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr>
+            <th style={{ ...headStyle, textAlign: 'left' }}>Channel</th>
+            {columns.map(column => <th key={column} style={headStyle}>{column}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {report.channels.map(channel => renderRow(channel, channel.name, channel.channel))}
+          {renderRow(report.totals, 'All channels', 'totals', true)}
+        </tbody>
+      </table>
+    </div>
+  );
+}
 
 export default function NewDashboard() {
   const navigate = useNavigate();
   const [hotelSettings, setHotelSettings] = useState(null);
   const [reservations, setReservations] = useState([]);
+  const [channelMix, setChannelMix] = useState(null);
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
     totalRevenue: 0,
@@ -21,18 +75,23 @@ export default function NewDashboard() {
 
   const loadData = async () => {
     try {
-      const settingsRes = await fetch('http://localhost:4001/api/upload/onboarding');
+      const settingsRes = await fetch('http://localhost:4001/api/upload/onboarding', { headers: hotelHeaders() });
       const settingsData = await settingsRes.json();
       if (settingsData.success && settingsData.settings) {
         setHotelSettings(settingsData.settings);
       }
 
-      const reservationsRes = await fetch('http://localhost:4001/api/upload/reservations');
+      const reservationsRes = await fetch('http://localhost:4001/api/upload/reservations', { headers: hotelHeaders() });
       const reservationsData = await reservationsRes.json();
       if (reservationsData.success && reservationsData.data) {
         setReservations(reservationsData.data);
         calculateStats(reservationsData.data);
       }
+
+      const channelsRes = await fetch('http://localhost:4001/api/pricing/channels', { headers: hotelHeaders() });
+      if (channelsRes.ok) {
+        setChannelMix(await channelsRes.json());
+      }
     } catch (err) {
       console.error('Failed to load data:', err);
     } finally {
@@ -85,6 +144,7 @@ export default function NewDashboard() {
         </div>
       </header>
       <div style={{maxWidth:'1200px',margin:'0 auto',padding:'32px'}}>
+        <ChannelMixPanel report={channelMix} />
         <CSVUpload onUploadSuccess={handleUploadSuccess} />
       </div>
     </div>
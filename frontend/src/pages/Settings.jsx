@@ -11,6 +11,9 @@ import {
   Save,
   X
 } from 'lucide-react';
+import { authHeaders, clearSession } from '../auth';
+import { hotelHeaders } from '../hotel';
+import { timeZoneOptions } from '../timeZones';
 
 export default function SettingsPage() {
   const navigate = useNavigate();
@@ -27,6 +30,8 @@ export default function SettingsPage() {
     country: '',
     timezone: 'UTC'
   });
+  // The time zone belongs to the property, not the user
+  const [property, setProperty] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [saveMessage, setSaveMessage] = useState('');
   const [saveError, setSaveError] = useState('');
@@ -37,7 +42,8 @@ export default function SettingsPage() {
       try {
         const userData = JSON.parse(storedUser);
         setUser(userData);
-        setFormData({
+        setFormData(prev => ({
+          ...prev,
           firstName: userData.firstName || '',
           lastName: userData.lastName || '',
           email: userData.email || '',
@@ -45,18 +51,25 @@ export default function SettingsPage() {
           hotelName: userData.hotelName || '',
           address: userData.address || '',
           city: userData.city || '',
-          country: userData.country || '',
-          timezone: userData.timezone || 'UTC'
-        });
+          country: userData.country || ''
+        }));
       } catch (err) {
         console.error('Error parsing user data:', err);
       }
     }
+
+    fetch('http://localhost:4001/api/upload/onboarding', { headers: authHeaders(hotelHeaders()) })
+      .then(response => response.ok ? response.json() : null)
+      .then(data => {
+        if (!data?.settings) return;
+        setProperty(data.settings);
+        setFormData(prev => ({ ...prev, timezone: data.settings.timezone || 'UTC' }));
+      })
+      .catch(err => console.error('Error loading hotel settings:', err));
   }, []);
 
   const handleLogout = () => {
-    localStorage.removeItem('autumnUser');
-    localStorage.removeItem('autumnAuth');
+    clearSession();
     navigate('/');
   };
 
@@ -74,33 +87,48 @@ export default function SettingsPage() {
     setSaveError('');
 
     try {
-      // Update the user data in localStorage
+      // Name lives on the server account; the remaining fields are local preferences
+      const response = await fetch('http://localhost:4001/api/auth/me', {
+        method: 'PUT',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ firstName: formData.firstName, lastName: formData.lastName })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to save profile');
+      }
+      const account = await response.json();
+
+      if (property && formData.timezone !== (property.timezone || 'UTC')) {
+        const hotelResponse = await fetch(`http://localhost:4001/api/hotels/${property.hotelId}`, {
+          method: 'PUT',
+          headers: authHeaders(hotelHeaders({ 'Content-Type': 'application/json' })),
+          body: JSON.stringify({ timezone: formData.timezone })
+        });
+        const hotel = await hotelResponse.json().catch(() => ({}));
+        if (!hotelResponse.ok) {
+          throw new Error([hotel.error || 'Failed to save time zone', ...(hotel.details || [])].join(' - '));
+        }
+        setProperty(prev => ({ ...prev, timezone: hotel.timezone }));
+      }
+
+      // Email and role come from the account and can't be edited here
+      const { timezone, ...preferences } = formData;
       const updatedUser = {
         ...user,
-        ...formData
+        ...preferences,
+        ...account
       };
       localStorage.setItem('autumnUser', JSON.stringify(updatedUser));
       setUser(updatedUser);
 
-      // Also update in autumnUsers array
-      const allUsers = JSON.parse(localStorage.getItem('autumnUsers') || '[]');
-      const userIndex = allUsers.findIndex(u => u.email === updatedUser.email);
-      if (userIndex >= 0) {
-        // Update existing user
-        allUsers[userIndex] = updatedUser;
-      } else {
-        // Add new user if not found
-        allUsers.push(updatedUser);
-      }
-      localStorage.setItem('autumnUsers', JSON.stringify(allUsers));
-
       setSaveMessage('✓ Profile saved successfully!');
       setTimeout(() => {
         setSaveMessage('');
       }, 3000);
     } catch (err) {
       console.error('Error saving profile:', err);
-      setSaveError('Failed to save profile. Please try again.');
+      setSaveError(err.message || 'Failed to save profile. Please try again.');
     } finally {
       setIsSaving(false);
     }
@@ -247,7 +275,7 @@ export default function SettingsPage() {
                     type="email"
                     name="email"
                     value={formData.email}
-                    onChange={handleInputChange}
+                    readOnly
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                     placeholder="Enter email"
                   />
@@ -338,24 +366,22 @@ export default function SettingsPage() {
                 {/* Timezone */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Timezone
+                    Hotel Time Zone
                   </label>
                   <select
                     name="timezone"
                     value={formData.timezone}
                     onChange={handleInputChange}
+                    disabled={!property}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                   >
-                    <option value="UTC">UTC</option>
-                    <option value="EST">EST (Eastern Standard Time)</option>
-                    <option value="CST">CST (Central Standard Time)</option>
-                    <option value="MST">MST (Mountain Standard Time)</option>
-                    <option value="PST">PST (Pacific Standard Time)</option>
-                    <option value="GMT">GMT (Greenwich Mean Time)</option>
-                    <option value="IST">IST (Indian Standard Time)</option>
-                    <option value="JST">JST (Japan Standard Time)</option>
-                    <option value="AEST">AEST (Australian Eastern Standard Time)</option>
+                    {timeZoneOptions(formData.timezone).map(tz => (
+                      <option key={tz.value} value={tz.value}>{tz.label}</option>
+                    ))}
                   </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    "Today", stay dates, scheduled changes and reports follow this clock
+                  </p>
                 </div>
               </div>
             </div>
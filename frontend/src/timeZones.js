@@ -0,0 +1,38 @@
+// Property time zones (IANA names). The backend reads stay dates, scheduled
+// actions, promotion windows and reports on the property's wall clock.
+export const TIME_ZONES = [
+  { value: 'UTC', label: 'UTC' },
+  { value: 'America/New_York', label: 'Eastern Time (New York)' },
+  { value: 'America/Chicago', label: 'Central Time (Chicago)' },
+  { value: 'America/Denver', label: 'Mountain Time (Denver)' },
+  { value: 'America/Phoenix', label: 'Mountain Time, no DST (Phoenix)' },
+  { value: 'America/Los_Angeles', label: 'Pacific Time (Los Angeles)' },
+  { value: 'America/Anchorage', label: 'Alaska Time (Anchorage)' },
+  { value: 'Pacific/Honolulu', label: 'Hawaii Time (Honolulu)' },
+  { value: 'America/Toronto', label: 'Eastern Time (Toronto)' },
+  { value: 'America/Mexico_City', label: 'Central Time (Mexico City)' },
+  { value: 'America/Sao_Paulo', label: 'Brasília Time (São Paulo)' },
+  { value: 'Europe/London', label: 'UK Time (London)' },
+  { value: 'Europe/Paris', label: 'Central European Time (Paris)' },
+  { value: 'Europe/Athens', label: 'Eastern European Time (Athens)' },
+  { value: 'Africa/Johannesburg', label: 'South Africa Time (Johannesburg)' },
+  { value: 'Asia/Dubai', label: 'Gulf Time (Dubai)' },
+  { value: 'Asia/Kolkata', label: 'India Time (Kolkata)' },
+  { value: 'Asia/Singapore', label: 'Singapore Time' },
+  { value: 'Asia/Tokyo', label: 'Japan Time (Tokyo)' },
+  { value: 'Australia/Sydney', label: 'Australian Eastern Time (Sydney)' },
+  { value: 'Pacific/Auckland', label: 'New Zealand Time (Auckland)' }
+];
+
+// The browser's zone when it is one we list, otherwise UTC
+export function defaultTimeZone() {
+  const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return TIME_ZONES.some(tz => tz.value === zone) ? zone : 'UTC';
+}
+
+// Options for a select, keeping a saved zone we don't list
+export function timeZoneOptions(current) {
+  return current && !TIME_ZONES.some(tz => tz.value === current)
+    ? [...TIME_ZONES, { value: current, label: current }]
+    : TIME_ZONES;
+}
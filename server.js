@@ -2,6 +2,7 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const bodyParser = require('body-parser');
+const { priceNight, getPropertyPricingConfig } = require('./backend/pricing/pricingPipeline');
 
 const DATA_PATH = path.resolve(__dirname, 'hotels.json');
 const PORT = process.env.PORT || 4001;
@@ -17,75 +18,19 @@ async function persistData(data){
   await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf8');
 }
 
-// reuse suggestion logic similar to copilot
-// Train a small linear regression model (gradient descent)
-function trainModel(data){
-  const X = [];
-  const y = [];
-  data.forEach(r => {
-    const compAvg = mean(r.competitorPrices);
-    const target = r.currentPrice + (compAvg - r.currentPrice) * 0.5 + (r.occupancy - 0.6) * r.currentPrice * 0.2;
-    X.push([1, r.currentPrice, r.occupancy, compAvg]);
-    y.push(target);
+// Price a hotels.json room through the backend pricing pipeline (same rules as the dashboard and chat)
+function priceRoom(room){
+  const priced = priceNight({
+    basePrice: room.currentPrice,
+    competitorAvg: mean(room.competitorPrices) || null,
+    occupancyRate: room.occupancy,
+    config: getPropertyPricingConfig(null, room.currentPrice)
   });
-  let w = [0,0.5,0.5,0.2];
-  const lr = 0.0000005;
-  const epochs = 5000;
-  for(let it=0; it<epochs; it++){
-    const grads = [0,0,0,0];
-    let loss = 0;
-    for(let i=0;i<X.length;i++){
-      const xi = X[i];
-      let pred = 0;
-      for(let j=0;j<w.length;j++) pred += w[j]*xi[j];
-      const err = pred - y[i];
-      loss += err*err;
-      for(let j=0;j<w.length;j++) grads[j] += 2*err*xi[j];
-    }
-    for(let j=0;j<w.length;j++) w[j] -= lr * grads[j]/X.length;
-    if(loss < 1e-6) break;
-  }
-  return w;
-}
-
-function predictWithModel(w, room){
-  const compAvg = mean(room.competitorPrices);
-  const features = [1, room.currentPrice, room.occupancy, compAvg];
-  let pred = 0;
-  for(let j=0;j<w.length;j++) pred += w[j]*features[j];
-  return pred;
-}
-
-function explainRoom(w, room, intent){
-  const compAvg = mean(room.competitorPrices);
-  const features = { intercept: 1, currentPrice: room.currentPrice, occupancy: room.occupancy, competitorAvg: compAvg };
-  const names = Object.keys(features);
-  const coeffs = w || [0,0,0,0];
-  const contrib = {};
-  let totalAbs = 0;
-  // map coeffs: coeffs[0]=intercept, [1]=currentPrice, [2]=occupancy, [3]=competitorAvg
-  names.forEach((n, i)=>{ const c = coeffs[i] * features[n]; contrib[n] = { value: features[n], contribution: coeffs[i]*features[n] }; totalAbs += Math.abs(contrib[n].contribution); });
-  const weights = {};
-  names.forEach(n => { weights[n] = { value: contrib[n].value, contribution: contrib[n].contribution, weight: totalAbs===0?0:contrib[n].contribution/totalAbs }; });
-  const modelPred = predictWithModel(w, room);
-  // suggested price (reuse logic)
-  const rec = suggestForRoom(room, intent, w);
-  // create a concise reason summary: top-2 signals by absolute contribution
-  const signalEntries = Object.entries(weights).map(([k,v])=>({ key:k, weight: Math.abs(v.weight), contrib: v.contribution }));
-  signalEntries.sort((a,b)=>Math.abs(b.contrib)-Math.abs(a.contrib));
-  const top = signalEntries.slice(0,2).map(s => `${s.key}:${(weights[s.key].weight*100).toFixed(0)}%`).join(', ');
-  const reason = `Model $${modelPred.toFixed(2)} — top signals: ${top}`;
-  const reasonSummary = top;
-  return { signals: features, signalWeights: weights, modelPrediction: modelPred, recommendation: rec, reason, reasonSummary };
-}
-
-function suggestForRoom(room, intent, model){
-  let base = model ? predictWithModel(model, room) : room.currentPrice;
-  if(intent === 'increase') base = base * 1.05;
-  if(intent === 'decrease') base = base * 0.95;
-  const suggested = Math.max(20, Math.round(base*100)/100);
+  const suggested = priced.finalPrice;
   const deltaPct = ((suggested - room.currentPrice)/room.currentPrice)*100;
-  return { suggested, deltaPct };
+  const reason = priced.adjustments.length > 0 ? priced.adjustments.map(a => a.reason).join('. ') : 'Price is appropriately positioned';
+  const reasonSummary = priced.adjustments.map(a => `${a.type}:${a.factor > 1 ? '+' : ''}${((a.factor - 1)*100).toFixed(0)}%`).join(', ') || 'no adjustments';
+  return { suggested, deltaPct, reason, reasonSummary, adjustments: priced.adjustments, breakdown: priced.breakdown, constraints: priced.constraints };
 }
 
 const app = express();
@@ -107,16 +52,15 @@ app.post('/api/suggest', async (req,res)=>{
   if(p.includes('high') || p.includes('decrease') || p.includes('drop') || p.includes('lower')) intent = 'decrease';
   try{
     const data = await loadData();
-    const model = trainModel(data);
     // build richer analysis + recommendations per room
     const analysis = data.map(room => {
       const compAvg = mean(room.competitorPrices);
       const occupancy = room.occupancy;
-      const minAllowed = Math.max(20, Math.round(room.currentPrice * 0.8 * 100)/100);
-      const maxAllowed = Math.round(room.currentPrice * 1.25 * 100)/100;
-      const expl = explainRoom(model, room, intent);
-      const recommendation = Object.assign({ id: room.id, name: room.name, currentPrice: room.currentPrice, competitorAvg: compAvg, occupancy, minAllowed, maxAllowed }, expl.recommendation, { reason: expl.reason, reasonSummary: expl.reasonSummary, signalWeights: expl.signalWeights });
-      return { analysis: { id: room.id, competitorAvg: compAvg, occupancy, modelPrediction: expl.modelPrediction, constraints: { minAllowed, maxAllowed }, signalWeights: expl.signalWeights }, recommendation };
+      const priced = priceRoom(room);
+      const minAllowed = priced.constraints.floor;
+      const maxAllowed = priced.constraints.ceiling;
+      const recommendation = { id: room.id, name: room.name, currentPrice: room.currentPrice, competitorAvg: compAvg, occupancy, minAllowed, maxAllowed, suggested: priced.suggested, deltaPct: priced.deltaPct, reason: priced.reason, reasonSummary: priced.reasonSummary, adjustments: priced.adjustments };
+      return { analysis: { id: room.id, competitorAvg: compAvg, occupancy, pipelinePrice: priced.suggested, breakdown: priced.breakdown, constraints: { minAllowed, maxAllowed }, adjustments: priced.adjustments }, recommendation };
     });
     // separate lists for UI convenience
     const suggestions = analysis.map(a => a.recommendation);
@@ -130,13 +74,12 @@ app.post('/api/apply', async (req,res)=>{
   if(!Array.isArray(approvals)) return res.status(400).json({error:'invalid payload'});
   try{
     const data = await loadData();
-    // recompute model and explanations so audit contains the decision trace
-    const model = trainModel(data);
+    // reprice through the pipeline so audit contains the decision trace
     const applied = [];
     const newData = data.map(room => {
       const a = approvals.find(x => x.id === room.id);
       if(a && a.approved){
-        const expl = explainRoom(model, room, req.body.intent || 'review');
+        const expl = priceRoom(room);
         const finalPrice = a.suggested;
         applied.push({ id: room.id, name: room.name, proposed: a.suggested, approved: true, final: finalPrice, explanation: expl, reasonSummary: expl.reasonSummary });
         return { ...room, currentPrice: finalPrice };